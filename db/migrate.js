@@ -0,0 +1,155 @@
+// Schema migration runner.
+//   node db/migrate.js up            apply every pending migration
+//   node db/migrate.js down [steps]  roll back the last <steps> migrations (default 1)
+//   node db/migrate.js status        list applied and pending migrations
+//
+// Migrations live in db/migrations as <version>_<name>.up.sql / .down.sql and
+// are applied in version order, each in its own transaction.
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('../src/db/pool');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_LOCK = 482000;
+
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, up: null, down: null });
+    }
+    migrations.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+async function runFile(client, file, onSuccess) {
+  await client.query('BEGIN');
+  try {
+    await client.query(fs.readFileSync(file, 'utf8'));
+    await onSuccess();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function migrateUp(client, { log = console.log } = {}) {
+  const applied = new Set(await appliedVersions(client));
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+  if (pending.length === 0) {
+    log('✅ Database is up to date');
+    return [];
+  }
+
+  for (const migration of pending) {
+    if (!migration.up) throw new Error(`Migration ${migration.version} has no .up.sql file`);
+
+    await runFile(client, migration.up, () => client.query(
+      'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+      [migration.version, migration.name]
+    ));
+    log(`⬆️  Applied ${migration.version}_${migration.name}`);
+  }
+
+  return pending.map(m => m.version);
+}
+
+async function migrateDown(client, steps = 1, { log = console.log } = {}) {
+  const applied = await appliedVersions(client);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const toRollBack = applied.slice(-steps).reverse();
+
+  if (toRollBack.length === 0) {
+    log('⚠️ No migrations to roll back');
+    return [];
+  }
+
+  for (const version of toRollBack) {
+    const migration = byVersion.get(version);
+    if (!migration || !migration.down) {
+      throw new Error(`Migration ${version} has no .down.sql file`);
+    }
+
+    await runFile(client, migration.down, () => client.query(
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [version]
+    ));
+    log(`⬇️  Rolled back ${migration.version}_${migration.name}`);
+  }
+
+  return toRollBack;
+}
+
+// Runs fn with a dedicated client holding the migrations lock, so two
+// instances starting at once cannot apply the same migration twice.
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK]).catch(() => {});
+    client.release();
+  }
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const pool = createPool();
+
+  try {
+    await withMigrationLock(pool, async client => {
+      if (command === 'up') {
+        await migrateUp(client);
+      } else if (command === 'down') {
+        await migrateDown(client, parseInt(arg) || 1);
+      } else if (command === 'status') {
+        const applied = new Set(await appliedVersions(client));
+        for (const m of loadMigrations()) {
+          console.log(`${applied.has(m.version) ? '✅' : '⏳'} ${m.version}_${m.name}`);
+        }
+      } else {
+        throw new Error(`Unknown command '${command}' (expected up, down or status)`);
+      }
+    });
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, withMigrationLock };
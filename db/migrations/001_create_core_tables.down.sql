@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS assignments;
+ALTER TABLE IF EXISTS users DROP CONSTRAINT IF EXISTS users_student_id_fkey;
+DROP TABLE IF EXISTS students;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS classes;
+DROP TABLE IF EXISTS sections;
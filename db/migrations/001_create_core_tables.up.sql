@@ -0,0 +1,81 @@
+-- Core school data: sections, classes, users, students, assignments, notifications
+
+CREATE TABLE sections (
+  id SERIAL PRIMARY KEY,
+  section_name VARCHAR(100) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE classes (
+  id SERIAL PRIMARY KEY,
+  class_name VARCHAR(100) NOT NULL,
+  section_id INTEGER REFERENCES sections(id),
+  teacher_name VARCHAR(150),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(100) NOT NULL UNIQUE,
+  password TEXT NOT NULL,
+  email VARCHAR(255),
+  role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'student')),
+  student_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE students (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  class_id INTEGER REFERENCES classes(id),
+  section_id INTEGER REFERENCES sections(id),
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  roll_number INTEGER,
+  phone VARCHAR(30),
+  address TEXT,
+  date_of_birth DATE,
+  blood_group VARCHAR(5),
+  parent_name VARCHAR(150),
+  parent_phone VARCHAR(30),
+  parent_email VARCHAR(255),
+  profile_photo TEXT,
+  fcm_token TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_students_class_roll ON students (class_id, roll_number);
+
+ALTER TABLE users
+  ADD CONSTRAINT users_student_id_fkey
+  FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE SET NULL;
+
+CREATE TABLE assignments (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  file_path TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_assignments_class ON assignments (class_id, created_at DESC);
+
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  message TEXT,
+  class_id INTEGER REFERENCES classes(id) ON DELETE CASCADE,
+  recipient_type VARCHAR(20) NOT NULL CHECK (recipient_type IN ('all', 'particular')),
+  selected_students INTEGER[],
+  file_path TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_class ON notifications (class_id, created_at DESC);
@@ -0,0 +1,7 @@
+-- Teacher accounts are users with role 'teacher' linked to the classes they teach
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'teacher', 'student'));
+
+ALTER TABLE classes ADD COLUMN teacher_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX idx_classes_teacher ON classes (teacher_id);
@@ -0,0 +1,17 @@
+-- Daily attendance, one row per student per date. class_id is the class the
+-- student was in when marked, so history survives class changes.
+
+CREATE TABLE attendance (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  status VARCHAR(10) NOT NULL CHECK (status IN ('present', 'absent', 'late', 'excused')),
+  remarks TEXT,
+  marked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (student_id, date)
+);
+
+CREATE INDEX idx_attendance_class_date ON attendance (class_id, date);
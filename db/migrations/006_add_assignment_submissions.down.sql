@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS assignment_submissions;
+
+ALTER TABLE assignments
+  DROP COLUMN IF EXISTS due_date,
+  DROP COLUMN IF EXISTS max_marks,
+  DROP COLUMN IF EXISTS updated_at;
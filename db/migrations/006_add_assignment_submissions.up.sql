@@ -0,0 +1,24 @@
+-- Due dates and marks for assignments, plus one submission per student per
+-- assignment. A submission is late when it arrives after the due date.
+
+ALTER TABLE assignments
+  ADD COLUMN due_date DATE,
+  ADD COLUMN max_marks NUMERIC(6, 2) CHECK (max_marks > 0),
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE TABLE assignment_submissions (
+  id SERIAL PRIMARY KEY,
+  assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  file_path TEXT NOT NULL,
+  comment TEXT,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  is_late BOOLEAN NOT NULL DEFAULT FALSE,
+  marks NUMERIC(6, 2) CHECK (marks >= 0),
+  feedback TEXT,
+  graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  graded_at TIMESTAMPTZ,
+  UNIQUE (assignment_id, student_id)
+);
+
+CREATE INDEX idx_assignment_submissions_student ON assignment_submissions (student_id);
@@ -0,0 +1,10 @@
+-- Read receipts: one row per student per notification they have opened
+
+CREATE TABLE notification_reads (
+  notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  read_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (notification_id, student_id)
+);
+
+CREATE INDEX idx_notification_reads_student ON notification_reads (student_id);
@@ -0,0 +1,37 @@
+-- Scheduled and recurring notifications. The dispatcher sends every pending
+-- job whose next_run_at has passed, creates the notification row and moves
+-- next_run_at to the following occurrence (or marks one-off jobs 'sent').
+--
+-- Recurring jobs run at time_of_day, or minutes_before_start before the
+-- start_time of section_id, on every day ('daily') or on the given weekdays
+-- (0 = Sunday, 'weekly'), in the job's time zone.
+
+CREATE TABLE notification_jobs (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  message TEXT,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  recipient_type VARCHAR(20) NOT NULL CHECK (recipient_type IN ('all', 'particular')),
+  selected_students INTEGER[],
+  file_path TEXT,
+  repeat VARCHAR(10) NOT NULL DEFAULT 'none' CHECK (repeat IN ('none', 'daily', 'weekly')),
+  send_at TIMESTAMPTZ,
+  weekdays SMALLINT[],
+  time_of_day TIME,
+  section_id INTEGER REFERENCES sections(id) ON DELETE CASCADE,
+  minutes_before_start INTEGER NOT NULL DEFAULT 0,
+  time_zone TEXT NOT NULL DEFAULT 'UTC',
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'cancelled')),
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  last_notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (repeat <> 'none' OR send_at IS NOT NULL),
+  CHECK (repeat = 'none' OR time_of_day IS NOT NULL OR section_id IS NOT NULL)
+);
+
+CREATE INDEX idx_notification_jobs_due ON notification_jobs (next_run_at) WHERE status = 'pending';
@@ -0,0 +1,20 @@
+-- One row per push attempt outcome per device token. status is 'sent',
+-- 'failed' (after retries) or 'invalid_token' (the token was cleared).
+
+CREATE TABLE fcm_deliveries (
+  id SERIAL PRIMARY KEY,
+  notification_id INTEGER REFERENCES notifications(id) ON DELETE CASCADE,
+  assignment_id INTEGER REFERENCES assignments(id) ON DELETE CASCADE,
+  message_type VARCHAR(30),
+  student_id INTEGER REFERENCES students(id) ON DELETE SET NULL,
+  token TEXT NOT NULL,
+  status VARCHAR(15) NOT NULL CHECK (status IN ('sent', 'failed', 'invalid_token')),
+  error_code VARCHAR(100),
+  error_message TEXT,
+  message_id TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_fcm_deliveries_notification ON fcm_deliveries (notification_id) WHERE notification_id IS NOT NULL;
+CREATE INDEX idx_fcm_deliveries_assignment ON fcm_deliveries (assignment_id) WHERE assignment_id IS NOT NULL;
@@ -0,0 +1,13 @@
+ALTER TABLE students ADD COLUMN fcm_token TEXT;
+
+-- Keep the most recently seen device of each student
+UPDATE students s
+SET fcm_token = d.token
+FROM (
+  SELECT DISTINCT ON (user_id) user_id, token
+  FROM device_tokens
+  ORDER BY user_id, last_seen_at DESC
+) d
+WHERE d.user_id = s.user_id;
+
+DROP TABLE IF EXISTS device_tokens;
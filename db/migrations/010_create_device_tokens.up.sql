@@ -0,0 +1,23 @@
+-- Push tokens per device instead of one students.fcm_token. A device belongs
+-- to the account that registered it last; a student's pushes go to every
+-- device of their user account.
+
+CREATE TABLE device_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  platform VARCHAR(10) CHECK (platform IN ('android', 'ios', 'web')),
+  app_version VARCHAR(50),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_device_tokens_user ON device_tokens (user_id);
+
+INSERT INTO device_tokens (user_id, token)
+SELECT user_id, fcm_token
+FROM students
+WHERE fcm_token IS NOT NULL AND user_id IS NOT NULL
+ON CONFLICT (token) DO NOTHING;
+
+ALTER TABLE students DROP COLUMN fcm_token;
@@ -0,0 +1,11 @@
+-- Per-student delivery channels. Push stays on unless the family turns it
+-- off; email (parent_email) and SMS (parent_phone) are opt-in. Students
+-- without a row use these defaults.
+
+CREATE TABLE notification_preferences (
+  student_id INTEGER PRIMARY KEY REFERENCES students(id) ON DELETE CASCADE,
+  push BOOLEAN NOT NULL DEFAULT TRUE,
+  email BOOLEAN NOT NULL DEFAULT FALSE,
+  sms BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS parent_students;
+DELETE FROM users WHERE role = 'parent';
+
+ALTER TABLE users DROP COLUMN IF EXISTS phone;
+ALTER TABLE users DROP COLUMN IF EXISTS full_name;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'teacher', 'student'));
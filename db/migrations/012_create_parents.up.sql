@@ -0,0 +1,18 @@
+-- Parent accounts are users with role 'parent' linked to one or more
+-- students. They sign in to the student app and see each linked child.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'teacher', 'student', 'parent'));
+
+ALTER TABLE users ADD COLUMN full_name VARCHAR(150);
+ALTER TABLE users ADD COLUMN phone VARCHAR(30);
+
+CREATE TABLE parent_students (
+  parent_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  relationship VARCHAR(30),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (parent_id, student_id)
+);
+
+CREATE INDEX idx_parent_students_student ON parent_students (student_id);
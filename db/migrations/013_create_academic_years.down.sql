@@ -0,0 +1,3 @@
+ALTER TABLE students DROP COLUMN IF EXISTS left_at;
+DROP TABLE IF EXISTS student_class_history;
+DROP TABLE IF EXISTS academic_years;
@@ -0,0 +1,36 @@
+-- Academic years and the class each student belonged to in them. A year-end
+-- promotion writes one history row per student of the promoted class, so
+-- past memberships survive the move.
+
+CREATE TABLE academic_years (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(20) NOT NULL UNIQUE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  is_current BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date > start_date)
+);
+
+-- At most one current year
+CREATE UNIQUE INDEX idx_academic_years_current ON academic_years (is_current) WHERE is_current;
+
+-- class_name is copied so history still reads well after a class is deleted
+CREATE TABLE student_class_history (
+  id SERIAL PRIMARY KEY,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  academic_year_id INTEGER NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+  class_id INTEGER REFERENCES classes(id) ON DELETE SET NULL,
+  class_name VARCHAR(100) NOT NULL,
+  roll_number INTEGER,
+  outcome VARCHAR(10) NOT NULL CHECK (outcome IN ('promoted', 'held_back', 'left')),
+  next_class_id INTEGER REFERENCES classes(id) ON DELETE SET NULL,
+  recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (student_id, academic_year_id)
+);
+
+CREATE INDEX idx_student_class_history_year_class ON student_class_history (academic_year_id, class_id);
+
+-- Set when a student leaves the school; they keep their record but no class
+ALTER TABLE students ADD COLUMN left_at DATE;
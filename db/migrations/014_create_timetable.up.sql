@@ -0,0 +1,33 @@
+-- Bell schedule per section and the weekly timetable per class. A timetable
+-- entry fills one period of one weekday (1 = Monday ... 7 = Sunday).
+
+CREATE TABLE periods (
+  id SERIAL PRIMARY KEY,
+  section_id INTEGER NOT NULL REFERENCES sections(id) ON DELETE CASCADE,
+  period_number INTEGER NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  is_break BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (section_id, period_number),
+  CHECK (end_time > start_time)
+);
+
+CREATE TABLE timetable_entries (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  period_id INTEGER NOT NULL REFERENCES periods(id) ON DELETE CASCADE,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 1 AND 7),
+  subject VARCHAR(100) NOT NULL,
+  teacher_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  teacher_name VARCHAR(150),
+  room VARCHAR(50),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (class_id, day_of_week, period_id)
+);
+
+-- Clash checks look up everything a teacher or room has on a weekday
+CREATE INDEX idx_timetable_entries_teacher ON timetable_entries (teacher_id, day_of_week);
+CREATE INDEX idx_timetable_entries_room ON timetable_entries (LOWER(room), day_of_week);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS grade_scale_bands;
+DROP TABLE IF EXISTS grade_scales;
+DROP TABLE IF EXISTS marks;
+DROP TABLE IF EXISTS exams;
+DROP TABLE IF EXISTS subjects;
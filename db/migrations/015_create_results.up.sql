@@ -0,0 +1,75 @@
+-- Academic results: subjects taught in each class, exams (school-wide, with
+-- the weight each one carries in the report card), marks per student per
+-- subject per exam, and the grade scales percentages are graded against.
+
+CREATE TABLE subjects (
+  id SERIAL PRIMARY KEY,
+  class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  code VARCHAR(20),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_subjects_class_name ON subjects (class_id, LOWER(name));
+
+CREATE TABLE exams (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  term VARCHAR(50),
+  academic_year_id INTEGER REFERENCES academic_years(id) ON DELETE SET NULL,
+  exam_date DATE,
+  max_marks NUMERIC(6, 2) NOT NULL DEFAULT 100 CHECK (max_marks > 0),
+  weightage NUMERIC(5, 2) NOT NULL DEFAULT 100 CHECK (weightage > 0 AND weightage <= 100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- marks_obtained is NULL when the student was absent
+CREATE TABLE marks (
+  id SERIAL PRIMARY KEY,
+  exam_id INTEGER NOT NULL REFERENCES exams(id) ON DELETE CASCADE,
+  subject_id INTEGER NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+  student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  marks_obtained NUMERIC(6, 2) CHECK (marks_obtained >= 0),
+  is_absent BOOLEAN NOT NULL DEFAULT FALSE,
+  entered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (exam_id, subject_id, student_id),
+  CHECK (is_absent OR marks_obtained IS NOT NULL)
+);
+
+CREATE INDEX idx_marks_student ON marks (student_id);
+
+CREATE TABLE grade_scales (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_grade_scales_default ON grade_scales (is_default) WHERE is_default;
+
+-- A percentage gets the band with the highest min_percentage it reaches
+CREATE TABLE grade_scale_bands (
+  grade_scale_id INTEGER NOT NULL REFERENCES grade_scales(id) ON DELETE CASCADE,
+  grade VARCHAR(5) NOT NULL,
+  min_percentage NUMERIC(5, 2) NOT NULL CHECK (min_percentage >= 0 AND min_percentage <= 100),
+  remark VARCHAR(100),
+  PRIMARY KEY (grade_scale_id, grade),
+  UNIQUE (grade_scale_id, min_percentage)
+);
+
+WITH scale AS (
+  INSERT INTO grade_scales (name, is_default) VALUES ('Standard', TRUE) RETURNING id
+)
+INSERT INTO grade_scale_bands (grade_scale_id, grade, min_percentage, remark)
+SELECT scale.id, v.grade, v.min_percentage, v.remark
+FROM scale, (VALUES
+  ('A1', 91, 'Outstanding'),
+  ('A2', 81, 'Excellent'),
+  ('B1', 71, 'Very good'),
+  ('B2', 61, 'Good'),
+  ('C1', 51, 'Above average'),
+  ('C2', 41, 'Average'),
+  ('D', 33, 'Pass'),
+  ('E', 0, 'Needs improvement')
+) AS v(grade, min_percentage, remark);
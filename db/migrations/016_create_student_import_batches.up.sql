@@ -0,0 +1,21 @@
+-- Previewed student bulk uploads. A dry run keeps the uploaded file and the
+-- per-row check results here until the admin commits the batch (which
+-- imports the same file) or discards it. The file is kept in the row rather
+-- than the public uploads directory since sheets hold initial passwords, and
+-- is cleared once the batch is closed.
+
+CREATE TABLE student_import_batches (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('excel', 'zip')),
+  file BYTEA,
+  original_name TEXT,
+  create_parents BOOLEAN NOT NULL DEFAULT TRUE,
+  status VARCHAR(10) NOT NULL DEFAULT 'previewed' CHECK (status IN ('previewed', 'committed', 'discarded')),
+  total_rows INTEGER NOT NULL,
+  valid_rows INTEGER NOT NULL,
+  rows JSONB NOT NULL,
+  result JSONB,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  committed_at TIMESTAMPTZ
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS student_import_job_rows;
+DROP TABLE IF EXISTS student_import_jobs;
@@ -0,0 +1,43 @@
+-- Student bulk imports run as background jobs. The upload queues a job with
+-- the file; a worker claims it and imports row by row, recording each row's
+-- outcome in the same transaction as the row itself, so a job picked up
+-- again after a restart carries on from processed_rows.
+--
+-- heartbeat_at moves with every row; a 'running' job whose heartbeat has
+-- gone stale belonged to a worker that died and may be claimed again.
+
+CREATE TABLE student_import_jobs (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('excel', 'zip')),
+  file BYTEA,
+  original_name TEXT,
+  create_parents BOOLEAN NOT NULL DEFAULT TRUE,
+  batch_id INTEGER REFERENCES student_import_batches(id) ON DELETE SET NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  total_rows INTEGER NOT NULL,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  imported_rows INTEGER NOT NULL DEFAULT 0,
+  failed_rows INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  heartbeat_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_student_import_jobs_open ON student_import_jobs (id) WHERE status IN ('queued', 'running');
+
+-- details: the student's name and photo and the parent account linked to
+-- them (with its temporary password when the import created it)
+CREATE TABLE student_import_job_rows (
+  job_id INTEGER NOT NULL REFERENCES student_import_jobs(id) ON DELETE CASCADE,
+  row_number INTEGER NOT NULL,
+  status VARCHAR(10) NOT NULL CHECK (status IN ('imported', 'failed')),
+  student_id INTEGER REFERENCES students(id) ON DELETE SET NULL,
+  username TEXT,
+  message TEXT,
+  details JSONB,
+  PRIMARY KEY (job_id, row_number)
+);
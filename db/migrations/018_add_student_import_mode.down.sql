@@ -0,0 +1,2 @@
+ALTER TABLE student_import_jobs DROP COLUMN IF EXISTS mode;
+ALTER TABLE student_import_batches DROP COLUMN IF EXISTS mode;
@@ -0,0 +1,9 @@
+-- How a bulk import treats rows matching an existing student (by username,
+-- or class + roll number): 'create' rejects them, 'update' only updates
+-- existing students, 'upsert' updates matches and creates the rest.
+
+ALTER TABLE student_import_batches ADD COLUMN mode VARCHAR(10) NOT NULL DEFAULT 'create'
+  CHECK (mode IN ('create', 'update', 'upsert'));
+
+ALTER TABLE student_import_jobs ADD COLUMN mode VARCHAR(10) NOT NULL DEFAULT 'create'
+  CHECK (mode IN ('create', 'update', 'upsert'));
@@ -0,0 +1,2 @@
+-- The dropped passwords cannot be restored.
+SELECT 1;
@@ -0,0 +1,7 @@
+-- Temporary parent passwords are now kept in memory by the import worker and
+-- handed out once, by the first read of the finished job. Drop the ones
+-- earlier jobs stored in their rows.
+
+UPDATE student_import_job_rows
+SET details = details #- '{parent,password}'
+WHERE details->'parent' ? 'password';
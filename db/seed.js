@@ -0,0 +1,45 @@
+// Loads sample data from db/seeds/*.sql (in file-name order) in one transaction.
+// Run `npm run migrate` first.
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('../src/db/pool');
+require('dotenv').config();
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+async function seed(client, { log = console.log } = {}) {
+  const files = fs.readdirSync(SEEDS_DIR).filter(f => f.endsWith('.sql')).sort();
+
+  await client.query('BEGIN');
+  try {
+    for (const file of files) {
+      await client.query(fs.readFileSync(path.join(SEEDS_DIR, file), 'utf8'));
+      log(`🌱 Seeded ${file}`);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function main() {
+  const pool = createPool();
+
+  const client = await pool.connect();
+  try {
+    await seed(client);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Seeding failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { seed };
@@ -0,0 +1,23 @@
+-- Sample sections and classes. Safe to run more than once.
+
+INSERT INTO sections (section_name, start_time, end_time)
+SELECT v.section_name, v.start_time::time, v.end_time::time
+FROM (VALUES
+  ('Morning', '07:30', '12:30'),
+  ('Afternoon', '12:45', '17:45')
+) AS v(section_name, start_time, end_time)
+WHERE NOT EXISTS (
+  SELECT 1 FROM sections s WHERE s.section_name = v.section_name
+);
+
+INSERT INTO classes (class_name, section_id, teacher_name)
+SELECT v.class_name, s.id, v.teacher_name
+FROM (VALUES
+  ('Class 1 A', 'Morning', 'Mrs. Kulkarni'),
+  ('Class 1 B', 'Afternoon', 'Mr. Desai'),
+  ('Class 2 A', 'Morning', 'Mrs. Fernandes')
+) AS v(class_name, section_name, teacher_name)
+JOIN sections s ON s.section_name = v.section_name
+WHERE NOT EXISTS (
+  SELECT 1 FROM classes c WHERE c.class_name = v.class_name
+);
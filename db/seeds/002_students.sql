@@ -0,0 +1,34 @@
+-- Sample students. Every seeded account uses the password 'student123'.
+
+WITH data (username, first_name, last_name, class_name, roll_number, date_of_birth, blood_group, parent_name, parent_phone, parent_email) AS (
+  VALUES
+    ('aarav.patil', 'Aarav', 'Patil', 'Class 1 A', 1, DATE '2019-03-14', 'B+', 'Sunil Patil', '9820000001', 'sunil.patil@example.com'),
+    ('diya.shah', 'Diya', 'Shah', 'Class 1 A', 2, DATE '2019-07-02', 'O+', 'Meena Shah', '9820000002', 'meena.shah@example.com'),
+    ('kabir.naik', 'Kabir', 'Naik', 'Class 1 A', 3, DATE '2019-01-21', 'A+', 'Rohan Naik', '9820000003', 'rohan.naik@example.com'),
+    ('ananya.joshi', 'Ananya', 'Joshi', 'Class 1 B', 1, DATE '2019-11-09', 'AB+', 'Priya Joshi', '9820000004', 'priya.joshi@example.com'),
+    ('vihaan.more', 'Vihaan', 'More', 'Class 1 B', 2, DATE '2019-05-30', 'O-', 'Amit More', '9820000005', 'amit.more@example.com'),
+    ('isha.gawde', 'Isha', 'Gawde', 'Class 2 A', 1, DATE '2018-02-17', 'B-', 'Kavita Gawde', '9820000006', 'kavita.gawde@example.com'),
+    ('arjun.rane', 'Arjun', 'Rane', 'Class 2 A', 2, DATE '2018-09-05', 'A-', 'Nitin Rane', '9820000007', 'nitin.rane@example.com')
+),
+new_users AS (
+  INSERT INTO users (username, password, email, role)
+  SELECT d.username, 'scrypt$16384$8$1$jhlL34MCGmEqpbJ+RTrFXw==$gSfGBpMofsY8G6ksy6IddhVzHgh3puXd71uwV1JqLa6qgrA7aDKPtTddcVNHB34CYcdZxCbhO157moV8H9RKmA==', NULL, 'student'
+  FROM data d
+  ON CONFLICT (username) DO NOTHING
+  RETURNING id, username
+)
+INSERT INTO students (
+  user_id, class_id, first_name, last_name, roll_number,
+  date_of_birth, blood_group, parent_name, parent_phone, parent_email
+)
+SELECT
+  nu.id, c.id, d.first_name, d.last_name, d.roll_number,
+  d.date_of_birth, d.blood_group, d.parent_name, d.parent_phone, d.parent_email
+FROM new_users nu
+JOIN data d ON d.username = nu.username
+JOIN classes c ON c.class_name = d.class_name;
+
+UPDATE users u
+SET student_id = s.id
+FROM students s
+WHERE s.user_id = u.id AND u.student_id IS NULL;
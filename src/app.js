@@ -0,0 +1,158 @@
+const express = require('express');
+const cors = require('cors');
+const NodeCache = require('node-cache');
+const { loadConfig } = require('./config');
+const { AppError, ValidationError, sendAppError } = require('./errors');
+const { createServices } = require('./services');
+const { createDiskStorage } = require('./services/storage');
+const { createAuthMiddleware } = require('./middleware/auth');
+const { createAuthRouter } = require('./routes/auth');
+const { createAdminsRouter } = require('./routes/admins');
+const { createTeachersRouter } = require('./routes/teachers');
+const { createSectionsRouter } = require('./routes/sections');
+const { createClassesRouter } = require('./routes/classes');
+const { createBulkImportRouter } = require('./routes/bulkImport');
+const { createStudentExportRouter } = require('./routes/studentExport');
+const { createStudentsRouter } = require('./routes/students');
+const { createAssignmentsRouter } = require('./routes/assignments');
+const { createNotificationsRouter } = require('./routes/notifications');
+const { createStudentAppRouter } = require('./routes/studentApp');
+const { createAttendanceRouter } = require('./routes/attendance');
+const { createScheduledNotificationsRouter } = require('./routes/scheduledNotifications');
+const { createDevicesRouter } = require('./routes/devices');
+const { createParentsRouter } = require('./routes/parents');
+const { createAcademicYearsRouter } = require('./routes/academicYears');
+const { createTimetableRouter } = require('./routes/timetable');
+const { createSubjectsRouter } = require('./routes/subjects');
+const { createExamsRouter } = require('./routes/exams');
+const { createGradeScalesRouter } = require('./routes/gradeScales');
+const { createReportCardsRouter } = require('./routes/reportCards');
+
+// Builds the Express app without listening or touching the network.
+//   pool       pg Pool (required)
+//   cache      NodeCache-compatible cache (defaults to a 5 minute NodeCache)
+//   messaging  firebase-admin Messaging or a fake with sendEachForMulticast; null disables FCM
+//   storage    upload storage from createDiskStorage()
+//   config     settings from loadConfig()
+//   services   per-service overrides, see createServices()
+function createApp({
+  pool,
+  cache = new NodeCache({ stdTTL: 300 }), // 5 minutes
+  messaging = null,
+  storage,
+  config = loadConfig(),
+  services: serviceOverrides = {}
+} = {}) {
+  if (!pool) throw new Error('createApp requires a pg pool');
+
+  storage = storage || createDiskStorage({ dir: config.uploadDir });
+
+  const services = createServices({ pool, cache, messaging, storage, config }, serviceOverrides);
+  const auth = createAuthMiddleware({ pool, tokens: services.tokens });
+  const deps = { services, auth, storage };
+
+  const app = express();
+
+  app.use(cors({
+    origin: config.frontendUrl,
+    credentials: true
+  }));
+
+  app.use(express.json({ limit: '50mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+  // ✅ Static files
+  app.use('/uploads', express.static(storage.dir));
+
+  // ✅ Content-Type header
+  app.use((req, res, next) => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    next();
+  });
+
+  // ✅ Test route - MUST BE BEFORE OTHER ROUTES
+  app.get('/', (req, res) => {
+    res.json({ 
+      success: true,
+      message: "MyDSchool Backend API is running!",
+      timestamp: new Date().toISOString(),
+      endpoints: {
+        test: '/api/test',
+        login: '/api/login',
+        students: '/api/admin/students'
+      }
+    });
+  });
+
+  app.get('/api/test', (req, res) => {
+    console.log('📍 /api/test endpoint hit');
+    res.json({ 
+      success: true,
+      message: "Backend connected successfully!",
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  app.use('/api/admin', auth.authenticate, auth.requirePermission('console:access'));
+  app.use('/api/student', auth.authenticate);
+  app.use('/api/parent', auth.authenticate);
+  app.use('/api/profile', auth.authenticate);
+  app.use('/api/devices', auth.authenticate);
+
+  // ========== ROUTES ==========
+  app.use('/api', createAuthRouter(deps));
+  app.use('/api/admin/admins', createAdminsRouter(deps));
+  app.use('/api/admin/teachers', createTeachersRouter(deps));
+  app.use('/api/admin/parents', createParentsRouter(deps));
+  app.use('/api/admin/sections', createSectionsRouter(deps));
+  app.use('/api/admin/classes', createClassesRouter(deps));
+  app.use('/api/admin/academic-years', createAcademicYearsRouter(deps));
+  app.use('/api/admin/timetable', createTimetableRouter(deps));
+  app.use('/api/admin/subjects', createSubjectsRouter(deps));
+  app.use('/api/admin/exams', createExamsRouter(deps));
+  app.use('/api/admin/grade-scales', createGradeScalesRouter(deps));
+  app.use('/api/admin/report-cards', createReportCardsRouter(deps));
+  app.use('/api/admin/students', createBulkImportRouter(deps));
+  app.use('/api/admin/students', createStudentExportRouter(deps));
+  app.use('/api/admin/students', createStudentsRouter(deps));
+  app.use('/api/admin/assignments', createAssignmentsRouter(deps));
+  app.use('/api/admin/notifications', createNotificationsRouter(deps));
+  app.use('/api/admin/scheduled-notifications', createScheduledNotificationsRouter(deps));
+  app.use('/api/admin/attendance', createAttendanceRouter(deps));
+  app.use('/api/devices', createDevicesRouter(deps));
+  app.use('/api', createStudentAppRouter(deps));
+
+  // ========== 404 HANDLER (MUST BE LAST) ==========
+  app.use('*', (req, res) => {
+    console.log('❌ 404 - Route not found:', req.originalUrl);
+    res.status(404).json({
+      success: false,
+      message: 'Route not found',
+      path: req.originalUrl
+    });
+  });
+  app.use((err, req, res, next) => {
+    // Rejected uploads and unparseable JSON bodies are client errors
+    if (err instanceof AppError) return sendAppError(res, err);
+    if (err.type === 'entity.parse.failed') {
+      return sendAppError(res, new ValidationError([{
+        field: 'body',
+        location: 'body',
+        code: 'invalid_json',
+        message: 'Request body is not valid JSON'
+      }]));
+    }
+
+    console.error('❌ Server error:', err.stack);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: config.exposeErrors ? err.message : undefined
+    });
+  });
+
+  app.locals.services = services;
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Optional JSON settings; a typo should not stop the server
+function parseJson(value, name) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`⚠️ ${name} is not valid JSON - ignoring it`);
+    return {};
+  }
+}
+
+// Reads runtime settings from the environment. createApp() accepts a config
+// object so tests can override individual values.
+function loadConfig(env = process.env) {
+  let jwtSecret = env.JWT_SECRET;
+  if (!jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ JWT_SECRET not set - using a random secret, tokens will not survive a restart');
+  }
+
+  const port = env.PORT || 3001;
+
+  return {
+    port,
+    nodeEnv: env.NODE_ENV || 'development',
+    // Include err.message in 500 responses from the error handler
+    exposeErrors: env.NODE_ENV === 'development',
+    frontendUrl: env.FRONTEND_URL || 'http://localhost:5173',
+    // Base of absolute links to this API, e.g. attachment URLs in pushes
+    publicUrl: (env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+    databaseUrl: env.DATABASE_URL,
+    jwtSecret,
+    accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: parseInt(env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    setupToken: env.SETUP_TOKEN || null,
+    // Printed at the top of report cards
+    schoolName: env.SCHOOL_NAME || 'MyDSchool',
+    uploadDir: env.UPLOAD_DIR || 'uploads',
+    // Wall-clock zone for recurring notification times (IANA name)
+    timeZone: env.SCHOOL_TIMEZONE || 'UTC',
+    notificationDispatchIntervalMs: parseInt(env.NOTIFICATION_DISPATCH_INTERVAL_MS) || 30000,
+    // How often the background worker looks for queued student imports
+    importJobIntervalMs: parseInt(env.IMPORT_JOB_INTERVAL_MS) || 5000,
+    // Transient FCM failures are retried after FCM_RETRY_DELAY_MS, doubling each time
+    fcmMaxAttempts: parseInt(env.FCM_MAX_ATTEMPTS) || 3,
+    fcmRetryDelayMs: parseInt(env.FCM_RETRY_DELAY_MS) || 1000,
+    // Per-type push settings, e.g. {"assignment": {"channelId": "homework"}}
+    pushMessageTypes: parseJson(env.PUSH_MESSAGE_TYPES, 'PUSH_MESSAGE_TYPES'),
+    // Parent email / SMS alerts; each channel is off until configured
+    smtpUrl: env.SMTP_URL || null,
+    mailFrom: env.MAIL_FROM || 'MyDSchool <no-reply@mydschool.local>',
+    smsGatewayUrl: env.SMS_GATEWAY_URL || null,
+    smsApiKey: env.SMS_API_KEY || null,
+    smsSender: env.SMS_SENDER || 'MYDSCH'
+  };
+}
+
+module.exports = { loadConfig };
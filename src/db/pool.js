@@ -0,0 +1,13 @@
+const { Pool } = require('pg');
+
+// ✅ Database pool configuration for Render (SSL only for hosted databases)
+function createPool(connectionString = process.env.DATABASE_URL) {
+  return new Pool({
+    connectionString,
+    ssl: connectionString?.includes("render.com")
+      ? { rejectUnauthorized: false }
+      : false, // Disable SSL for local
+  });
+}
+
+module.exports = { createPool };
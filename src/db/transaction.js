@@ -0,0 +1,18 @@
+// Runs fn(client) inside BEGIN/COMMIT on a dedicated pool client. Any error
+// (including an AppError thrown to reject the request) rolls back.
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { withTransaction };
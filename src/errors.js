@@ -0,0 +1,46 @@
+// Errors thrown by services for expected failures. Routers turn them into
+// { success: false, message } responses with the given HTTP status;
+// validation failures add { code: 'VALIDATION_FAILED', errors: [...] }.
+class AppError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+  }
+}
+
+// One entry per failing field: { field, location, code, message }
+class ValidationError extends AppError {
+  constructor(errors) {
+    super(400, errors[0].message);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_FAILED';
+    this.errors = errors;
+  }
+}
+
+const badRequest = message => new AppError(400, message);
+const unauthorized = message => new AppError(401, message);
+const forbidden = message => new AppError(403, message);
+const notFound = message => new AppError(404, message);
+const conflict = message => new AppError(409, message);
+
+function sendAppError(res, error, extra = {}) {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...(error.errors && { code: error.code, errors: error.errors }),
+    ...extra
+  });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  sendAppError
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const classesRepo = require('../repositories/classes');
+const parentsRepo = require('../repositories/parents');
+const usersRepo = require('../repositories/users');
+
+// ========== ROLES & PERMISSIONS ==========
+// Routes declare the permissions they need; roles are only mapped to
+// permissions here. '*' grants everything.
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  teacher: [
+    'console:access',
+    'sections:read',
+    'classes:read',
+    'students:read',
+    'assignments:read',
+    'assignments:write',
+    'notifications:read',
+    'notifications:write',
+    'attendance:read',
+    'attendance:write',
+    'timetable:read',
+    'results:read',
+    'results:write'
+  ],
+  student: ['student-app:self'],
+  parent: ['student-app:children']
+};
+
+function hasPermission(user, permission) {
+  const granted = (user && ROLE_PERMISSIONS[user.role]) || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+function createAuthMiddleware({ pool, tokens }) {
+  // Besides the token, the account must still be active: disabling an admin
+  // or marking a student as left locks them out at once, not when their
+  // access token expires.
+  async function authenticate(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    let user;
+    try {
+      user = tokens.verifyAccessToken(token);
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        message: err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+      });
+    }
+
+    try {
+      if (!(await usersRepo.isActive(pool, user.id))) {
+        return res.status(401).json({ success: false, message: 'This account has been disabled' });
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('❌ Account check failed:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  function requirePermission(...permissions) {
+    return (req, res, next) => {
+      if (!permissions.every(permission => hasPermission(req.user, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this resource'
+        });
+      }
+      next();
+    };
+  }
+
+  // Restricts a route to the classes the caller teaches unless they hold
+  // 'classes:all'. resolveClassIds(req) returns the class ids the request
+  // touches; an empty list means there is nothing to check (e.g. a 404 follows).
+  // It runs after upload.single() on multipart routes, so a refused request's
+  // upload is removed.
+  function requireClassAccess(resolveClassIds) {
+    return async (req, res, next) => {
+      const refuse = (status, message) => {
+        if (req.file) fs.rmSync(req.file.path, { force: true });
+        res.status(status).json({ success: false, message });
+      };
+
+      try {
+        if (hasPermission(req.user, 'classes:all')) return next();
+
+        const classIds = [...new Set((await resolveClassIds(req))
+          .filter(id => id !== undefined && id !== null && id !== '')
+          .map(id => parseInt(id)))];
+
+        if (classIds.length === 0) return next();
+
+        if (classIds.some(id => isNaN(id))) return refuse(400, 'Invalid class ID');
+
+        if (await classesRepo.countTaughtBy(pool, classIds, req.user.id) !== classIds.length) {
+          return refuse(403, 'You can only manage your own classes');
+        }
+        next();
+      } catch (error) {
+        console.error('❌ Class access check failed:', error);
+        refuse(500, 'Server error');
+      }
+    };
+  }
+
+  // Student routes accept either a users.id or a students.id in the URL.
+  // Holders of 'student-app:any' may pass anything; a student may only pass
+  // one of their own ids, which is then normalised to the kind the route
+  // looks up first ('user' or 'student') so the handler can never fall
+  // through to another student's record.
+  //
+  // Parents ('student-app:children') may pass the ids of their linked
+  // children, normalised the same way. They can only read unless the route
+  // sets parentsMayWrite.
+  function requireStudentSelf(paramName, idKind, { parentsMayWrite = false } = {}) {
+    const forbid = (res, message) => res.status(403).json({ success: false, message });
+
+    return async (req, res, next) => {
+      if (hasPermission(req.user, 'student-app:any')) return next();
+
+      const requested = String(req.params[paramName]);
+
+      if (hasPermission(req.user, 'student-app:children')) {
+        if (req.method !== 'GET' && !parentsMayWrite) {
+          return forbid(res, 'Parents can only view their children\'s data');
+        }
+
+        try {
+          const child = /^\d+$/.test(requested)
+            ? await parentsRepo.findChild(pool, req.user.id, parseInt(requested), idKind)
+            : null;
+          if (!child) return forbid(res, 'You can only access your own children\'s data');
+
+          req.params[paramName] = String(idKind === 'student' ? child.student_id : child.user_id);
+          return next();
+        } catch (error) {
+          console.error('❌ Parent access check failed:', error);
+          return res.status(500).json({ success: false, message: 'Server error' });
+        }
+      }
+
+      const ownIds = [String(req.user.id), String(req.user.studentId)];
+
+      if (!hasPermission(req.user, 'student-app:self') || !ownIds.includes(requested)) {
+        return forbid(res, 'You can only access your own data');
+      }
+
+      req.params[paramName] = idKind === 'student' ? String(req.user.studentId) : String(req.user.id);
+      next();
+    };
+  }
+
+  return { authenticate, requirePermission, requireClassAccess, requireStudentSelf };
+}
+
+module.exports = { ROLE_PERMISSIONS, hasPermission, createAuthMiddleware };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const { validateFields } = require('../validation');
+const { ValidationError, sendAppError } = require('../errors');
+
+const LOCATIONS = ['params', 'query', 'body', 'file'];
+
+// validate({ params, query, body, file }) checks each part of the request
+// against its schema (see src/validation.js), replaces the checked values with
+// their coerced form and answers 400 with every field error at once.
+// `file` describes the multer upload, so it must run after upload.single().
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const input = location === 'file'
+        ? (req.file ? { [req.file.fieldname]: req.file } : {})
+        : req[location] || {};
+      const result = validateFields(schemas[location], input, location);
+
+      errors.push(...result.errors);
+      if (location !== 'file') req[location] = Object.assign(input, result.values);
+    }
+
+    if (errors.length === 0) return next();
+
+    // Nothing will use an upload that came with an invalid request
+    if (req.file) fs.unlink(req.file.path, () => {});
+    sendAppError(res, new ValidationError(errors));
+  };
+}
+
+module.exports = { validate };
@@ -0,0 +1,75 @@
+// ========== ACADEMIC YEARS DATA ACCESS ==========
+
+// Dates as plain YYYY-MM-DD strings
+const YEAR_COLUMNS = `
+  id,
+  name,
+  to_char(start_date, 'YYYY-MM-DD') as start_date,
+  to_char(end_date, 'YYYY-MM-DD') as end_date,
+  is_current,
+  created_at
+`;
+
+async function list(db) {
+  const result = await db.query(`
+    SELECT ${YEAR_COLUMNS}
+    FROM academic_years
+    ORDER BY start_date DESC
+  `);
+  return result.rows;
+}
+
+async function findById(db, id) {
+  const result = await db.query(`SELECT ${YEAR_COLUMNS} FROM academic_years WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function findCurrent(db) {
+  const result = await db.query(`SELECT ${YEAR_COLUMNS} FROM academic_years WHERE is_current`);
+  return result.rows[0] || null;
+}
+
+async function nameExists(db, name) {
+  const result = await db.query('SELECT id FROM academic_years WHERE name = $1', [name]);
+  return result.rows.length > 0;
+}
+
+// Years whose dates overlap [startDate, endDate]
+async function findOverlapping(db, startDate, endDate) {
+  const result = await db.query(`
+    SELECT id, name
+    FROM academic_years
+    WHERE start_date <= $2 AND end_date >= $1
+    ORDER BY start_date
+  `, [startDate, endDate]);
+  return result.rows;
+}
+
+async function create(db, { name, start_date, end_date }) {
+  const result = await db.query(`
+    INSERT INTO academic_years (name, start_date, end_date)
+    VALUES ($1, $2, $3)
+    RETURNING ${YEAR_COLUMNS}
+  `, [name, start_date, end_date]);
+  return result.rows[0];
+}
+
+// Makes `id` the only current year
+async function setCurrent(db, id) {
+  await db.query('UPDATE academic_years SET is_current = FALSE WHERE is_current AND id != $1', [id]);
+  const result = await db.query(
+    `UPDATE academic_years SET is_current = TRUE WHERE id = $1 RETURNING ${YEAR_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  list,
+  findById,
+  findCurrent,
+  nameExists,
+  findOverlapping,
+  create,
+  setCurrent
+};
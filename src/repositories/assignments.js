@@ -0,0 +1,95 @@
+// ========== ASSIGNMENTS DATA ACCESS ==========
+
+// due_date comes back as 'YYYY-MM-DD' text and max_marks as a number
+const COLUMNS = `
+  a.id,
+  a.class_id,
+  a.title,
+  a.description,
+  a.file_path,
+  to_char(a.due_date, 'YYYY-MM-DD') as due_date,
+  a.max_marks::float as max_marks,
+  a.created_at,
+  a.updated_at
+`;
+
+async function list(db) {
+  const result = await db.query(`
+    SELECT ${COLUMNS}, c.class_name, s.section_name 
+    FROM assignments a 
+    JOIN classes c ON a.class_id = c.id 
+    LEFT JOIN sections s ON c.section_id = s.id 
+    ORDER BY a.created_at DESC
+  `);
+  return result.rows;
+}
+
+async function findById(db, id) {
+  const result = await db.query(`SELECT ${COLUMNS} FROM assignments a WHERE a.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function create(db, { class_id, title, description, file_path, due_date, max_marks }) {
+  const result = await db.query(`
+    WITH a AS (
+      INSERT INTO assignments (class_id, title, description, file_path, due_date, max_marks, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      RETURNING *
+    )
+    SELECT ${COLUMNS} FROM a
+  `, [class_id, title, description, file_path, due_date, max_marks]);
+  return result.rows[0];
+}
+
+async function update(db, id, { class_id, title, description, file_path, due_date, max_marks }) {
+  const result = await db.query(`
+    WITH a AS (
+      UPDATE assignments SET 
+        class_id = $1, 
+        title = $2, 
+        description = $3,
+        file_path = COALESCE($4, file_path),
+        due_date = $5,
+        max_marks = $6,
+        updated_at = NOW()
+      WHERE id = $7
+      RETURNING *
+    )
+    SELECT ${COLUMNS} FROM a
+  `, [class_id, title, description, file_path, due_date, max_marks, id]);
+  return result.rows[0] || null;
+}
+
+async function deleteById(db, id) {
+  await db.query('DELETE FROM assignments WHERE id = $1', [id]);
+}
+
+// A class's assignments with the given student's submission and grade
+async function listForClass(db, classId, { studentId, limit, offset }) {
+  const result = await db.query(`
+    SELECT 
+      ${COLUMNS},
+      c.class_name,
+      s.section_name,
+      CASE
+        WHEN sub.id IS NULL THEN 'pending'
+        WHEN sub.is_late THEN 'late'
+        ELSE 'submitted'
+      END as submission_status,
+      sub.submitted_at,
+      sub.file_path as submission_file_path,
+      sub.marks::float as marks,
+      sub.feedback,
+      sub.graded_at
+    FROM assignments a
+    LEFT JOIN classes c ON a.class_id = c.id
+    LEFT JOIN sections s ON c.section_id = s.id
+    LEFT JOIN assignment_submissions sub ON sub.assignment_id = a.id AND sub.student_id = $4
+    WHERE a.class_id = $1
+    ORDER BY a.created_at DESC
+    LIMIT $2 OFFSET $3
+  `, [classId, limit, offset, studentId]);
+  return result.rows;
+}
+
+module.exports = { list, findById, create, update, deleteById, listForClass };
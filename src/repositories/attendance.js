@@ -0,0 +1,140 @@
+// ========== ATTENDANCE DATA ACCESS ==========
+// Dates are returned as 'YYYY-MM-DD' text so they do not shift with the
+// server time zone. Monthly queries take the first day of the month.
+
+// Per-status counts plus the attendance rate: present and late days over
+// every day that counts (excused days are left out).
+const COUNTS = `
+  COUNT(a.id)::int AS marked_days,
+  COUNT(*) FILTER (WHERE a.status = 'present')::int AS present,
+  COUNT(*) FILTER (WHERE a.status = 'absent')::int AS absent,
+  COUNT(*) FILTER (WHERE a.status = 'late')::int AS late,
+  COUNT(*) FILTER (WHERE a.status = 'excused')::int AS excused,
+  ROUND(
+    100.0 * COUNT(*) FILTER (WHERE a.status IN ('present', 'late'))
+    / NULLIF(COUNT(*) FILTER (WHERE a.status IN ('present', 'late', 'absent')), 0),
+    1
+  )::float AS attendance_rate
+`;
+
+async function listRollCall(db, classId, date) {
+  const result = await db.query(`
+    SELECT
+      s.id as student_id,
+      s.first_name,
+      s.last_name,
+      s.roll_number,
+      a.status,
+      a.remarks,
+      a.marked_by,
+      a.updated_at
+    FROM students s
+    LEFT JOIN attendance a ON a.student_id = s.id AND a.date = $2
+    WHERE s.class_id = $1
+    ORDER BY s.roll_number, s.id
+  `, [classId, date]);
+  return result.rows;
+}
+
+async function statusesOn(db, studentIds, date) {
+  const result = await db.query(
+    'SELECT student_id, status FROM attendance WHERE student_id = ANY($1) AND date = $2',
+    [studentIds, date]
+  );
+  return new Map(result.rows.map(row => [row.student_id, row.status]));
+}
+
+// records: [{ student_id, status, remarks }]; re-marking a date overwrites it
+async function upsertMany(db, { classId, date, markedBy, records }) {
+  const result = await db.query(`
+    INSERT INTO attendance (student_id, class_id, date, status, remarks, marked_by)
+    SELECT r.student_id, $1, $2, r.status, r.remarks, $3
+    FROM unnest($4::int[], $5::text[], $6::text[]) AS r(student_id, status, remarks)
+    ON CONFLICT (student_id, date) DO UPDATE SET
+      class_id = EXCLUDED.class_id,
+      status = EXCLUDED.status,
+      remarks = EXCLUDED.remarks,
+      marked_by = EXCLUDED.marked_by,
+      updated_at = NOW()
+    RETURNING id, student_id, class_id, to_char(date, 'YYYY-MM-DD') as date, status, remarks, marked_by, updated_at
+  `, [
+    classId, date, markedBy,
+    records.map(r => r.student_id),
+    records.map(r => r.status),
+    records.map(r => r.remarks || null)
+  ]);
+  return result.rows;
+}
+
+async function classMonthSummary(db, classId, monthStart) {
+  const result = await db.query(`
+    SELECT
+      s.id as student_id,
+      s.first_name,
+      s.last_name,
+      s.roll_number,
+      ${COUNTS}
+    FROM students s
+    LEFT JOIN attendance a
+      ON a.student_id = s.id
+      AND a.date >= $2::date
+      AND a.date < $2::date + INTERVAL '1 month'
+    WHERE s.class_id = $1
+    GROUP BY s.id
+    ORDER BY s.roll_number, s.id
+  `, [classId, monthStart]);
+  return result.rows;
+}
+
+async function classMonthTotals(db, classId, monthStart) {
+  const result = await db.query(`
+    SELECT COUNT(DISTINCT a.date)::int AS school_days, ${COUNTS}
+    FROM attendance a
+    WHERE a.class_id = $1
+      AND a.date >= $2::date
+      AND a.date < $2::date + INTERVAL '1 month'
+  `, [classId, monthStart]);
+  return result.rows[0];
+}
+
+async function studentMonthSummary(db, studentId, monthStart) {
+  const result = await db.query(`
+    SELECT ${COUNTS}
+    FROM attendance a
+    WHERE a.student_id = $1
+      AND a.date >= $2::date
+      AND a.date < $2::date + INTERVAL '1 month'
+  `, [studentId, monthStart]);
+  return result.rows[0];
+}
+
+async function listForStudent(db, studentId, monthStart) {
+  const result = await db.query(`
+    SELECT
+      a.id,
+      to_char(a.date, 'YYYY-MM-DD') as date,
+      a.status,
+      a.remarks,
+      a.class_id,
+      c.class_name,
+      sec.section_name
+    FROM attendance a
+    LEFT JOIN classes c ON a.class_id = c.id
+    LEFT JOIN sections sec ON c.section_id = sec.id
+    WHERE a.student_id = $1
+      AND a.date >= $2::date
+      AND a.date < $2::date + INTERVAL '1 month'
+    ORDER BY a.date DESC
+  `, [studentId, monthStart]);
+  return result.rows;
+}
+
+module.exports = {
+  listRollCall,
+  statusesOn,
+  upsertMany,
+  classMonthSummary,
+  classMonthTotals,
+  studentMonthSummary,
+  listForStudent
+};
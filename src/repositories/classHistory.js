@@ -0,0 +1,59 @@
+// ========== CLASS HISTORY DATA ACCESS ==========
+// One row per student per academic year, written when their class is promoted.
+
+async function wasClassPromoted(db, academicYearId, classId) {
+  const result = await db.query(
+    'SELECT 1 FROM student_class_history WHERE academic_year_id = $1 AND class_id = $2 LIMIT 1',
+    [academicYearId, classId]
+  );
+  return result.rows.length > 0;
+}
+
+// rows: [{ student_id, roll_number, outcome, next_class_id }]
+async function insertMany(db, { academicYearId, classId, className, recordedBy, rows }) {
+  if (rows.length === 0) return [];
+
+  const result = await db.query(`
+    INSERT INTO student_class_history (
+      student_id, academic_year_id, class_id, class_name, roll_number, outcome, next_class_id, recorded_by
+    )
+    SELECT r.student_id, $1, $2, $3, r.roll_number, r.outcome, r.next_class_id, $4
+    FROM unnest($5::int[], $6::int[], $7::text[], $8::int[]) AS r(student_id, roll_number, outcome, next_class_id)
+    RETURNING *
+  `, [
+    academicYearId, classId, className, recordedBy || null,
+    rows.map(r => r.student_id),
+    rows.map(r => r.roll_number),
+    rows.map(r => r.outcome),
+    rows.map(r => r.next_class_id)
+  ]);
+  return result.rows;
+}
+
+async function listForStudent(db, studentId) {
+  const result = await db.query(`
+    SELECT
+      h.id,
+      h.academic_year_id,
+      y.name as academic_year,
+      h.class_id,
+      h.class_name,
+      h.roll_number,
+      h.outcome,
+      h.next_class_id,
+      nc.class_name as next_class_name,
+      h.recorded_at
+    FROM student_class_history h
+    JOIN academic_years y ON y.id = h.academic_year_id
+    LEFT JOIN classes nc ON nc.id = h.next_class_id
+    WHERE h.student_id = $1
+    ORDER BY y.start_date
+  `, [studentId]);
+  return result.rows;
+}
+
+module.exports = {
+  wasClassPromoted,
+  insertMany,
+  listForStudent
+};
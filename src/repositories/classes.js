@@ -0,0 +1,92 @@
+// ========== CLASSES DATA ACCESS ==========
+
+async function list(db) {
+  const result = await db.query(`
+    SELECT 
+      c.*,
+      s.section_name,
+      t.username as teacher_username
+    FROM classes c 
+    LEFT JOIN sections s ON c.section_id = s.id
+    LEFT JOIN users t ON c.teacher_id = t.id
+    ORDER BY c.created_at DESC
+  `);
+  return result.rows;
+}
+
+async function create(db, { class_name, section_id, teacher_name, teacher_id }) {
+  const result = await db.query(`
+    INSERT INTO classes (class_name, section_id, teacher_name, teacher_id)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [class_name, section_id, teacher_name, teacher_id || null]);
+  return result.rows[0];
+}
+
+async function countStudents(db, id) {
+  const result = await db.query(
+    'SELECT COUNT(*) as count FROM students WHERE class_id = $1',
+    [id]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+async function deleteById(db, id) {
+  const result = await db.query('DELETE FROM classes WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+async function assignTeacher(db, id, { teacher_id, teacher_name }) {
+  const result = await db.query(`
+    UPDATE classes SET
+      teacher_id = $1,
+      teacher_name = COALESCE($2, teacher_name)
+    WHERE id = $3
+    RETURNING *
+  `, [teacher_id || null, teacher_name || null, id]);
+  return result.rows[0] || null;
+}
+
+async function findById(db, id) {
+  const result = await db.query(`
+    SELECT c.*, s.section_name, s.start_time, s.end_time
+    FROM classes c
+    LEFT JOIN sections s ON c.section_id = s.id
+    WHERE c.id = $1
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+async function findIdByName(db, className) {
+  const result = await db.query(
+    'SELECT id FROM classes WHERE LOWER(class_name) = LOWER($1)',
+    [className]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+async function findIdsForTeacher(db, teacherId) {
+  const result = await db.query('SELECT id FROM classes WHERE teacher_id = $1 ORDER BY id', [teacherId]);
+  return result.rows.map(row => row.id);
+}
+
+// Returns how many of classIds are taught by teacherId
+async function countTaughtBy(db, classIds, teacherId) {
+  const result = await db.query(
+    'SELECT id FROM classes WHERE id = ANY($1) AND teacher_id = $2',
+    [classIds, teacherId]
+  );
+  return result.rows.length;
+}
+
+module.exports = {
+  list,
+  create,
+  countStudents,
+  deleteById,
+  assignTeacher,
+  findById,
+  findIdByName,
+  findIdsForTeacher,
+  countTaughtBy
+};
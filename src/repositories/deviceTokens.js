@@ -0,0 +1,89 @@
+const { REACHES_STUDENT } = require('./notifications');
+
+// ========== DEVICE TOKENS DATA ACCESS ==========
+
+const COLUMNS = 'id, token, platform, app_version, last_seen_at, created_at';
+
+// The student's unread notices, shown as the app icon badge
+const BADGE = `(
+  SELECT COUNT(*) FROM notifications n
+  WHERE ${REACHES_STUDENT}
+    AND NOT EXISTS (
+      SELECT 1 FROM notification_reads nr
+      WHERE nr.notification_id = n.id AND nr.student_id = st.id
+    )
+)::int AS badge`;
+
+// Linked parents' devices get their children's pushes too
+const PARENT_IDS = 'SELECT ps.parent_id FROM parent_students ps WHERE ps.student_id = st.id';
+
+// The student has not turned push off
+const PUSH_ALLOWED = `NOT EXISTS (
+  SELECT 1 FROM notification_preferences p WHERE p.student_id = st.id AND NOT p.push
+)`;
+
+// Registering a known token again moves it to this account and refreshes it
+async function upsert(db, { userId, token, platform, appVersion }) {
+  const result = await db.query(`
+    INSERT INTO device_tokens (user_id, token, platform, app_version)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (token) DO UPDATE SET
+      user_id = EXCLUDED.user_id,
+      platform = COALESCE(EXCLUDED.platform, device_tokens.platform),
+      app_version = COALESCE(EXCLUDED.app_version, device_tokens.app_version),
+      last_seen_at = NOW()
+    RETURNING ${COLUMNS}
+  `, [userId, token, platform || null, appVersion || null]);
+  return result.rows[0];
+}
+
+async function listForUser(db, userId) {
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM device_tokens WHERE user_id = $1 ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+async function removeForUser(db, userId, token) {
+  const result = await db.query('DELETE FROM device_tokens WHERE user_id = $1 AND token = $2', [userId, token]);
+  return result.rowCount > 0;
+}
+
+// Forgets tokens FCM reported as unregistered or invalid
+async function removeTokens(db, tokens) {
+  const result = await db.query('DELETE FROM device_tokens WHERE token = ANY($1)', [tokens]);
+  return result.rowCount;
+}
+
+// Push recipients ({ student_id, token, badge }): one row per device of each
+// student (or their parents) who has not turned push off
+async function recipientsForClass(db, classId) {
+  const result = await db.query(`
+    SELECT st.id as student_id, d.token, ${BADGE}
+    FROM students st
+    JOIN device_tokens d ON d.user_id = st.user_id OR d.user_id IN (${PARENT_IDS})
+    WHERE st.class_id = $1 AND ${PUSH_ALLOWED}
+  `, [classId]);
+  return result.rows;
+}
+
+// Devices of the given students (limited to classId when given), with names
+async function recipientsForStudents(db, studentIds, classId = null) {
+  const result = await db.query(`
+    SELECT st.id as student_id, st.first_name, st.last_name, d.token, ${BADGE}
+    FROM students st
+    JOIN device_tokens d ON d.user_id = st.user_id OR d.user_id IN (${PARENT_IDS})
+    WHERE st.id = ANY($1) AND ($2::int IS NULL OR st.class_id = $2) AND ${PUSH_ALLOWED}
+  `, [studentIds, classId]);
+  return result.rows;
+}
+
+module.exports = {
+  upsert,
+  listForUser,
+  removeForUser,
+  removeTokens,
+  recipientsForClass,
+  recipientsForStudents
+};
@@ -0,0 +1,53 @@
+// ========== EXAMS DATA ACCESS ==========
+
+const EXAM_SELECT = `
+  SELECT
+    e.id,
+    e.name,
+    e.term,
+    e.academic_year_id,
+    y.name as academic_year,
+    to_char(e.exam_date, 'YYYY-MM-DD') as exam_date,
+    e.max_marks::float8 as max_marks,
+    e.weightage::float8 as weightage,
+    e.created_at
+  FROM exams e
+  LEFT JOIN academic_years y ON y.id = e.academic_year_id
+`;
+
+// filters: { term, academicYearId }, both optional
+async function list(db, { term, academicYearId } = {}) {
+  const result = await db.query(`
+    ${EXAM_SELECT}
+    WHERE ($1::text IS NULL OR e.term = $1)
+      AND ($2::int IS NULL OR e.academic_year_id = $2)
+    ORDER BY e.exam_date NULLS LAST, e.id
+  `, [term || null, academicYearId || null]);
+  return result.rows;
+}
+
+async function findById(db, id) {
+  const result = await db.query(`${EXAM_SELECT} WHERE e.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function create(db, { name, term, academic_year_id, exam_date, max_marks, weightage }) {
+  const result = await db.query(`
+    INSERT INTO exams (name, term, academic_year_id, exam_date, max_marks, weightage)
+    VALUES ($1, $2, $3, $4, COALESCE($5, 100), COALESCE($6, 100))
+    RETURNING id
+  `, [name, term || null, academic_year_id || null, exam_date || null, max_marks, weightage]);
+  return findById(db, result.rows[0].id);
+}
+
+async function countMarks(db, id) {
+  const result = await db.query('SELECT COUNT(*) as count FROM marks WHERE exam_id = $1', [id]);
+  return parseInt(result.rows[0].count);
+}
+
+async function deleteById(db, id) {
+  const result = await db.query('DELETE FROM exams WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+}
+
+module.exports = { list, findById, create, countMarks, deleteById };
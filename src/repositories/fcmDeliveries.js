@@ -0,0 +1,55 @@
+// ========== FCM DELIVERY LOG DATA ACCESS ==========
+
+// outcomes: [{ student_id, token, status, error_code, error_message, message_id, attempts }]
+async function insertMany(db, { notificationId = null, assignmentId = null, messageType = null, outcomes }) {
+  await db.query(`
+    INSERT INTO fcm_deliveries
+      (notification_id, assignment_id, message_type, student_id, token, status, error_code, error_message, message_id, attempts)
+    SELECT $1, $2, $3, o.student_id, o.token, o.status, o.error_code, o.error_message, o.message_id, o.attempts
+    FROM unnest($4::int[], $5::text[], $6::text[], $7::text[], $8::text[], $9::text[], $10::int[])
+      AS o(student_id, token, status, error_code, error_message, message_id, attempts)
+  `, [
+    notificationId, assignmentId, messageType,
+    outcomes.map(o => o.student_id || null),
+    outcomes.map(o => o.token),
+    outcomes.map(o => o.status),
+    outcomes.map(o => o.error_code || null),
+    outcomes.map(o => o.error_message || null),
+    outcomes.map(o => o.message_id || null),
+    outcomes.map(o => o.attempts)
+  ]);
+}
+
+// column is 'notification_id' or 'assignment_id'
+async function report(db, column, id) {
+  const [summary, deliveries] = await Promise.all([
+    db.query(`
+      SELECT
+        COUNT(*)::int AS total,
+        COUNT(*) FILTER (WHERE status = 'sent')::int AS sent,
+        COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+        COUNT(*) FILTER (WHERE status = 'invalid_token')::int AS invalid_token
+      FROM fcm_deliveries
+      WHERE ${column} = $1
+    `, [id]),
+    db.query(`
+      SELECT
+        d.id,
+        d.student_id,
+        s.first_name,
+        s.last_name,
+        d.status,
+        d.error_code,
+        d.error_message,
+        d.attempts,
+        d.created_at
+      FROM fcm_deliveries d
+      LEFT JOIN students s ON d.student_id = s.id
+      WHERE d.${column} = $1
+      ORDER BY d.status <> 'sent' DESC, s.last_name, s.first_name, d.id
+    `, [id])
+  ]);
+  return { summary: summary.rows[0], deliveries: deliveries.rows };
+}
+
+module.exports = { insertMany, report };
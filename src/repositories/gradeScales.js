@@ -0,0 +1,61 @@
+// ========== GRADE SCALES DATA ACCESS ==========
+
+const SCALE_SELECT = `
+  SELECT
+    g.id,
+    g.name,
+    g.is_default,
+    g.created_at,
+    COALESCE(
+      json_agg(json_build_object(
+        'grade', b.grade,
+        'min_percentage', b.min_percentage::float8,
+        'remark', b.remark
+      ) ORDER BY b.min_percentage DESC) FILTER (WHERE b.grade IS NOT NULL),
+      '[]'
+    ) as bands
+  FROM grade_scales g
+  LEFT JOIN grade_scale_bands b ON b.grade_scale_id = g.id
+`;
+
+async function list(db) {
+  const result = await db.query(`${SCALE_SELECT} GROUP BY g.id ORDER BY g.is_default DESC, g.name`);
+  return result.rows;
+}
+
+async function findById(db, id) {
+  const result = await db.query(`${SCALE_SELECT} WHERE g.id = $1 GROUP BY g.id`, [id]);
+  return result.rows[0] || null;
+}
+
+async function findDefault(db) {
+  const result = await db.query(`${SCALE_SELECT} WHERE g.is_default GROUP BY g.id`);
+  return result.rows[0] || null;
+}
+
+async function nameExists(db, name) {
+  const result = await db.query('SELECT id FROM grade_scales WHERE LOWER(name) = LOWER($1)', [name]);
+  return result.rows.length > 0;
+}
+
+// bands: [{ grade, min_percentage, remark }]
+async function create(db, { name, bands }) {
+  const result = await db.query('INSERT INTO grade_scales (name) VALUES ($1) RETURNING id', [name]);
+  const id = result.rows[0].id;
+
+  await db.query(`
+    INSERT INTO grade_scale_bands (grade_scale_id, grade, min_percentage, remark)
+    SELECT $1, b.grade, b.min_percentage, b.remark
+    FROM unnest($2::text[], $3::numeric[], $4::text[]) AS b(grade, min_percentage, remark)
+  `, [id, bands.map(b => b.grade), bands.map(b => b.min_percentage), bands.map(b => b.remark || null)]);
+  return id;
+}
+
+// Makes `id` the only default scale
+async function setDefault(db, id) {
+  await db.query('UPDATE grade_scales SET is_default = FALSE WHERE is_default AND id != $1', [id]);
+  const result = await db.query('UPDATE grade_scales SET is_default = TRUE WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+}
+
+module.exports = { list, findById, findDefault, nameExists, create, setDefault };
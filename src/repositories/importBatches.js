@@ -0,0 +1,66 @@
+// ========== STUDENT IMPORT BATCHES DATA ACCESS ==========
+
+// Everything but the stored file
+const BATCH_COLUMNS = `
+  id, kind, mode, original_name, create_parents, status, total_rows, valid_rows,
+  rows, result, created_by, created_at, committed_at
+`;
+
+async function create(db, { kind, mode, file, originalName, createParents, rows, createdBy }) {
+  const result = await db.query(`
+    INSERT INTO student_import_batches
+      (kind, file, original_name, create_parents, total_rows, valid_rows, rows, created_by, mode)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING ${BATCH_COLUMNS}
+  `, [
+    kind,
+    file,
+    originalName || null,
+    createParents,
+    rows.length,
+    rows.filter(row => row.status === 'valid').length,
+    JSON.stringify(rows),
+    createdBy || null,
+    mode
+  ]);
+  return result.rows[0];
+}
+
+async function findById(db, id) {
+  const result = await db.query(`SELECT ${BATCH_COLUMNS} FROM student_import_batches WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+// Moves a previewed batch to 'committed' or 'discarded'. Returns the batch,
+// with its file, or null when it is not (or no longer) previewed, so only
+// one request ever gets to import it.
+async function close(db, id, status) {
+  const result = await db.query(`
+    UPDATE student_import_batches
+    SET status = $2::varchar,
+        committed_at = CASE WHEN $2::varchar = 'committed' THEN NOW() END
+    WHERE id = $1 AND status = 'previewed'
+    RETURNING *
+  `, [id, status]);
+  return result.rows[0] || null;
+}
+
+// Undoes close() when the import could not run
+async function reopen(db, id) {
+  await db.query(`
+    UPDATE student_import_batches
+    SET status = 'previewed', committed_at = NULL
+    WHERE id = $1
+  `, [id]);
+}
+
+// Drops the stored file and keeps the outcome of the import
+async function saveResult(db, id, result) {
+  await db.query(`
+    UPDATE student_import_batches
+    SET file = NULL, result = $2
+    WHERE id = $1
+  `, [id, result ? JSON.stringify(result) : null]);
+}
+
+module.exports = { create, findById, close, reopen, saveResult };
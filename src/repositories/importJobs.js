@@ -0,0 +1,119 @@
+// ========== STUDENT IMPORT JOBS DATA ACCESS ==========
+
+// Everything but the stored file
+const JOB_COLUMNS = `
+  id, kind, mode, original_name, create_parents, batch_id, status, total_rows,
+  processed_rows, imported_rows, failed_rows, error, created_by, created_at,
+  started_at, heartbeat_at, finished_at
+`;
+
+async function create(db, { kind, mode, file, originalName, createParents, batchId, totalRows, createdBy }) {
+  const result = await db.query(`
+    INSERT INTO student_import_jobs
+      (kind, mode, file, original_name, create_parents, batch_id, total_rows, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${JOB_COLUMNS}
+  `, [kind, mode, file, originalName || null, createParents, batchId || null, totalRows, createdBy || null]);
+  return result.rows[0];
+}
+
+async function list(db, { limit = 50 } = {}) {
+  const result = await db.query(`
+    SELECT ${JOB_COLUMNS}
+    FROM student_import_jobs
+    ORDER BY id DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+async function findById(db, id) {
+  const result = await db.query(`SELECT ${JOB_COLUMNS} FROM student_import_jobs WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function listRows(db, jobId) {
+  const result = await db.query(`
+    SELECT row_number, status, student_id, username, message, details
+    FROM student_import_job_rows
+    WHERE job_id = $1
+    ORDER BY row_number
+  `, [jobId]);
+  return result.rows;
+}
+
+// Claims the oldest queued job, or a running one whose worker stopped
+// beating for staleAfterMs, and returns it with its file
+async function claimNext(db, staleAfterMs) {
+  const result = await db.query(`
+    UPDATE student_import_jobs SET
+      status = 'running',
+      started_at = COALESCE(started_at, NOW()),
+      heartbeat_at = NOW()
+    WHERE id = (
+      SELECT id FROM student_import_jobs
+      WHERE status = 'queued'
+        OR (status = 'running' AND heartbeat_at < NOW() - make_interval(secs => $1 / 1000.0))
+      ORDER BY id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [staleAfterMs]);
+  return result.rows[0] || null;
+}
+
+// Locks the job for the transaction of the row at index `processed` (0-based).
+// False once the job is no longer running, or when another worker that
+// claimed it as stale has already processed that row.
+async function lockRunning(db, id, processed) {
+  const result = await db.query(
+    "SELECT id FROM student_import_jobs WHERE id = $1 AND status = 'running' AND processed_rows = $2 FOR UPDATE",
+    [id, processed]
+  );
+  return result.rows.length > 0;
+}
+
+// Records the row at index `processed` and moves the job's counters. Returns
+// false, writing nothing, when the job is no longer running (e.g. cancelled)
+// or the row was already recorded.
+async function recordRow(db, jobId, { processed, rowNumber, status, studentId, username, message, details }) {
+  const result = await db.query(`
+    UPDATE student_import_jobs SET
+      processed_rows = processed_rows + 1,
+      imported_rows = imported_rows + CASE WHEN $2::varchar = 'imported' THEN 1 ELSE 0 END,
+      failed_rows = failed_rows + CASE WHEN $2::varchar = 'failed' THEN 1 ELSE 0 END,
+      heartbeat_at = NOW()
+    WHERE id = $1 AND status = 'running' AND processed_rows = $3
+    RETURNING id
+  `, [jobId, status, processed]);
+  if (result.rows.length === 0) return false;
+
+  await db.query(`
+    INSERT INTO student_import_job_rows (job_id, row_number, status, student_id, username, message, details)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [jobId, rowNumber, status, studentId || null, username || null, message || null, details ? JSON.stringify(details) : null]);
+  return true;
+}
+
+// Ends a running job as 'completed' or 'failed' and drops its file
+async function finish(db, id, { status, error = null }) {
+  await db.query(`
+    UPDATE student_import_jobs
+    SET status = $2, error = $3, file = NULL, finished_at = NOW()
+    WHERE id = $1 AND status = 'running'
+  `, [id, status, error]);
+}
+
+// Returns false when the job had already finished
+async function cancel(db, id) {
+  const result = await db.query(`
+    UPDATE student_import_jobs
+    SET status = 'cancelled', file = NULL, finished_at = NOW()
+    WHERE id = $1 AND status IN ('queued', 'running')
+    RETURNING id
+  `, [id]);
+  return result.rows.length > 0;
+}
+
+module.exports = { create, list, findById, listRows, claimNext, lockRunning, recordRow, finish, cancel };
@@ -0,0 +1,74 @@
+// ========== MARKS DATA ACCESS ==========
+
+// Marks of one exam for the subjects of a class
+async function listForExamClass(db, examId, classId) {
+  const result = await db.query(`
+    SELECT
+      m.student_id,
+      m.subject_id,
+      m.marks_obtained::float8 as marks_obtained,
+      m.is_absent
+    FROM marks m
+    JOIN subjects sub ON sub.id = m.subject_id
+    WHERE m.exam_id = $1 AND sub.class_id = $2
+  `, [examId, classId]);
+  return result.rows;
+}
+
+// records: [{ student_id, subject_id, marks, absent }]; re-entering overwrites
+async function upsertMany(db, { examId, enteredBy, records }) {
+  if (records.length === 0) return 0;
+
+  const result = await db.query(`
+    INSERT INTO marks (exam_id, subject_id, student_id, marks_obtained, is_absent, entered_by)
+    SELECT $1, r.subject_id, r.student_id, r.marks_obtained, r.is_absent, $2
+    FROM unnest($3::int[], $4::int[], $5::numeric[], $6::boolean[]) AS r(subject_id, student_id, marks_obtained, is_absent)
+    ON CONFLICT (exam_id, subject_id, student_id) DO UPDATE SET
+      marks_obtained = EXCLUDED.marks_obtained,
+      is_absent = EXCLUDED.is_absent,
+      entered_by = EXCLUDED.entered_by,
+      updated_at = NOW()
+  `, [
+    examId, enteredBy || null,
+    records.map(r => r.subject_id),
+    records.map(r => r.student_id),
+    records.map(r => (r.absent ? null : r.marks)),
+    records.map(r => Boolean(r.absent))
+  ]);
+  return result.rowCount;
+}
+
+// The classes whose subjects the student has marks in for these exams,
+// most marks first
+async function classesWithMarks(db, studentId, examIds) {
+  const result = await db.query(`
+    SELECT sub.class_id
+    FROM marks m
+    JOIN subjects sub ON sub.id = m.subject_id
+    WHERE m.student_id = $1 AND m.exam_id = ANY($2)
+    GROUP BY sub.class_id
+    ORDER BY COUNT(*) DESC, sub.class_id
+  `, [studentId, examIds]);
+  return result.rows.map(row => row.class_id);
+}
+
+// Every mark in these exams for the subjects of a class, with the student
+async function listForClassExams(db, classId, examIds) {
+  const result = await db.query(`
+    SELECT
+      m.exam_id,
+      m.subject_id,
+      m.student_id,
+      st.first_name,
+      st.last_name,
+      m.marks_obtained::float8 as marks_obtained,
+      m.is_absent
+    FROM marks m
+    JOIN subjects sub ON sub.id = m.subject_id
+    JOIN students st ON st.id = m.student_id
+    WHERE sub.class_id = $1 AND m.exam_id = ANY($2)
+  `, [classId, examIds]);
+  return result.rows;
+}
+
+module.exports = { listForExamClass, upsertMany, classesWithMarks, listForClassExams };
@@ -0,0 +1,138 @@
+// ========== NOTIFICATION JOBS DATA ACCESS ==========
+
+const COLUMNS = `
+  j.*,
+  c.class_name,
+  sec.section_name,
+  sec.start_time as section_start_time
+`;
+
+const FROM = `
+  FROM notification_jobs j
+  LEFT JOIN classes c ON j.class_id = c.id
+  LEFT JOIN sections sec ON j.section_id = sec.id
+`;
+
+async function list(db, { status } = {}) {
+  const result = await db.query(`
+    SELECT ${COLUMNS}
+    ${FROM}
+    WHERE $1::text IS NULL OR j.status = $1
+    ORDER BY j.next_run_at NULLS LAST, j.id
+  `, [status || null]);
+  return result.rows;
+}
+
+async function findById(db, id, { forUpdate = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM notification_jobs WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+async function findDetail(db, id) {
+  const result = await db.query(`SELECT ${COLUMNS} ${FROM} WHERE j.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+// First occurrence of a recurring schedule strictly after `after`: the slot
+// (time_of_day, or the section's start_time minus minutes_before_start) on
+// the next allowed weekday, read as wall-clock time in `timeZone`. The lead
+// time is taken off the timestamp, so a long one lands on the evening before.
+// Returns null when the slot cannot be resolved.
+async function nextOccurrence(db, { weekdays, timeOfDay, sectionId, minutesBeforeStart, timeZone, after }) {
+  const result = await db.query(`
+    WITH slot AS (
+      SELECT COALESCE($2::time, sec.start_time) AS at, make_interval(mins => $4) AS lead
+      FROM (SELECT 1) one
+      LEFT JOIN sections sec ON sec.id = $3
+    ),
+    days AS (
+      SELECT d::date AS day
+      FROM generate_series(
+        ($6::timestamptz AT TIME ZONE $5)::date,
+        ($6::timestamptz AT TIME ZONE $5)::date + 8,
+        INTERVAL '1 day'
+      ) d
+    )
+    SELECT MIN((days.day + slot.at - slot.lead) AT TIME ZONE $5) AS next_run_at
+    FROM slot, days
+    WHERE ($1::smallint[] IS NULL OR EXTRACT(DOW FROM days.day)::smallint = ANY($1))
+      AND (days.day + slot.at - slot.lead) AT TIME ZONE $5 > $6::timestamptz
+  `, [weekdays, timeOfDay, sectionId, minutesBeforeStart || 0, timeZone, after]);
+  return result.rows[0].next_run_at;
+}
+
+const FIELDS = [
+  'title', 'description', 'message', 'class_id', 'recipient_type', 'selected_students', 'file_path',
+  'repeat', 'send_at', 'weekdays', 'time_of_day', 'section_id', 'minutes_before_start', 'time_zone',
+  'next_run_at'
+];
+
+async function create(db, fields) {
+  const result = await db.query(`
+    INSERT INTO notification_jobs (${FIELDS.join(', ')}, created_by)
+    VALUES (${FIELDS.map((f, i) => `$${i + 1}`).join(', ')}, $${FIELDS.length + 1})
+    RETURNING id
+  `, [...FIELDS.map(f => fields[f] === undefined ? null : fields[f]), fields.created_by]);
+  return result.rows[0].id;
+}
+
+// Replaces the content and schedule of a job; a new file replaces the old one
+async function update(db, id, fields) {
+  const assignments = FIELDS.map((f, i) => f === 'file_path'
+    ? `file_path = COALESCE($${i + 1}, file_path)`
+    : `${f} = $${i + 1}`);
+
+  await db.query(`
+    UPDATE notification_jobs SET ${assignments.join(', ')}, updated_at = NOW()
+    WHERE id = $${FIELDS.length + 1}
+  `, [...FIELDS.map(f => fields[f] === undefined ? null : fields[f]), id]);
+}
+
+async function cancel(db, id) {
+  await db.query(`
+    UPDATE notification_jobs SET status = 'cancelled', next_run_at = NULL, updated_at = NOW()
+    WHERE id = $1
+  `, [id]);
+}
+
+// Locks up to `limit` due jobs. SKIP LOCKED lets several instances
+// dispatch at once without ever picking the same job.
+async function claimDue(db, limit) {
+  const result = await db.query(`
+    SELECT * FROM notification_jobs
+    WHERE status = 'pending' AND next_run_at <= NOW()
+    ORDER BY next_run_at
+    LIMIT $1
+    FOR UPDATE SKIP LOCKED
+  `, [limit]);
+  return result.rows;
+}
+
+// Records a run. nextRunAt null finishes the job ('sent').
+async function recordRun(db, id, { notificationId, nextRunAt }) {
+  await db.query(`
+    UPDATE notification_jobs SET
+      last_run_at = NOW(),
+      run_count = run_count + 1,
+      last_notification_id = $2,
+      next_run_at = $3,
+      status = CASE WHEN $3::timestamptz IS NULL THEN 'sent' ELSE status END,
+      updated_at = NOW()
+    WHERE id = $1
+  `, [id, notificationId, nextRunAt]);
+}
+
+module.exports = {
+  list,
+  findById,
+  findDetail,
+  nextOccurrence,
+  create,
+  update,
+  cancel,
+  claimDue,
+  recordRun
+};
@@ -0,0 +1,52 @@
+// ========== NOTIFICATION PREFERENCES DATA ACCESS ==========
+
+const DEFAULTS = { push: true, email: false, sms: false };
+
+async function find(db, studentId) {
+  const result = await db.query(
+    'SELECT push, email, sms, updated_at FROM notification_preferences WHERE student_id = $1',
+    [studentId]
+  );
+  return result.rows[0] || { ...DEFAULTS, updated_at: null };
+}
+
+// Channels left out of `changes` keep their current setting
+async function upsert(db, studentId, changes) {
+  const result = await db.query(`
+    INSERT INTO notification_preferences (student_id, push, email, sms)
+    VALUES ($1, COALESCE($2::boolean, $5), COALESCE($3::boolean, $6), COALESCE($4::boolean, $7))
+    ON CONFLICT (student_id) DO UPDATE SET
+      push = COALESCE($2, notification_preferences.push),
+      email = COALESCE($3, notification_preferences.email),
+      sms = COALESCE($4, notification_preferences.sms),
+      updated_at = NOW()
+    RETURNING push, email, sms, updated_at
+  `, [
+    studentId,
+    changes.push === undefined ? null : changes.push,
+    changes.email === undefined ? null : changes.email,
+    changes.sms === undefined ? null : changes.sms,
+    DEFAULTS.push, DEFAULTS.email, DEFAULTS.sms
+  ]);
+  return result.rows[0];
+}
+
+// Parent contacts of students in the class (only studentIds when given) who
+// opted into email or SMS
+async function optedInContacts(db, { classId, studentIds = null }) {
+  const result = await db.query(`
+    SELECT
+      st.id as student_id, st.first_name, st.last_name,
+      st.parent_name, st.parent_email, st.parent_phone,
+      p.email, p.sms
+    FROM students st
+    JOIN notification_preferences p ON p.student_id = st.id
+    WHERE st.class_id = $1
+      AND ($2::int[] IS NULL OR st.id = ANY($2))
+      AND (p.email OR p.sms)
+    ORDER BY st.id
+  `, [classId, studentIds]);
+  return result.rows;
+}
+
+module.exports = { DEFAULTS, find, upsert, optedInContacts };
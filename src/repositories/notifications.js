@@ -0,0 +1,135 @@
+// ========== NOTIFICATIONS DATA ACCESS ==========
+
+// Whether notification `n` reaches student `st`: everything sent to their
+// class plus 'particular' ones that list them in selected_students
+const REACHES_STUDENT = `
+  n.class_id = st.class_id
+  AND (n.recipient_type = 'all' OR st.id = ANY(n.selected_students))
+`;
+
+// recipient_count / read_count only count students currently in the class
+async function list(db) {
+  const result = await db.query(`
+    SELECT
+      n.*,
+      c.class_name,
+      s.section_name,
+      (SELECT COUNT(*) FROM students st WHERE ${REACHES_STUDENT})::int AS recipient_count,
+      (
+        SELECT COUNT(*) FROM notification_reads nr
+        JOIN students st ON st.id = nr.student_id
+        WHERE nr.notification_id = n.id AND ${REACHES_STUDENT}
+      )::int AS read_count
+    FROM notifications n 
+    LEFT JOIN classes c ON n.class_id = c.id 
+    LEFT JOIN sections s ON c.section_id = s.id 
+    ORDER BY n.created_at DESC
+  `);
+  return result.rows;
+}
+
+async function findById(db, id) {
+  const result = await db.query('SELECT * FROM notifications WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function create(db, fields) {
+  const result = await db.query(`
+    INSERT INTO notifications (title, description, message, class_id, recipient_type, selected_students, file_path, created_by, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW()) RETURNING *
+  `, [
+    fields.title, fields.description, fields.message, fields.class_id, fields.recipient_type,
+    fields.selected_students, fields.file_path, fields.created_by
+  ]);
+  return result.rows[0];
+}
+
+async function update(db, id, fields) {
+  const result = await db.query(`
+    UPDATE notifications SET 
+      title = $1, 
+      description = $2, 
+      message = $3, 
+      class_id = $4, 
+      recipient_type = $5, 
+      selected_students = $6,
+      file_path = COALESCE($7, file_path),
+      created_at = NOW()
+    WHERE id = $8 
+    RETURNING *
+  `, [
+    fields.title, fields.description, fields.message, fields.class_id, fields.recipient_type,
+    fields.selected_students, fields.file_path, id
+  ]);
+  return result.rows[0] || null;
+}
+
+async function deleteById(db, id) {
+  const result = await db.query('DELETE FROM notifications WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+// Notifications visible to one student, with their read state
+async function listForStudent(db, { studentId, classId, limit, offset }) {
+  const result = await db.query(`
+    SELECT 
+      n.*,
+      c.class_name,
+      s.section_name,
+      nr.read_at IS NOT NULL as "isRead",
+      nr.read_at
+    FROM notifications n
+    JOIN (SELECT $1::int AS id, $2::int AS class_id) st ON ${REACHES_STUDENT}
+    LEFT JOIN classes c ON n.class_id = c.id
+    LEFT JOIN sections s ON c.section_id = s.id
+    LEFT JOIN notification_reads nr ON nr.notification_id = n.id AND nr.student_id = st.id
+    ORDER BY n.created_at DESC
+    LIMIT $3 OFFSET $4
+  `, [studentId, classId, limit, offset]);
+  return result.rows;
+}
+
+// Records reads for the given notifications (all visible ones when
+// notificationIds is null). Returns the ids that were visible to the student.
+async function markRead(db, { studentId, classId, notificationIds = null }) {
+  const result = await db.query(`
+    WITH visible AS (
+      SELECT n.id
+      FROM notifications n
+      JOIN (SELECT $1::int AS id, $2::int AS class_id) st ON ${REACHES_STUDENT}
+      WHERE $3::int[] IS NULL OR n.id = ANY($3)
+    ),
+    inserted AS (
+      INSERT INTO notification_reads (notification_id, student_id)
+      SELECT id, $1 FROM visible
+      ON CONFLICT DO NOTHING
+    )
+    SELECT id FROM visible
+  `, [studentId, classId, notificationIds]);
+  return result.rows.map(row => row.id);
+}
+
+async function unreadCount(db, { studentId, classId }) {
+  const result = await db.query(`
+    SELECT COUNT(*)::int AS count
+    FROM notifications n
+    JOIN (SELECT $1::int AS id, $2::int AS class_id) st ON ${REACHES_STUDENT}
+    WHERE NOT EXISTS (
+      SELECT 1 FROM notification_reads nr
+      WHERE nr.notification_id = n.id AND nr.student_id = st.id
+    )
+  `, [studentId, classId]);
+  return result.rows[0].count;
+}
+
+module.exports = {
+  REACHES_STUDENT,
+  list,
+  findById,
+  create,
+  update,
+  deleteById,
+  listForStudent,
+  markRead,
+  unreadCount
+};
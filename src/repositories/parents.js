@@ -0,0 +1,133 @@
+// ========== PARENTS DATA ACCESS ==========
+// Parents are users with role 'parent'; parent_students links them to children.
+
+// What a parent sees of each linked child
+const CHILD_COLUMNS = `
+  st.id as student_id,
+  st.user_id,
+  st.first_name,
+  st.last_name,
+  st.roll_number,
+  st.profile_photo,
+  st.class_id,
+  c.class_name,
+  ps.relationship
+`;
+
+async function create(db, { username, passwordHash, email, phone, fullName }) {
+  const result = await db.query(`
+    INSERT INTO users (username, password, email, phone, full_name, role, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, 'parent', NOW(), NOW())
+    RETURNING id, username, email, phone, full_name, created_at
+  `, [username, passwordHash, email || null, phone || null, fullName || null]);
+  return result.rows[0];
+}
+
+async function findById(db, id) {
+  const result = await db.query(`
+    SELECT id, username, email, phone, full_name, disabled_at, created_at
+    FROM users
+    WHERE id = $1 AND role = 'parent'
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+// An existing parent account with this email or phone, if any
+async function findByContact(db, { email, phone }) {
+  const result = await db.query(`
+    SELECT id, username, email, phone, full_name
+    FROM users
+    WHERE role = 'parent'
+      AND ((email IS NOT NULL AND LOWER(email) = LOWER($1)) OR (phone IS NOT NULL AND phone = $2))
+    ORDER BY id
+    LIMIT 1
+  `, [email || null, phone || null]);
+  return result.rows[0] || null;
+}
+
+async function list(db) {
+  const result = await db.query(`
+    SELECT
+      u.id,
+      u.username,
+      u.email,
+      u.phone,
+      u.full_name,
+      u.disabled_at,
+      u.created_at,
+      COALESCE(
+        json_agg(json_build_object(
+          'student_id', st.id,
+          'first_name', st.first_name,
+          'last_name', st.last_name,
+          'class_name', c.class_name,
+          'relationship', ps.relationship
+        ) ORDER BY st.id) FILTER (WHERE st.id IS NOT NULL),
+        '[]'
+      ) as children
+    FROM users u
+    LEFT JOIN parent_students ps ON ps.parent_id = u.id
+    LEFT JOIN students st ON st.id = ps.student_id
+    LEFT JOIN classes c ON c.id = st.class_id
+    WHERE u.role = 'parent'
+    GROUP BY u.id
+    ORDER BY u.full_name NULLS LAST, u.username
+  `);
+  return result.rows;
+}
+
+async function listChildren(db, parentId) {
+  const result = await db.query(`
+    SELECT ${CHILD_COLUMNS}
+    FROM parent_students ps
+    JOIN students st ON st.id = ps.student_id
+    LEFT JOIN classes c ON c.id = st.class_id
+    WHERE ps.parent_id = $1
+    ORDER BY st.first_name, st.last_name
+  `, [parentId]);
+  return result.rows;
+}
+
+// The linked child that `id` refers to, as a students.id or users.id. When
+// one child's student id equals another's user id, idKind ('student' or
+// 'user') decides which one is meant. Returns { student_id, user_id } or null.
+async function findChild(db, parentId, id, idKind) {
+  const result = await db.query(`
+    SELECT st.id as student_id, st.user_id
+    FROM parent_students ps
+    JOIN students st ON st.id = ps.student_id
+    WHERE ps.parent_id = $1 AND (st.id = $2 OR st.user_id = $2)
+    ORDER BY (CASE WHEN $3 = 'student' THEN st.id = $2 ELSE st.user_id = $2 END) DESC
+    LIMIT 1
+  `, [parentId, id, idKind]);
+  return result.rows[0] || null;
+}
+
+// Linking again only updates the relationship
+async function link(db, parentId, studentId, relationship = null) {
+  await db.query(`
+    INSERT INTO parent_students (parent_id, student_id, relationship)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (parent_id, student_id) DO UPDATE SET
+      relationship = COALESCE(EXCLUDED.relationship, parent_students.relationship)
+  `, [parentId, studentId, relationship]);
+}
+
+async function unlink(db, parentId, studentId) {
+  const result = await db.query(
+    'DELETE FROM parent_students WHERE parent_id = $1 AND student_id = $2',
+    [parentId, studentId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  create,
+  findById,
+  findByContact,
+  list,
+  listChildren,
+  findChild,
+  link,
+  unlink
+};
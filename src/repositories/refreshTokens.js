@@ -0,0 +1,42 @@
+// ========== REFRESH TOKENS DATA ACCESS ==========
+// Only SHA-256 hashes of refresh tokens are stored.
+
+async function create(db, { userId, tokenHash, ttlDays }) {
+  await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, expires_at, created_at)
+     VALUES ($1, $2, NOW() + ($3 || ' days')::interval, NOW())`,
+    [userId, tokenHash, String(ttlDays)]
+  );
+}
+
+// Locks the row so two concurrent refreshes with the same token cannot both win
+async function findForRefresh(client, tokenHash) {
+  const result = await client.query(`
+    SELECT rt.id, rt.user_id, rt.expires_at, rt.revoked_at, u.role
+    FROM refresh_tokens rt
+    JOIN users u ON rt.user_id = u.id
+    WHERE rt.token_hash = $1 AND u.disabled_at IS NULL
+    FOR UPDATE OF rt
+  `, [tokenHash]);
+  return result.rows[0] || null;
+}
+
+async function revoke(db, id) {
+  await db.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = $1', [id]);
+}
+
+async function revokeByHash(db, tokenHash, userId) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [tokenHash, userId]
+  );
+}
+
+async function revokeAllForUser(db, userId) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+module.exports = { create, findForRefresh, revoke, revokeByHash, revokeAllForUser };
@@ -0,0 +1,42 @@
+// ========== SECTIONS DATA ACCESS ==========
+
+async function list(db) {
+  const result = await db.query('SELECT * FROM sections ORDER BY created_at DESC');
+  return result.rows;
+}
+
+async function findById(db, id) {
+  const result = await db.query('SELECT * FROM sections WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function findDuplicate(db, { section_name, start_time, end_time }) {
+  const result = await db.query(
+    'SELECT * FROM sections WHERE section_name = $1 AND start_time = $2 AND end_time = $3',
+    [section_name, start_time, end_time]
+  );
+  return result.rows[0] || null;
+}
+
+async function create(db, { section_name, start_time, end_time }) {
+  const result = await db.query(
+    'INSERT INTO sections (section_name, start_time, end_time, created_at) VALUES ($1, $2, $3, NOW()) RETURNING *',
+    [section_name, start_time, end_time]
+  );
+  return result.rows[0];
+}
+
+async function countClasses(db, id) {
+  const result = await db.query(
+    'SELECT COUNT(*) as count FROM classes WHERE section_id = $1',
+    [id]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+async function deleteById(db, id) {
+  const result = await db.query('DELETE FROM sections WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+module.exports = { list, findById, findDuplicate, create, countClasses, deleteById };
@@ -0,0 +1,286 @@
+// ========== STUDENTS DATA ACCESS ==========
+
+const PROFILE_SELECT = `
+  SELECT 
+    s.*,
+    u.username,
+    u.email,
+    c.class_name,
+    c.id as class_id,
+    sec.section_name
+  FROM students s
+  LEFT JOIN users u ON s.user_id = u.id
+  LEFT JOIN classes c ON s.class_id = c.id
+  LEFT JOIN sections sec ON c.section_id = sec.id
+`;
+
+async function listAll(db) {
+  const result = await db.query(`
+    SELECT 
+      s.*,
+      u.username,
+      u.email,
+      c.class_name,
+      sec.section_name
+    FROM students s 
+    LEFT JOIN users u ON s.user_id = u.id
+    LEFT JOIN classes c ON s.class_id = c.id 
+    LEFT JOIN sections sec ON c.section_id = sec.id
+    ORDER BY s.created_at DESC
+  `);
+  return result.rows;
+}
+
+async function listByClass(db, classId) {
+  const result = await db.query(`
+    SELECT s.id, s.first_name, s.last_name, s.roll_number, s.class_id, u.username
+    FROM students s 
+    LEFT JOIN users u ON s.user_id = u.id
+    WHERE s.class_id = $1
+    ORDER BY s.roll_number
+  `, [classId]);
+  return result.rows;
+}
+
+async function findIdByUserId(db, userId) {
+  const result = await db.query('SELECT id FROM students WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Student routes accept either a users.id or a students.id; user_id wins
+async function resolveByUserOrStudentId(db, id) {
+  let result = await db.query(
+    'SELECT id, class_id, user_id, first_name FROM students WHERE user_id = $1',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    result = await db.query(
+      'SELECT id, class_id, user_id, first_name FROM students WHERE id = $1',
+      [id]
+    );
+  }
+
+  return result.rows[0] || null;
+}
+
+async function rollNumberTaken(db, rollNumber, classId, excludeUserId = null) {
+  const result = excludeUserId
+    ? await db.query(
+      'SELECT id FROM students WHERE roll_number = $1 AND class_id = $2 AND user_id != $3',
+      [rollNumber, classId, excludeUserId]
+    )
+    : await db.query(
+      'SELECT id FROM students WHERE roll_number = $1 AND class_id = $2',
+      [rollNumber, classId]
+    );
+  return result.rows.length > 0;
+}
+
+async function create(db, userId, fields) {
+  const result = await db.query(`
+    INSERT INTO students (
+      user_id, class_id, first_name, last_name, roll_number,
+      phone, address, date_of_birth, blood_group,
+      parent_name, parent_phone, parent_email, profile_photo,
+      created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW()) 
+    RETURNING *
+  `, [
+    userId, fields.class_id || null, fields.first_name, fields.last_name, fields.roll_number || null,
+    fields.phone || null, fields.address || null, fields.date_of_birth || null, fields.blood_group || null,
+    fields.parent_name || null, fields.parent_phone || null, fields.parent_email || null,
+    fields.profile_photo || null
+  ]);
+  return result.rows[0];
+}
+
+// Writes every editable column; profile_photo is only replaced when given.
+// `where` is 'id' (admin edit by students.id) or 'user_id' (self-service).
+async function update(db, where, key, fields) {
+  const column = where === 'user_id' ? 'user_id' : 'id';
+  const result = await db.query(`
+    UPDATE students
+    SET 
+      class_id = $1,
+      first_name = $2,
+      last_name = $3,
+      roll_number = $4,
+      phone = $5,
+      address = $6,
+      date_of_birth = $7,
+      blood_group = $8,
+      parent_name = $9,
+      parent_phone = $10,
+      parent_email = $11,
+      profile_photo = COALESCE($12, profile_photo),
+      updated_at = NOW()
+    WHERE ${column} = $13
+    RETURNING *
+  `, [
+    fields.class_id || null, fields.first_name, fields.last_name, fields.roll_number || null,
+    fields.phone || null, fields.address || null, fields.date_of_birth || null, fields.blood_group || null,
+    fields.parent_name || null, fields.parent_phone || null, fields.parent_email || null,
+    fields.profile_photo || null, key
+  ]);
+  return result.rows[0] || null;
+}
+
+async function updatePhoto(db, userId, profilePhoto) {
+  await db.query(`
+    UPDATE students SET 
+      profile_photo = $1,
+      updated_at = NOW()
+    WHERE user_id = $2
+  `, [profilePhoto, userId]);
+}
+
+async function findWithUsername(db, id) {
+  const result = await db.query(
+    'SELECT s.*, u.username FROM students s JOIN users u ON s.user_id = u.id WHERE s.id = $1',
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// The student a bulk-import row refers to: by username, or by class and
+// roll number when the row has no username. Dates as YYYY-MM-DD so they
+// compare with sheet values.
+async function findForImport(db, { username, classId, rollNumber }, { forUpdate = false } = {}) {
+  const result = await db.query(`
+    SELECT
+      s.id, s.user_id, s.class_id, s.roll_number, s.first_name, s.last_name,
+      s.phone, s.address, to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth,
+      s.blood_group, s.parent_name, s.parent_phone, s.parent_email, s.profile_photo,
+      u.username, u.email
+    FROM students s
+    JOIN users u ON u.id = s.user_id
+    WHERE ($1::text IS NOT NULL AND u.username = $1)
+      OR ($1::text IS NULL AND s.class_id = $2 AND s.roll_number = $3)
+    ${forUpdate ? 'FOR UPDATE OF s' : ''}
+  `, [username || null, classId || null, rollNumber || null]);
+  return result.rows[0] || null;
+}
+
+async function deleteById(db, id) {
+  await db.query('DELETE FROM students WHERE id = $1', [id]);
+}
+
+async function findProfileByUserId(db, userId) {
+  const result = await db.query(`${PROFILE_SELECT} WHERE s.user_id = $1`, [userId]);
+  return result.rows[0] || null;
+}
+
+async function findProfileById(db, studentId) {
+  const result = await db.query(`${PROFILE_SELECT} WHERE s.id = $1`, [studentId]);
+  return result.rows[0] || null;
+}
+
+// Shape returned by GET /api/profile/:studentId
+async function findDetail(db, studentId) {
+  const result = await db.query(`
+    SELECT 
+      s.*,
+      u.username,
+      u.email as user_email,
+      c.class_name,
+      sec.section_name
+    FROM students s
+    LEFT JOIN users u ON s.user_id = u.id
+    LEFT JOIN classes c ON s.class_id = c.id
+    LEFT JOIN sections sec ON s.section_id = sec.id
+    WHERE s.id = $1
+  `, [studentId]);
+  return result.rows[0] || null;
+}
+
+// Current students (not those who left) in roster order, with the columns
+// of a bulk-import sheet. classId / sectionId narrow the list.
+async function listForExport(db, { classId, sectionId } = {}) {
+  const result = await db.query(`
+    SELECT
+      s.id, s.first_name, s.last_name, u.username, u.email, c.class_name,
+      s.roll_number, s.phone, s.address,
+      to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth,
+      s.blood_group, s.parent_name, s.parent_phone, s.parent_email, s.profile_photo
+    FROM students s
+    JOIN users u ON u.id = s.user_id
+    LEFT JOIN classes c ON c.id = s.class_id
+    WHERE s.left_at IS NULL
+      AND ($1::int IS NULL OR s.class_id = $1)
+      AND ($2::int IS NULL OR c.section_id = $2)
+    ORDER BY c.class_name NULLS LAST, s.roll_number NULLS LAST, s.first_name, s.last_name
+  `, [classId || null, sectionId || null]);
+  return result.rows;
+}
+
+// ---------- year-end promotion ----------
+
+// The class roster with its rows locked until the transaction ends
+async function lockClass(db, classId) {
+  const result = await db.query(`
+    SELECT id, user_id, first_name, last_name, roll_number
+    FROM students
+    WHERE class_id = $1
+    ORDER BY roll_number NULLS LAST, id
+    FOR UPDATE
+  `, [classId]);
+  return result.rows;
+}
+
+async function moveToClass(db, studentIds, classId) {
+  await db.query(
+    'UPDATE students SET class_id = $1, updated_at = NOW() WHERE id = ANY($2)',
+    [classId, studentIds]
+  );
+}
+
+// Students who leave keep their record but drop out of every class
+async function markLeft(db, studentIds, leftOn) {
+  await db.query(`
+    UPDATE students SET class_id = NULL, roll_number = NULL, left_at = $1, updated_at = NOW()
+    WHERE id = ANY($2)
+  `, [leftOn, studentIds]);
+}
+
+// Numbers the class 1..n. order 'alphabetical' sorts by name; 'previous'
+// keeps students who were already in the class first, then everyone else
+// in the roll order they had in the academic year.
+async function renumberClass(db, classId, { academicYearId, order }) {
+  const orderBy = order === 'previous'
+    ? 'CASE WHEN h.class_id = s.class_id THEN 0 ELSE 1 END, COALESCE(h.roll_number, s.roll_number) NULLS LAST, s.first_name, s.last_name, s.id'
+    : 's.first_name, s.last_name, s.id';
+
+  await db.query(`
+    UPDATE students s SET roll_number = numbered.roll_number, updated_at = NOW()
+    FROM (
+      SELECT s.id, ROW_NUMBER() OVER (ORDER BY ${orderBy}) as roll_number
+      FROM students s
+      LEFT JOIN student_class_history h ON h.student_id = s.id AND h.academic_year_id = $2
+      WHERE s.class_id = $1
+    ) numbered
+    WHERE s.id = numbered.id
+  `, [classId, academicYearId]);
+}
+
+module.exports = {
+  listAll,
+  listByClass,
+  findIdByUserId,
+  resolveByUserOrStudentId,
+  rollNumberTaken,
+  create,
+  update,
+  updatePhoto,
+  findWithUsername,
+  findForImport,
+  listForExport,
+  deleteById,
+  findProfileByUserId,
+  findProfileById,
+  findDetail,
+  lockClass,
+  moveToClass,
+  markLeft,
+  renumberClass
+};
@@ -0,0 +1,40 @@
+// ========== SUBJECTS DATA ACCESS ==========
+
+async function listByClass(db, classId) {
+  const result = await db.query(`
+    SELECT id, class_id, name, code, created_at
+    FROM subjects
+    WHERE class_id = $1
+    ORDER BY name
+  `, [classId]);
+  return result.rows;
+}
+
+async function findById(db, id) {
+  const result = await db.query('SELECT id, class_id, name, code, created_at FROM subjects WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function nameTaken(db, classId, name) {
+  const result = await db.query(
+    'SELECT id FROM subjects WHERE class_id = $1 AND LOWER(name) = LOWER($2)',
+    [classId, name]
+  );
+  return result.rows.length > 0;
+}
+
+async function create(db, classId, { name, code }) {
+  const result = await db.query(`
+    INSERT INTO subjects (class_id, name, code)
+    VALUES ($1, $2, $3)
+    RETURNING id, class_id, name, code, created_at
+  `, [classId, name, code || null]);
+  return result.rows[0];
+}
+
+async function deleteById(db, id) {
+  const result = await db.query('DELETE FROM subjects WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+}
+
+module.exports = { listByClass, findById, nameTaken, create, deleteById };
@@ -0,0 +1,90 @@
+// ========== ASSIGNMENT SUBMISSIONS DATA ACCESS ==========
+
+const COLUMNS = `
+  sub.id,
+  sub.assignment_id,
+  sub.student_id,
+  sub.file_path,
+  sub.comment,
+  sub.submitted_at,
+  sub.is_late,
+  sub.marks::float as marks,
+  sub.feedback,
+  sub.graded_by,
+  sub.graded_at
+`;
+
+async function find(db, assignmentId, studentId) {
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM assignment_submissions sub WHERE sub.assignment_id = $1 AND sub.student_id = $2`,
+    [assignmentId, studentId]
+  );
+  return result.rows[0] || null;
+}
+
+// Submitting again replaces the file and re-checks the due date. Late means
+// submitted after the due date, by the database's calendar.
+async function upsert(db, { assignmentId, studentId, filePath, comment }) {
+  const result = await db.query(`
+    WITH sub AS (
+      INSERT INTO assignment_submissions (assignment_id, student_id, file_path, comment, is_late)
+      SELECT a.id, $2, $3, $4, COALESCE(CURRENT_DATE > a.due_date, FALSE)
+      FROM assignments a
+      WHERE a.id = $1
+      ON CONFLICT (assignment_id, student_id) DO UPDATE SET
+        file_path = EXCLUDED.file_path,
+        comment = EXCLUDED.comment,
+        is_late = EXCLUDED.is_late,
+        submitted_at = NOW()
+      RETURNING *
+    )
+    SELECT ${COLUMNS} FROM sub
+  `, [assignmentId, studentId, filePath, comment]);
+  return result.rows[0];
+}
+
+async function grade(db, { assignmentId, studentId, marks, feedback, gradedBy }) {
+  const result = await db.query(`
+    WITH sub AS (
+      UPDATE assignment_submissions SET
+        marks = $3,
+        feedback = $4,
+        graded_by = $5,
+        graded_at = NOW()
+      WHERE assignment_id = $1 AND student_id = $2
+      RETURNING *
+    )
+    SELECT ${COLUMNS} FROM sub
+  `, [assignmentId, studentId, marks, feedback, gradedBy]);
+  return result.rows[0] || null;
+}
+
+// Every student of the class with their submission (if any) for the assignment
+async function statusList(db, assignmentId, classId) {
+  const result = await db.query(`
+    SELECT
+      s.id as student_id,
+      s.first_name,
+      s.last_name,
+      s.roll_number,
+      CASE
+        WHEN sub.id IS NULL THEN 'pending'
+        WHEN sub.is_late THEN 'late'
+        ELSE 'submitted'
+      END as status,
+      sub.id as submission_id,
+      sub.file_path,
+      sub.comment,
+      sub.submitted_at,
+      sub.marks::float as marks,
+      sub.feedback,
+      sub.graded_at
+    FROM students s
+    LEFT JOIN assignment_submissions sub ON sub.student_id = s.id AND sub.assignment_id = $1
+    WHERE s.class_id = $2
+    ORDER BY s.roll_number, s.id
+  `, [assignmentId, classId]);
+  return result.rows;
+}
+
+module.exports = { find, upsert, grade, statusList };
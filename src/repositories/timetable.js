@@ -0,0 +1,169 @@
+// ========== TIMETABLE DATA ACCESS ==========
+// periods: the bell schedule of a section; timetable_entries: what each
+// class has in a period on a weekday.
+
+const PERIOD_COLUMNS = `
+  p.id,
+  p.section_id,
+  p.period_number,
+  p.name,
+  to_char(p.start_time, 'HH24:MI') as start_time,
+  to_char(p.end_time, 'HH24:MI') as end_time,
+  p.is_break
+`;
+
+const ENTRY_SELECT = `
+  SELECT
+    e.id,
+    e.class_id,
+    c.class_name,
+    e.day_of_week,
+    e.period_id,
+    p.period_number,
+    p.name as period_name,
+    to_char(p.start_time, 'HH24:MI') as start_time,
+    to_char(p.end_time, 'HH24:MI') as end_time,
+    e.subject,
+    e.teacher_id,
+    e.teacher_name,
+    e.room
+  FROM timetable_entries e
+  JOIN periods p ON p.id = e.period_id
+  JOIN classes c ON c.id = e.class_id
+`;
+
+// ---------- periods ----------
+async function listPeriods(db, sectionId) {
+  const result = await db.query(`
+    SELECT ${PERIOD_COLUMNS}
+    FROM periods p
+    WHERE p.section_id = $1
+    ORDER BY p.start_time
+  `, [sectionId]);
+  return result.rows;
+}
+
+async function findPeriod(db, id) {
+  const result = await db.query(`SELECT ${PERIOD_COLUMNS} FROM periods p WHERE p.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function periodNumberTaken(db, sectionId, periodNumber) {
+  const result = await db.query(
+    'SELECT id FROM periods WHERE section_id = $1 AND period_number = $2',
+    [sectionId, periodNumber]
+  );
+  return result.rows.length > 0;
+}
+
+// Periods of the section that share any time with [startTime, endTime)
+async function findOverlappingPeriod(db, sectionId, startTime, endTime) {
+  const result = await db.query(`
+    SELECT ${PERIOD_COLUMNS}
+    FROM periods p
+    WHERE p.section_id = $1 AND p.start_time < $3 AND p.end_time > $2
+    ORDER BY p.start_time
+    LIMIT 1
+  `, [sectionId, startTime, endTime]);
+  return result.rows[0] || null;
+}
+
+async function createPeriod(db, sectionId, { period_number, name, start_time, end_time, is_break }) {
+  const result = await db.query(`
+    INSERT INTO periods (section_id, period_number, name, start_time, end_time, is_break)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [sectionId, period_number, name, start_time, end_time, is_break || false]);
+  return findPeriod(db, result.rows[0].id);
+}
+
+async function deletePeriod(db, id) {
+  const result = await db.query('DELETE FROM periods WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+}
+
+// ---------- entries ----------
+async function listForClass(db, classId) {
+  const result = await db.query(`
+    ${ENTRY_SELECT}
+    WHERE e.class_id = $1
+    ORDER BY e.day_of_week, p.start_time
+  `, [classId]);
+  return result.rows;
+}
+
+async function findEntry(db, id) {
+  const result = await db.query(`${ENTRY_SELECT} WHERE e.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+const TIMETABLE_DAY_LOCK = 482002;
+
+// Serialises changes to one weekday so two requests cannot both pass the
+// clash check and book the same teacher or room. Must run inside a transaction.
+async function lockDay(client, dayOfWeek) {
+  await client.query('SELECT pg_advisory_xact_lock($1, $2)', [TIMETABLE_DAY_LOCK, dayOfWeek]);
+}
+
+// Entries of other classes on the same weekday whose period overlaps
+// [startTime, endTime) and that share the teacher or the room. A teacher is
+// matched by account when both entries have one, otherwise by name.
+async function findClashes(db, { classId, dayOfWeek, startTime, endTime, teacherId, teacherName, room }) {
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT
+        clash.*,
+        (CASE
+          WHEN $5::int IS NOT NULL AND clash.teacher_id IS NOT NULL THEN clash.teacher_id = $5
+          ELSE LOWER(clash.teacher_name) = LOWER($6)
+        END) IS TRUE as teacher_clash,
+        (LOWER(clash.room) = LOWER($7)) IS TRUE as room_clash
+      FROM (
+        ${ENTRY_SELECT}
+        WHERE e.class_id != $1 AND e.day_of_week = $2 AND p.start_time < $4 AND p.end_time > $3
+      ) clash
+    ) checked
+    WHERE teacher_clash OR room_clash
+    ORDER BY start_time, class_name
+  `, [classId, dayOfWeek, startTime, endTime, teacherId || null, teacherName || null, room || null]);
+  return result.rows;
+}
+
+// Fills (or replaces) one period of a class's week
+async function upsertEntry(db, classId, { day_of_week, period_id, subject, teacher_id, teacher_name, room }) {
+  const result = await db.query(`
+    INSERT INTO timetable_entries (class_id, day_of_week, period_id, subject, teacher_id, teacher_name, room)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (class_id, day_of_week, period_id) DO UPDATE SET
+      subject = EXCLUDED.subject,
+      teacher_id = EXCLUDED.teacher_id,
+      teacher_name = EXCLUDED.teacher_name,
+      room = EXCLUDED.room,
+      updated_at = NOW()
+    RETURNING id
+  `, [classId, day_of_week, period_id, subject, teacher_id || null, teacher_name || null, room || null]);
+  return findEntry(db, result.rows[0].id);
+}
+
+async function deleteEntry(db, classId, id) {
+  const result = await db.query(
+    'DELETE FROM timetable_entries WHERE id = $1 AND class_id = $2 RETURNING id',
+    [id, classId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  listPeriods,
+  findPeriod,
+  periodNumberTaken,
+  findOverlappingPeriod,
+  createPeriod,
+  deletePeriod,
+  listForClass,
+  findEntry,
+  lockDay,
+  findClashes,
+  upsertEntry,
+  deleteEntry
+};
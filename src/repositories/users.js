@@ -0,0 +1,181 @@
+// ========== USERS DATA ACCESS ==========
+// Every function takes `db`, which may be the pool or a transaction client.
+
+async function findByUsername(db, username) {
+  const result = await db.query(
+    'SELECT id, username, password, role, student_id, disabled_at FROM users WHERE username = $1',
+    [username]
+  );
+  return result.rows[0] || null;
+}
+
+// Whether the account still exists and is not disabled
+async function isActive(db, id) {
+  const result = await db.query('SELECT 1 FROM users WHERE id = $1 AND disabled_at IS NULL', [id]);
+  return result.rows.length > 0;
+}
+
+async function findUsername(db, id) {
+  const result = await db.query('SELECT username FROM users WHERE id = $1', [id]);
+  return result.rows.length > 0 ? result.rows[0].username : null;
+}
+
+async function usernameExists(db, username, excludeUserId = null) {
+  const result = excludeUserId
+    ? await db.query('SELECT id FROM users WHERE username = $1 AND id != $2', [username, excludeUserId])
+    : await db.query('SELECT id FROM users WHERE username = $1', [username]);
+  return result.rows.length > 0;
+}
+
+async function create(db, { username, passwordHash, email, role }) {
+  const result = await db.query(
+    `INSERT INTO users (username, password, email, role, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())
+     RETURNING id, username, email, role, disabled_at, created_at`,
+    [username, passwordHash, email || null, role]
+  );
+  return result.rows[0];
+}
+
+async function updatePassword(db, id, passwordHash) {
+  await db.query(
+    'UPDATE users SET password = $1, updated_at = NOW() WHERE id = $2',
+    [passwordHash, id]
+  );
+}
+
+async function updateCredentials(db, id, { username, email, passwordHash }) {
+  if (passwordHash) {
+    await db.query(
+      'UPDATE users SET username = $1, email = $2, password = $3, updated_at = NOW() WHERE id = $4',
+      [username, email || null, passwordHash, id]
+    );
+  } else {
+    await db.query(
+      'UPDATE users SET username = $1, email = $2, updated_at = NOW() WHERE id = $3',
+      [username, email || null, id]
+    );
+  }
+}
+
+async function updateEmailForStudent(db, studentId, email) {
+  await db.query(
+    'UPDATE users SET email = $1, updated_at = NOW() WHERE id = (SELECT user_id FROM students WHERE id = $2)',
+    [email, studentId]
+  );
+}
+
+async function setStudentId(db, userId, studentId) {
+  await db.query('UPDATE users SET student_id = $1 WHERE id = $2', [studentId, userId]);
+}
+
+async function deleteById(db, id) {
+  await db.query('DELETE FROM users WHERE id = $1', [id]);
+}
+
+async function hasRole(db, id, role) {
+  if (isNaN(id)) return false;
+  const result = await db.query('SELECT id FROM users WHERE id = $1 AND role = $2', [id, role]);
+  return result.rows.length > 0;
+}
+
+// ---------- admins ----------
+const ADMIN_ACCOUNTS_LOCK = 482001;
+
+// Serialises bootstrap/disable so concurrent requests cannot race past the
+// "first admin" and "last active admin" checks. Must run inside a transaction.
+async function lockAdminAccounts(client) {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [ADMIN_ACCOUNTS_LOCK]);
+}
+
+async function anyAdminExists(db) {
+  const result = await db.query("SELECT id FROM users WHERE role = 'admin' LIMIT 1");
+  return result.rows.length > 0;
+}
+
+async function listAdmins(db) {
+  const result = await db.query(`
+    SELECT id, username, email, disabled_at, created_at, updated_at
+    FROM users
+    WHERE role = 'admin'
+    ORDER BY created_at
+  `);
+  return result.rows;
+}
+
+async function findAdmin(db, id) {
+  const result = await db.query(
+    "SELECT id, disabled_at FROM users WHERE id = $1 AND role = 'admin'",
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+async function countActiveAdmins(db) {
+  const result = await db.query(
+    "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND disabled_at IS NULL"
+  );
+  return parseInt(result.rows[0].count);
+}
+
+async function disable(db, id) {
+  const result = await db.query(`
+    UPDATE users SET disabled_at = COALESCE(disabled_at, NOW()), updated_at = NOW()
+    WHERE id = $1
+    RETURNING id, username, email, role, disabled_at
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+async function enableAdmin(db, id) {
+  const result = await db.query(`
+    UPDATE users SET disabled_at = NULL, updated_at = NOW()
+    WHERE id = $1 AND role = 'admin'
+    RETURNING id, username, email, role, disabled_at
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+// ---------- teachers ----------
+async function listTeachers(db) {
+  const result = await db.query(`
+    SELECT
+      u.id,
+      u.username,
+      u.email,
+      u.created_at,
+      COALESCE(
+        json_agg(json_build_object('id', c.id, 'class_name', c.class_name) ORDER BY c.id)
+          FILTER (WHERE c.id IS NOT NULL),
+        '[]'
+      ) as classes
+    FROM users u
+    LEFT JOIN classes c ON c.teacher_id = u.id
+    WHERE u.role = 'teacher'
+    GROUP BY u.id
+    ORDER BY u.created_at DESC
+  `);
+  return result.rows;
+}
+
+module.exports = {
+  findByUsername,
+  isActive,
+  findUsername,
+  usernameExists,
+  create,
+  updatePassword,
+  updateCredentials,
+  updateEmailForStudent,
+  setStudentId,
+  deleteById,
+  hasRole,
+  lockAdminAccounts,
+  anyAdminExists,
+  listAdmins,
+  findAdmin,
+  countActiveAdmins,
+  disable,
+  enableAdmin,
+  listTeachers
+};
@@ -0,0 +1,98 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+const { EXCEPTION_ACTIONS, ROLL_NUMBER_ORDERS } = require('../services/academicYears');
+
+// ========== ACADEMIC YEARS API ==========
+// Mounted at /api/admin/academic-years: the school calendar and year-end promotion
+function createAcademicYearsRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  const yearSchema = {
+    body: {
+      name: { type: 'string', required: true, maxLength: 20, messages: { required: 'Name is required (e.g. 2026-27)' } },
+      start_date: { type: 'date', required: true, label: 'Start date' },
+      end_date: { type: 'date', required: true, after: 'start_date', label: 'End date' },
+      is_current: { type: 'boolean', label: 'Current' }
+    }
+  };
+  const promoteSchema = {
+    params: idParam('id', 'academic year'),
+    body: {
+      from_class_id: { type: 'id', required: true, label: 'Class' },
+      to_class_id: { type: 'id', required: true, label: 'Target class' },
+      roll_numbers: { type: 'enum', values: ROLL_NUMBER_ORDERS, label: 'Roll numbers' },
+      exceptions: {
+        type: 'list',
+        of: {
+          student_id: { type: 'id', required: true, label: 'Student' },
+          action: { type: 'enum', values: EXCEPTION_ACTIONS, required: true }
+        }
+      }
+    }
+  };
+
+  router.get('/', requirePermission('academic-years:manage'), async (req, res) => {
+    try {
+      const years = await services.academicYears.list();
+      res.json({ success: true, academic_years: years });
+    } catch (error) {
+      console.error('❌ Error fetching academic years:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch academic years' });
+    }
+  });
+
+  router.post('/', requirePermission('academic-years:manage'), validate(yearSchema), async (req, res) => {
+    try {
+      const year = await services.academicYears.create(req.body);
+      res.json({ success: true, message: 'Academic year added successfully', academic_year: year });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error adding academic year:', error);
+      res.status(500).json({ success: false, message: 'Failed to add academic year' });
+    }
+  });
+
+  router.put('/:id/current', requirePermission('academic-years:manage'), validate({ params: idParam('id', 'academic year') }), async (req, res) => {
+    try {
+      const year = await services.academicYears.setCurrent(req.params.id);
+      res.json({ success: true, message: `${year.name} is now the current academic year`, academic_year: year });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error setting current academic year:', error);
+      res.status(500).json({ success: false, message: 'Failed to set current academic year' });
+    }
+  });
+
+  // Year-end promotion of one class. Everyone moves to to_class_id except the
+  // students listed in `exceptions`; all or nothing.
+  router.post('/:id/promote', requirePermission('academic-years:manage'), validate(promoteSchema), async (req, res) => {
+    try {
+      const { from_class_id, to_class_id, exceptions, roll_numbers } = req.body;
+
+      const result = await services.academicYears.promote(req.params.id, {
+        fromClassId: from_class_id,
+        toClassId: to_class_id,
+        exceptions: exceptions || [],
+        rollNumbers: roll_numbers,
+        recordedBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: `${result.counts.promoted} students promoted to ${result.to_class.class_name}`,
+        ...result
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error promoting class:', error);
+      res.status(500).json({ success: false, message: 'Failed to promote class' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAcademicYearsRouter };
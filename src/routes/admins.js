@@ -0,0 +1,94 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== ADMIN ACCOUNTS API ==========
+// Mounted at /api/admin/admins
+function createAdminsRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+  const adminId = validate({ params: idParam('id', 'admin') });
+
+  router.get('/', requirePermission('admins:manage'), async (req, res) => {
+    try {
+      const admins = await services.accounts.listAdmins();
+
+      res.json({
+        success: true,
+        admins
+      });
+    } catch (error) {
+      console.error('Error fetching admins:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch admins'
+      });
+    }
+  });
+
+  router.post('/', requirePermission('admins:manage'), async (req, res) => {
+    try {
+      const admin = await services.accounts.createAdmin(req.body);
+
+      res.json({
+        success: true,
+        message: 'Admin added successfully',
+        admin
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error adding admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add admin'
+      });
+    }
+  });
+
+  router.put('/:id/disable', requirePermission('admins:manage'), adminId, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const admin = await services.accounts.disableAdmin(req.user.id, id);
+
+      res.json({
+        success: true,
+        message: 'Admin disabled successfully',
+        admin
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error disabling admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to disable admin'
+      });
+    }
+  });
+
+  router.put('/:id/enable', requirePermission('admins:manage'), adminId, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const admin = await services.accounts.enableAdmin(id);
+
+      res.json({
+        success: true,
+        message: 'Admin enabled successfully',
+        admin
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error enabling admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to enable admin'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminsRouter };
@@ -0,0 +1,152 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== ASSIGNMENTS API WITH FCM BATCHING ==========
+// Mounted at /api/admin/assignments
+function createAssignmentsRouter({ services, auth, storage }) {
+  const router = express.Router();
+  const { requirePermission, requireClassAccess } = auth;
+  const { upload } = storage;
+
+  // Class resolvers for requireClassAccess: the assignment's current class
+  // plus the one it is being moved to
+  const classIdFromBody = req => [req.body.class_id];
+  const assignmentClassIds = async req => [
+    await services.assignments.classIdOf(req.params.id),
+    req.body.class_id
+  ];
+
+  const assignmentFields = {
+    class_id: { type: 'id', required: true, label: 'Class' },
+    title: { type: 'string', required: true, maxLength: 255 },
+    description: { type: 'string' },
+    due_date: { type: 'date', label: 'Due date' },
+    max_marks: { type: 'number', min: 1, max: 9999, label: 'Maximum marks' }
+  };
+  const createSchema = { body: assignmentFields };
+  const updateSchema = { params: idParam('id', 'assignment'), body: assignmentFields };
+  const gradeSchema = {
+    params: { ...idParam('id', 'assignment'), ...idParam('studentId', 'student') },
+    body: {
+      marks: { type: 'number', required: true, min: 0, max: 9999 },
+      feedback: { type: 'string', maxLength: 2000 }
+    }
+  };
+
+  router.get('/', requirePermission('assignments:read'), async (req, res) => {
+    try {
+      const assignments = await services.assignments.list();
+      res.json({ success: true, assignments });
+    } catch (error) {
+      console.error('Error fetching assignments:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch assignments' });
+    }
+  });
+
+  router.post('/', requirePermission('assignments:write'), upload.single('assignmentFile'), validate(createSchema), requireClassAccess(classIdFromBody), async (req, res) => {
+    try {
+      const { class_id, title, description, due_date, max_marks } = req.body;
+      const file_path = req.file ? req.file.path : null;
+
+      const assignment = await services.assignments.create({ class_id, title, description, file_path, due_date, max_marks });
+
+      res.json({ success: true, message: 'Assignment created successfully', assignment });
+
+    } catch (error) {
+      console.error('Error creating assignment:', error);
+      res.status(500).json({ success: false, message: 'Failed to create assignment' });
+    }
+  });
+
+  router.delete('/:id', requirePermission('assignments:write'), validate({ params: idParam('id', 'assignment') }), requireClassAccess(assignmentClassIds), async (req, res) => {
+    try {
+      await services.assignments.remove(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Assignment deleted successfully'
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error deleting assignment:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete assignment' });
+    }
+  });
+
+  router.put('/:id', requirePermission('assignments:write'), upload.single('assignmentFile'), validate(updateSchema), requireClassAccess(assignmentClassIds), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { class_id, title, description, due_date, max_marks } = req.body;
+      const file_path = req.file ? req.file.path : null;
+
+      const assignment = await services.assignments.update(id, { class_id, title, description, file_path, due_date, max_marks });
+
+      res.json({
+        success: true,
+        message: 'Assignment updated successfully',
+        assignment
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error updating assignment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update assignment'
+      });
+    }
+  });
+
+  // FCM delivery report: summary counts plus every recipient's outcome
+  router.get('/:id/deliveries', requirePermission('assignments:read'), validate({ params: idParam('id', 'assignment') }), requireClassAccess(assignmentClassIds), async (req, res) => {
+    try {
+      const report = await services.assignments.deliveryReport(req.params.id);
+      res.json({ success: true, ...report });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error fetching delivery report:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch delivery report' });
+    }
+  });
+
+  // ========== SUBMISSIONS & GRADING ==========
+  // Every student of the class with status 'submitted', 'late' or 'pending'
+  router.get('/:id/submissions', requirePermission('assignments:read'), validate({ params: idParam('id', 'assignment') }), requireClassAccess(assignmentClassIds), async (req, res) => {
+    try {
+      const result = await services.assignments.submissions(req.params.id);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error fetching submissions:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch submissions' });
+    }
+  });
+
+  router.put('/:id/submissions/:studentId/grade', requirePermission('assignments:write'), validate(gradeSchema), requireClassAccess(assignmentClassIds), async (req, res) => {
+    try {
+      const { marks, feedback } = req.body;
+
+      const submission = await services.assignments.grade(req.params.id, req.params.studentId, {
+        marks,
+        feedback,
+        gradedBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Submission graded successfully',
+        submission
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error grading submission:', error);
+      res.status(500).json({ success: false, message: 'Failed to grade submission' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAssignmentsRouter };
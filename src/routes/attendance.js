@@ -0,0 +1,108 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+const { ATTENDANCE_STATUSES } = require('../services/attendance');
+
+// ========== ATTENDANCE API ==========
+// Mounted at /api/admin/attendance. Teachers only reach their own classes.
+function createAttendanceRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission, requireClassAccess } = auth;
+
+  const classFromParams = req => [req.params.classId];
+  const classOfStudent = async req => [await services.attendance.classIdOfStudent(req.params.studentId)];
+
+  const rollCallSchema = {
+    params: idParam('classId', 'class'),
+    query: { date: { type: 'date' } }
+  };
+  const markSchema = {
+    params: idParam('classId', 'class'),
+    body: {
+      date: { type: 'date', required: true },
+      default_status: { type: 'enum', values: ATTENDANCE_STATUSES, label: 'Default status' },
+      records: {
+        type: 'list',
+        required: body => !body.default_status,
+        of: {
+          student_id: { type: 'id', required: true, label: 'Student' },
+          status: { type: 'enum', values: ATTENDANCE_STATUSES, required: true },
+          remarks: { type: 'string', maxLength: 500 }
+        }
+      }
+    }
+  };
+  const classSummarySchema = {
+    params: idParam('classId', 'class'),
+    query: { month: { type: 'month' } }
+  };
+  const studentSummarySchema = {
+    params: idParam('studentId', 'student'),
+    query: { month: { type: 'month' } }
+  };
+
+  // Roll call: every student of the class in roll-number order with the
+  // status recorded for the date (null while unmarked). Defaults to today.
+  router.get('/class/:classId', requirePermission('attendance:read'), validate(rollCallSchema), requireClassAccess(classFromParams), async (req, res) => {
+    try {
+      const rollCall = await services.attendance.rollCall(req.params.classId, req.query.date);
+      res.json({ success: true, ...rollCall });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error fetching roll call:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch attendance' });
+    }
+  });
+
+  // Marks the whole class for a date in one request. Students left out of
+  // `records` get `default_status` when it is given; re-marking overwrites.
+  router.put('/class/:classId', requirePermission('attendance:write'), validate(markSchema), requireClassAccess(classFromParams), async (req, res) => {
+    try {
+      const { date, records, default_status } = req.body;
+
+      const result = await services.attendance.markClass(req.params.classId, {
+        date,
+        records: records || [],
+        defaultStatus: default_status,
+        markedBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: `Attendance saved for ${result.records.length} students`,
+        ...result
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error saving attendance:', error);
+      res.status(500).json({ success: false, message: 'Failed to save attendance' });
+    }
+  });
+
+  router.get('/class/:classId/summary', requirePermission('attendance:read'), validate(classSummarySchema), requireClassAccess(classFromParams), async (req, res) => {
+    try {
+      const summary = await services.attendance.classSummary(req.params.classId, req.query.month);
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error fetching class attendance summary:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch attendance summary' });
+    }
+  });
+
+  router.get('/student/:studentId', requirePermission('attendance:read'), validate(studentSummarySchema), requireClassAccess(classOfStudent), async (req, res) => {
+    try {
+      const history = await services.attendance.studentHistory(req.params.studentId, req.query.month);
+      res.json({ success: true, ...history });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error fetching student attendance:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch attendance' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAttendanceRouter };
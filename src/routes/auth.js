@@ -0,0 +1,112 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+
+// ========== AUTH ROUTES ==========
+// Mounted at /api: login, token refresh, logout and first-run admin setup.
+function createAuthRouter({ services, auth }) {
+  const router = express.Router();
+
+  const loginSchema = {
+    body: {
+      username: { type: 'string', required: true },
+      password: { type: 'string', required: true }
+    }
+  };
+  const refreshSchema = {
+    body: {
+      refreshToken: { type: 'string', required: true, label: 'Refresh token' }
+    }
+  };
+  const logoutSchema = {
+    body: {
+      refreshToken: { type: 'string', required: body => !body.all, label: 'Refresh token' },
+      all: { type: 'boolean' },
+      // Push token of the device signing out; it stops receiving pushes
+      device_token: { type: 'string', maxLength: 4096, label: 'Device token' }
+    }
+  };
+
+  router.post('/login', validate(loginSchema), async (req, res) => {
+    try {
+      console.log('📍 Login request received');
+      const { username, password } = req.body;
+
+      const { user, session } = await services.auth.login(username, password);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        user,
+        ...session
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error, { user: null });
+      console.error('❌ Login error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        user: null
+      });
+    }
+  });
+
+  router.post('/token/refresh', validate(refreshSchema), async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const session = await services.auth.refresh(refreshToken);
+
+      res.json({
+        success: true,
+        message: 'Token refreshed',
+        ...session
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Token refresh error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  router.post('/logout', auth.authenticate, validate(logoutSchema), async (req, res) => {
+    try {
+      const { refreshToken, all, device_token } = req.body;
+
+      await services.auth.logout(req.user.id, { refreshToken, all });
+      if (device_token) await services.devices.unregister(req.user.id, device_token);
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('❌ Logout error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  router.post('/setup-admin', async (req, res) => {
+    try {
+      const user = await services.accounts.bootstrapAdmin(req.headers['x-setup-token'], req.body);
+
+      res.json({
+        success: true,
+        message: 'Admin user created',
+        user
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Setup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create admin user'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,165 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+const { IMPORT_MODES } = require('../services/studentImport');
+
+// ========== BULK UPLOAD ==========
+// Mounted at /api/admin/students, next to the students router. Uploads are
+// imported in the background: they answer 202 with the queued job, whose
+// progress and per-row results are read from /bulk-upload/jobs/:id.
+function createBulkImportRouter({ services, auth, storage }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+  const { upload } = storage;
+
+  // Parent accounts are created from the parent contact columns unless
+  // create_parents=false is sent with the file. mode picks what happens to
+  // rows matching an existing student: 'create' (default) rejects them,
+  // 'update' only updates existing students, 'upsert' does both. dry_run=true
+  // only checks the file and keeps it as a batch to commit later.
+  const optionsSchema = {
+    mode: { type: 'enum', values: IMPORT_MODES },
+    create_parents: { type: 'boolean', label: 'Create parents' },
+    dry_run: { type: 'boolean', label: 'Dry run' }
+  };
+  const excelSchema = {
+    body: optionsSchema,
+    file: { excelFile: { type: 'file', required: true, label: 'Excel file' } }
+  };
+  const zipSchema = {
+    body: optionsSchema,
+    file: { zipFile: { type: 'file', required: true, label: 'ZIP file' } }
+  };
+  const batchSchema = { params: idParam('id', 'import batch') };
+  const jobSchema = { params: idParam('id', 'import job') };
+  const importOptions = req => ({
+    mode: req.body.mode || 'create',
+    createParents: req.body.create_parents !== false,
+    originalName: req.file.originalname,
+    createdBy: req.user.id
+  });
+
+  const sendQueued = (res, job) => res.status(202).json({
+    success: true,
+    message: `Import of ${job.total} students queued`,
+    data: job
+  });
+
+  async function sendPreview(req, res, preview) {
+    const batch = await preview(req.file.path, importOptions(req));
+    res.json({
+      success: true,
+      message: `Checked ${batch.total} rows: ${batch.valid} ready to import, ${batch.invalid} with errors`,
+      data: batch
+    });
+  }
+
+  router.post('/bulk-upload', requirePermission('students:write'), upload.single('excelFile'), validate(excelSchema), async (req, res) => {
+    try {
+      if (req.body.dry_run) return await sendPreview(req, res, services.studentImport.previewExcel);
+
+      return sendQueued(res, await services.studentImport.queueExcel(req.file.path, importOptions(req)));
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error in bulk upload:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload students',
+        error: error.message
+      });
+    } finally {
+      if (req.file) storage.remove(req.file.path);
+    }
+  });
+
+  router.post('/bulk-upload-zip', requirePermission('students:write'), upload.single('zipFile'), validate(zipSchema), async (req, res) => {
+    try {
+      if (req.body.dry_run) return await sendPreview(req, res, services.studentImport.previewZip);
+
+      return sendQueued(res, await services.studentImport.queueZip(req.file.path, importOptions(req)));
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error in ZIP bulk upload:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload students from ZIP',
+        error: error.message
+      });
+    } finally {
+      if (req.file) storage.remove(req.file.path);
+    }
+  });
+
+  // ========== PREVIEWED BATCHES ==========
+  router.get('/bulk-upload/batches/:id', requirePermission('students:write'), validate(batchSchema), async (req, res) => {
+    try {
+      const batch = await services.studentImport.getBatch(req.params.id);
+      res.json({ success: true, batch });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching import batch:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch import batch' });
+    }
+  });
+
+  router.post('/bulk-upload/batches/:id/commit', requirePermission('students:write'), validate(batchSchema), async (req, res) => {
+    try {
+      sendQueued(res, await services.studentImport.commitBatch(req.params.id, { createdBy: req.user.id }));
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error committing import batch:', error);
+      res.status(500).json({ success: false, message: 'Failed to queue import', error: error.message });
+    }
+  });
+
+  router.delete('/bulk-upload/batches/:id', requirePermission('students:write'), validate(batchSchema), async (req, res) => {
+    try {
+      await services.studentImport.discardBatch(req.params.id);
+      res.json({ success: true, message: 'Import batch discarded' });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error discarding import batch:', error);
+      res.status(500).json({ success: false, message: 'Failed to discard import batch' });
+    }
+  });
+
+  // ========== IMPORT JOBS ==========
+  router.get('/bulk-upload/jobs', requirePermission('students:write'), async (req, res) => {
+    try {
+      const jobs = await services.studentImport.listJobs();
+      res.json({ success: true, jobs });
+    } catch (error) {
+      console.error('❌ Error fetching import jobs:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch import jobs' });
+    }
+  });
+
+  router.get('/bulk-upload/jobs/:id', requirePermission('students:write'), validate(jobSchema), async (req, res) => {
+    try {
+      const job = await services.studentImport.getJob(req.params.id);
+      res.json({ success: true, job });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching import job:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch import job' });
+    }
+  });
+
+  router.post('/bulk-upload/jobs/:id/cancel', requirePermission('students:write'), validate(jobSchema), async (req, res) => {
+    try {
+      const job = await services.studentImport.cancelJob(req.params.id);
+      res.json({ success: true, message: 'Import job cancelled', job });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error cancelling import job:', error);
+      res.status(500).json({ success: false, message: 'Failed to cancel import job' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBulkImportRouter };
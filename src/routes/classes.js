@@ -0,0 +1,108 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== CLASSES API ==========
+// Mounted at /api/admin/classes
+function createClassesRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  const classId = validate({ params: idParam('id', 'class') });
+  const classSchema = {
+    body: {
+      class_name: { type: 'string', required: true, maxLength: 100 },
+      section_id: { type: 'id', required: true },
+      teacher_name: { type: 'string', required: true, maxLength: 150 },
+      teacher_id: { type: 'id', label: 'Teacher' }
+    }
+  };
+  const teacherSchema = {
+    params: idParam('id', 'class'),
+    body: {
+      teacher_id: { type: 'id', label: 'Teacher' },
+      teacher_name: { type: 'string', maxLength: 150 }
+    }
+  };
+
+  router.get('/', requirePermission('classes:read'), async (req, res) => {
+    try {
+      const classes = await services.classes.list();
+      res.json({ success: true, classes });
+    } catch (error) {
+      console.error('Error fetching classes:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch classes' });
+    }
+  });
+
+  router.post('/', requirePermission('classes:write'), validate(classSchema), async (req, res) => {
+    try {
+      const { class_name, section_id, teacher_name, teacher_id } = req.body;
+
+      const created = await services.classes.create({ class_name, section_id, teacher_name, teacher_id });
+
+      res.json({
+        success: true,
+        message: 'Class added successfully',
+        class: created
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error adding class:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add class',
+        error: error.message
+      });
+    }
+  });
+
+  router.delete('/:id', requirePermission('classes:write'), classId, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await services.classes.remove(id);
+
+      res.json({
+        success: true,
+        message: 'Class deleted successfully'
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error deleting class:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete class'
+      });
+    }
+  });
+
+  router.put('/:id/teacher', requirePermission('classes:write'), validate(teacherSchema), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { teacher_id, teacher_name } = req.body;
+
+      const updated = await services.classes.assignTeacher(id, { teacher_id, teacher_name });
+
+      res.json({
+        success: true,
+        message: teacher_id ? 'Teacher assigned successfully' : 'Teacher unassigned successfully',
+        class: updated
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error assigning teacher:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign teacher'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createClassesRouter };
@@ -0,0 +1,58 @@
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const { DEVICE_FIELDS } = require('../validation');
+
+// ========== PUSH DEVICES API ==========
+// Mounted at /api/devices for any signed-in account. The apps register the
+// FCM token on every start and unregister it on logout (or pass it as
+// device_token to POST /api/logout).
+function createDevicesRouter({ services }) {
+  const router = express.Router();
+
+  const registerSchema = {
+    body: {
+      token: { type: 'string', required: true, maxLength: 4096, label: 'Device token' },
+      ...DEVICE_FIELDS
+    }
+  };
+  const tokenParam = {
+    params: { token: { type: 'string', required: true, maxLength: 4096, label: 'Device token' } }
+  };
+
+  router.get('/', async (req, res) => {
+    try {
+      const devices = await services.devices.list(req.user.id);
+      res.json({ success: true, devices });
+    } catch (error) {
+      console.error('❌ Error fetching devices:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch devices' });
+    }
+  });
+
+  router.post('/', validate(registerSchema), async (req, res) => {
+    try {
+      const device = await services.devices.register(req.user.id, req.body);
+      res.json({ success: true, message: 'Device registered successfully', device });
+    } catch (error) {
+      console.error('❌ Error registering device:', error);
+      res.status(500).json({ success: false, message: 'Failed to register device' });
+    }
+  });
+
+  router.delete('/:token', validate(tokenParam), async (req, res) => {
+    try {
+      const removed = await services.devices.unregister(req.user.id, req.params.token);
+      res.json({
+        success: true,
+        message: removed ? 'Device unregistered successfully' : 'Device was not registered'
+      });
+    } catch (error) {
+      console.error('❌ Error unregistering device:', error);
+      res.status(500).json({ success: false, message: 'Failed to unregister device' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDevicesRouter };
@@ -0,0 +1,132 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== EXAMS API ==========
+// Mounted at /api/admin/exams: exam definitions and marks entry per class.
+// Teachers enter marks for their own classes only.
+function createExamsRouter({ services, auth, storage }) {
+  const router = express.Router();
+  const { requirePermission, requireClassAccess } = auth;
+  const { upload } = storage;
+
+  const classFromParams = req => [req.params.classId];
+
+  const listSchema = {
+    query: {
+      term: { type: 'string', maxLength: 50 },
+      academic_year_id: { type: 'id', label: 'Academic year' }
+    }
+  };
+  const examSchema = {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      term: { type: 'string', maxLength: 50 },
+      academic_year_id: { type: 'id', label: 'Academic year' },
+      exam_date: { type: 'date', label: 'Exam date' },
+      max_marks: { type: 'number', min: 1, max: 1000, label: 'Max marks' },
+      weightage: { type: 'number', min: 1, max: 100 }
+    }
+  };
+  const sheetParams = { ...idParam('examId', 'exam'), ...idParam('classId', 'class') };
+  const marksSchema = {
+    params: sheetParams,
+    body: {
+      records: {
+        type: 'list',
+        required: true,
+        of: {
+          student_id: { type: 'id', required: true, label: 'Student' },
+          subject_id: { type: 'id', required: true, label: 'Subject' },
+          marks: { type: 'number', min: 0 },
+          absent: { type: 'boolean' }
+        }
+      }
+    }
+  };
+  const uploadSchema = {
+    params: sheetParams,
+    file: { marksFile: { type: 'file', required: true, label: 'Marks file' } }
+  };
+
+  router.get('/', requirePermission('results:read'), validate(listSchema), async (req, res) => {
+    try {
+      const exams = await services.exams.list({ term: req.query.term, academicYearId: req.query.academic_year_id });
+      res.json({ success: true, exams });
+    } catch (error) {
+      console.error('❌ Error fetching exams:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch exams' });
+    }
+  });
+
+  router.post('/', requirePermission('results:manage'), validate(examSchema), async (req, res) => {
+    try {
+      const exam = await services.exams.create(req.body);
+      res.json({ success: true, message: 'Exam added successfully', exam });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error adding exam:', error);
+      res.status(500).json({ success: false, message: 'Failed to add exam' });
+    }
+  });
+
+  router.delete('/:id', requirePermission('results:manage'), validate({ params: idParam('id', 'exam') }), async (req, res) => {
+    try {
+      await services.exams.remove(req.params.id);
+      res.json({ success: true, message: 'Exam deleted successfully' });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error deleting exam:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete exam' });
+    }
+  });
+
+  router.get('/:examId/marks/class/:classId', requirePermission('results:read'), validate({ params: sheetParams }), requireClassAccess(classFromParams), async (req, res) => {
+    try {
+      const sheet = await services.exams.marksSheet(req.params.examId, req.params.classId);
+      res.json({ success: true, ...sheet });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching marks:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch marks' });
+    }
+  });
+
+  // Bulk entry: each record is one student's marks in one subject, or
+  // absent: true. Rejected as a whole if any record is invalid.
+  router.put('/:examId/marks/class/:classId', requirePermission('results:write'), validate(marksSchema), requireClassAccess(classFromParams), async (req, res) => {
+    try {
+      const { saved } = await services.exams.enterMarks(req.params.examId, req.params.classId, {
+        records: req.body.records,
+        enteredBy: req.user.id
+      });
+      res.json({ success: true, message: `Saved ${saved} marks`, saved });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error saving marks:', error);
+      res.status(500).json({ success: false, message: 'Failed to save marks' });
+    }
+  });
+
+  router.post('/:examId/marks/class/:classId/upload', requirePermission('results:write'), upload.single('marksFile'), validate(uploadSchema), requireClassAccess(classFromParams), async (req, res) => {
+    try {
+      const result = await services.exams.importMarksSheet(req.params.examId, req.params.classId, req.file.path, req.user.id);
+      res.json({
+        success: true,
+        message: `Imported marks for ${result.students}/${result.total} students`,
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error uploading marks:', error);
+      res.status(500).json({ success: false, message: 'Failed to upload marks', error: error.message });
+    } finally {
+      if (req.file) storage.remove(req.file.path);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createExamsRouter };
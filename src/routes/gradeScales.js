@@ -0,0 +1,63 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== GRADE SCALES API ==========
+// Mounted at /api/admin/grade-scales
+function createGradeScalesRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  const scaleSchema = {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      is_default: { type: 'boolean', label: 'Default' },
+      bands: {
+        type: 'list',
+        required: true,
+        of: {
+          grade: { type: 'string', required: true, maxLength: 5 },
+          min_percentage: { type: 'number', required: true, min: 0, max: 100, label: 'Minimum percentage' },
+          remark: { type: 'string', maxLength: 100 }
+        }
+      }
+    }
+  };
+
+  router.get('/', requirePermission('results:read'), async (req, res) => {
+    try {
+      const scales = await services.gradeScales.list();
+      res.json({ success: true, grade_scales: scales });
+    } catch (error) {
+      console.error('❌ Error fetching grade scales:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch grade scales' });
+    }
+  });
+
+  router.post('/', requirePermission('results:manage'), validate(scaleSchema), async (req, res) => {
+    try {
+      const scale = await services.gradeScales.create(req.body);
+      res.json({ success: true, message: 'Grade scale added successfully', grade_scale: scale });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error adding grade scale:', error);
+      res.status(500).json({ success: false, message: 'Failed to add grade scale' });
+    }
+  });
+
+  router.put('/:id/default', requirePermission('results:manage'), validate({ params: idParam('id', 'grade scale') }), async (req, res) => {
+    try {
+      const scale = await services.gradeScales.setDefault(req.params.id);
+      res.json({ success: true, message: `${scale.name} is now the default grade scale`, grade_scale: scale });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error setting default grade scale:', error);
+      res.status(500).json({ success: false, message: 'Failed to set default grade scale' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGradeScalesRouter };
@@ -0,0 +1,122 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam, NOTIFICATION_FIELDS } = require('../validation');
+
+// ========== NOTIFICATIONS API WITH FCM BATCHING ==========
+// Mounted at /api/admin/notifications
+function createNotificationsRouter({ services, auth, storage }) {
+  const router = express.Router();
+  const { requirePermission, requireClassAccess } = auth;
+  const { upload } = storage;
+
+  // Class resolvers for requireClassAccess: the notification's current class
+  // plus the one it is being moved to
+  const classIdFromBody = req => [req.body.class_id];
+  const notificationClassIds = async req => [
+    await services.notifications.classIdOf(req.params.id),
+    req.body.class_id
+  ];
+
+  const createSchema = { body: NOTIFICATION_FIELDS };
+  const updateSchema = { params: idParam('id', 'notification'), body: NOTIFICATION_FIELDS };
+
+  router.get('/', requirePermission('notifications:read'), async (req, res) => {
+    try {
+      const notifications = await services.notifications.list();
+      res.json({ success: true, notifications });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch notifications' });
+    }
+  });
+
+  // FCM delivery report: summary counts plus every recipient's outcome
+  router.get('/:id/deliveries', requirePermission('notifications:read'), validate({ params: idParam('id', 'notification') }), requireClassAccess(notificationClassIds), async (req, res) => {
+    try {
+      const report = await services.notifications.deliveryReport(req.params.id);
+      res.json({ success: true, ...report });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error fetching delivery report:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch delivery report' });
+    }
+  });
+
+  router.post('/', requirePermission('notifications:write'), upload.single('notificationFile'), validate(createSchema), requireClassAccess(classIdFromBody), async (req, res) => {
+    try {
+      const { title, description, message, class_id, recipient_type, selected_students } = req.body;
+      const file_path = req.file ? req.file.path : null;
+
+      const notification = await services.notifications.create({
+        title, description, message, class_id, recipient_type,
+        selected_students: selected_students || null,
+        file_path,
+        created_by: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Notification created successfully',
+        notification
+      });
+
+    } catch (error) {
+      console.error('Error creating notification:', error);
+      res.status(500).json({ success: false, message: 'Failed to create notification' });
+    }
+  });
+
+  router.put('/:id', requirePermission('notifications:write'), upload.single('notificationFile'), validate(updateSchema), requireClassAccess(notificationClassIds), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { title, description, message, class_id, recipient_type, selected_students } = req.body;
+      const file_path = req.file ? req.file.path : null;
+
+      const notification = await services.notifications.update(id, {
+        title, description, message, class_id, recipient_type,
+        selected_students: selected_students || null,
+        file_path
+      });
+
+      res.json({
+        success: true,
+        message: 'Notification updated successfully',
+        notification
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error updating notification:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notification'
+      });
+    }
+  });
+
+  router.delete('/:id', requirePermission('notifications:write'), validate({ params: idParam('id', 'notification') }), requireClassAccess(notificationClassIds), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await services.notifications.remove(id);
+
+      res.json({
+        success: true,
+        message: 'Notification deleted successfully'
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error deleting notification:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete notification'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,92 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== PARENTS API ==========
+// Mounted at /api/admin/parents: parent accounts and the children linked to them
+function createParentsRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  const parentId = validate({ params: idParam('id', 'parent') });
+  const createSchema = {
+    body: {
+      username: { type: 'string', required: true, maxLength: 100 },
+      password: { type: 'string', required: true, minLength: 6 },
+      full_name: { type: 'string', maxLength: 150, label: 'Full name' },
+      email: { type: 'email', maxLength: 255 },
+      phone: { type: 'phone' },
+      student_ids: { type: 'idList', label: 'Students' }
+    }
+  };
+  const linkSchema = {
+    params: idParam('id', 'parent'),
+    body: {
+      student_id: { type: 'id', required: true, label: 'Student' },
+      relationship: { type: 'string', maxLength: 30 }
+    }
+  };
+  const unlinkSchema = {
+    params: { ...idParam('id', 'parent'), ...idParam('studentId', 'student') }
+  };
+
+  router.get('/', requirePermission('parents:manage'), async (req, res) => {
+    try {
+      const parents = await services.parents.list();
+      res.json({ success: true, parents });
+    } catch (error) {
+      console.error('❌ Error fetching parents:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch parents' });
+    }
+  });
+
+  router.get('/:id', requirePermission('parents:manage'), parentId, async (req, res) => {
+    try {
+      const parent = await services.parents.get(req.params.id);
+      res.json({ success: true, parent });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching parent:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch parent' });
+    }
+  });
+
+  router.post('/', requirePermission('parents:manage'), validate(createSchema), async (req, res) => {
+    try {
+      const parent = await services.parents.create(req.body);
+      res.json({ success: true, message: 'Parent added successfully', parent });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error adding parent:', error);
+      res.status(500).json({ success: false, message: 'Failed to add parent' });
+    }
+  });
+
+  router.post('/:id/children', requirePermission('parents:manage'), validate(linkSchema), async (req, res) => {
+    try {
+      const { student_id, relationship } = req.body;
+      const parent = await services.parents.link(req.params.id, student_id, relationship);
+      res.json({ success: true, message: 'Student linked to parent', parent });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error linking parent:', error);
+      res.status(500).json({ success: false, message: 'Failed to link student' });
+    }
+  });
+
+  router.delete('/:id/children/:studentId', requirePermission('parents:manage'), validate(unlinkSchema), async (req, res) => {
+    try {
+      const parent = await services.parents.unlink(req.params.id, req.params.studentId);
+      res.json({ success: true, message: 'Student unlinked from parent', parent });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error unlinking parent:', error);
+      res.status(500).json({ success: false, message: 'Failed to unlink student' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createParentsRouter };
@@ -0,0 +1,61 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+const REPORT_CARD_FORMATS = ['json', 'pdf', 'xlsx'];
+
+// Query accepted wherever a report card is served
+const REPORT_CARD_QUERY = {
+  term: { type: 'string', maxLength: 50 },
+  academic_year_id: { type: 'id', label: 'Academic year' },
+  grade_scale_id: { type: 'id', label: 'Grade scale' },
+  format: { type: 'enum', values: REPORT_CARD_FORMATS }
+};
+
+// Builds the card for req.params.studentId and sends it as JSON or, with
+// ?format=pdf|xlsx, as a file download
+async function sendReportCard(services, req, res) {
+  const { term, academic_year_id, grade_scale_id, format = 'json' } = req.query;
+  const card = await services.reportCards.forStudent(req.params.studentId, {
+    term,
+    academicYearId: academic_year_id,
+    gradeScaleId: grade_scale_id
+  });
+
+  if (format === 'json') {
+    return res.json({ success: true, data: card });
+  }
+
+  const { buffer, contentType, filename } = await services.reportCards.render(card, format);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buffer);
+}
+
+// ========== REPORT CARDS API ==========
+// Mounted at /api/admin/report-cards. Teachers see their own classes' students.
+function createReportCardsRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission, requireClassAccess } = auth;
+
+  const classOfStudent = async req => [await services.attendance.classIdOfStudent(req.params.studentId)];
+  const reportCardSchema = {
+    params: idParam('studentId', 'student'),
+    query: REPORT_CARD_QUERY
+  };
+
+  router.get('/student/:studentId', requirePermission('results:read'), validate(reportCardSchema), requireClassAccess(classOfStudent), async (req, res) => {
+    try {
+      await sendReportCard(services, req, res);
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error building report card:', error);
+      res.status(500).json({ success: false, message: 'Failed to build report card' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createReportCardsRouter, sendReportCard, REPORT_CARD_QUERY };
@@ -0,0 +1,135 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam, NOTIFICATION_FIELDS } = require('../validation');
+const { WEEKDAYS, REPEATS } = require('../services/scheduledNotifications');
+
+// ========== SCHEDULED NOTIFICATIONS API ==========
+// Mounted at /api/admin/scheduled-notifications. Jobs are sent by the
+// background dispatcher (src/services/notificationDispatcher.js).
+//   repeat 'none'    send once at send_at
+//   repeat 'daily'   every day at time_of_day
+//   repeat 'weekly'  on weekdays (e.g. ['mon']) at time_of_day
+// Recurring jobs may use section_id + minutes_before_start instead of
+// time_of_day, e.g. 30 minutes before the Morning section starts.
+function createScheduledNotificationsRouter({ services, auth, storage }) {
+  const router = express.Router();
+  const { requirePermission, requireClassAccess } = auth;
+  const { upload } = storage;
+
+  const classIdFromBody = req => [req.body.class_id];
+  const jobClassIds = async req => [
+    await services.scheduledNotifications.classIdOf(req.params.id),
+    req.body.class_id
+  ];
+
+  const recurring = body => body.repeat === 'daily' || body.repeat === 'weekly';
+  const jobFields = {
+    ...NOTIFICATION_FIELDS,
+    repeat: { type: 'enum', values: REPEATS },
+    send_at: {
+      type: 'datetime',
+      required: body => !recurring(body),
+      label: 'Send time'
+    },
+    weekdays: { type: 'enumList', values: WEEKDAYS, required: body => body.repeat === 'weekly' },
+    time_of_day: {
+      type: 'time',
+      required: body => recurring(body) && !body.section_id,
+      label: 'Time of day',
+      messages: { required: 'Time of day or section is required for recurring notifications' }
+    },
+    section_id: { type: 'id', label: 'Section' },
+    minutes_before_start: { type: 'integer', min: 0, max: 720, label: 'Minutes before start' },
+    time_zone: { type: 'string', maxLength: 64, label: 'Time zone' }
+  };
+  const createSchema = { body: jobFields };
+  const updateSchema = { params: idParam('id', 'scheduled notification'), body: jobFields };
+  const idSchema = { params: idParam('id', 'scheduled notification') };
+  const listSchema = { query: { status: { type: 'enum', values: ['pending', 'sent', 'cancelled'] } } };
+
+  const jobFromBody = req => {
+    const { selected_students, ...fields } = req.body;
+    return {
+      ...fields,
+      selected_students: selected_students || null,
+      file_path: req.file ? req.file.path : null
+    };
+  };
+
+  router.get('/', requirePermission('notifications:read'), validate(listSchema), async (req, res) => {
+    try {
+      const jobs = await services.scheduledNotifications.list(req.query.status);
+      res.json({ success: true, jobs });
+    } catch (error) {
+      console.error('Error fetching scheduled notifications:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch scheduled notifications' });
+    }
+  });
+
+  router.get('/:id', requirePermission('notifications:read'), validate(idSchema), requireClassAccess(jobClassIds), async (req, res) => {
+    try {
+      const job = await services.scheduledNotifications.get(req.params.id);
+      res.json({ success: true, job });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error fetching scheduled notification:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch scheduled notification' });
+    }
+  });
+
+  router.post('/', requirePermission('notifications:write'), upload.single('notificationFile'), validate(createSchema), requireClassAccess(classIdFromBody), async (req, res) => {
+    try {
+      const job = await services.scheduledNotifications.create({
+        ...jobFromBody(req),
+        created_by: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Notification scheduled successfully',
+        job
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error scheduling notification:', error);
+      res.status(500).json({ success: false, message: 'Failed to schedule notification' });
+    }
+  });
+
+  router.put('/:id', requirePermission('notifications:write'), upload.single('notificationFile'), validate(updateSchema), requireClassAccess(jobClassIds), async (req, res) => {
+    try {
+      const job = await services.scheduledNotifications.update(req.params.id, jobFromBody(req));
+
+      res.json({
+        success: true,
+        message: 'Scheduled notification updated successfully',
+        job
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error updating scheduled notification:', error);
+      res.status(500).json({ success: false, message: 'Failed to update scheduled notification' });
+    }
+  });
+
+  router.post('/:id/cancel', requirePermission('notifications:write'), validate(idSchema), requireClassAccess(jobClassIds), async (req, res) => {
+    try {
+      const job = await services.scheduledNotifications.cancel(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Scheduled notification cancelled',
+        job
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error cancelling scheduled notification:', error);
+      res.status(500).json({ success: false, message: 'Failed to cancel scheduled notification' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createScheduledNotificationsRouter };
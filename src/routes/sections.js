@@ -0,0 +1,72 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== SECTIONS API ==========
+// Mounted at /api/admin/sections
+function createSectionsRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  const sectionSchema = {
+    body: {
+      section_name: { type: 'string', required: true, maxLength: 100 },
+      start_time: { type: 'time', required: true },
+      end_time: { type: 'time', required: true, after: 'start_time' }
+    }
+  };
+
+  router.get('/', requirePermission('sections:read'), async (req, res) => {
+    try {
+      const sections = await services.sections.list();
+      res.json({ success: true, sections });
+    } catch (error) {
+      console.error('Error fetching sections:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch sections' });
+    }
+  });
+
+  router.post('/', requirePermission('sections:write'), validate(sectionSchema), async (req, res) => {
+    try {
+      const { section_name, start_time, end_time } = req.body;
+
+      const section = await services.sections.create({ section_name, start_time, end_time });
+
+      res.json({
+        success: true,
+        message: 'Section added successfully',
+        section
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error adding section:', error);
+      res.status(500).json({ success: false, message: 'Failed to add section' });
+    }
+  });
+
+  router.delete('/:id', requirePermission('sections:write'), validate({ params: idParam('id', 'section') }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await services.sections.remove(id);
+
+      res.json({
+        success: true,
+        message: 'Section deleted successfully'
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error deleting section:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete section'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSectionsRouter };
@@ -0,0 +1,423 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam, STUDENT_PROFILE_FIELDS, DEVICE_FIELDS } = require('../validation');
+const { sendReportCard, REPORT_CARD_QUERY } = require('./reportCards');
+
+// ========== STUDENT APP ROUTES ==========
+// Mounted at /api. Every :userId / :studentId is checked by requireStudentSelf;
+// parents use the same endpoints with the ids of a linked child.
+function createStudentAppRouter({ services, auth, storage }) {
+  const router = express.Router();
+  const { requireStudentSelf, requirePermission } = auth;
+  const { upload } = storage;
+
+  const paging = req => ({
+    page: req.query.page || 1,
+    limit: req.query.limit || 20
+  });
+
+  const userIdParam = validate({ params: idParam('userId', 'user') });
+  const studentIdParam = validate({ params: idParam('studentId', 'student') });
+  const feedSchema = {
+    params: idParam('studentId', 'student'),
+    query: {
+      page: { type: 'integer', min: 1 },
+      limit: { type: 'integer', min: 1, max: 100 }
+    }
+  };
+  const photoSchema = {
+    params: idParam('studentId', 'student'),
+    file: { photo: { type: 'file', required: true, messages: { required: 'No photo file provided' } } }
+  };
+  const profileSchema = {
+    params: idParam('userId', 'user'),
+    body: {
+      first_name: { type: 'string', required: true, maxLength: 100 },
+      last_name: { type: 'string', required: true, maxLength: 100 },
+      username: { type: 'string', required: true, maxLength: 100 },
+      password: { type: 'string' },
+      // Class and roll number are for the school to change, not the student
+      ...Object.fromEntries(Object.entries(STUDENT_PROFILE_FIELDS)
+        .filter(([field]) => field !== 'class_id' && field !== 'roll_number'))
+    }
+  };
+  const notificationReadSchema = {
+    params: { ...idParam('studentId', 'student'), ...idParam('notificationId', 'notification') }
+  };
+  const submissionSchema = {
+    params: { ...idParam('studentId', 'student'), ...idParam('assignmentId', 'assignment') },
+    body: { comment: { type: 'string', maxLength: 2000 } },
+    file: { submissionFile: { type: 'file', required: true, messages: { required: 'No submission file provided' } } }
+  };
+  const attendanceSchema = {
+    params: idParam('studentId', 'student'),
+    query: { month: { type: 'month' } }
+  };
+  const timetableSchema = {
+    params: idParam('studentId', 'student'),
+    query: { date: { type: 'date' } }
+  };
+  const reportCardSchema = {
+    params: idParam('studentId', 'student'),
+    query: REPORT_CARD_QUERY
+  };
+  const preferencesSchema = {
+    params: idParam('studentId', 'student'),
+    body: {
+      push: { type: 'boolean' },
+      email: { type: 'boolean' },
+      sms: { type: 'boolean' }
+    }
+  };
+  const fcmTokenSchema = {
+    params: idParam('studentId', 'student'),
+    body: {
+      fcm_token: { type: 'string', required: true, maxLength: 4096, label: 'FCM token' },
+      ...DEVICE_FIELDS
+    }
+  };
+
+  // The children a parent account can switch between
+  router.get('/parent/children', requirePermission('student-app:children'), async (req, res) => {
+    try {
+      const children = await services.parents.children(req.user.id);
+      res.json({ success: true, children });
+    } catch (error) {
+      console.error('❌ Error fetching children:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch children' });
+    }
+  });
+
+  router.get('/student/profile/:userId', requireStudentSelf('userId', 'user'), userIdParam, async (req, res) => {
+    try {
+      const profile = await services.studentApp.getProfile(req.params.userId);
+
+      res.json({
+        success: true,
+        profile
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching profile:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch profile: ' + error.message
+      });
+    }
+  });
+
+  // GET student profile with proper validation
+  router.get('/profile/:studentId', requireStudentSelf('studentId', 'student'), studentIdParam, async (req, res) => {
+    try {
+      const { studentId } = req.params;
+
+      console.log(`📥 Profile request for student ID: ${studentId}`);
+
+      const student = await services.studentApp.getDetail(studentId);
+      res.json(student);
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Profile fetch error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  router.post('/student/profile/:studentId/photo', requireStudentSelf('studentId', 'user'), upload.single('photo'), validate(photoSchema), async (req, res) => {
+    try {
+      const profile = await services.studentApp.updatePhoto(req.params.studentId, req.file.path);
+
+      res.json({
+        success: true,
+        message: 'Profile photo updated successfully',
+        profile
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error, { profile: null });
+      console.error('Error updating profile photo:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update profile photo: ' + error.message,
+        profile: null
+      });
+    }
+  });
+
+  router.put('/student/profile/:userId', requireStudentSelf('userId', 'user'), upload.single('photo'), validate(profileSchema), async (req, res) => {
+    try {
+      const profile = await services.studentApp.updateProfile(req.params.userId, {
+        ...req.body,
+        profile_photo: req.file ? req.file.path : null
+      });
+
+      res.json({
+        success: true,
+        message: 'Profile updated successfully',
+        profile
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error updating profile:', error);
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Duplicate entry detected'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update profile',
+        error: error.message
+      });
+    }
+  });
+
+  router.get('/student/notifications/:studentId', requireStudentSelf('studentId', 'user'), validate(feedSchema), async (req, res) => {
+    try {
+      const feed = await services.studentApp.notificationsFeed(req.params.studentId, paging(req));
+      res.json({ success: true, ...feed });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error, { data: null });
+      console.error('Error fetching student notifications:', error);
+      res.status(500).json({
+        success: false,
+        data: null,
+        message: 'Failed to fetch notifications: ' + error.message
+      });
+    }
+  });
+
+  // Badge count for the app icon
+  router.get('/student/notifications/:studentId/unread-count', requireStudentSelf('studentId', 'user'), studentIdParam, async (req, res) => {
+    try {
+      const unreadCount = await services.studentApp.unreadNotificationCount(req.params.studentId);
+      res.json({ success: true, unreadCount });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error counting unread notifications:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to count unread notifications: ' + error.message
+      });
+    }
+  });
+
+  router.post('/student/notifications/:studentId/read-all', requireStudentSelf('studentId', 'user'), studentIdParam, async (req, res) => {
+    try {
+      const unreadCount = await services.studentApp.markNotificationsRead(req.params.studentId);
+      res.json({ success: true, message: 'All notifications marked as read', unreadCount });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error marking notifications read:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark notifications as read: ' + error.message
+      });
+    }
+  });
+
+  router.post('/student/notifications/:studentId/:notificationId/read', requireStudentSelf('studentId', 'user'), validate(notificationReadSchema), async (req, res) => {
+    try {
+      const { studentId, notificationId } = req.params;
+      const unreadCount = await services.studentApp.markNotificationsRead(studentId, notificationId);
+      res.json({ success: true, message: 'Notification marked as read', unreadCount });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error marking notification read:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to mark notification as read: ' + error.message
+      });
+    }
+  });
+
+  router.get('/student/assignments/:studentId', requireStudentSelf('studentId', 'user'), validate(feedSchema), async (req, res) => {
+    try {
+      const feed = await services.studentApp.assignmentsFeed(req.params.studentId, paging(req));
+      res.json({ success: true, ...feed });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error, { data: null });
+      console.error('❌ Error fetching assignments:', error);
+      res.status(500).json({
+        success: false,
+        data: null,
+        message: 'Failed to fetch assignments: ' + error.message
+      });
+    }
+  });
+
+  // Hand in (or replace, until graded) work for an assignment of the student's class
+  router.post('/student/assignments/:studentId/:assignmentId/submission', requireStudentSelf('studentId', 'student'), upload.single('submissionFile'), validate(submissionSchema), async (req, res) => {
+    try {
+      const submission = await services.assignments.submit(req.params.assignmentId, req.params.studentId, {
+        file_path: req.file.path,
+        comment: req.body.comment
+      });
+
+      res.json({
+        success: true,
+        message: submission.is_late ? 'Submission received after the due date' : 'Submission received',
+        data: submission
+      });
+
+    } catch (error) {
+      if (req.file) storage.remove(req.file.path);
+      if (error instanceof AppError) return sendAppError(res, error, { data: null });
+      console.error('❌ Error submitting assignment:', error);
+      res.status(500).json({
+        success: false,
+        data: null,
+        message: 'Failed to submit assignment: ' + error.message
+      });
+    }
+  });
+
+  // Own attendance for a month (default: current) with the month's totals
+  router.get('/student/attendance/:studentId', requireStudentSelf('studentId', 'student'), validate(attendanceSchema), async (req, res) => {
+    try {
+      const { month, summary, records } = await services.attendance.studentHistory(req.params.studentId, req.query.month);
+
+      res.json({
+        success: true,
+        month,
+        summary,
+        data: records,
+        message: 'Attendance fetched successfully'
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error, { data: null });
+      console.error('❌ Error fetching attendance:', error);
+      res.status(500).json({
+        success: false,
+        data: null,
+        message: 'Failed to fetch attendance: ' + error.message
+      });
+    }
+  });
+
+  // Today's periods and the week around it; ?date= picks another day
+  router.get('/student/timetable/:studentId', requireStudentSelf('studentId', 'student'), validate(timetableSchema), async (req, res) => {
+    try {
+      const timetable = await services.timetable.forStudent(req.params.studentId, req.query.date);
+
+      res.json({
+        success: true,
+        data: timetable,
+        message: 'Timetable fetched successfully'
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error, { data: null });
+      console.error('❌ Error fetching timetable:', error);
+      res.status(500).json({
+        success: false,
+        data: null,
+        message: 'Failed to fetch timetable'
+      });
+    }
+  });
+
+  // Results per subject with total, percentage, grade and class rank;
+  // ?format=pdf|xlsx downloads the printable card
+  router.get('/student/report-card/:studentId', requireStudentSelf('studentId', 'student'), validate(reportCardSchema), async (req, res) => {
+    try {
+      await sendReportCard(services, req, res);
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error, { data: null });
+      console.error('❌ Error fetching report card:', error);
+      res.status(500).json({
+        success: false,
+        data: null,
+        message: 'Failed to fetch report card'
+      });
+    }
+  });
+
+  router.get('/student/notification-preferences/:studentId', requireStudentSelf('studentId', 'student'), studentIdParam, async (req, res) => {
+    try {
+      const result = await services.studentApp.getNotificationPreferences(req.params.studentId);
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching notification preferences:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch notification preferences: ' + error.message
+      });
+    }
+  });
+
+  router.put('/student/notification-preferences/:studentId', requireStudentSelf('studentId', 'student', { parentsMayWrite: true }), validate(preferencesSchema), async (req, res) => {
+    try {
+      const { push, email, sms } = req.body;
+      const result = await services.studentApp.updateNotificationPreferences(req.params.studentId, { push, email, sms });
+
+      res.json({
+        success: true,
+        message: 'Notification preferences updated successfully',
+        ...result
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error updating notification preferences:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notification preferences: ' + error.message
+      });
+    }
+  });
+
+  // FCM TOKEN ENDPOINT
+  router.post('/student/:studentId/fcm-token', requireStudentSelf('studentId', 'student'), validate(fcmTokenSchema), async (req, res) => {
+    try {
+      const { studentId } = req.params;
+      const { fcm_token, platform, app_version } = req.body;
+
+      console.log(`📤 FCM Token Update Request`);
+      console.log(`   Student ID: ${studentId}`);
+      console.log(`   Token: ${fcm_token.substring(0, 20)}...`);
+
+      await services.studentApp.saveFcmToken(studentId, fcm_token, { platform, app_version });
+
+      res.json({
+        success: true,
+        message: 'FCM token updated successfully',
+        data: 'Token saved'
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error, { data: null });
+      console.error('❌ Error updating FCM token:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update FCM token: ' + error.message,
+        data: null
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStudentAppRouter };
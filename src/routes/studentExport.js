@@ -0,0 +1,60 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { EXPORT_FORMATS, TEMPLATE_FORMATS } = require('../services/studentExport');
+
+// ========== STUDENT EXPORT ==========
+// Mounted at /api/admin/students, next to the bulk upload it mirrors:
+// student exports and empty upload templates
+function createStudentExportRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  const exportSchema = {
+    query: {
+      format: { type: 'enum', values: EXPORT_FORMATS },
+      class_id: { type: 'id', label: 'Class' },
+      section_id: { type: 'id', label: 'Section' }
+    }
+  };
+
+  const templateSchema = {
+    query: { format: { type: 'enum', values: TEMPLATE_FORMATS } }
+  };
+
+  // ?format=xlsx (default), csv or zip (sheet plus photos). The whole school
+  // with parent contacts and photos, so only for those who may bulk upload.
+  router.get('/export', requirePermission('students:write'), validate(exportSchema), async (req, res) => {
+    try {
+      const { buffer, contentType, filename } = await services.studentExport.exportStudents({
+        classId: req.query.class_id,
+        sectionId: req.query.section_id,
+        format: req.query.format
+      });
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(buffer);
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error exporting students:', error);
+      res.status(500).json({ success: false, message: 'Failed to export students' });
+    }
+  });
+
+  // ?format=xlsx (default) or zip (sheet plus an empty photos folder)
+  router.get('/bulk-upload/template', requirePermission('students:write'), validate(templateSchema), async (req, res) => {
+    try {
+      const { buffer, contentType, filename } = await services.studentExport.template({ format: req.query.format });
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(buffer);
+    } catch (error) {
+      console.error('❌ Error building upload template:', error);
+      res.status(500).json({ success: false, message: 'Failed to build upload template' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStudentExportRouter };
@@ -0,0 +1,154 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam, STUDENT_PROFILE_FIELDS } = require('../validation');
+
+// ========== STUDENTS API ==========
+// Mounted at /api/admin/students
+function createStudentsRouter({ services, auth, storage }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+  const { upload } = storage;
+
+  const nameFields = {
+    first_name: { type: 'string', required: true, maxLength: 100 },
+    last_name: { type: 'string', required: true, maxLength: 100 }
+  };
+  const createSchema = {
+    body: {
+      ...nameFields,
+      username: { type: 'string', required: true, maxLength: 100 },
+      password: { type: 'string', required: true },
+      ...STUDENT_PROFILE_FIELDS
+    }
+  };
+  const updateSchema = {
+    params: idParam('id', 'student'),
+    body: { ...nameFields, ...STUDENT_PROFILE_FIELDS }
+  };
+
+  router.get('/', requirePermission('students:read'), async (req, res) => {
+    try {
+      const students = await services.students.listAll();
+
+      res.json({
+        success: true,
+        students
+      });
+    } catch (error) {
+      console.error('Error fetching students:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch students',
+        error: error.message
+      });
+    }
+  });
+
+  router.get('/class/:classId', requirePermission('students:read'), validate({ params: idParam('classId', 'class') }), async (req, res) => {
+    try {
+      const { classId } = req.params;
+      const students = await services.students.listByClass(classId);
+
+      res.json({
+        success: true,
+        students
+      });
+    } catch (error) {
+      console.error('Error fetching students by class:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch students',
+        error: error.message
+      });
+    }
+  });
+
+  router.post('/', requirePermission('students:write'), upload.single('photo'), validate(createSchema), async (req, res) => {
+    try {
+      const student = await services.students.create({
+        ...req.body,
+        profile_photo: req.file ? req.file.path : null
+      });
+
+      res.json({
+        success: true,
+        message: 'Student added successfully',
+        student
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error adding student:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add student',
+        error: error.message
+      });
+    }
+  });
+
+  router.put('/:id', requirePermission('students:write'), upload.single('photo'), validate(updateSchema), async (req, res) => {
+    try {
+      const student = await services.students.update(req.params.id, {
+        ...req.body,
+        profile_photo: req.file ? req.file.path : null
+      });
+
+      res.json({
+        success: true,
+        message: 'Student updated successfully',
+        student
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error updating student:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update student',
+        error: error.message
+      });
+    }
+  });
+
+  // Classes the student belonged to in past academic years
+  router.get('/:id/history', requirePermission('students:read'), validate({ params: idParam('id', 'student') }), async (req, res) => {
+    try {
+      const result = await services.academicYears.studentHistory(req.params.id);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error fetching student history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch student history'
+      });
+    }
+  });
+
+  router.delete('/:id', requirePermission('students:write'), validate({ params: idParam('id', 'student') }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const student = await services.students.remove(id);
+
+      res.json({
+        success: true,
+        message: `Student ${student.first_name} ${student.last_name} deleted successfully`
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error deleting student:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete student'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStudentsRouter };
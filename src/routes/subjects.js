@@ -0,0 +1,57 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== SUBJECTS API ==========
+// Mounted at /api/admin/subjects: the subjects taught in each class
+function createSubjectsRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  const classId = validate({ params: idParam('classId', 'class') });
+  const subjectSchema = {
+    params: idParam('classId', 'class'),
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      code: { type: 'string', maxLength: 20 }
+    }
+  };
+
+  router.get('/class/:classId', requirePermission('results:read'), classId, async (req, res) => {
+    try {
+      const subjects = await services.exams.listSubjects(req.params.classId);
+      res.json({ success: true, subjects });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching subjects:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch subjects' });
+    }
+  });
+
+  router.post('/class/:classId', requirePermission('results:manage'), validate(subjectSchema), async (req, res) => {
+    try {
+      const subject = await services.exams.createSubject(req.params.classId, req.body);
+      res.json({ success: true, message: 'Subject added successfully', subject });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error adding subject:', error);
+      res.status(500).json({ success: false, message: 'Failed to add subject' });
+    }
+  });
+
+  router.delete('/:id', requirePermission('results:manage'), validate({ params: idParam('id', 'subject') }), async (req, res) => {
+    try {
+      await services.exams.removeSubject(req.params.id);
+      res.json({ success: true, message: 'Subject deleted successfully' });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error deleting subject:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete subject' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSubjectsRouter };
@@ -0,0 +1,49 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+
+// ========== TEACHERS API ==========
+// Mounted at /api/admin/teachers
+function createTeachersRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  router.get('/', requirePermission('teachers:manage'), async (req, res) => {
+    try {
+      const teachers = await services.accounts.listTeachers();
+
+      res.json({
+        success: true,
+        teachers
+      });
+    } catch (error) {
+      console.error('Error fetching teachers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch teachers'
+      });
+    }
+  });
+
+  router.post('/', requirePermission('teachers:manage'), async (req, res) => {
+    try {
+      const teacher = await services.accounts.createTeacher(req.body);
+
+      res.json({
+        success: true,
+        message: 'Teacher added successfully',
+        teacher
+      });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('Error adding teacher:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add teacher'
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTeachersRouter };
@@ -0,0 +1,108 @@
+const express = require('express');
+const { AppError, sendAppError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const { idParam } = require('../validation');
+
+// ========== TIMETABLE API ==========
+// Mounted at /api/admin/timetable: section periods and weekly class timetables
+function createTimetableRouter({ services, auth }) {
+  const router = express.Router();
+  const { requirePermission } = auth;
+
+  const periodSchema = {
+    params: idParam('sectionId', 'section'),
+    body: {
+      period_number: { type: 'integer', required: true, min: 1, max: 20, label: 'Period number' },
+      name: { type: 'string', required: true, maxLength: 50 },
+      start_time: { type: 'time', required: true, label: 'Start time' },
+      end_time: { type: 'time', required: true, after: 'start_time', label: 'End time' },
+      is_break: { type: 'boolean', label: 'Break' }
+    }
+  };
+  const entrySchema = {
+    params: idParam('classId', 'class'),
+    body: {
+      day_of_week: { type: 'integer', required: true, min: 1, max: 7, label: 'Day of week' },
+      period_id: { type: 'id', required: true, label: 'Period' },
+      subject: { type: 'string', required: true, maxLength: 100 },
+      teacher_id: { type: 'id', label: 'Teacher' },
+      teacher_name: { type: 'string', maxLength: 150 },
+      room: { type: 'string', maxLength: 50 }
+    }
+  };
+  const entryParams = {
+    params: { ...idParam('classId', 'class'), ...idParam('entryId', 'timetable entry') }
+  };
+
+  router.get('/periods/section/:sectionId', requirePermission('timetable:read'), validate({ params: idParam('sectionId', 'section') }), async (req, res) => {
+    try {
+      const result = await services.timetable.listPeriods(req.params.sectionId);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching periods:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch periods' });
+    }
+  });
+
+  router.post('/periods/section/:sectionId', requirePermission('timetable:write'), validate(periodSchema), async (req, res) => {
+    try {
+      const period = await services.timetable.createPeriod(req.params.sectionId, req.body);
+      res.json({ success: true, message: 'Period added successfully', period });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error adding period:', error);
+      res.status(500).json({ success: false, message: 'Failed to add period' });
+    }
+  });
+
+  router.delete('/periods/:id', requirePermission('timetable:write'), validate({ params: idParam('id', 'period') }), async (req, res) => {
+    try {
+      await services.timetable.removePeriod(req.params.id);
+      res.json({ success: true, message: 'Period deleted successfully' });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error deleting period:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete period' });
+    }
+  });
+
+  router.get('/class/:classId', requirePermission('timetable:read'), validate({ params: idParam('classId', 'class') }), async (req, res) => {
+    try {
+      const timetable = await services.timetable.classTimetable(req.params.classId);
+      res.json({ success: true, ...timetable });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error fetching timetable:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch timetable' });
+    }
+  });
+
+  // Sets one period on one weekday; teacher and room clashes are rejected
+  // with code 'teacher_clash' / 'room_clash' and the clashing entry.
+  router.put('/class/:classId', requirePermission('timetable:write'), validate(entrySchema), async (req, res) => {
+    try {
+      const entry = await services.timetable.setEntry(req.params.classId, req.body);
+      res.json({ success: true, message: 'Timetable updated', entry });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error updating timetable:', error);
+      res.status(500).json({ success: false, message: 'Failed to update timetable' });
+    }
+  });
+
+  router.delete('/class/:classId/entries/:entryId', requirePermission('timetable:write'), validate(entryParams), async (req, res) => {
+    try {
+      await services.timetable.removeEntry(req.params.classId, req.params.entryId);
+      res.json({ success: true, message: 'Timetable entry removed' });
+    } catch (error) {
+      if (error instanceof AppError) return sendAppError(res, error);
+      console.error('❌ Error removing timetable entry:', error);
+      res.status(500).json({ success: false, message: 'Failed to remove timetable entry' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTimetableRouter };
@@ -0,0 +1,186 @@
+const academicYearsRepo = require('../repositories/academicYears');
+const classHistoryRepo = require('../repositories/classHistory');
+const classesRepo = require('../repositories/classes');
+const studentsRepo = require('../repositories/students');
+const usersRepo = require('../repositories/users');
+const refreshTokensRepo = require('../repositories/refreshTokens');
+const { withTransaction } = require('../db/transaction');
+const { badRequest, notFound, conflict, ValidationError } = require('../errors');
+
+const EXCEPTION_ACTIONS = ['held_back', 'left'];
+const ROLL_NUMBER_ORDERS = ['alphabetical', 'previous'];
+
+function createAcademicYearsService({ pool, cache }) {
+  async function list() {
+    return academicYearsRepo.list(pool);
+  }
+
+  async function findYear(db, id) {
+    const year = await academicYearsRepo.findById(db, id);
+    if (!year) {
+      throw notFound('Academic year not found');
+    }
+    return year;
+  }
+
+  async function findClass(db, id, label) {
+    const found = await classesRepo.findById(db, id);
+    if (!found) {
+      throw notFound(`${label} class not found`);
+    }
+    return found;
+  }
+
+  async function create({ name, start_date, end_date, is_current = false }) {
+    return withTransaction(pool, async client => {
+      if (await academicYearsRepo.nameExists(client, name)) {
+        throw conflict('Academic year already exists');
+      }
+
+      const [overlap] = await academicYearsRepo.findOverlapping(client, start_date, end_date);
+      if (overlap) {
+        throw conflict(`Dates overlap academic year ${overlap.name}`);
+      }
+
+      const year = await academicYearsRepo.create(client, { name, start_date, end_date });
+      return is_current ? academicYearsRepo.setCurrent(client, year.id) : year;
+    });
+  }
+
+  async function setCurrent(id) {
+    return withTransaction(pool, async client => {
+      await findYear(client, id);
+      return academicYearsRepo.setCurrent(client, id);
+    });
+  }
+
+  // ========== YEAR-END PROMOTION ==========
+  // Moves every student of fromClassId to toClassId in one transaction and
+  // records where each one spent `yearId`. exceptions: [{ student_id, action }]
+  // with action 'held_back' (stays in the class) or 'left' (leaves the school:
+  // no class, login disabled). Both classes are then renumbered from 1.
+  //
+  // Promote top classes first: the target must be empty apart from its own
+  // held-back students, and a class is only promoted once per year.
+  async function promote(yearId, { fromClassId, toClassId, exceptions = [], rollNumbers = 'alphabetical', recordedBy }) {
+    if (fromClassId === toClassId) {
+      throw badRequest('Target class must differ from the class being promoted');
+    }
+
+    const { summary, roster } = await withTransaction(pool, async client => {
+      const year = await findYear(client, yearId);
+      const fromClass = await findClass(client, fromClassId, 'Source');
+      const toClass = await findClass(client, toClassId, 'Target');
+
+      const roster = await studentsRepo.lockClass(client, fromClassId);
+      const targetRoster = await studentsRepo.lockClass(client, toClassId);
+
+      if (await classHistoryRepo.wasClassPromoted(client, yearId, fromClassId)) {
+        throw conflict(`${fromClass.class_name} has already been promoted for ${year.name}`);
+      }
+      if (targetRoster.length > 0 && !(await classHistoryRepo.wasClassPromoted(client, yearId, toClassId))) {
+        throw conflict(`${toClass.class_name} still has students for ${year.name}. Promote it first.`);
+      }
+
+      const inClass = new Set(roster.map(student => student.id));
+      const actions = new Map();
+      const errors = [];
+      exceptions.forEach((exception, i) => {
+        const field = `exceptions[${i}].student_id`;
+        if (!inClass.has(exception.student_id)) {
+          errors.push({ field, location: 'body', code: 'not_in_class', message: `Student ${exception.student_id} is not in ${fromClass.class_name}` });
+        } else if (actions.has(exception.student_id)) {
+          errors.push({ field, location: 'body', code: 'duplicate', message: `Student ${exception.student_id} is listed more than once` });
+        }
+        actions.set(exception.student_id, exception.action);
+      });
+      if (errors.length > 0) throw new ValidationError(errors);
+
+      const outcomeOf = student => actions.get(student.id) || 'promoted';
+      const nextClass = { promoted: toClassId, held_back: fromClassId, left: null };
+      const history = await classHistoryRepo.insertMany(client, {
+        academicYearId: yearId,
+        classId: fromClassId,
+        className: fromClass.class_name,
+        recordedBy,
+        rows: roster.map(student => ({
+          student_id: student.id,
+          roll_number: student.roll_number,
+          outcome: outcomeOf(student),
+          next_class_id: nextClass[outcomeOf(student)]
+        }))
+      });
+
+      const idsWith = outcome => roster.filter(student => outcomeOf(student) === outcome).map(student => student.id);
+      const left = roster.filter(student => outcomeOf(student) === 'left');
+
+      await studentsRepo.moveToClass(client, idsWith('promoted'), toClassId);
+      if (left.length > 0) {
+        await studentsRepo.markLeft(client, left.map(student => student.id), year.end_date);
+        for (const student of left) {
+          await usersRepo.disable(client, student.user_id);
+          await refreshTokensRepo.revokeAllForUser(client, student.user_id);
+        }
+      }
+
+      await studentsRepo.renumberClass(client, toClassId, { academicYearId: yearId, order: rollNumbers });
+      await studentsRepo.renumberClass(client, fromClassId, { academicYearId: yearId, order: rollNumbers });
+
+      return {
+        roster,
+        summary: {
+          academic_year: year,
+          from_class: { id: fromClass.id, class_name: fromClass.class_name },
+          to_class: { id: toClass.id, class_name: toClass.class_name },
+          counts: {
+            promoted: idsWith('promoted').length,
+            held_back: idsWith('held_back').length,
+            left: left.length
+          },
+          history
+        }
+      };
+    });
+
+    forgetStudents(roster);
+    console.log(`✅ ${summary.from_class.class_name} promoted to ${summary.to_class.class_name} (${summary.academic_year.name})`);
+
+    return {
+      ...summary,
+      to_class_roster: await studentsRepo.listByClass(pool, toClassId),
+      from_class_roster: await studentsRepo.listByClass(pool, fromClassId)
+    };
+  }
+
+  // Profiles and feeds are cached per class membership; drop the stale ones
+  function forgetStudents(students) {
+    const ids = students.flatMap(student => [student.id, student.user_id]);
+    const profiles = new Set(ids.map(id => `profile_${id}`));
+    const feeds = ids.flatMap(id => [`notifications_${id}_`, `assignments_${id}_`]);
+    cache.del(cache.keys().filter(key => profiles.has(key) || feeds.some(prefix => key.startsWith(prefix))));
+  }
+
+  async function studentHistory(studentId) {
+    const student = await studentsRepo.findProfileById(pool, studentId);
+    if (!student) {
+      throw notFound('Student not found');
+    }
+
+    return {
+      student: {
+        id: student.id,
+        first_name: student.first_name,
+        last_name: student.last_name,
+        class_id: student.class_id,
+        class_name: student.class_name,
+        roll_number: student.roll_number,
+        left_at: student.left_at
+      },
+      history: await classHistoryRepo.listForStudent(pool, studentId)
+    };
+  }
+
+  return { list, create, setCurrent, promote, studentHistory };
+}
+
+module.exports = { createAcademicYearsService, EXCEPTION_ACTIONS, ROLL_NUMBER_ORDERS };
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const usersRepo = require('../repositories/users');
+const refreshTokensRepo = require('../repositories/refreshTokens');
+const { withTransaction } = require('../db/transaction');
+const { hashPassword } = require('./passwords');
+const { hashToken } = require('./tokens');
+const { assertValid } = require('../validation');
+const { badRequest, unauthorized, notFound, conflict } = require('../errors');
+
+const MIN_ADMIN_PASSWORD_LENGTH = 10;
+
+const ACCOUNT_FIELDS = {
+  username: { type: 'string', required: true, maxLength: 100 },
+  password: { type: 'string', required: true },
+  email: { type: 'email', maxLength: 255 }
+};
+
+const ADMIN_ACCOUNT_FIELDS = {
+  ...ACCOUNT_FIELDS,
+  password: { type: 'string', required: true, minLength: MIN_ADMIN_PASSWORD_LENGTH }
+};
+
+function createAccountsService({ pool, config }) {
+  function isValidSetupToken(provided) {
+    if (!config.setupToken || !provided) return false;
+
+    const a = Buffer.from(hashToken(String(provided)));
+    const b = Buffer.from(hashToken(config.setupToken));
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  // ========== FIRST-RUN ADMIN BOOTSTRAP ==========
+  // Creates the first admin account. Only enabled when SETUP_TOKEN is set, the
+  // caller must send it in X-Setup-Token, and it locks permanently as soon as
+  // any admin exists. Further admins are managed through /api/admin/admins.
+  async function bootstrapAdmin(providedToken, body) {
+    if (!config.setupToken) {
+      throw notFound('Setup is disabled');
+    }
+
+    if (!isValidSetupToken(providedToken)) {
+      throw unauthorized('Invalid setup token');
+    }
+
+    const { username, password, email } = assertValid(ADMIN_ACCOUNT_FIELDS, body);
+
+    const admin = await withTransaction(pool, async client => {
+      // Serialise concurrent bootstrap attempts so only one admin can win
+      await usersRepo.lockAdminAccounts(client);
+
+      if (await usersRepo.anyAdminExists(client)) {
+        throw conflict('Setup already completed');
+      }
+
+      if (await usersRepo.usernameExists(client, username)) {
+        throw conflict('Username already exists');
+      }
+
+      return usersRepo.create(client, {
+        username,
+        passwordHash: await hashPassword(password),
+        email,
+        role: 'admin'
+      });
+    });
+
+    console.log(`✅ Initial admin '${username}' created`);
+    return admin;
+  }
+
+  // ========== ADMIN ACCOUNTS ==========
+  async function listAdmins() {
+    return usersRepo.listAdmins(pool);
+  }
+
+  async function createAdmin(body) {
+    const { username, password, email } = assertValid(ADMIN_ACCOUNT_FIELDS, body);
+
+    if (await usersRepo.usernameExists(pool, username)) {
+      throw conflict('Username already exists');
+    }
+
+    return usersRepo.create(pool, {
+      username,
+      passwordHash: await hashPassword(password),
+      email,
+      role: 'admin'
+    });
+  }
+
+  // Disabling blocks login, revokes refresh tokens and makes authenticate
+  // reject the access tokens already issued.
+  async function disableAdmin(actorId, id) {
+    if (parseInt(id) === actorId) {
+      throw badRequest('You cannot disable your own account');
+    }
+
+    return withTransaction(pool, async client => {
+      await usersRepo.lockAdminAccounts(client);
+
+      const target = await usersRepo.findAdmin(client, id);
+      if (!target) {
+        throw notFound('Admin not found');
+      }
+
+      if (!target.disabled_at && await usersRepo.countActiveAdmins(client) <= 1) {
+        throw conflict('Cannot disable the last active admin');
+      }
+
+      const admin = await usersRepo.disable(client, id);
+      await refreshTokensRepo.revokeAllForUser(client, id);
+      return admin;
+    });
+  }
+
+  async function enableAdmin(id) {
+    const admin = await usersRepo.enableAdmin(pool, id);
+    if (!admin) {
+      throw notFound('Admin not found');
+    }
+    return admin;
+  }
+
+  // ========== TEACHERS ==========
+  async function isTeacher(userId) {
+    return usersRepo.hasRole(pool, userId, 'teacher');
+  }
+
+  async function listTeachers() {
+    return usersRepo.listTeachers(pool);
+  }
+
+  async function createTeacher(body) {
+    const { username, password, email } = assertValid(ACCOUNT_FIELDS, body);
+
+    if (await usersRepo.usernameExists(pool, username)) {
+      throw conflict('Username already exists');
+    }
+
+    const teacher = await usersRepo.create(pool, {
+      username,
+      passwordHash: await hashPassword(password),
+      email,
+      role: 'teacher'
+    });
+    delete teacher.disabled_at;
+    return teacher;
+  }
+
+  return {
+    bootstrapAdmin,
+    listAdmins,
+    createAdmin,
+    disableAdmin,
+    enableAdmin,
+    isTeacher,
+    listTeachers,
+    createTeacher
+  };
+}
+
+module.exports = { createAccountsService, MIN_ADMIN_PASSWORD_LENGTH };
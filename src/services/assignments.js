@@ -0,0 +1,160 @@
+const assignmentsRepo = require('../repositories/assignments');
+const studentsRepo = require('../repositories/students');
+const submissionsRepo = require('../repositories/submissions');
+const devicesRepo = require('../repositories/deviceTokens');
+const deliveriesRepo = require('../repositories/fcmDeliveries');
+const { withTransaction } = require('../db/transaction');
+const { notFound, conflict, ValidationError } = require('../errors');
+
+function createAssignmentsService({ pool, cache, fcm, channels, storage }) {
+  async function list() {
+    return assignmentsRepo.list(pool);
+  }
+
+  async function classIdOf(id) {
+    const assignment = await assignmentsRepo.findById(pool, id);
+    return assignment ? assignment.class_id : null;
+  }
+
+  async function create({ class_id, title, description, file_path, due_date, max_marks }) {
+    const assignment = await assignmentsRepo.create(pool, { class_id, title, description, file_path, due_date, max_marks });
+
+    // Fetch FCM recipients
+    const recipients = await devicesRepo.recipientsForClass(pool, class_id);
+
+    // Send FCM using batch helper
+    if (recipients.length > 0) {
+      await fcm.sendBatchFCM(recipients, {
+        type: 'assignment',
+        title: '📘 New Assignment Posted',
+        body: title,
+        data: { assignment_id: assignment.id, class_id, due_date: assignment.due_date },
+        attachment: file_path
+      }, { assignmentId: assignment.id });
+    } else {
+      console.log('⚠️ No FCM tokens found for this class');
+    }
+
+    await channels.deliver({
+      type: 'assignment',
+      subject: `New assignment: ${title}`,
+      text: [description, due_date && `Due on ${due_date}.`].filter(Boolean).join('\n\n') || title,
+      attachment: file_path
+    }, { classId: class_id });
+
+    cache.flushAll();
+    console.log('🗑️ Cache cleared after new assignment');
+
+    return assignment;
+  }
+
+  async function update(id, { class_id, title, description, file_path, due_date, max_marks }) {
+    const assignment = await withTransaction(pool, async client => {
+      if (!(await assignmentsRepo.findById(client, id))) {
+        throw notFound('Assignment not found');
+      }
+
+      return assignmentsRepo.update(client, id, { class_id, title, description, file_path, due_date, max_marks });
+    });
+
+    cache.flushAll();
+    console.log('🗑️ Cache cleared after assignment update');
+
+    return assignment;
+  }
+
+  async function remove(id) {
+    if (!(await assignmentsRepo.findById(pool, id))) {
+      throw notFound('Assignment not found');
+    }
+
+    await assignmentsRepo.deleteById(pool, id);
+    cache.flushAll();
+  }
+
+  async function findAssignment(id) {
+    const assignment = await assignmentsRepo.findById(pool, id);
+    if (!assignment) {
+      throw notFound('Assignment not found');
+    }
+    return assignment;
+  }
+
+  // ========== SUBMISSIONS ==========
+  // A student hands in (or replaces, until it is graded) their work for an
+  // assignment of their own class.
+  async function submit(assignmentId, studentId, { file_path, comment }) {
+    const { submission, replaced } = await withTransaction(pool, async client => {
+      const assignment = await assignmentsRepo.findById(client, assignmentId);
+      const student = await studentsRepo.findProfileById(client, studentId);
+
+      if (!assignment || !student || student.class_id !== assignment.class_id) {
+        throw notFound('Assignment not found');
+      }
+
+      const previous = await submissionsRepo.find(client, assignmentId, studentId);
+      if (previous && previous.graded_at) {
+        throw conflict('This submission has already been graded');
+      }
+
+      return {
+        submission: await submissionsRepo.upsert(client, { assignmentId, studentId, filePath: file_path, comment }),
+        replaced: previous ? previous.file_path : null
+      };
+    });
+
+    if (replaced && replaced !== submission.file_path) storage.remove(replaced);
+
+    cache.flushAll();
+    console.log(`📥 Submission received for assignment ${assignmentId}${submission.is_late ? ' (late)' : ''}`);
+
+    return submission;
+  }
+
+  // Submission status of every student in the assignment's class
+  async function submissions(id) {
+    const assignment = await findAssignment(id);
+    const students = await submissionsRepo.statusList(pool, id, assignment.class_id);
+
+    const counts = { submitted: 0, late: 0, pending: 0, graded: 0 };
+    for (const student of students) {
+      counts[student.status]++;
+      if (student.graded_at) counts.graded++;
+    }
+
+    return { assignment, counts, students };
+  }
+
+  async function grade(id, studentId, { marks, feedback, gradedBy }) {
+    const assignment = await findAssignment(id);
+
+    if (assignment.max_marks !== null && marks > assignment.max_marks) {
+      throw new ValidationError([{
+        field: 'marks',
+        location: 'body',
+        code: 'too_large',
+        message: `Marks must be at most ${assignment.max_marks}`,
+        max: assignment.max_marks
+      }]);
+    }
+
+    const submission = await submissionsRepo.grade(pool, { assignmentId: id, studentId, marks, feedback, gradedBy });
+    if (!submission) {
+      throw notFound('Submission not found');
+    }
+
+    cache.flushAll();
+    return submission;
+  }
+
+  // Per-recipient outcomes of the 'new assignment' push, failures first
+  async function deliveryReport(id) {
+    const assignment = await findAssignment(id);
+    const { summary, deliveries } = await deliveriesRepo.report(pool, 'assignment_id', id);
+    return { assignment: { id: assignment.id, title: assignment.title }, summary, deliveries };
+  }
+
+  return { list, classIdOf, create, update, remove, submit, submissions, grade, deliveryReport };
+}
+
+module.exports = { createAssignmentsService };
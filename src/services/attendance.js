@@ -0,0 +1,160 @@
+const attendanceRepo = require('../repositories/attendance');
+const classesRepo = require('../repositories/classes');
+const studentsRepo = require('../repositories/students');
+const devicesRepo = require('../repositories/deviceTokens');
+const { withTransaction } = require('../db/transaction');
+const { notFound, ValidationError } = require('../errors');
+const { today } = require('../utils/dates');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// Server-local month, used when the request does not name one
+const currentMonth = () => today().slice(0, 7);
+
+function countByStatus(records) {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+  for (const record of records) counts[record.status]++;
+  return counts;
+}
+
+function createAttendanceService({ pool, fcm }) {
+  async function findClass(db, classId) {
+    const found = await classesRepo.findById(db, classId);
+    if (!found) throw notFound('Class not found');
+    return found;
+  }
+
+  async function classIdOfStudent(studentId) {
+    const student = await studentsRepo.findProfileById(pool, studentId);
+    return student ? student.class_id : null;
+  }
+
+  // ========== DAILY ROLL CALL ==========
+  async function rollCall(classId, date) {
+    date = date || today();
+    const found = await findClass(pool, classId);
+    const students = await attendanceRepo.listRollCall(pool, classId, date);
+
+    return {
+      class: { id: found.id, class_name: found.class_name, section_name: found.section_name },
+      date,
+      students
+    };
+  }
+
+  // Marks a class for one date. records: [{ student_id, status, remarks }];
+  // with defaultStatus every student of the class not listed gets that status.
+  async function markClass(classId, { date, records = [], defaultStatus, markedBy }) {
+    date = date || today();
+    const { saved, newlyAbsent } = await withTransaction(pool, async client => {
+      await findClass(client, classId);
+
+      const roster = await studentsRepo.listByClass(client, classId);
+      const inClass = new Set(roster.map(student => student.id));
+      const seen = new Set();
+      const errors = [];
+
+      records.forEach((record, i) => {
+        const field = `records[${i}].student_id`;
+        if (!inClass.has(record.student_id)) {
+          errors.push({ field, location: 'body', code: 'not_in_class', message: `Student ${record.student_id} is not in this class` });
+        } else if (seen.has(record.student_id)) {
+          errors.push({ field, location: 'body', code: 'duplicate', message: `Student ${record.student_id} is listed more than once` });
+        }
+        seen.add(record.student_id);
+      });
+
+      if (errors.length > 0) throw new ValidationError(errors);
+
+      const toSave = [...records];
+      if (defaultStatus) {
+        for (const student of roster) {
+          if (!seen.has(student.id)) toSave.push({ student_id: student.id, status: defaultStatus });
+        }
+      }
+
+      if (toSave.length === 0) return { saved: [], newlyAbsent: [] };
+
+      const previous = await attendanceRepo.statusesOn(client, toSave.map(r => r.student_id), date);
+      const rows = await attendanceRepo.upsertMany(client, { classId, date, markedBy, records: toSave });
+
+      return {
+        saved: rows,
+        newlyAbsent: rows
+          .filter(row => row.status === 'absent' && previous.get(row.student_id) !== 'absent')
+          .map(row => row.student_id)
+      };
+    });
+
+    if (newlyAbsent.length > 0) {
+      await notifyAbsent(newlyAbsent, date);
+    }
+
+    return { date, counts: countByStatus(saved), records: saved };
+  }
+
+  // One push per absent student, sent to every device registered in the
+  // student app (the family's phones)
+  async function notifyAbsent(studentIds, date) {
+    try {
+      const devices = await devicesRepo.recipientsForStudents(pool, studentIds);
+
+      const byStudent = new Map();
+      for (const device of devices) {
+        if (!byStudent.has(device.student_id)) byStudent.set(device.student_id, []);
+        byStudent.get(device.student_id).push(device);
+      }
+      console.log(`📤 Sending absence alerts for ${byStudent.size}/${studentIds.length} students`);
+
+      for (const [studentId, recipients] of byStudent) {
+        const { first_name, last_name } = recipients[0];
+        const body = `${first_name} ${last_name} was marked absent on ${date}`;
+        await fcm.sendBatchFCM(recipients, {
+          type: 'attendance',
+          title: '🚫 Absence Alert',
+          body,
+          data: { student_id: studentId, date }
+        });
+      }
+    } catch (fcmError) {
+      console.error('❌ FCM Error:', fcmError);
+    }
+  }
+
+  // ========== MONTHLY SUMMARIES ==========
+  async function classSummary(classId, month) {
+    month = month || currentMonth();
+    const found = await findClass(pool, classId);
+    const monthStart = `${month}-01`;
+
+    const [totals, students] = await Promise.all([
+      attendanceRepo.classMonthTotals(pool, classId, monthStart),
+      attendanceRepo.classMonthSummary(pool, classId, monthStart)
+    ]);
+
+    return {
+      class: { id: found.id, class_name: found.class_name, section_name: found.section_name },
+      month,
+      totals,
+      students
+    };
+  }
+
+  async function studentHistory(studentId, month) {
+    month = month || currentMonth();
+    const student = await studentsRepo.findProfileById(pool, studentId);
+    if (!student) throw notFound('Student not found');
+    const monthStart = `${month}-01`;
+
+    const [summary, records] = await Promise.all([
+      attendanceRepo.studentMonthSummary(pool, student.id, monthStart),
+      attendanceRepo.listForStudent(pool, student.id, monthStart)
+    ]);
+
+    return { student_id: student.id, month, summary, records };
+  }
+
+  return { classIdOfStudent, rollCall, markClass, classSummary, studentHistory };
+}
+
+module.exports = { createAttendanceService, ATTENDANCE_STATUSES };
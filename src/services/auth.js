@@ -0,0 +1,133 @@
+const usersRepo = require('../repositories/users');
+const studentsRepo = require('../repositories/students');
+const classesRepo = require('../repositories/classes');
+const parentsRepo = require('../repositories/parents');
+const refreshTokensRepo = require('../repositories/refreshTokens');
+const { withTransaction } = require('../db/transaction');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { hashToken } = require('./tokens');
+const { unauthorized, forbidden, notFound } = require('../errors');
+
+function createAuthService({ pool, tokens }) {
+  async function login(username, password) {
+    const user = await usersRepo.findByUsername(pool, username);
+    const { valid, needsRehash } = await verifyPassword(password, user ? user.password : null);
+
+    if (!valid) {
+      throw unauthorized('Invalid username or password');
+    }
+
+    if (user.disabled_at) {
+      throw forbidden('This account has been disabled');
+    }
+
+    // Upgrade legacy plaintext (or weaker) hashes transparently
+    if (needsRehash) {
+      try {
+        await usersRepo.updatePassword(pool, user.id, await hashPassword(password));
+        console.log(`🔐 Password hash upgraded for user ${user.id}`);
+      } catch (rehashError) {
+        console.error('⚠️ Failed to upgrade password hash:', rehashError.message);
+      }
+    }
+
+    // ✅ CRITICAL FIX: Always query the students table to get the correct student_id
+    let studentId = null;
+
+    if (user.role === 'student') {
+      // Query students table using user.id (NOT student_id from users table)
+      studentId = await studentsRepo.findIdByUserId(pool, user.id);
+
+      if (!studentId) {
+        console.error(`❌ No student record found for user_id=${user.id}`);
+        throw notFound('Student record not found for this user');
+      }
+
+      console.log(`✅ Login successful:
+        - User ID: ${user.id}
+        - Username: ${user.username}
+        - Student ID from users table: ${user.student_id}
+        - Student ID from students table: ${studentId}
+      `);
+
+      // If they don't match, there's a data inconsistency
+      if (user.student_id !== studentId) {
+        console.warn(`⚠️ WARNING: Mismatch detected!
+          - users.student_id = ${user.student_id}
+          - students.id (WHERE user_id=${user.id}) = ${studentId}
+          - Using students table value: ${studentId}
+        `);
+      }
+    }
+
+    const classIds = user.role === 'teacher'
+      ? await classesRepo.findIdsForTeacher(pool, user.id)
+      : undefined;
+
+    // Parents pick a child in the app and use the student endpoints with its ids
+    const children = user.role === 'parent'
+      ? await parentsRepo.listChildren(pool, user.id)
+      : undefined;
+
+    const session = await tokens.issueSession(pool, { id: user.id, role: user.role, studentId });
+
+    return {
+      user: {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        studentId: studentId,  // ✅ Use the value from students table
+        classIds,
+        children
+      },
+      session
+    };
+  }
+
+  // Exchange a refresh token for a new access/refresh pair (the old one is revoked)
+  async function refresh(refreshToken) {
+    const outcome = await withTransaction(pool, async client => {
+      const stored = await refreshTokensRepo.findForRefresh(client, hashToken(refreshToken));
+
+      if (!stored) return { error: 'Invalid refresh token' };
+
+      // A revoked token being replayed means it leaked - end every session for that user
+      if (stored.revoked_at) {
+        await refreshTokensRepo.revokeAllForUser(client, stored.user_id);
+        console.warn(`⚠️ Revoked refresh token reused for user ${stored.user_id} - all sessions revoked`);
+        return { error: 'Invalid refresh token' };
+      }
+
+      if (new Date(stored.expires_at) <= new Date()) {
+        return { error: 'Refresh token expired' };
+      }
+
+      await refreshTokensRepo.revoke(client, stored.id);
+
+      const studentId = stored.role === 'student'
+        ? await studentsRepo.findIdByUserId(client, stored.user_id)
+        : null;
+
+      return {
+        session: await tokens.issueSession(client, { id: stored.user_id, role: stored.role, studentId })
+      };
+    });
+
+    // Thrown after commit so the reuse revocation above is kept
+    if (outcome.error) throw unauthorized(outcome.error);
+    return outcome.session;
+  }
+
+  // Revoke the given refresh token, or every session of the user with all = true
+  async function logout(userId, { refreshToken, all }) {
+    if (all) {
+      await refreshTokensRepo.revokeAllForUser(pool, userId);
+    } else {
+      await refreshTokensRepo.revokeByHash(pool, hashToken(refreshToken), userId);
+    }
+  }
+
+  return { login, refresh, logout };
+}
+
+module.exports = { createAuthService };
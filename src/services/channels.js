@@ -0,0 +1,68 @@
+const preferencesRepo = require('../repositories/notificationPreferences');
+
+// Messages handed to one channel at a time, so a class-wide notice costs a
+// few gateway round trips rather than one per family
+const SEND_CONCURRENCY = 10;
+
+// Runs worker(item) over items with at most `limit` in flight
+async function forEachLimited(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+// ========== PARENT CHANNELS ==========
+// Delivers notices and assignment alerts to parents over the extra channels
+// (email, SMS) they opted into. FCM pushes are sent separately by the fcm
+// service. A channel is { name, addressOf(contact), send(contact, content) }
+// where name matches a notification_preferences column; send() rejects when
+// the message could not be handed over.
+function createChannelsService({ pool, channels = [], attachmentUrl = filePath => filePath }) {
+  channels = channels.filter(Boolean);
+
+  // message: { type, subject, text, attachment } where attachment is a stored
+  // file path. audience: { classId, studentIds } (null = the whole class).
+  // Failures are logged per recipient, never thrown.
+  async function deliver(message, { classId, studentIds = null }) {
+    const counts = Object.fromEntries(channels.map(channel => [channel.name, { sent: 0, failed: 0 }]));
+    if (channels.length === 0) return counts;
+
+    try {
+      const contacts = await preferencesRepo.optedInContacts(pool, { classId, studentIds });
+      const content = {
+        ...message,
+        attachmentUrl: message.attachment ? attachmentUrl(message.attachment) : null
+      };
+
+      // Channels run side by side, each with SEND_CONCURRENCY sends in flight
+      await Promise.all(channels.map(async channel => {
+        const recipients = contacts.filter(contact => contact[channel.name] && channel.addressOf(contact));
+        if (recipients.length === 0) return;
+        console.log(`📤 Sending ${message.type} by ${channel.name} to ${recipients.length} parents`);
+
+        await forEachLimited(recipients, SEND_CONCURRENCY, async contact => {
+          try {
+            await channel.send(contact, content);
+            counts[channel.name].sent++;
+          } catch (error) {
+            counts[channel.name].failed++;
+            console.error(`❌ ${channel.name} to ${channel.addressOf(contact)} failed:`, error.message);
+          }
+        });
+        console.log(`✅ ${channel.name}: ${counts[channel.name].sent}/${recipients.length} sent`);
+      }));
+    } catch (error) {
+      console.error('❌ Parent channel error:', error);
+    }
+
+    return counts;
+  }
+
+  return { deliver, names: channels.map(channel => channel.name) };
+}
+
+module.exports = { createChannelsService };
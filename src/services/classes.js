@@ -0,0 +1,65 @@
+const classesRepo = require('../repositories/classes');
+const usersRepo = require('../repositories/users');
+const { withTransaction } = require('../db/transaction');
+const { badRequest, notFound, conflict } = require('../errors');
+
+const CLASSES_CACHE_KEY = 'classes_all';
+
+function createClassesService({ pool, cache }) {
+  async function ensureTeacher(teacherId) {
+    if (teacherId && !(await usersRepo.hasRole(pool, teacherId, 'teacher'))) {
+      throw badRequest('Teacher not found');
+    }
+  }
+
+  async function list() {
+    const cached = cache.get(CLASSES_CACHE_KEY);
+    if (cached) {
+      console.log('✅ Cache hit - classes');
+      return cached;
+    }
+
+    const classes = await classesRepo.list(pool);
+    cache.set(CLASSES_CACHE_KEY, classes);
+    return classes;
+  }
+
+  async function create({ class_name, section_id, teacher_name, teacher_id }) {
+    await ensureTeacher(teacher_id);
+
+    const created = await classesRepo.create(pool, { class_name, section_id, teacher_name, teacher_id });
+    cache.del(CLASSES_CACHE_KEY);
+    return created;
+  }
+
+  async function remove(id) {
+    await withTransaction(pool, async client => {
+      if (await classesRepo.countStudents(client, id) > 0) {
+        throw conflict('Cannot delete class. It has enrolled students.');
+      }
+
+      if (!(await classesRepo.deleteById(client, id))) {
+        throw notFound('Class not found');
+      }
+    });
+
+    cache.del(CLASSES_CACHE_KEY);
+  }
+
+  // Link (or with teacher_id: null, unlink) the teacher account for a class
+  async function assignTeacher(id, { teacher_id, teacher_name }) {
+    await ensureTeacher(teacher_id);
+
+    const updated = await classesRepo.assignTeacher(pool, id, { teacher_id, teacher_name });
+    if (!updated) {
+      throw notFound('Class not found');
+    }
+
+    cache.del(CLASSES_CACHE_KEY);
+    return updated;
+  }
+
+  return { list, create, remove, assignTeacher };
+}
+
+module.exports = { createClassesService };
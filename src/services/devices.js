@@ -0,0 +1,25 @@
+const devicesRepo = require('../repositories/deviceTokens');
+
+// Push devices of any signed-in account
+function createDevicesService({ pool }) {
+  async function list(userId) {
+    return devicesRepo.listForUser(pool, userId);
+  }
+
+  async function register(userId, { token, platform, app_version }) {
+    const device = await devicesRepo.upsert(pool, { userId, token, platform, appVersion: app_version });
+    console.log(`📱 Device registered for user ${userId}${platform ? ` (${platform})` : ''}`);
+    return device;
+  }
+
+  // Idempotent: unregistering an unknown token is not an error
+  async function unregister(userId, token) {
+    const removed = await devicesRepo.removeForUser(pool, userId, token);
+    if (removed) console.log(`📴 Device unregistered for user ${userId}`);
+    return removed;
+  }
+
+  return { list, register, unregister };
+}
+
+module.exports = { createDevicesService };
@@ -0,0 +1,239 @@
+const XLSX = require('xlsx');
+const examsRepo = require('../repositories/exams');
+const subjectsRepo = require('../repositories/subjects');
+const marksRepo = require('../repositories/marks');
+const classesRepo = require('../repositories/classes');
+const studentsRepo = require('../repositories/students');
+const { withTransaction } = require('../db/transaction');
+const { readFirstSheet, mapField, STUDENT_COLUMNS } = require('../utils/excel');
+const { badRequest, notFound, conflict, ValidationError } = require('../errors');
+
+// Cell values a marks sheet may use for an absent student
+const ABSENT_MARKS = ['ab', 'abs', 'absent', 'a'];
+
+function createExamsService({ pool }) {
+  async function findClass(db, id) {
+    const found = await classesRepo.findById(db, id);
+    if (!found) throw notFound('Class not found');
+    return found;
+  }
+
+  async function findExam(db, id) {
+    const exam = await examsRepo.findById(db, id);
+    if (!exam) throw notFound('Exam not found');
+    return exam;
+  }
+
+  // ========== SUBJECTS ==========
+  async function listSubjects(classId) {
+    await findClass(pool, classId);
+    return subjectsRepo.listByClass(pool, classId);
+  }
+
+  async function createSubject(classId, { name, code }) {
+    await findClass(pool, classId);
+    if (await subjectsRepo.nameTaken(pool, classId, name)) {
+      throw conflict(`${name} is already a subject of this class`);
+    }
+    return subjectsRepo.create(pool, classId, { name, code });
+  }
+
+  // Deleting a subject also deletes the marks entered for it
+  async function removeSubject(id) {
+    if (!(await subjectsRepo.deleteById(pool, id))) {
+      throw notFound('Subject not found');
+    }
+  }
+
+  // ========== EXAMS ==========
+  async function list(filters) {
+    return examsRepo.list(pool, filters);
+  }
+
+  async function create(fields) {
+    return examsRepo.create(pool, fields);
+  }
+
+  async function remove(id) {
+    await withTransaction(pool, async client => {
+      await findExam(client, id);
+      if (await examsRepo.countMarks(client, id) > 0) {
+        throw conflict('Cannot delete exam. Marks have been entered.');
+      }
+      await examsRepo.deleteById(client, id);
+    });
+  }
+
+  // ========== MARKS ==========
+  // The class's marks for an exam as a grid: one row per student (roll
+  // order) with one cell per subject (subject order)
+  async function marksSheet(examId, classId) {
+    const exam = await findExam(pool, examId);
+    const found = await findClass(pool, classId);
+    const subjects = await subjectsRepo.listByClass(pool, classId);
+    const roster = await studentsRepo.listByClass(pool, classId);
+    const marks = await marksRepo.listForExamClass(pool, examId, classId);
+
+    const byCell = new Map(marks.map(m => [`${m.student_id}:${m.subject_id}`, m]));
+    return {
+      exam,
+      class: { id: found.id, class_name: found.class_name },
+      subjects,
+      students: roster.map(student => ({
+        id: student.id,
+        roll_number: student.roll_number,
+        first_name: student.first_name,
+        last_name: student.last_name,
+        marks: subjects.map(subject => {
+          const mark = byCell.get(`${student.id}:${subject.id}`);
+          return {
+            subject_id: subject.id,
+            marks_obtained: mark ? mark.marks_obtained : null,
+            is_absent: mark ? mark.is_absent : false
+          };
+        })
+      }))
+    };
+  }
+
+  // records: [{ student_id, subject_id, marks, absent }] for students and
+  // subjects of the class. All or nothing; re-entering a mark overwrites it.
+  async function enterMarks(examId, classId, { records, enteredBy }) {
+    return withTransaction(pool, async client => {
+      const exam = await findExam(client, examId);
+      await findClass(client, classId);
+
+      const inClass = new Set((await studentsRepo.listByClass(client, classId)).map(s => s.id));
+      const subjectIds = new Set((await subjectsRepo.listByClass(client, classId)).map(s => s.id));
+      const seen = new Set();
+      const errors = [];
+
+      records.forEach((record, i) => {
+        const error = (field, code, message, extra = {}) =>
+          errors.push({ field: `records[${i}].${field}`, location: 'body', code, message, ...extra });
+        const cell = `${record.student_id}:${record.subject_id}`;
+
+        if (!inClass.has(record.student_id)) {
+          error('student_id', 'not_in_class', `Student ${record.student_id} is not in this class`);
+        } else if (!subjectIds.has(record.subject_id)) {
+          error('subject_id', 'not_in_class', `Subject ${record.subject_id} is not taught in this class`);
+        } else if (seen.has(cell)) {
+          error('student_id', 'duplicate', `Student ${record.student_id} has more than one mark for subject ${record.subject_id}`);
+        } else if (!record.absent && (record.marks === undefined || record.marks === null)) {
+          error('marks', 'required', 'Marks are required unless the student was absent');
+        } else if (!record.absent && record.marks > exam.max_marks) {
+          error('marks', 'too_large', `Marks must be at most ${exam.max_marks}`, { max: exam.max_marks });
+        }
+        seen.add(cell);
+      });
+
+      if (errors.length > 0) throw new ValidationError(errors);
+
+      const saved = await marksRepo.upsertMany(client, { examId, enteredBy, records });
+      return { exam, saved };
+    });
+  }
+
+  // Reads a marks sheet: one row per student, found by Username or Roll
+  // Number, and one column per subject headed by its name or code. A cell
+  // holds the marks, "AB" for absent, or nothing to leave the mark as it is.
+  // Rows with a problem are reported as "Row <n>: <reason>" and skipped;
+  // the rest are saved together.
+  async function importMarksSheet(examId, classId, filePath, enteredBy) {
+    const exam = await findExam(pool, examId);
+    await findClass(pool, classId);
+    const subjects = await subjectsRepo.listByClass(pool, classId);
+    const roster = await studentsRepo.listByClass(pool, classId);
+
+    const rows = readFirstSheet(XLSX.readFile(filePath));
+    if (!rows.length) throw badRequest('Excel file is empty');
+
+    const headersOf = subject => Object.keys(rows[0]).filter(key => {
+      const header = key.trim().toLowerCase();
+      return header === subject.name.toLowerCase() || (subject.code && header === subject.code.toLowerCase());
+    });
+    const repeated = subjects.filter(subject => headersOf(subject).length > 1);
+    if (repeated.length > 0) {
+      throw badRequest(repeated.map(subject => `${subject.name} has more than one column (${headersOf(subject).join(', ')})`).join('; '));
+    }
+    const columns = subjects.map(subject => ({ subject, header: headersOf(subject)[0] })).filter(c => c.header);
+    if (columns.length === 0) {
+      throw badRequest('No subject columns found. Head each column with a subject name of the class.');
+    }
+
+    const byUsername = new Map(roster.map(s => [String(s.username).toLowerCase(), s]));
+    const byRoll = new Map(roster.filter(s => s.roll_number !== null).map(s => [String(s.roll_number), s]));
+
+    const records = [];
+    const errors = [];
+    // student id -> the first row that gave them
+    const rowOf = new Map();
+    let studentsImported = 0;
+
+    rows.forEach((row, i) => {
+      const rowNum = i + 2;
+      const username = mapField(row, STUDENT_COLUMNS.username);
+      const roll = mapField(row, STUDENT_COLUMNS.roll_number);
+      const student = (username && byUsername.get(username.toLowerCase())) || (roll && byRoll.get(roll));
+      if (!student) {
+        errors.push(`Row ${rowNum}: Student ${username || roll || '(blank)'} is not in this class`);
+        return;
+      }
+      // Named once by username and once by roll number, say
+      if (rowOf.has(student.id)) {
+        errors.push(`Row ${rowNum}: Student ${student.username} already given in row ${rowOf.get(student.id)}`);
+        return;
+      }
+      rowOf.set(student.id, rowNum);
+
+      const rowRecords = [];
+      const problems = [];
+      for (const { subject, header } of columns) {
+        const value = String(row[header] ?? '').trim();
+        if (value === '') continue;
+
+        if (ABSENT_MARKS.includes(value.toLowerCase())) {
+          rowRecords.push({ student_id: student.id, subject_id: subject.id, absent: true });
+        } else if (!/^\d+(\.\d+)?$/.test(value)) {
+          problems.push(`${subject.name} '${value}' is not a number`);
+        } else if (Number(value) > exam.max_marks) {
+          problems.push(`${subject.name} ${value} is more than ${exam.max_marks}`);
+        } else {
+          rowRecords.push({ student_id: student.id, subject_id: subject.id, marks: Number(value) });
+        }
+      }
+
+      if (problems.length > 0) {
+        errors.push(`Row ${rowNum}: ${problems.join('; ')}`);
+      } else if (rowRecords.length > 0) {
+        records.push(...rowRecords);
+        studentsImported++;
+      }
+    });
+
+    await withTransaction(pool, client => marksRepo.upsertMany(client, { examId, enteredBy, records }));
+    console.log(`✅ Marks sheet for ${exam.name}: ${studentsImported} students, ${errors.length} rows skipped`);
+
+    return {
+      total: rows.length,
+      students: studentsImported,
+      saved: records.length,
+      subjects: columns.map(c => c.subject.name),
+      errors
+    };
+  }
+
+  return {
+    listSubjects,
+    createSubject,
+    removeSubject,
+    list,
+    create,
+    remove,
+    marksSheet,
+    enterMarks,
+    importMarksSheet
+  };
+}
+
+module.exports = { createExamsService };
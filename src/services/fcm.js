@@ -0,0 +1,192 @@
+const devicesRepo = require('../repositories/deviceTokens');
+const deliveriesRepo = require('../repositories/fcmDeliveries');
+const { resolveMessageTypes, buildMessage } = require('./pushMessages');
+
+// ========== FCM BATCH SENDING ==========
+// messaging is a firebase-admin Messaging instance (admin.messaging()) or any
+// object with the same sendEachForMulticast(), e.g. an in-memory fake in
+// tests. When it is null FCM is disabled and every send counts as failed.
+//
+// With a pool, every recipient's outcome is written to fcm_deliveries and
+// device tokens FCM rejects as unregistered or invalid are removed.
+//
+// Pushes are styled per message type (see pushMessages.js); messageTypes
+// overrides the built-in settings and attachmentUrl turns a stored file path
+// into the absolute URL devices download it from.
+const FCM_BATCH_SIZE = 500;
+
+// The token will never work again
+const INVALID_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+  'messaging/invalid-argument'
+];
+
+// FCM or the network had a bad moment; worth another try
+const TRANSIENT_CODES = [
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/quota-exceeded',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded'
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Recipients are tokens or { token, student_id, badge }
+const toRecipient = recipient => typeof recipient === 'string'
+  ? { token: recipient, student_id: null, badge: null }
+  : recipient;
+
+// Recipients sharing a badge count can share one multicast message
+function groupByBadge(recipients) {
+  const groups = new Map();
+  for (const recipient of recipients) {
+    const badge = recipient.badge === undefined ? null : recipient.badge;
+    if (!groups.has(badge)) groups.set(badge, []);
+    groups.get(badge).push(recipient);
+  }
+  return groups;
+}
+
+function createFcmService(messaging, {
+  pool = null,
+  maxAttempts = 3,
+  retryDelayMs = 1000,
+  messageTypes = {},
+  attachmentUrl = filePath => filePath
+} = {}) {
+  const types = resolveMessageTypes(messageTypes);
+
+  // Sends one chunk, retrying transient failures with exponential backoff
+  // (retryDelayMs, then twice that, ...). Returns one outcome per recipient.
+  async function sendChunk(recipients, message) {
+    const outcomes = [];
+    let pending = recipients;
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      let responses;
+      try {
+        const response = await messaging.sendEachForMulticast({
+          ...message,
+          tokens: pending.map(recipient => recipient.token)
+        });
+        responses = response.responses;
+        console.log(`✅ Batch sent: ${response.successCount} success, ${response.failureCount} failed`);
+      } catch (err) {
+        // The whole request failed (network, auth): retry every token
+        console.error(`❌ FCM batch error:`, err.message);
+        responses = pending.map(() => ({ success: false, error: err, batchError: true }));
+      }
+
+      const retry = [];
+      responses.forEach((response, i) => {
+        const recipient = pending[i];
+
+        if (response.success) {
+          outcomes.push({ ...recipient, status: 'sent', message_id: response.messageId, attempts: attempt });
+          return;
+        }
+
+        const code = (response.error && response.error.code) || null;
+        const outcome = {
+          ...recipient,
+          error_code: code,
+          error_message: response.error ? response.error.message : null,
+          attempts: attempt
+        };
+
+        if (INVALID_TOKEN_CODES.includes(code)) {
+          outcomes.push({ ...outcome, status: 'invalid_token' });
+        } else if ((response.batchError || TRANSIENT_CODES.includes(code)) && attempt < maxAttempts) {
+          retry.push(recipient);
+        } else {
+          outcomes.push({ ...outcome, status: 'failed' });
+        }
+      });
+
+      pending = retry;
+      if (pending.length > 0) {
+        const delay = retryDelayMs * 2 ** (attempt - 1);
+        console.log(`🔁 Retrying ${pending.length} FCM sends in ${delay}ms (attempt ${attempt + 1}/${maxAttempts})`);
+        await sleep(delay);
+      }
+    }
+
+    return outcomes;
+  }
+
+  // Clears dead tokens and records every outcome. Bookkeeping problems are
+  // logged, never thrown: the push itself already happened.
+  async function recordOutcomes(outcomes, messageType, { notificationId, assignmentId }) {
+    if (!pool || outcomes.length === 0) return 0;
+
+    let pruned = 0;
+    try {
+      const invalid = [...new Set(outcomes.filter(o => o.status === 'invalid_token').map(o => o.token))];
+      if (invalid.length > 0) {
+        pruned = await devicesRepo.removeTokens(pool, invalid);
+        console.log(`🧹 Removed ${invalid.length} invalid FCM tokens`);
+      }
+
+      await deliveriesRepo.insertMany(pool, {
+        notificationId,
+        assignmentId,
+        messageType: messageType || null,
+        outcomes
+      });
+    } catch (error) {
+      console.error('❌ Failed to record FCM deliveries:', error);
+    }
+    return pruned;
+  }
+
+  // push: { type, title, body, data, attachment } where data holds the ids
+  // the deep link needs and attachment is a stored file path.
+  // context: { notificationId, assignmentId } the push belongs to, for the log
+  async function sendBatchFCM(recipients, push, context = {}) {
+    if (!recipients || recipients.length === 0) {
+      console.log('⚠️ No FCM tokens to send');
+      return { success: 0, failed: 0, pruned: 0 };
+    }
+
+    if (!messaging) {
+      console.log('⚠️ Firebase Admin not initialized - FCM disabled');
+      return { success: 0, failed: recipients.length, pruned: 0 };
+    }
+
+    // A parent's phone appears once per child; one copy of the push is enough
+    const seen = new Set();
+    recipients = recipients.map(toRecipient).filter(recipient => {
+      if (seen.has(recipient.token)) return false;
+      seen.add(recipient.token);
+      return true;
+    });
+    console.log(`📤 Sending FCM to ${recipients.length} students`);
+
+    const content = {
+      ...push,
+      attachmentUrl: push.attachment ? attachmentUrl(push.attachment) : null
+    };
+
+    // One message per badge count, split into chunks of 500
+    const outcomes = [];
+    for (const [badge, group] of groupByBadge(recipients)) {
+      const message = buildMessage(types, content, badge);
+      for (let i = 0; i < group.length; i += FCM_BATCH_SIZE) {
+        outcomes.push(...await sendChunk(group.slice(i, i + FCM_BATCH_SIZE), message));
+      }
+    }
+
+    const successCount = outcomes.filter(o => o.status === 'sent').length;
+    const pruned = await recordOutcomes(outcomes, push.type, context);
+
+    console.log(`✅ Total FCM sent: ${successCount}/${recipients.length} successful`);
+    return { success: successCount, failed: recipients.length - successCount, pruned };
+  }
+
+  return { sendBatchFCM };
+}
+
+module.exports = { createFcmService, FCM_BATCH_SIZE, INVALID_TOKEN_CODES, TRANSIENT_CODES };
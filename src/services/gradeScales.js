@@ -0,0 +1,68 @@
+const gradeScalesRepo = require('../repositories/gradeScales');
+const { withTransaction } = require('../db/transaction');
+const { notFound, conflict, ValidationError } = require('../errors');
+
+// The band for a percentage: the highest min_percentage it reaches.
+// bands are sorted by min_percentage, highest first.
+function gradeFor(scale, percentage) {
+  if (!scale || percentage === null) return null;
+  return scale.bands.find(band => percentage >= band.min_percentage) || null;
+}
+
+function createGradeScalesService({ pool }) {
+  async function list() {
+    return gradeScalesRepo.list(pool);
+  }
+
+  // The named scale, or the default one when id is not given
+  async function resolve(id) {
+    const scale = id ? await gradeScalesRepo.findById(pool, id) : await gradeScalesRepo.findDefault(pool);
+    if (id && !scale) throw notFound('Grade scale not found');
+    return scale;
+  }
+
+  // bands: [{ grade, min_percentage, remark }]. Every percentage must get a
+  // grade, so one band has to start at 0.
+  async function create({ name, bands, is_default = false }) {
+    const errors = [];
+    const grades = new Set();
+    const minimums = new Set();
+    bands.forEach((band, i) => {
+      if (grades.has(band.grade.toUpperCase())) {
+        errors.push({ field: `bands[${i}].grade`, location: 'body', code: 'duplicate', message: `Grade ${band.grade} is listed more than once` });
+      }
+      if (minimums.has(band.min_percentage)) {
+        errors.push({ field: `bands[${i}].min_percentage`, location: 'body', code: 'duplicate', message: `Two grades start at ${band.min_percentage}%` });
+      }
+      grades.add(band.grade.toUpperCase());
+      minimums.add(band.min_percentage);
+    });
+    if (!minimums.has(0)) {
+      errors.push({ field: 'bands', location: 'body', code: 'missing_zero_band', message: 'The lowest grade must start at 0%' });
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const id = await withTransaction(pool, async client => {
+      if (await gradeScalesRepo.nameExists(client, name)) {
+        throw conflict('Grade scale already exists');
+      }
+      const created = await gradeScalesRepo.create(client, { name, bands });
+      if (is_default) await gradeScalesRepo.setDefault(client, created);
+      return created;
+    });
+    return gradeScalesRepo.findById(pool, id);
+  }
+
+  async function setDefault(id) {
+    await withTransaction(pool, async client => {
+      if (!(await gradeScalesRepo.setDefault(client, id))) {
+        throw notFound('Grade scale not found');
+      }
+    });
+    return gradeScalesRepo.findById(pool, id);
+  }
+
+  return { list, resolve, create, setDefault };
+}
+
+module.exports = { createGradeScalesService, gradeFor };
@@ -0,0 +1,17 @@
+const { createPoller } = require('./poller');
+
+// ========== STUDENT IMPORT WORKER ==========
+// Polls for queued student bulk imports. Jobs live in Postgres and are
+// claimed with row locks, so a restart picks up where the last run stopped
+// and several instances never import the same job at once.
+function createImportJobWorker({ studentImport, intervalMs = 5000 }) {
+  return createPoller({
+    name: 'Import worker',
+    icon: '📥',
+    intervalMs,
+    run: () => studentImport.runQueuedJobs(),
+    report: ran => `Ran ${ran} student import jobs`
+  });
+}
+
+module.exports = { createImportJobWorker };
@@ -0,0 +1,78 @@
+const { createFcmService } = require('./fcm');
+const { createTokenService } = require('./tokens');
+const { createAuthService } = require('./auth');
+const { createAccountsService } = require('./accounts');
+const { createSectionsService } = require('./sections');
+const { createClassesService } = require('./classes');
+const { createStudentsService } = require('./students');
+const { createStudentImportService } = require('./studentImport');
+const { createStudentExportService } = require('./studentExport');
+const { createAssignmentsService } = require('./assignments');
+const { createNotificationsService } = require('./notifications');
+const { createStudentAppService } = require('./studentApp');
+const { createAttendanceService } = require('./attendance');
+const { createScheduledNotificationsService } = require('./scheduledNotifications');
+const { createDevicesService } = require('./devices');
+const { createChannelsService } = require('./channels');
+const { createParentsService } = require('./parents');
+const { createAcademicYearsService } = require('./academicYears');
+const { createTimetableService } = require('./timetable');
+const { createExamsService } = require('./exams');
+const { createGradeScalesService } = require('./gradeScales');
+const { createReportCardsService } = require('./reportCards');
+const { createEmailChannel } = require('./emailChannel');
+const { createSmsChannel } = require('./smsChannel');
+
+// Builds every service from the shared dependencies. Anything passed in
+// `overrides` (e.g. { fcm: fakeSender }) replaces the default instance and is
+// what the other services receive.
+function createServices({ pool, cache, messaging, storage, config }, overrides = {}) {
+  const pick = (name, build) => overrides[name] || build();
+  const attachmentUrl = filePath => config.publicUrl + storage.urlPath(filePath);
+
+  const fcm = pick('fcm', () => createFcmService(messaging, {
+    pool,
+    maxAttempts: config.fcmMaxAttempts,
+    retryDelayMs: config.fcmRetryDelayMs,
+    messageTypes: config.pushMessageTypes,
+    attachmentUrl
+  }));
+  const channels = pick('channels', () => createChannelsService({
+    pool,
+    channels: [createEmailChannel(config), createSmsChannel(config)],
+    attachmentUrl
+  }));
+  const tokens = pick('tokens', () => createTokenService(config));
+  const students = pick('students', () => createStudentsService({ pool }));
+  const parents = pick('parents', () => createParentsService({ pool }));
+  const gradeScales = pick('gradeScales', () => createGradeScalesService({ pool }));
+  const notifications = pick('notifications', () => createNotificationsService({ pool, cache, fcm, channels }));
+
+  return {
+    fcm,
+    channels,
+    tokens,
+    students,
+    parents,
+    auth: pick('auth', () => createAuthService({ pool, tokens })),
+    accounts: pick('accounts', () => createAccountsService({ pool, config })),
+    sections: pick('sections', () => createSectionsService({ pool, cache })),
+    classes: pick('classes', () => createClassesService({ pool, cache })),
+    studentImport: pick('studentImport', () => createStudentImportService({ pool, storage, students, parents })),
+    studentExport: pick('studentExport', () => createStudentExportService({ pool })),
+    assignments: pick('assignments', () => createAssignmentsService({ pool, cache, fcm, channels, storage })),
+    notifications,
+    scheduledNotifications: pick('scheduledNotifications', () =>
+      createScheduledNotificationsService({ pool, cache, notifications, config })),
+    studentApp: pick('studentApp', () => createStudentAppService({ pool, cache, channels })),
+    attendance: pick('attendance', () => createAttendanceService({ pool, fcm })),
+    devices: pick('devices', () => createDevicesService({ pool })),
+    academicYears: pick('academicYears', () => createAcademicYearsService({ pool, cache })),
+    timetable: pick('timetable', () => createTimetableService({ pool })),
+    exams: pick('exams', () => createExamsService({ pool })),
+    gradeScales,
+    reportCards: pick('reportCards', () => createReportCardsService({ pool, gradeScales, config }))
+  };
+}
+
+module.exports = { createServices };
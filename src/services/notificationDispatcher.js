@@ -0,0 +1,17 @@
+const { createPoller } = require('./poller');
+
+// ========== SCHEDULED NOTIFICATION DISPATCHER ==========
+// Polls for due scheduled notifications. Jobs live in Postgres, so nothing is
+// lost on restart, and they are claimed with row locks, so several instances
+// can run a dispatcher at once without sending anything twice.
+function createNotificationDispatcher({ scheduledNotifications, intervalMs = 30000 }) {
+  return createPoller({
+    name: 'Notification dispatcher',
+    icon: '⏰',
+    intervalMs,
+    run: () => scheduledNotifications.dispatchDue(),
+    report: sent => `Dispatched ${sent} scheduled notifications`
+  });
+}
+
+module.exports = { createNotificationDispatcher };
@@ -0,0 +1,105 @@
+const notificationsRepo = require('../repositories/notifications');
+const devicesRepo = require('../repositories/deviceTokens');
+const deliveriesRepo = require('../repositories/fcmDeliveries');
+const { withTransaction } = require('../db/transaction');
+const { notFound } = require('../errors');
+
+function createNotificationsService({ pool, cache, fcm, channels }) {
+  async function list() {
+    return notificationsRepo.list(pool);
+  }
+
+  async function classIdOf(id) {
+    const notification = await notificationsRepo.findById(pool, id);
+    return notification ? notification.class_id : null;
+  }
+
+  // Pushes a notice to its recipients and alerts opted-in parents by email /
+  // SMS; notificationId ties the deliveries to it
+  async function sendPush({ class_id, recipient_type, selected_students, title, description, file_path }, notificationId = null) {
+    try {
+      let recipients = [];
+
+      if (recipient_type === 'all') {
+        recipients = await devicesRepo.recipientsForClass(pool, class_id);
+        console.log(`📤 Sending notification to ALL students in class ${class_id}`);
+      } else if (recipient_type === 'particular') {
+        recipients = await devicesRepo.recipientsForStudents(pool, selected_students, class_id);
+        console.log(`📤 Sending notification to ${selected_students.length} PARTICULAR students`);
+      }
+
+      if (recipients.length > 0) {
+        await fcm.sendBatchFCM(recipients, {
+          type: 'notification',
+          title: '📌 New Notification',
+          body: description,
+          data: { notification_id: notificationId, class_id },
+          attachment: file_path
+        }, { notificationId });
+      } else {
+        console.log('⚠️ No FCM tokens found');
+      }
+
+    } catch (fcmError) {
+      console.error('❌ FCM Error:', fcmError);
+    }
+
+    await channels.deliver({
+      type: 'notification',
+      subject: title,
+      text: description,
+      attachment: file_path
+    }, {
+      classId: class_id,
+      studentIds: recipient_type === 'particular' ? selected_students : null
+    });
+  }
+
+  async function create(fields) {
+    const notification = await notificationsRepo.create(pool, fields);
+
+    await sendPush(fields, notification.id);
+
+    cache.flushAll();
+    console.log('🗑️ Cache cleared after new notification');
+
+    return notification;
+  }
+
+  async function update(id, fields) {
+    const notification = await withTransaction(pool, async client => {
+      if (!(await notificationsRepo.findById(client, id))) {
+        throw notFound('Notification not found');
+      }
+
+      return notificationsRepo.update(client, id, fields);
+    });
+
+    cache.flushAll();
+    console.log('🗑️ Cache cleared after notification update');
+
+    return notification;
+  }
+
+  async function remove(id) {
+    if (!(await notificationsRepo.deleteById(pool, id))) {
+      throw notFound('Notification not found');
+    }
+    cache.flushAll();
+  }
+
+  // Per-recipient push outcomes, failures first
+  async function deliveryReport(id) {
+    const notification = await notificationsRepo.findById(pool, id);
+    if (!notification) {
+      throw notFound('Notification not found');
+    }
+
+    const { summary, deliveries } = await deliveriesRepo.report(pool, 'notification_id', id);
+    return { notification: { id: notification.id, title: notification.title }, summary, deliveries };
+  }
+
+  return { list, classIdOf, sendPush, create, update, remove, deliveryReport };
+}
+
+module.exports = { createNotificationsService };
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const parentsRepo = require('../repositories/parents');
+const studentsRepo = require('../repositories/students');
+const usersRepo = require('../repositories/users');
+const { withTransaction } = require('../db/transaction');
+const { hashPassword } = require('./passwords');
+const { notFound, conflict } = require('../errors');
+
+// Readable one-time password for accounts the school creates on a parent's behalf
+const temporaryPassword = () => crypto.randomBytes(6).toString('base64url');
+
+function createParentsService({ pool }) {
+  async function list() {
+    return parentsRepo.list(pool);
+  }
+
+  async function findParent(db, id) {
+    const parent = await parentsRepo.findById(db, id);
+    if (!parent) {
+      throw notFound('Parent not found');
+    }
+    return parent;
+  }
+
+  async function get(id) {
+    const parent = await findParent(pool, id);
+    return { ...parent, children: await parentsRepo.listChildren(pool, id) };
+  }
+
+  // Creates a parent login, optionally linked to student_ids straight away
+  async function create({ username, password, email, phone, full_name, student_ids = [] }) {
+    const parent = await withTransaction(pool, async client => {
+      if (await usersRepo.usernameExists(client, username)) {
+        throw conflict('Username already exists');
+      }
+
+      const created = await parentsRepo.create(client, {
+        username,
+        passwordHash: await hashPassword(password),
+        email,
+        phone,
+        fullName: full_name
+      });
+
+      for (const studentId of student_ids) {
+        if (!(await studentsRepo.findProfileById(client, studentId))) {
+          throw notFound(`Student ${studentId} not found`);
+        }
+        await parentsRepo.link(client, created.id, studentId);
+      }
+      return created;
+    });
+
+    console.log(`✅ Parent '${username}' created`);
+    return get(parent.id);
+  }
+
+  async function link(parentId, studentId, relationship = null) {
+    await withTransaction(pool, async client => {
+      await findParent(client, parentId);
+      if (!(await studentsRepo.findProfileById(client, studentId))) {
+        throw notFound('Student not found');
+      }
+      await parentsRepo.link(client, parentId, studentId, relationship);
+    });
+    return get(parentId);
+  }
+
+  async function unlink(parentId, studentId) {
+    await findParent(pool, parentId);
+    if (!(await parentsRepo.unlink(pool, parentId, studentId))) {
+      throw notFound('This student is not linked to the parent');
+    }
+    return get(parentId);
+  }
+
+  async function children(parentId) {
+    return parentsRepo.listChildren(pool, parentId);
+  }
+
+  // ========== BULK IMPORT ==========
+  // Links a newly imported student to the parent account matching their
+  // parent_email / parent_phone, creating one (username = email, else phone)
+  // when none exists. Returns { parent, created, password } with the
+  // temporary password of new accounts, { skipped } when the account cannot
+  // be made, or null when the row has no parent contact.
+  async function linkImportedStudent(db, student) {
+    const email = student.parent_email;
+    const phone = student.parent_phone;
+    if (!email && !phone) return null;
+
+    const existing = await parentsRepo.findByContact(db, { email, phone });
+    if (existing) {
+      await parentsRepo.link(db, existing.id, student.id);
+      return { parent: existing, created: false, password: null };
+    }
+
+    const username = (email || phone).toLowerCase();
+    if (await usersRepo.usernameExists(db, username)) {
+      return { skipped: `Parent username '${username}' is already taken` };
+    }
+
+    const password = temporaryPassword();
+    const parent = await parentsRepo.create(db, {
+      username,
+      passwordHash: await hashPassword(password),
+      email,
+      phone,
+      fullName: student.parent_name
+    });
+    await parentsRepo.link(db, parent.id, student.id);
+    return { parent, created: true, password };
+  }
+
+  // After an import changed a student's parent contact: unlinks the account
+  // found by the previous contact (`previous` holds the old parent_email /
+  // parent_phone) unless the new contact still leads to it. Returns the
+  // unlinked parent, or null.
+  async function unlinkPreviousParent(db, student, previous) {
+    const old = await parentsRepo.findByContact(db, { email: previous.parent_email, phone: previous.parent_phone });
+    if (!old) return null;
+
+    const current = await parentsRepo.findByContact(db, { email: student.parent_email, phone: student.parent_phone });
+    if (current && current.id === old.id) return null;
+
+    return (await parentsRepo.unlink(db, old.id, student.id)) ? old : null;
+  }
+
+  return { list, get, create, link, unlink, children, linkImportedStudent, unlinkPreviousParent };
+}
+
+module.exports = { createParentsService };
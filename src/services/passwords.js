@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Stored format: scrypt$N$r$p$<salt base64>$<hash base64>
+// Anything without the scrypt$ prefix is a legacy plaintext password.
+const scryptAsync = promisify(crypto.scrypt);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const PASSWORD_SALT_BYTES = 16;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scryptAsync(String(password), salt, SCRYPT_KEYLEN, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function isPasswordHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith('scrypt$');
+}
+
+// Returns { valid, needsRehash }. needsRehash is true for legacy plaintext
+// rows and for hashes created with weaker parameters than SCRYPT_PARAMS.
+async function verifyPassword(password, stored) {
+  if (!stored || password === undefined || password === null) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const candidate = Buffer.from(String(password));
+
+  if (!isPasswordHashed(stored)) {
+    const legacy = Buffer.from(String(stored));
+    const valid = candidate.length === legacy.length && crypto.timingSafeEqual(candidate, legacy);
+    return { valid, needsRehash: valid };
+  }
+
+  const parts = stored.split('$');
+  if (parts.length !== 6) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scryptAsync(candidate, Buffer.from(saltB64, 'base64'), expected.length, {
+    N: parseInt(N), r: parseInt(r), p: parseInt(p)
+  });
+
+  const valid = crypto.timingSafeEqual(actual, expected);
+  const needsRehash = valid && (
+    parseInt(N) < SCRYPT_PARAMS.N || parseInt(r) < SCRYPT_PARAMS.r || parseInt(p) < SCRYPT_PARAMS.p
+  );
+  return { valid, needsRehash };
+}
+
+module.exports = { hashPassword, isPasswordHashed, verifyPassword };
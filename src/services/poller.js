@@ -0,0 +1,47 @@
+// ========== POLLER ==========
+// The polling loop behind the background workers: calls run() every
+// intervalMs, never overlapping a slow run with the next one. run() resolves
+// with how much it did, which report(count) describes when it is not zero.
+function createPoller({ name, icon, intervalMs, run, report }) {
+  let timer = null;
+  let running = null;
+
+  async function tick() {
+    if (running) return running;
+
+    running = Promise.resolve()
+      .then(run)
+      .then(count => {
+        if (count > 0) console.log(`✅ ${report(count)}`);
+        return count;
+      })
+      .catch(error => {
+        console.error(`❌ ${name} error:`, error);
+        return 0;
+      })
+      .finally(() => {
+        running = null;
+      });
+
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    console.log(`${icon} ${name} polling every ${intervalMs / 1000}s`);
+  }
+
+  // Resolves once an in-flight run has finished
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (running) await running;
+  }
+
+  return { start, stop, tick };
+}
+
+module.exports = { createPoller };
@@ -0,0 +1,103 @@
+// ========== PUSH MESSAGE TYPES ==========
+// How each kind of push is shown on the device. Every push carries both a
+// `notification` (shown by the OS while the app is in the background) and a
+// `data` payload for the app itself.
+//
+//   channelId  Android notification channel the app registers
+//   route      in-app deep link; :name placeholders come from the push's data
+//   badge      set the app icon badge to the student's unread notices
+//   urgent     max priority on Android, time-sensitive on iOS
+//   sound      notification sound ('default' or a bundled sound name)
+//
+// Any of these can be overridden per type through config.pushMessageTypes.
+const MESSAGE_TYPES = {
+  notification: { channelId: 'notices', route: '/notifications/:notification_id' },
+  assignment: { channelId: 'assignments', route: '/assignments/:assignment_id' },
+  attendance: { channelId: 'alerts', route: '/attendance/:student_id?date=:date', urgent: true }
+};
+
+const TYPE_DEFAULTS = { channelId: 'general', route: null, badge: true, urgent: false, sound: 'default' };
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp)$/i;
+
+// Built-in types with the configured overrides applied on top
+function resolveMessageTypes(overrides = {}) {
+  const types = {};
+  for (const name of new Set([...Object.keys(MESSAGE_TYPES), ...Object.keys(overrides)])) {
+    types[name] = { ...TYPE_DEFAULTS, ...MESSAGE_TYPES[name], ...overrides[name], name };
+  }
+  return types;
+}
+
+// '/assignments/:assignment_id' -> '/assignments/12'; null when data lacks a value
+function fillRoute(route, data) {
+  if (!route) return null;
+  let complete = true;
+  const filled = route.replace(/:([a-z_]+)/g, (match, key) => {
+    if (data[key] === undefined || data[key] === null) complete = false;
+    return encodeURIComponent(data[key]);
+  });
+  return complete ? filled : null;
+}
+
+// FCM data values must be strings; empty values are left out
+function toData(values) {
+  const data = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined && value !== null) data[key] = String(value);
+  }
+  return data;
+}
+
+// The multicast message minus its tokens, styled by its type in `types`.
+// badge is the recipients' unread count (null to leave the badge alone).
+function buildMessage(types, { type: typeName, title, body, data = {}, attachmentUrl = null }, badge) {
+  const type = types[typeName] || { ...TYPE_DEFAULTS, name: typeName };
+  const imageUrl = attachmentUrl && IMAGE_EXTENSIONS.test(attachmentUrl) ? attachmentUrl : undefined;
+  const withBadge = type.badge && badge !== undefined && badge !== null;
+
+  const notification = toData({ title, body, imageUrl });
+  const message = {
+    data: toData({
+      ...data,
+      type: type.name,
+      title,
+      body,
+      // Older app versions read the text from here
+      message: body,
+      route: fillRoute(type.route, data),
+      attachment_url: attachmentUrl,
+      badge: withBadge ? badge : null
+    }),
+    android: {
+      priority: 'high',
+      notification: {
+        channelId: type.channelId,
+        sound: type.sound,
+        priority: type.urgent ? 'max' : 'default',
+        ...(withBadge && { notificationCount: badge })
+      }
+    },
+    apns: {
+      headers: {
+        'apns-priority': '10'
+      },
+      payload: {
+        aps: {
+          sound: type.sound,
+          threadId: type.name,
+          'interruption-level': type.urgent ? 'time-sensitive' : 'active',
+          ...(withBadge && { badge }),
+          // Lets the app's notification service extension attach the image
+          ...(imageUrl && { mutableContent: true })
+        }
+      },
+      ...(imageUrl && { fcmOptions: { imageUrl } })
+    }
+  };
+
+  if (Object.keys(notification).length > 0) message.notification = notification;
+  return message;
+}
+
+module.exports = { MESSAGE_TYPES, resolveMessageTypes, fillRoute, buildMessage };
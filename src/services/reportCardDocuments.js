@@ -0,0 +1,109 @@
+const PDFDocument = require('pdfkit');
+const XLSX = require('xlsx');
+
+// ========== REPORT CARD DOCUMENTS ==========
+// Render a card from reportCards.forStudent() as a PDF or XLSX download.
+
+const markText = mark => {
+  if (mark.is_absent) return 'AB';
+  return mark.marks_obtained === null ? '-' : String(mark.marks_obtained);
+};
+const percentText = value => (value === null ? '-' : `${value}%`);
+
+function headingLines(card) {
+  return [
+    ['Student', `${card.student.first_name} ${card.student.last_name}`],
+    ['Class', card.class ? card.class.class_name : '-'],
+    ['Roll number', card.student.roll_number ?? '-'],
+    ['Term', card.term || 'All exams']
+  ];
+}
+
+// Subject rows: name, one cell per exam, total, percentage, grade
+function tableRows(card) {
+  const header = ['Subject', ...card.exams.map(exam => `${exam.name} (${exam.max_marks})`), 'Total', '%', 'Grade'];
+  const rows = card.subjects.map(subject => [
+    subject.name,
+    ...subject.exams.map(markText),
+    `${subject.total_obtained}/${subject.total_max}`,
+    percentText(subject.percentage),
+    subject.grade || '-'
+  ]);
+  return { header, rows };
+}
+
+function summaryLines(card) {
+  return [
+    ['Total', `${card.totals.obtained}/${card.totals.max}`],
+    ['Percentage', percentText(card.percentage)],
+    ['Grade', card.grade ? `${card.grade}${card.remark ? ` (${card.remark})` : ''}` : '-'],
+    ['Class rank', card.rank ? `${card.rank} of ${card.ranked_students}` : '-']
+  ];
+}
+
+function renderPdf(card) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(card.school_name, { align: 'center' });
+    doc.fontSize(13).text('Report Card', { align: 'center' }).moveDown();
+
+    doc.fontSize(10);
+    for (const [label, value] of headingLines(card)) {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+    }
+    doc.moveDown();
+
+    const { header, rows } = tableRows(card);
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const firstWidth = width * 0.28;
+    const otherWidth = (width - firstWidth) / (header.length - 1);
+    const drawRow = (cells, bold) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      cells.forEach((cell, i) => {
+        const x = i === 0 ? left : left + firstWidth + otherWidth * (i - 1);
+        doc.text(String(cell), x, y, { width: i === 0 ? firstWidth : otherWidth, align: i === 0 ? 'left' : 'center' });
+      });
+      doc.x = left;
+      doc.y = y + 18;
+    };
+
+    drawRow(header, true);
+    doc.moveTo(left, doc.y - 4).lineTo(left + width, doc.y - 4).stroke();
+    rows.forEach(row => drawRow(row, false));
+    doc.moveDown();
+
+    for (const [label, value] of summaryLines(card)) {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+    }
+    doc.end();
+  });
+}
+
+function renderXlsx(card) {
+  const { header, rows } = tableRows(card);
+  const sheet = XLSX.utils.aoa_to_sheet([
+    [card.school_name],
+    ['Report Card'],
+    [],
+    ...headingLines(card),
+    [],
+    header,
+    ...rows,
+    [],
+    ...summaryLines(card)
+  ]);
+  sheet['!cols'] = header.map((_, i) => ({ wch: i === 0 ? 24 : 14 }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Report Card');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = { renderPdf, renderXlsx };
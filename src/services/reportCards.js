@@ -0,0 +1,153 @@
+const examsRepo = require('../repositories/exams');
+const subjectsRepo = require('../repositories/subjects');
+const marksRepo = require('../repositories/marks');
+const classesRepo = require('../repositories/classes');
+const studentsRepo = require('../repositories/students');
+const { gradeFor } = require('./gradeScales');
+const { renderPdf, renderXlsx } = require('./reportCardDocuments');
+const { notFound } = require('../errors');
+
+const round = value => Math.round(value * 100) / 100;
+
+// Weighted percentage of [{ ratio, weightage }], or null without any
+function weighted(parts) {
+  const weights = parts.reduce((sum, part) => sum + part.weightage, 0);
+  if (weights === 0) return null;
+  return round(parts.reduce((sum, part) => sum + part.ratio * part.weightage, 0) / weights * 100);
+}
+
+// Results of every student with marks in `marks`. Each exam counts with its
+// weightage: a subject's percentage weighs the exams the student has a mark
+// for in it, the overall percentage weighs each exam's total across
+// subjects. Absent counts as zero. Students in `include` get a (blank)
+// result even without marks.
+function computeResults(exams, subjects, marks, include = []) {
+  const examById = new Map(exams.map(exam => [exam.id, exam]));
+  const byStudent = new Map(include.map(id => [id, []]));
+  for (const mark of marks) {
+    if (!byStudent.has(mark.student_id)) byStudent.set(mark.student_id, []);
+    byStudent.get(mark.student_id).push(mark);
+  }
+
+  const results = new Map();
+  for (const [studentId, studentMarks] of byStudent) {
+    const obtainedOf = mark => (mark.is_absent ? 0 : mark.marks_obtained);
+
+    const subjectResults = subjects.map(subject => {
+      const own = studentMarks.filter(mark => mark.subject_id === subject.id);
+      const obtained = own.reduce((sum, mark) => sum + obtainedOf(mark), 0);
+      const max = own.reduce((sum, mark) => sum + examById.get(mark.exam_id).max_marks, 0);
+      return {
+        subject_id: subject.id,
+        name: subject.name,
+        code: subject.code,
+        exams: exams.map(exam => {
+          const mark = own.find(m => m.exam_id === exam.id);
+          return {
+            exam_id: exam.id,
+            marks_obtained: mark ? mark.marks_obtained : null,
+            is_absent: mark ? mark.is_absent : false,
+            max_marks: exam.max_marks
+          };
+        }),
+        total_obtained: round(obtained),
+        total_max: max,
+        percentage: weighted(own.map(mark => {
+          const exam = examById.get(mark.exam_id);
+          return { ratio: obtainedOf(mark) / exam.max_marks, weightage: exam.weightage };
+        }))
+      };
+    });
+
+    const examParts = exams.map(exam => {
+      const own = studentMarks.filter(mark => mark.exam_id === exam.id);
+      if (own.length === 0) return null;
+      const obtained = own.reduce((sum, mark) => sum + obtainedOf(mark), 0);
+      return { ratio: obtained / (own.length * exam.max_marks), weightage: exam.weightage };
+    }).filter(Boolean);
+
+    results.set(studentId, {
+      subjects: subjectResults,
+      totals: {
+        obtained: round(subjectResults.reduce((sum, s) => sum + s.total_obtained, 0)),
+        max: subjectResults.reduce((sum, s) => sum + s.total_max, 0)
+      },
+      percentage: weighted(examParts)
+    });
+  }
+  return results;
+}
+
+// Standard competition ranking (1, 2, 2, 4) by percentage
+function rankOf(results, studentId) {
+  const own = results.get(studentId);
+  if (!own || own.percentage === null) return null;
+  return 1 + [...results.values()].filter(r => r.percentage !== null && r.percentage > own.percentage).length;
+}
+
+function createReportCardsService({ pool, gradeScales, config }) {
+  // filters: { term, academicYearId } choose the exams; gradeScaleId the
+  // scale (default scale otherwise). The class is the one whose subjects
+  // the student has marks in, so past years' cards survive promotion; the
+  // rank is among that class's students with marks in the same exams.
+  async function forStudent(studentId, { term, academicYearId, gradeScaleId } = {}) {
+    const student = await studentsRepo.findProfileById(pool, studentId);
+    if (!student) throw notFound('Student not found');
+
+    const scale = await gradeScales.resolve(gradeScaleId);
+    const exams = await examsRepo.list(pool, { term, academicYearId });
+    const examIds = exams.map(exam => exam.id);
+
+    const [markedClassId] = await marksRepo.classesWithMarks(pool, student.id, examIds);
+    const classId = markedClassId || student.class_id;
+    const found = classId ? await classesRepo.findById(pool, classId) : null;
+    const subjects = classId ? await subjectsRepo.listByClass(pool, classId) : [];
+    const marks = classId ? await marksRepo.listForClassExams(pool, classId, examIds) : [];
+
+    const results = computeResults(exams, subjects, marks, [student.id]);
+    const own = results.get(student.id);
+    const grade = gradeFor(scale, own.percentage);
+
+    return {
+      school_name: config.schoolName,
+      student: {
+        id: student.id,
+        first_name: student.first_name,
+        last_name: student.last_name,
+        roll_number: student.roll_number,
+        username: student.username
+      },
+      class: found ? { id: found.id, class_name: found.class_name, section_name: found.section_name } : null,
+      term: term || null,
+      academic_year_id: academicYearId || null,
+      exams: exams.map(({ id, name, term, exam_date, max_marks, weightage }) => ({ id, name, term, exam_date, max_marks, weightage })),
+      subjects: own.subjects.map(subject => ({ ...subject, grade: (gradeFor(scale, subject.percentage) || {}).grade || null })),
+      totals: own.totals,
+      percentage: own.percentage,
+      grade: grade ? grade.grade : null,
+      remark: grade ? grade.remark : null,
+      rank: rankOf(results, student.id),
+      ranked_students: [...results.values()].filter(r => r.percentage !== null).length,
+      grade_scale: scale ? { id: scale.id, name: scale.name } : null
+    };
+  }
+
+  // The card as a download: { buffer, contentType, filename }
+  async function render(card, format) {
+    const base = `report-card-${card.student.first_name}-${card.student.last_name}${card.term ? `-${card.term}` : ''}`
+      .toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+
+    if (format === 'pdf') {
+      return { buffer: await renderPdf(card), contentType: 'application/pdf', filename: `${base}.pdf` };
+    }
+    return {
+      buffer: renderXlsx(card),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      filename: `${base}.xlsx`
+    };
+  }
+
+  return { forStudent, render };
+}
+
+module.exports = { createReportCardsService };
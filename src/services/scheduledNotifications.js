@@ -0,0 +1,191 @@
+const jobsRepo = require('../repositories/notificationJobs');
+const notificationsRepo = require('../repositories/notifications');
+const sectionsRepo = require('../repositories/sections');
+const { withTransaction } = require('../db/transaction');
+const { notFound, conflict, ValidationError } = require('../errors');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const REPEATS = ['none', 'daily', 'weekly'];
+// Jobs claimed per dispatcher transaction
+const DISPATCH_BATCH_SIZE = 50;
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const toApi = job => ({
+  ...job,
+  weekdays: job.weekdays ? job.weekdays.map(day => WEEKDAYS[day]) : null
+});
+
+// Scheduled and recurring notifications. dispatchDue() is what the
+// background dispatcher calls; it reuses the notifications service's push.
+function createScheduledNotificationsService({ pool, cache, notifications, config }) {
+  async function list(status) {
+    return (await jobsRepo.list(pool, { status })).map(toApi);
+  }
+
+  async function get(id) {
+    const job = await jobsRepo.findDetail(pool, id);
+    if (!job) {
+      throw notFound('Scheduled notification not found');
+    }
+    return toApi(job);
+  }
+
+  async function classIdOf(id) {
+    const job = await jobsRepo.findById(pool, id);
+    return job ? job.class_id : null;
+  }
+
+  // Checks the parts of a schedule that depend on the clock or the database
+  // and returns the schedule columns with the first next_run_at.
+  async function planSchedule(db, fields) {
+    const repeat = fields.repeat || 'none';
+    const timeZone = fields.time_zone || config.timeZone;
+    const errors = [];
+
+    if (!isTimeZone(timeZone)) {
+      errors.push({ field: 'time_zone', code: 'invalid_time_zone', message: 'Time zone must be an IANA name such as Asia/Kolkata' });
+    }
+    if (repeat === 'none' && new Date(fields.send_at) <= new Date()) {
+      errors.push({ field: 'send_at', code: 'in_past', message: 'Send time must be in the future' });
+    }
+    if (repeat !== 'none' && fields.section_id && !(await sectionsRepo.findById(db, fields.section_id))) {
+      errors.push({ field: 'section_id', code: 'not_found', message: 'Section not found' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors.map(error => ({ location: 'body', ...error })));
+    }
+
+    if (repeat === 'none') {
+      return {
+        repeat,
+        send_at: fields.send_at,
+        weekdays: null,
+        time_of_day: null,
+        section_id: null,
+        minutes_before_start: 0,
+        time_zone: timeZone,
+        next_run_at: fields.send_at
+      };
+    }
+
+    const schedule = {
+      repeat,
+      send_at: null,
+      weekdays: repeat === 'weekly' ? fields.weekdays.map(day => WEEKDAYS.indexOf(day)) : null,
+      // A fixed time wins over a section-relative one
+      time_of_day: fields.time_of_day || null,
+      section_id: fields.time_of_day ? null : fields.section_id,
+      minutes_before_start: fields.time_of_day ? 0 : fields.minutes_before_start || 0,
+      time_zone: timeZone
+    };
+
+    schedule.next_run_at = await nextRun(db, schedule);
+    return schedule;
+  }
+
+  function nextRun(db, job) {
+    return jobsRepo.nextOccurrence(db, {
+      weekdays: job.weekdays,
+      timeOfDay: job.time_of_day,
+      sectionId: job.section_id,
+      minutesBeforeStart: job.minutes_before_start,
+      timeZone: job.time_zone,
+      after: new Date()
+    });
+  }
+
+  async function create(fields) {
+    const id = await withTransaction(pool, async client => {
+      const schedule = await planSchedule(client, fields);
+      return jobsRepo.create(client, { ...fields, ...schedule });
+    });
+
+    console.log(`⏰ Notification ${id} scheduled`);
+    return get(id);
+  }
+
+  async function lockPending(client, id) {
+    const job = await jobsRepo.findById(client, id, { forUpdate: true });
+    if (!job) {
+      throw notFound('Scheduled notification not found');
+    }
+    if (job.status !== 'pending') {
+      throw conflict(`This notification is already ${job.status}`);
+    }
+    return job;
+  }
+
+  // Replaces content and schedule of a job that has not finished yet
+  async function update(id, fields) {
+    await withTransaction(pool, async client => {
+      await lockPending(client, id);
+      const schedule = await planSchedule(client, fields);
+      await jobsRepo.update(client, id, { ...fields, ...schedule });
+    });
+
+    return get(id);
+  }
+
+  async function cancel(id) {
+    await withTransaction(pool, async client => {
+      await lockPending(client, id);
+      await jobsRepo.cancel(client, id);
+    });
+
+    console.log(`🚫 Scheduled notification ${id} cancelled`);
+    return get(id);
+  }
+
+  // ========== DISPATCH ==========
+  // Sends every due job once: the notification row and the next run are
+  // committed together, then the push goes out. A job overdue by several
+  // occurrences (e.g. after downtime) is sent once and then rescheduled from
+  // now. Returns the number of jobs sent.
+  async function dispatchDue() {
+    let sent = 0;
+    let claimed;
+
+    do {
+      const runs = await withTransaction(pool, async client => {
+        const jobs = await jobsRepo.claimDue(client, DISPATCH_BATCH_SIZE);
+        const batch = [];
+
+        for (const job of jobs) {
+          const notification = await notificationsRepo.create(client, job);
+          const nextRunAt = job.repeat === 'none' ? null : await nextRun(client, job);
+          await jobsRepo.recordRun(client, job.id, { notificationId: notification.id, nextRunAt });
+          batch.push({ job, notificationId: notification.id });
+        }
+        return batch;
+      });
+
+      for (const { job, notificationId } of runs) {
+        console.log(`⏰ Sending scheduled notification ${job.id}: ${job.title}`);
+        await notifications.sendPush(job, notificationId);
+      }
+
+      claimed = runs.length;
+      sent += claimed;
+    } while (claimed === DISPATCH_BATCH_SIZE);
+
+    if (sent > 0) {
+      cache.flushAll();
+      console.log('🗑️ Cache cleared after scheduled notifications');
+    }
+
+    return sent;
+  }
+
+  return { list, get, classIdOf, create, update, cancel, dispatchDue };
+}
+
+module.exports = { createScheduledNotificationsService, WEEKDAYS, REPEATS };
@@ -0,0 +1,47 @@
+const sectionsRepo = require('../repositories/sections');
+const { withTransaction } = require('../db/transaction');
+const { notFound, conflict } = require('../errors');
+
+const SECTIONS_CACHE_KEY = 'sections_all';
+
+function createSectionsService({ pool, cache }) {
+  async function list() {
+    const cached = cache.get(SECTIONS_CACHE_KEY);
+    if (cached) {
+      console.log('✅ Cache hit - sections');
+      return cached;
+    }
+
+    const sections = await sectionsRepo.list(pool);
+    cache.set(SECTIONS_CACHE_KEY, sections);
+    return sections;
+  }
+
+  async function create({ section_name, start_time, end_time }) {
+    if (await sectionsRepo.findDuplicate(pool, { section_name, start_time, end_time })) {
+      throw conflict('A section with the same name and timing already exists');
+    }
+
+    const section = await sectionsRepo.create(pool, { section_name, start_time, end_time });
+    cache.del(SECTIONS_CACHE_KEY);
+    return section;
+  }
+
+  async function remove(id) {
+    await withTransaction(pool, async client => {
+      if (await sectionsRepo.countClasses(client, id) > 0) {
+        throw conflict('Cannot delete section. It is being used by existing classes.');
+      }
+
+      if (!(await sectionsRepo.deleteById(client, id))) {
+        throw notFound('Section not found');
+      }
+    });
+
+    cache.del(SECTIONS_CACHE_KEY);
+  }
+
+  return { list, create, remove };
+}
+
+module.exports = { createSectionsService };
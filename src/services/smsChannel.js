@@ -0,0 +1,45 @@
+// ========== SMS CHANNEL ==========
+// Texts alerts to parent_phone through an HTTP SMS gateway. Each message is
+// POSTed to gatewayUrl as JSON { to, sender, message } with the API key as a
+// bearer token; any 2xx response counts as accepted. Returns null when no
+// gateway is configured, which leaves the channel off.
+const SMS_MAX_LENGTH = 320;
+const SMS_TIMEOUT_MS = 10000;
+
+function buildRequest({ apiKey, sender }, to, message) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return { method: 'POST', headers, body: JSON.stringify({ to, sender, message }) };
+}
+
+// "Subject: text", cut to fit in a couple of SMS parts
+function formatSms({ subject, text }) {
+  const message = `${subject}: ${text}`;
+  return message.length > SMS_MAX_LENGTH ? message.slice(0, SMS_MAX_LENGTH - 1) + '…' : message;
+}
+
+function createSmsChannel({ smsGatewayUrl, smsApiKey, smsSender }) {
+  if (!smsGatewayUrl) {
+    console.log('⚠️ SMS_GATEWAY_URL not set - SMS alerts disabled');
+    return null;
+  }
+
+  // Resolves with the gateway's message id, if it returns one
+  async function send(contact, content) {
+    const response = await fetch(smsGatewayUrl, {
+      ...buildRequest({ apiKey: smsApiKey, sender: smsSender }, contact.parent_phone, formatSms(content)),
+      signal: AbortSignal.timeout(SMS_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { messageId: body.id || body.message_id || null };
+  }
+
+  return { name: 'sms', addressOf: contact => contact.parent_phone, send };
+}
+
+module.exports = { createSmsChannel, formatSms, SMS_MAX_LENGTH };
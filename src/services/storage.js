@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { ValidationError } = require('../errors');
+
+// Local disk storage for uploaded files. Stored paths are relative to the
+// working directory (e.g. 'uploads/1700000000000-photo.png') and are what
+// the API saves in file_path / profile_photo columns.
+function createDiskStorage({ dir = 'uploads' } = {}) {
+  const ensureDir = () => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  };
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: function (req, file, cb) {
+        ensureDir();
+        cb(null, dir);
+      },
+      filename: function (req, file, cb) {
+        cb(null, Date.now() + '-' + file.originalname);
+      }
+    }),
+    fileFilter: (req, file, cb) => {
+      if (file.mimetype.startsWith('image/') ||
+        file.mimetype.includes('pdf') ||
+        file.mimetype.includes('document') ||
+        file.mimetype.includes('sheet') ||
+        file.mimetype.includes('excel') ||
+        file.mimetype.includes('csv') ||
+        file.mimetype.includes('zip')) {
+        cb(null, true);
+      } else {
+        cb(new ValidationError([{
+          field: file.fieldname,
+          location: 'file',
+          code: 'invalid_file_type',
+          message: 'Only images, PDFs, Excel files, and ZIP files are allowed'
+        }]));
+      }
+    }
+  });
+
+  // Writes a buffer (e.g. a photo extracted from a ZIP) and returns its stored path
+  function saveBuffer(filename, buffer) {
+    ensureDir();
+    const filePath = path.join(dir, filename);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+  }
+
+  // Where a stored file is served from, e.g. '/uploads/1700000000000-photo.png'
+  function urlPath(filePath) {
+    const relative = path.relative(dir, filePath).split(path.sep).map(encodeURIComponent);
+    return ['/uploads', ...relative].join('/');
+  }
+
+  function remove(filePath) {
+    if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+
+  return { dir, upload, saveBuffer, urlPath, remove };
+}
+
+module.exports = { createDiskStorage };
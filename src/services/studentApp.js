@@ -0,0 +1,272 @@
+const studentsRepo = require('../repositories/students');
+const usersRepo = require('../repositories/users');
+const assignmentsRepo = require('../repositories/assignments');
+const notificationsRepo = require('../repositories/notifications');
+const devicesRepo = require('../repositories/deviceTokens');
+const preferencesRepo = require('../repositories/notificationPreferences');
+const { withTransaction } = require('../db/transaction');
+const { hashPassword } = require('./passwords');
+const { notFound, conflict, ValidationError } = require('../errors');
+
+// Services behind the mobile app's /api/student/* endpoints
+function createStudentAppService({ pool, cache, channels }) {
+  // ========== PROFILE ==========
+  async function getProfile(userId) {
+    const cacheKey = `profile_${userId}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      console.log('✅ Cache hit - profile');
+      return cached;
+    }
+
+    console.log('=== FETCHING PROFILE ===');
+
+    const profile = await studentsRepo.findProfileByUserId(pool, userId)
+      || await studentsRepo.findProfileById(pool, userId);
+
+    if (!profile) {
+      throw notFound('Student profile not found');
+    }
+
+    cache.set(cacheKey, profile);
+    return profile;
+  }
+
+  async function getDetail(studentId) {
+    const student = await studentsRepo.findDetail(pool, studentId);
+
+    if (!student) {
+      console.error(`❌ No student found with ID: ${studentId}`);
+      throw notFound('Student not found');
+    }
+
+    console.log(`✅ Profile found:
+      - Student ID: ${student.id}
+      - User ID: ${student.user_id}
+      - Username: ${student.username}
+      - Name: ${student.first_name} ${student.last_name}
+    `);
+
+    return student;
+  }
+
+  async function updatePhoto(id, profilePhoto) {
+    const actualUserId = await withTransaction(pool, async client => {
+      const student = await studentsRepo.resolveByUserOrStudentId(client, id);
+
+      if (!student) {
+        throw notFound('Student profile not found');
+      }
+
+      await studentsRepo.updatePhoto(client, student.user_id, profilePhoto);
+      return student.user_id;
+    });
+
+    cache.del(`profile_${id}`);
+    return studentsRepo.findProfileByUserId(pool, actualUserId);
+  }
+
+  // Self-service edit: the class and roll number stay as the school set
+  // them, since what a student can read is scoped by their class
+  async function updateProfile(userId, fields) {
+    await withTransaction(pool, async client => {
+      const current = await studentsRepo.findProfileByUserId(client, userId);
+      if (!current) {
+        throw notFound('Student profile not found');
+      }
+
+      const currentUsername = await usersRepo.findUsername(client, userId);
+
+      if (currentUsername !== fields.username && await usersRepo.usernameExists(client, fields.username, userId)) {
+        throw conflict('Username already exists');
+      }
+
+      const password = fields.password && fields.password.trim() !== '' ? fields.password : null;
+
+      await usersRepo.updateCredentials(client, userId, {
+        username: fields.username,
+        email: fields.email,
+        passwordHash: password ? await hashPassword(password) : null
+      });
+
+      await studentsRepo.update(client, 'user_id', userId, {
+        ...fields,
+        class_id: current.class_id,
+        roll_number: current.roll_number
+      });
+    });
+
+    cache.del(`profile_${userId}`);
+    return studentsRepo.findProfileByUserId(pool, userId);
+  }
+
+  // ========== FEEDS WITH PAGINATION ==========
+  async function feed(kind, id, { page, limit }) {
+    const cacheKey = `${kind}_${id}_page${page}_limit${limit}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      console.log(`✅ Cache hit - ${kind}`);
+      return cached;
+    }
+
+    console.log(`Fetching ${kind} for student:`, id, `Page: ${page}`);
+
+    const student = await studentsRepo.resolveByUserOrStudentId(pool, id);
+
+    if (!student) {
+      throw notFound('Student record not found');
+    }
+
+    if (!student.class_id) {
+      return {
+        data: [],
+        page,
+        hasMore: false,
+        message: 'Student not assigned to any class'
+      };
+    }
+
+    const offset = (page - 1) * limit;
+    const rows = kind === 'notifications'
+      ? await notificationsRepo.listForStudent(pool, { studentId: student.id, classId: student.class_id, limit, offset })
+      : await assignmentsRepo.listForClass(pool, student.class_id, { studentId: student.id, limit, offset });
+
+    console.log(`✅ Found ${rows.length} ${kind}`);
+
+    const result = {
+      data: rows,
+      page,
+      hasMore: rows.length === limit,
+      message: kind === 'notifications' ? 'Notifications fetched successfully' : 'Assignments fetched successfully'
+    };
+
+    cache.set(cacheKey, result);
+    return result;
+  }
+
+  const notificationsFeed = (id, paging) => feed('notifications', id, paging);
+  const assignmentsFeed = (id, paging) => feed('assignments', id, paging);
+
+  // Cached feed pages are keyed by whichever id the app used
+  function forgetFeed(kind, student) {
+    const prefixes = [`${kind}_${student.id}_`, `${kind}_${student.user_id}_`];
+    cache.del(cache.keys().filter(key => prefixes.some(prefix => key.startsWith(prefix))));
+  }
+
+  // ========== READ RECEIPTS ==========
+  async function findStudent(id) {
+    const student = await studentsRepo.resolveByUserOrStudentId(pool, id);
+    if (!student) {
+      throw notFound('Student record not found');
+    }
+    return student;
+  }
+
+  async function countUnread(student) {
+    if (!student.class_id) return 0;
+    return notificationsRepo.unreadCount(pool, { studentId: student.id, classId: student.class_id });
+  }
+
+  async function unreadNotificationCount(id) {
+    return countUnread(await findStudent(id));
+  }
+
+  // Marks one notification (or with notificationId null, every notification
+  // the student can see) as read. Returns the new unread count for the badge.
+  async function markNotificationsRead(id, notificationId = null) {
+    const student = await findStudent(id);
+    const visible = student.class_id
+      ? await notificationsRepo.markRead(pool, {
+        studentId: student.id,
+        classId: student.class_id,
+        notificationIds: notificationId ? [notificationId] : null
+      })
+      : [];
+
+    if (notificationId && visible.length === 0) {
+      throw notFound('Notification not found');
+    }
+
+    forgetFeed('notifications', student);
+    return countUnread(student);
+  }
+
+  // ========== FCM TOKEN ==========
+  // Registers one more device for the student's account; older devices keep
+  // receiving pushes until they unregister or FCM rejects them.
+  async function saveFcmToken(studentId, fcmToken, { platform, app_version } = {}) {
+    const student = await studentsRepo.findProfileById(pool, studentId);
+
+    if (!student || !student.user_id) {
+      console.log(`❌ Student ${studentId} not found`);
+      throw notFound('Student not found');
+    }
+
+    const device = await devicesRepo.upsert(pool, {
+      userId: student.user_id,
+      token: fcmToken,
+      platform,
+      appVersion: app_version
+    });
+
+    console.log(`✅ FCM token registered for ${student.first_name} ${student.last_name}`);
+    return device;
+  }
+
+  // ========== NOTIFICATION PREFERENCES ==========
+  // Opting into email or SMS needs the matching parent contact on file
+  const CONTACT_FIELDS = { email: 'parent_email', sms: 'parent_phone' };
+
+  const describePreferences = (student, preferences) => ({
+    preferences,
+    // Channels the school currently sends on
+    available: ['push', ...channels.names],
+    contacts: { parent_email: student.parent_email, parent_phone: student.parent_phone }
+  });
+
+  async function getNotificationPreferences(studentId) {
+    const student = await studentsRepo.findProfileById(pool, studentId);
+    if (!student) {
+      throw notFound('Student not found');
+    }
+
+    return describePreferences(student, await preferencesRepo.find(pool, student.id));
+  }
+
+  async function updateNotificationPreferences(studentId, changes) {
+    const student = await studentsRepo.findProfileById(pool, studentId);
+    if (!student) {
+      throw notFound('Student not found');
+    }
+
+    const errors = Object.entries(CONTACT_FIELDS)
+      .filter(([channel, field]) => changes[channel] === true && !student[field])
+      .map(([channel, field]) => ({
+        field: channel,
+        location: 'body',
+        code: 'missing_contact',
+        message: `Add a ${field.replace('_', ' ')} to the profile before turning on ${channel === 'sms' ? 'SMS' : channel} alerts`
+      }));
+    if (errors.length > 0) throw new ValidationError(errors);
+
+    const preferences = await preferencesRepo.upsert(pool, student.id, changes);
+    console.log(`✅ Notification preferences updated for ${student.first_name} ${student.last_name}`);
+    return describePreferences(student, preferences);
+  }
+
+  return {
+    getProfile,
+    getDetail,
+    updatePhoto,
+    updateProfile,
+    notificationsFeed,
+    assignmentsFeed,
+    unreadNotificationCount,
+    markNotificationsRead,
+    saveFcmToken,
+    getNotificationPreferences,
+    updateNotificationPreferences
+  };
+}
+
+module.exports = { createStudentAppService };
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+const studentsRepo = require('../repositories/students');
+const classesRepo = require('../repositories/classes');
+const sectionsRepo = require('../repositories/sections');
+const { STUDENT_COLUMNS, STUDENT_HEADERS, addDataValidations, escapeFormula } = require('../utils/excel');
+const { BLOOD_GROUPS } = require('../validation');
+const { notFound } = require('../errors');
+
+const EXPORT_FORMATS = ['xlsx', 'csv', 'zip'];
+const TEMPLATE_FORMATS = ['xlsx', 'zip'];
+
+// Rows of a template that get the dropdowns and hints
+const TEMPLATE_ROWS = 1000;
+
+// Exported columns, in order; passwords cannot be exported
+const EXPORT_FIELDS = [
+  'first_name', 'last_name', 'username', 'email', 'class', 'roll_number', 'phone', 'address',
+  'date_of_birth', 'blood_group', 'parent_name', 'parent_phone', 'parent_email'
+];
+
+// Template columns with what the instructions sheet says about each
+const TEMPLATE_NOTES = {
+  first_name: 'Required for new students',
+  last_name: 'Required for new students',
+  username: 'Required for new students. Matches existing students in update and upsert modes',
+  password: 'Required for new students. Ignored when updating',
+  email: 'Optional',
+  class: 'Pick a class from the dropdown',
+  roll_number: 'Unique within the class. With Class, matches students without a username when updating',
+  phone: 'Optional',
+  address: 'Optional',
+  date_of_birth: 'YYYY-MM-DD, e.g. 2015-06-21, or an Excel date',
+  blood_group: `One of ${BLOOD_GROUPS.join(', ')}`,
+  parent_name: 'Optional. Becomes the name of a new parent account',
+  parent_phone: 'Optional. Used like Parent Email; a new account gets the phone number as its username when there is no email',
+  parent_email: 'Optional. The student is linked to the parent account with this email or Parent Phone. ' +
+    'If there is none, a parent account is created with this email as its username and a temporary password, ' +
+    'shown once in the import results. With create_parents=false, no account is linked or created',
+  photo: 'ZIP upload only: file name of the student\'s photo in the photos folder, e.g. aarav.jpg'
+};
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  zip: 'application/zip'
+};
+
+// ========== STUDENT EXPORT ==========
+// Students as a sheet with the importer's own headers, so an export can be
+// edited and uploaded again (e.g. in update mode). The ZIP format holds
+// students.xlsx and a photos/ folder, with each student's photo named in the
+// Photo column the way a ZIP upload expects. Upload templates are built
+// from the same headers.
+function createStudentExportService({ pool }) {
+  async function scopeName({ classId, sectionId }) {
+    let name = null;
+    if (classId) {
+      const found = await classesRepo.findById(pool, classId);
+      if (!found) throw notFound('Class not found');
+      name = found.class_name;
+    }
+    if (sectionId) {
+      const section = await sectionsRepo.findById(pool, sectionId);
+      if (!section) throw notFound('Section not found');
+      name = name || section.section_name;
+    }
+    return name;
+  }
+
+  function toSheet(students, fields) {
+    const valueOf = (student, field) => {
+      const value = field === 'class' ? student.class_name : student[field];
+      return escapeFormula(value ?? null);
+    };
+    return XLSX.utils.aoa_to_sheet([
+      fields.map(field => STUDENT_HEADERS[field]),
+      ...students.map(student => fields.map(field => valueOf(student, field)))
+    ]);
+  }
+
+  // sheets: { name: sheet }; the first one is what the importer reads
+  function workbookBuffer(sheets, hidden = []) {
+    const workbook = XLSX.utils.book_new();
+    for (const [name, sheet] of Object.entries(sheets)) {
+      XLSX.utils.book_append_sheet(workbook, sheet, name);
+    }
+    workbook.Workbook = { Sheets: Object.keys(sheets).map(name => ({ Hidden: hidden.includes(name) ? 1 : 0 })) };
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  // Photos go in as photos/<username><ext>, with anything but letters,
+  // digits, '.', '_' and '-' in the username replaced so an entry cannot
+  // leave the folder; students whose file is missing get a blank Photo cell
+  function zipWithPhotos(students) {
+    const zip = new AdmZip();
+    const used = new Set();
+    const rows = students.map(student => {
+      if (!student.profile_photo || !fs.existsSync(student.profile_photo)) return { ...student, photo: null };
+
+      let name = student.username.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\./, '_');
+      if (used.has(name)) name = `${name}-${student.id}`;
+      used.add(name);
+      const photo = `photos/${name}${path.extname(student.profile_photo)}`;
+      zip.addFile(photo, fs.readFileSync(student.profile_photo));
+      return { ...student, photo };
+    });
+
+    zip.addFile('students.xlsx', workbookBuffer({ Students: toSheet(rows, [...EXPORT_FIELDS, 'photo']) }));
+    return zip.toBuffer();
+  }
+
+  // filters: { classId, sectionId }. Returns { buffer, contentType, filename, count }
+  async function exportStudents({ classId, sectionId, format = 'xlsx' } = {}) {
+    const scope = await scopeName({ classId, sectionId });
+    const students = await studentsRepo.listForExport(pool, { classId, sectionId });
+
+    let buffer;
+    if (format === 'zip') {
+      buffer = zipWithPhotos(students);
+    } else if (format === 'csv') {
+      buffer = Buffer.from(XLSX.utils.sheet_to_csv(toSheet(students, EXPORT_FIELDS)));
+    } else {
+      buffer = workbookBuffer({ Students: toSheet(students, EXPORT_FIELDS) });
+    }
+
+    const base = `students${scope ? `-${scope}` : ''}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+    console.log(`📤 Exported ${students.length} students as ${format}`);
+    return { buffer, contentType: CONTENT_TYPES[format], filename: `${base}.${format}`, count: students.length };
+  }
+
+  // An empty upload sheet: the canonical headers, a Class dropdown of the
+  // current classes and a Blood Group dropdown (both listed on a hidden
+  // Lists sheet), a date hint on Date of Birth and an Instructions sheet.
+  // The ZIP holds it as students.xlsx with a Photo column and a photos/ folder.
+  async function template({ format = 'xlsx' } = {}) {
+    const fields = Object.keys(STUDENT_HEADERS).filter(field => format === 'zip' || field !== 'photo');
+    const classNames = (await classesRepo.list(pool)).map(c => c.class_name).sort();
+
+    const students = XLSX.utils.aoa_to_sheet([fields.map(field => STUDENT_HEADERS[field])]);
+    students['!cols'] = fields.map(() => ({ wch: 16 }));
+
+    const instructions = XLSX.utils.aoa_to_sheet([
+      ['Fill in one student per row on the Students sheet and keep its header row as it is.'],
+      format === 'zip'
+        ? ['Put the photos in the photos folder and zip it together with this file.']
+        : ['Upload photos with the ZIP template instead.'],
+      [],
+      ['Column', 'Notes', 'Also accepted as'],
+      ...fields.map(field => [
+        STUDENT_HEADERS[field],
+        TEMPLATE_NOTES[field],
+        STUDENT_COLUMNS[field].filter(name => name !== STUDENT_HEADERS[field].toLowerCase()).join(', ')
+      ])
+    ]);
+    instructions['!cols'] = [{ wch: 16 }, { wch: 70 }, { wch: 40 }];
+
+    const lists = XLSX.utils.aoa_to_sheet([
+      ['Class', 'Blood Group'],
+      ...Array.from({ length: Math.max(classNames.length, BLOOD_GROUPS.length) }, (_, i) => [
+        classNames[i] ?? null,
+        BLOOD_GROUPS[i] ?? null
+      ])
+    ]);
+
+    const columnOf = field => {
+      const col = XLSX.utils.encode_col(fields.indexOf(field));
+      return `${col}2:${col}${TEMPLATE_ROWS + 1}`;
+    };
+    const validations = [
+      { sqref: columnOf('blood_group'), list: `Lists!$B$2:$B$${BLOOD_GROUPS.length + 1}` },
+      { sqref: columnOf('date_of_birth'), promptTitle: 'Date of Birth', prompt: 'YYYY-MM-DD, e.g. 2015-06-21' }
+    ];
+    if (classNames.length > 0) {
+      validations.unshift({ sqref: columnOf('class'), list: `Lists!$A$2:$A$${classNames.length + 1}` });
+    }
+
+    const file = addDataValidations(
+      workbookBuffer({ Students: students, Instructions: instructions, Lists: lists }, ['Lists']),
+      1,
+      validations
+    );
+
+    let buffer = file;
+    if (format === 'zip') {
+      const zip = new AdmZip();
+      zip.addFile('students.xlsx', file);
+      zip.addFile('photos/', Buffer.alloc(0));
+      buffer = zip.toBuffer();
+    }
+    return { buffer, contentType: CONTENT_TYPES[format], filename: `student-upload-template.${format}` };
+  }
+
+  return { exportStudents, template };
+}
+
+module.exports = { createStudentExportService, EXPORT_FORMATS, TEMPLATE_FORMATS };
@@ -0,0 +1,693 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+const classesRepo = require('../repositories/classes');
+const studentsRepo = require('../repositories/students');
+const usersRepo = require('../repositories/users');
+const importBatchesRepo = require('../repositories/importBatches');
+const importJobsRepo = require('../repositories/importJobs');
+const { withTransaction } = require('../db/transaction');
+const { readStudentRow, readFirstSheet, mapField, STUDENT_COLUMNS } = require('../utils/excel');
+const { assertValid, validateFields, STUDENT_PROFILE_FIELDS } = require('../validation');
+const { badRequest, notFound, conflict } = require('../errors');
+
+// A running import job whose worker has not recorded a row for this long is
+// taken to be abandoned (e.g. by a restart) and may be picked up again
+const STALE_JOB_MS = 2 * 60 * 1000;
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const IMPORT_MODES = ['create', 'update', 'upsert'];
+
+// Columns an update may change, compared with the student's current values
+const UPDATABLE_FIELDS = [
+  'first_name', 'last_name', 'email', 'class_id', 'roll_number', 'phone', 'address',
+  'date_of_birth', 'blood_group', 'parent_name', 'parent_phone', 'parent_email'
+];
+
+// Columns every new student's row must fill in
+const REQUIRED_COLUMNS = {
+  first_name: { type: 'string', required: true },
+  last_name: { type: 'string', required: true },
+  username: { type: 'string', required: true },
+  password: { type: 'string', required: true }
+};
+
+// ========== STUDENT BULK IMPORT ==========
+// Each row is imported in its own transaction so one bad row does not stop
+// the rest; failures are reported as "Row <n>: <reason>" (n is the sheet row).
+//
+// With createParents, every imported student is linked to a parent account
+// found or created from parent_email / parent_phone (see
+// parents.linkImportedStudent); new accounts are returned with their
+// temporary passwords so the school can hand them out.
+//
+// Uploads run as background jobs (queueExcel / queueZip, then
+// runQueuedJobs). A dry run (previewExcel / previewZip) checks every row
+// without writing any student and keeps the file as a batch; commitBatch
+// then queues it.
+function createStudentImportService({ pool, storage, students, parents }) {
+  async function resolveClassId(db, value) {
+    if (!value) return null;
+
+    const classValue = value.trim();
+    if (/^\d+$/.test(classValue)) {
+      if (!(await classesRepo.findById(db, parseInt(classValue)))) {
+        throw new Error(`Class '${classValue}' not found`);
+      }
+      return parseInt(classValue);
+    }
+
+    const classId = await classesRepo.findIdByName(db, classValue);
+    if (!classId) throw new Error(`Class '${classValue}' not found`);
+    return classId;
+  }
+
+  // Finds a photo in the ZIP by (partial) file name
+  function findPhotoEntry(zipEntries, photoFilename) {
+    const searchName = photoFilename.toLowerCase();
+    return zipEntries.find(entry => {
+      const entryName = entry.entryName.toLowerCase();
+      return entryName.includes(searchName) &&
+        !entry.isDirectory &&
+        !entryName.startsWith('__MACOSX');
+    }) || null;
+  }
+
+  // Copies the matching photo to storage and returns its stored path
+  function extractPhoto(zip, zipEntries, photoFilename, username) {
+    const photoEntry = findPhotoEntry(zipEntries, photoFilename);
+
+    if (!photoEntry) {
+      console.log(`   ⚠️ Photo not found in ZIP: ${photoFilename}`);
+      return null;
+    }
+
+    try {
+      const ext = path.extname(photoEntry.entryName);
+      const photoPath = storage.saveBuffer(`${Date.now()}-${username}${ext}`, zip.readFile(photoEntry));
+      console.log(`   ✅ Photo extracted: ${photoPath}`);
+      return photoPath;
+    } catch (photoErr) {
+      console.log(`   ⚠️ Failed to extract photo: ${photoErr.message}`);
+      return null;
+    }
+  }
+
+  // The existing student a row refers to (see studentsRepo.findForImport)
+  async function findMatch(db, fields, options) {
+    if (fields.username) return studentsRepo.findForImport(db, { username: fields.username }, options);
+
+    const rollNumber = String(fields.roll_number ?? '').trim();
+    if (!fields.class_id || !/^\d+$/.test(rollNumber)) return null;
+    return studentsRepo.findForImport(db, { classId: fields.class_id, rollNumber: Number(rollNumber) }, options);
+  }
+
+  const noMatchMessage = fields => (fields.username
+    ? `No student with username '${fields.username}'`
+    : 'No student matches this class and roll number');
+
+  // Fields of `fields` (blank cells left out) that differ from `existing`,
+  // as [{ field, from, to }]
+  function changedFields(existing, fields) {
+    return UPDATABLE_FIELDS
+      .filter(field => fields[field] !== null && fields[field] !== undefined)
+      .filter(field => String(fields[field]) !== String(existing[field] ?? ''))
+      .map(field => ({ field, from: existing[field] ?? null, to: fields[field] }));
+  }
+
+  async function createStudent(client, fields, { zipSource, createParents, savedPhotos }) {
+    if (!fields.first_name || !fields.last_name || !fields.username || !fields.password) {
+      throw new Error('Missing required fields');
+    }
+
+    // Same format rules as the students API (dates, phones, emails, blood groups)
+    Object.assign(fields, assertValid(STUDENT_PROFILE_FIELDS, fields));
+
+    if (await usersRepo.usernameExists(client, fields.username)) {
+      throw new Error(`Username '${fields.username}' already exists`);
+    }
+
+    if (fields.class_id && fields.roll_number) {
+      if (await studentsRepo.rollNumberTaken(client, fields.roll_number, fields.class_id)) {
+        throw new Error(`Roll number '${fields.roll_number}' already exists in class`);
+      }
+    }
+
+    fields.profile_photo = zipSource && fields.photo
+      ? extractPhoto(zipSource.zip, zipSource.entries, fields.photo, fields.username)
+      : null;
+    if (fields.profile_photo) savedPhotos.push(fields.profile_photo);
+
+    const student = await students.insertWithUser(client, fields);
+    const parentLink = createParents ? await parents.linkImportedStudent(client, student) : null;
+    return { student, username: fields.username, parentLink, action: 'created', changes: [] };
+  }
+
+  // Updates the columns the row fills in; blank cells and passwords leave
+  // the student as they are. A parent account is only looked for when the
+  // parent contact changed, and the account of the old contact loses access.
+  // A replaced photo is returned as replacedPhoto, to delete once the row
+  // has committed.
+  async function updateStudent(client, existing, fields, { zipSource, createParents, savedPhotos }) {
+    Object.assign(fields, assertValid(STUDENT_PROFILE_FIELDS, fields));
+    const changes = changedFields(existing, fields);
+
+    const classId = fields.class_id ?? existing.class_id;
+    const rollNumber = fields.roll_number ?? existing.roll_number;
+    const moved = changes.some(change => change.field === 'class_id' || change.field === 'roll_number');
+    if (moved && classId && rollNumber) {
+      if (await studentsRepo.rollNumberTaken(client, rollNumber, classId, existing.user_id)) {
+        throw new Error(`Roll number '${rollNumber}' already exists in class`);
+      }
+    }
+
+    if (zipSource && fields.photo) {
+      const photo = extractPhoto(zipSource.zip, zipSource.entries, fields.photo, existing.username);
+      if (photo) {
+        savedPhotos.push(photo);
+        changes.push({ field: 'profile_photo', from: existing.profile_photo, to: photo });
+      }
+    }
+
+    if (changes.length === 0) {
+      return { student: existing, username: existing.username, parentLink: null, action: 'unchanged', changes };
+    }
+
+    const values = Object.fromEntries(changes.map(change => [change.field, change.to]));
+    const student = await studentsRepo.update(client, 'id', existing.id, { ...existing, ...values });
+    if (values.email) await usersRepo.updateEmailForStudent(client, existing.id, values.email);
+
+    const contactChanged = 'parent_email' in values || 'parent_phone' in values;
+    const parentLink = createParents && contactChanged ? await parents.linkImportedStudent(client, student) : null;
+    const unlinkedParent = contactChanged ? await parents.unlinkPreviousParent(client, student, existing) : null;
+    return {
+      student,
+      username: existing.username,
+      parentLink,
+      unlinkedParent,
+      replacedPhoto: 'profile_photo' in values ? existing.profile_photo : null,
+      action: 'updated',
+      changes
+    };
+  }
+
+  // mode: 'create' (the default) only adds students, 'update' only changes
+  // students the row matches, 'upsert' does whichever applies. Photos copied
+  // to storage are added to savedPhotos, so the caller can delete them if
+  // the row's transaction rolls back.
+  async function importRow(client, row, { zipSource, createParents, mode = 'create', savedPhotos = [] }) {
+    const fields = readStudentRow(row);
+    fields.class_id = await resolveClassId(client, fields.class);
+
+    const existing = mode === 'create' ? null : await findMatch(client, fields, { forUpdate: true });
+    if (mode === 'update' && !existing) throw new Error(noMatchMessage(fields));
+
+    const options = { zipSource, createParents, savedPhotos };
+    return existing
+      ? updateStudent(client, existing, fields, options)
+      : createStudent(client, fields, options);
+  }
+
+  // Summary of the parent accounts an import created or linked
+  function parentSummary() {
+    const accounts = new Map();
+    const summary = { created: 0, linked: 0, accounts: [], warnings: [] };
+
+    return {
+      add(rowNum, student, parentLink) {
+        if (!parentLink) return;
+        if (parentLink.skipped) {
+          summary.warnings.push(`Row ${rowNum}: ${parentLink.skipped}`);
+          return;
+        }
+
+        summary.linked++;
+        const { parent, created, password } = parentLink;
+        if (created) {
+          summary.created++;
+          accounts.set(parent.id, { username: parent.username, temporary_password: password, children: [] });
+        }
+        // Siblings later in the sheet join the account created for the first one
+        if (accounts.has(parent.id)) {
+          accounts.get(parent.id).children.push(`${student.first_name} ${student.last_name}`);
+        }
+      },
+      result: () => ({ ...summary, accounts: [...accounts.values()] })
+    };
+  }
+
+  function readExcel(buffer) {
+    const data = readFirstSheet(XLSX.read(buffer));
+    if (!data.length) throw badRequest('Excel file is empty');
+    return data;
+  }
+
+  // The sheet rows of a ZIP upload and its entries to find photos in
+  function readZip(buffer) {
+    const zip = new AdmZip(buffer);
+    const entries = zip.getEntries();
+
+    const excelEntry = entries.find(entry =>
+      entry.entryName.match(/\.(xlsx|xls)$/i) &&
+      !entry.entryName.startsWith('__MACOSX') &&
+      !entry.isDirectory
+    );
+
+    if (!excelEntry) throw badRequest('No Excel file found in ZIP');
+
+    console.log('✅ Found Excel file:', excelEntry.entryName);
+    return { data: readExcel(zip.readFile(excelEntry)), zipSource: { zip, entries } };
+  }
+
+  // Sheet rows of an uploaded file, with the ZIP entries to find photos in
+  function readUpload(kind, buffer) {
+    return kind === 'zip' ? readZip(buffer) : { data: readExcel(buffer), zipSource: null };
+  }
+
+  // What a job keeps of an imported row: what changed, whether a photo was
+  // stored, and enough to rebuild the parent summary. Temporary passwords
+  // are never stored (see issuedPasswords).
+  function rowDetails({ student, parentLink, unlinkedParent, action, changes }) {
+    let parent = null;
+    if (parentLink) {
+      parent = parentLink.skipped
+        ? { skipped: parentLink.skipped }
+        : {
+          parent: { id: parentLink.parent.id, username: parentLink.parent.username },
+          created: parentLink.created
+        };
+    }
+    const photo = action === 'created'
+      ? Boolean(student.profile_photo)
+      : changes.some(change => change.field === 'profile_photo');
+    return {
+      action,
+      changes,
+      photo,
+      student: { first_name: student.first_name, last_name: student.last_name },
+      parent,
+      unlinked_parent: unlinkedParent ? { id: unlinkedParent.id, username: unlinkedParent.username } : null
+    };
+  }
+
+  function summarizeJob(job) {
+    return {
+      id: job.id,
+      kind: job.kind,
+      mode: job.mode,
+      status: job.status,
+      original_name: job.original_name,
+      batch_id: job.batch_id,
+      create_parents: job.create_parents,
+      total: job.total_rows,
+      processed: job.processed_rows,
+      imported: job.imported_rows,
+      failed: job.failed_rows,
+      error: job.error,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at
+    };
+  }
+
+  // A job with its per-row results; errorDetails, photosUploaded and parents
+  // read like the response of a direct upload. Each imported row says
+  // whether the student was created, updated (with the changed fields) or
+  // left unchanged. passwords (row number -> password) fills in the
+  // temporary passwords of new parent accounts; they are null otherwise.
+  function describeJob(job, rows, passwords = new Map()) {
+    const imported = rows.filter(row => row.status === 'imported');
+    const withAction = action => imported.filter(row => row.details.action === action).length;
+    const parentAccounts = parentSummary();
+    imported.forEach(row => {
+      const { parent } = row.details;
+      parentAccounts.add(row.row_number, row.details.student, parent && !parent.skipped
+        ? { ...parent, password: passwords.get(row.row_number) || null }
+        : parent);
+    });
+
+    return {
+      ...summarizeJob(job),
+      created: withAction('created'),
+      updated: withAction('updated'),
+      unchanged: withAction('unchanged'),
+      errorDetails: rows.filter(row => row.status === 'failed').map(row => `Row ${row.row_number}: ${row.message}`),
+      photosUploaded: imported.filter(row => row.details.photo).length,
+      parents: job.create_parents ? parentAccounts.result() : null,
+      rows: rows.map(row => ({
+        row: row.row_number,
+        status: row.status,
+        action: row.details ? row.details.action : null,
+        student_id: row.student_id,
+        username: row.username,
+        changes: row.details ? row.details.changes : [],
+        unlinked_parent: row.details ? row.details.unlinked_parent || null : null,
+        message: row.message
+      }))
+    };
+  }
+
+  // ========== IMPORT JOBS ==========
+  // Temporary passwords of the parent accounts a job created, kept in memory
+  // only: jobId -> Map(row number -> password). getJob hands them out once;
+  // after a restart they are gone and the school sets a new password instead.
+  const issuedPasswords = new Map();
+
+  // Uploads are queued and imported in the background by runQueuedJobs()
+  // (see importJobWorker). The file is read once up front so an unusable one
+  // is still rejected by the upload request itself.
+  async function queue(kind, file, { mode = 'create', createParents = false, originalName, createdBy, batchId } = {}) {
+    const { data } = readUpload(kind, file);
+    const job = await importJobsRepo.create(pool, {
+      kind,
+      mode,
+      file,
+      originalName,
+      createParents,
+      batchId,
+      totalRows: data.length,
+      createdBy
+    });
+    console.log(`📥 Import job ${job.id} queued: ${data.length} rows`);
+    return describeJob(job, []);
+  }
+
+  // ========== BULK UPLOAD (Excel Only) ==========
+  const queueExcel = (filePath, options) => queue('excel', fs.readFileSync(filePath), options);
+
+  // ========== BULK UPLOAD (ZIP with Photos) ==========
+  const queueZip = (zipPath, options) => queue('zip', fs.readFileSync(zipPath), options);
+
+  // Imports the job's rows from processed_rows on. Each row commits together
+  // with its result while holding the job's lock, and only if processed_rows
+  // still points at it, so a cancelled job stops before its next row and a
+  // row is never imported twice: when a job thought stale is claimed by a
+  // second worker, whichever worker loses a row stops.
+  async function runJob(job) {
+    console.log(`=== IMPORT JOB ${job.id} START (${job.processed_rows}/${job.total_rows} rows done) ===`);
+
+    let source;
+    try {
+      source = readUpload(job.kind, job.file);
+    } catch (err) {
+      console.error(`❌ Import job ${job.id} failed:`, err.message);
+      await importJobsRepo.finish(pool, job.id, { status: 'failed', error: err.message });
+      return;
+    }
+
+    const { data, zipSource } = source;
+    const options = { zipSource, createParents: job.create_parents, mode: job.mode };
+
+    for (let i = job.processed_rows; i < data.length; i++) {
+      const rowNum = i + 2;
+      let recorded;
+      let replacedPhoto = null;
+      let parentPassword = null;
+      const savedPhotos = [];
+
+      try {
+        recorded = await withTransaction(pool, async client => {
+          if (!(await importJobsRepo.lockRunning(client, job.id, i))) return false;
+
+          const result = await importRow(client, data[i], { ...options, savedPhotos });
+          replacedPhoto = result.replacedPhoto || null;
+          parentPassword = (result.parentLink && result.parentLink.password) || null;
+          return importJobsRepo.recordRow(client, job.id, {
+            processed: i,
+            rowNumber: rowNum,
+            status: 'imported',
+            studentId: result.student.id,
+            username: result.username,
+            details: rowDetails(result)
+          });
+        });
+        if (recorded) {
+          console.log(`✅ Row ${rowNum} imported successfully`);
+          storage.remove(replacedPhoto);
+          if (parentPassword) {
+            if (!issuedPasswords.has(job.id)) issuedPasswords.set(job.id, new Map());
+            issuedPasswords.get(job.id).set(rowNum, parentPassword);
+          }
+        }
+      } catch (err) {
+        console.error(`❌ Error row ${rowNum}:`, err.message);
+        // Nothing refers to the photos of a row that rolled back
+        savedPhotos.forEach(photo => storage.remove(photo));
+        recorded = await withTransaction(pool, client => importJobsRepo.recordRow(client, job.id, {
+          processed: i,
+          rowNumber: rowNum,
+          status: 'failed',
+          username: mapField(data[i], STUDENT_COLUMNS.username),
+          message: err.message
+        }));
+      }
+
+      if (!recorded) {
+        console.log(`🛑 Import job ${job.id} stopped before row ${rowNum}`);
+        return;
+      }
+    }
+
+    await importJobsRepo.finish(pool, job.id, { status: 'completed' });
+    console.log(`=== IMPORT JOB ${job.id} COMPLETE ===`);
+  }
+
+  // Runs queued jobs, and running ones whose worker went away, one after
+  // another until none is left. Returns the number of jobs run.
+  async function runQueuedJobs() {
+    let ran = 0;
+    let job;
+    while ((job = await importJobsRepo.claimNext(pool, STALE_JOB_MS))) {
+      await runJob(job);
+      ran++;
+    }
+    return ran;
+  }
+
+  async function findJob(id) {
+    const job = await importJobsRepo.findById(pool, id);
+    if (!job) throw notFound('Import job not found');
+    return job;
+  }
+
+  // The first read of a finished job also returns the temporary passwords of
+  // the parent accounts it created, which are then forgotten
+  async function getJob(id) {
+    const job = await findJob(id);
+    const rows = await importJobsRepo.listRows(pool, id);
+    let passwords = new Map();
+    if (FINISHED_JOB_STATUSES.includes(job.status) && issuedPasswords.has(job.id)) {
+      passwords = issuedPasswords.get(job.id);
+      issuedPasswords.delete(job.id);
+    }
+    return describeJob(job, rows, passwords);
+  }
+
+  async function listJobs() {
+    return (await importJobsRepo.list(pool)).map(summarizeJob);
+  }
+
+  // Rows imported before the cancel stay imported
+  async function cancelJob(id) {
+    if (!(await importJobsRepo.cancel(pool, id))) {
+      const job = await findJob(id);
+      throw conflict(`Import job is already ${job.status}`);
+    }
+    return getJob(id);
+  }
+
+  // ========== PREVIEW (dry run) ==========
+  // Checks a row the way importRow does, against the database as it is now,
+  // but reports every problem instead of stopping at the first. `seen` maps
+  // the usernames and class:roll pairs of earlier valid rows to their row
+  // number, so duplicates inside the file are caught too. `action` is what
+  // committing would do: 'create', 'update' (see `changes`) or 'none'.
+  async function previewRow(row, rowNum, { zipSource, seen, mode }) {
+    const fields = readStudentRow(row);
+    const errors = [];
+    const warnings = [];
+    const report = (list, field, code, message, extra = {}) => list.push({ field, code, message, ...extra });
+
+    try {
+      fields.class_id = await resolveClassId(pool, fields.class);
+    } catch (err) {
+      fields.class_id = null;
+      report(errors, 'class', 'not_found', err.message);
+    }
+
+    const existing = mode === 'create' ? null : await findMatch(pool, fields);
+    if (mode === 'update' && !existing) {
+      report(errors, fields.username ? 'username' : 'roll_number', 'not_found', noMatchMessage(fields));
+    }
+
+    // Only new students must fill in every required column
+    const schemas = mode === 'update' || existing ? [STUDENT_PROFILE_FIELDS] : [REQUIRED_COLUMNS, STUDENT_PROFILE_FIELDS];
+    for (const schema of schemas) {
+      const { values, errors: fieldErrors } = validateFields(schema, fields, 'row');
+      Object.assign(fields, values);
+      fieldErrors.forEach(({ location, ...error }) => errors.push(error));
+    }
+
+    const username = existing ? existing.username : fields.username;
+    if (username) {
+      if (seen.usernames.has(username)) {
+        const first = seen.usernames.get(username);
+        report(errors, 'username', 'duplicate_in_file', `Username '${username}' is repeated from row ${first}`, { row: first });
+      } else if (!existing && await usersRepo.usernameExists(pool, username)) {
+        report(errors, 'username', 'taken', `Username '${username}' already exists`);
+      }
+    }
+
+    const classId = fields.class_id ?? (existing ? existing.class_id : null);
+    const rollNumber = fields.roll_number ?? (existing ? existing.roll_number : null);
+    const rollKey = `${classId}:${rollNumber}`;
+    if (classId && Number.isInteger(rollNumber)) {
+      if (seen.rolls.has(rollKey)) {
+        const first = seen.rolls.get(rollKey);
+        report(errors, 'roll_number', 'duplicate_in_file', `Roll number '${rollNumber}' is repeated from row ${first}`, { row: first });
+      } else if (await studentsRepo.rollNumberTaken(pool, rollNumber, classId, existing ? existing.user_id : null)) {
+        report(errors, 'roll_number', 'taken', `Roll number '${rollNumber}' already exists in class`);
+      }
+    }
+
+    const changes = existing ? changedFields(existing, fields) : [];
+    let photo = null;
+    if (zipSource && fields.photo) {
+      const entry = findPhotoEntry(zipSource.entries, fields.photo);
+      photo = { requested: fields.photo, matched: entry ? entry.entryName : null };
+      if (!entry) {
+        const outcome = existing ? 'the current photo is kept' : 'the student is imported without one';
+        report(warnings, 'photo', 'not_found', `Photo '${fields.photo}' not found in ZIP; ${outcome}`);
+      } else if (existing) {
+        changes.push({ field: 'profile_photo', from: existing.profile_photo, to: entry.entryName });
+      }
+    }
+
+    let action = null;
+    if (errors.length === 0) {
+      seen.usernames.set(username, rowNum);
+      if (classId && rollNumber) seen.rolls.set(rollKey, rowNum);
+      action = !existing ? 'create' : changes.length > 0 ? 'update' : 'none';
+    }
+
+    // The password is checked but never echoed back
+    const { password, ...shown } = fields;
+    return {
+      row: rowNum,
+      status: errors.length ? 'invalid' : 'valid',
+      action,
+      student_id: existing ? existing.id : null,
+      fields: shown,
+      changes,
+      photo,
+      errors,
+      warnings
+    };
+  }
+
+  async function previewRows(data, { zipSource = null, mode }) {
+    const seen = { usernames: new Map(), rolls: new Map() };
+    const rows = [];
+    for (let i = 0; i < data.length; i++) {
+      rows.push(await previewRow(data[i], i + 2, { zipSource, seen, mode }));
+    }
+    return rows;
+  }
+
+  function describeBatch(batch) {
+    return {
+      id: batch.id,
+      kind: batch.kind,
+      mode: batch.mode,
+      status: batch.status,
+      original_name: batch.original_name,
+      create_parents: batch.create_parents,
+      total: batch.total_rows,
+      valid: batch.valid_rows,
+      invalid: batch.total_rows - batch.valid_rows,
+      rows: batch.rows,
+      result: batch.result,
+      created_at: batch.created_at,
+      committed_at: batch.committed_at
+    };
+  }
+
+  // options: { mode, createParents, originalName, createdBy }
+  async function preview(kind, filePath, { mode = 'create', createParents = false, originalName, createdBy } = {}) {
+    const file = fs.readFileSync(filePath);
+    const { data, zipSource } = readUpload(kind, file);
+    const rows = await previewRows(data, { zipSource, mode });
+
+    const batch = await importBatchesRepo.create(pool, { kind, mode, file, originalName, createParents, rows, createdBy });
+    console.log(`🔍 Import batch ${batch.id} previewed: ${batch.valid_rows}/${batch.total_rows} rows valid`);
+    return describeBatch(batch);
+  }
+
+  const previewExcel = (filePath, options) => preview('excel', filePath, options);
+  const previewZip = (zipPath, options) => preview('zip', zipPath, options);
+
+  async function findBatch(id) {
+    const batch = await importBatchesRepo.findById(pool, id);
+    if (!batch) throw notFound('Import batch not found');
+    return batch;
+  }
+
+  async function closeBatch(id, status) {
+    const batch = await importBatchesRepo.close(pool, id, status);
+    if (!batch) {
+      const existing = await findBatch(id);
+      throw conflict(`Import batch has already been ${existing.status}`);
+    }
+    return batch;
+  }
+
+  async function getBatch(id) {
+    return describeBatch(await findBatch(id));
+  }
+
+  // Queues the previewed file with the options it was previewed with. Rows
+  // are checked again when the job runs, so anything that changed since the
+  // preview (e.g. a username taken in the meantime) is reported by the job.
+  async function commitBatch(id, { createdBy } = {}) {
+    const batch = await closeBatch(id, 'committed');
+
+    let job;
+    try {
+      job = await queue(batch.kind, batch.file, {
+        mode: batch.mode,
+        createParents: batch.create_parents,
+        originalName: batch.original_name,
+        createdBy,
+        batchId: batch.id
+      });
+    } catch (err) {
+      await importBatchesRepo.reopen(pool, id);
+      throw err;
+    }
+
+    await importBatchesRepo.saveResult(pool, id, { job_id: job.id });
+    return job;
+  }
+
+  async function discardBatch(id) {
+    await closeBatch(id, 'discarded');
+    await importBatchesRepo.saveResult(pool, id, null);
+  }
+
+  return {
+    queueExcel,
+    queueZip,
+    runQueuedJobs,
+    getJob,
+    listJobs,
+    cancelJob,
+    previewExcel,
+    previewZip,
+    getBatch,
+    commitBatch,
+    discardBatch
+  };
+}
+
+module.exports = { createStudentImportService, IMPORT_MODES };
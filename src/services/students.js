@@ -0,0 +1,82 @@
+const studentsRepo = require('../repositories/students');
+const usersRepo = require('../repositories/users');
+const { withTransaction } = require('../db/transaction');
+const { hashPassword } = require('./passwords');
+const { notFound, conflict } = require('../errors');
+
+function createStudentsService({ pool }) {
+  async function listAll() {
+    return studentsRepo.listAll(pool);
+  }
+
+  async function listByClass(classId) {
+    return studentsRepo.listByClass(pool, classId);
+  }
+
+  // Inserts the login (role 'student') and the students row without any
+  // duplicate checks; callers run those first with their own messages.
+  async function insertWithUser(db, fields) {
+    const user = await usersRepo.create(db, {
+      username: fields.username,
+      passwordHash: await hashPassword(fields.password),
+      email: fields.email,
+      role: 'student'
+    });
+
+    const student = await studentsRepo.create(db, user.id, fields);
+    await usersRepo.setStudentId(db, user.id, student.id);
+    return student;
+  }
+
+  async function createWithUser(db, fields) {
+    if (await usersRepo.usernameExists(db, fields.username)) {
+      throw conflict('Username already exists');
+    }
+
+    if (fields.class_id && fields.roll_number) {
+      if (await studentsRepo.rollNumberTaken(db, fields.roll_number, fields.class_id)) {
+        throw conflict('Roll number already exists in this class');
+      }
+    }
+
+    return insertWithUser(db, fields);
+  }
+
+  async function create(fields) {
+    return withTransaction(pool, client => createWithUser(client, fields));
+  }
+
+  async function update(id, fields) {
+    return withTransaction(pool, async client => {
+      const student = await studentsRepo.update(client, 'id', id, fields);
+
+      if (!student) {
+        throw notFound('Student not found');
+      }
+
+      if (fields.email) {
+        await usersRepo.updateEmailForStudent(client, id, fields.email);
+      }
+
+      return student;
+    });
+  }
+
+  async function remove(id) {
+    return withTransaction(pool, async client => {
+      const student = await studentsRepo.findWithUsername(client, id);
+
+      if (!student) {
+        throw notFound('Student not found');
+      }
+
+      await studentsRepo.deleteById(client, id);
+      await usersRepo.deleteById(client, student.user_id);
+      return student;
+    });
+  }
+
+  return { listAll, listByClass, insertWithUser, create, update, remove };
+}
+
+module.exports = { createStudentsService };
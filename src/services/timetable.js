@@ -0,0 +1,185 @@
+const timetableRepo = require('../repositories/timetable');
+const sectionsRepo = require('../repositories/sections');
+const classesRepo = require('../repositories/classes');
+const studentsRepo = require('../repositories/students');
+const usersRepo = require('../repositories/users');
+const { withTransaction } = require('../db/transaction');
+const { notFound, conflict, ValidationError } = require('../errors');
+const { today, addDays, isoWeekday } = require('../utils/dates');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const fieldError = (field, code, message, extra = {}) => ({ field, location: 'body', code, message, ...extra });
+
+// One weekday as the app shows it: every period of the section in order,
+// with the class's entry for it (subject null when free). Days without any
+// entry come back with no periods.
+function buildDay(date, periods, entries) {
+  const dayOfWeek = isoWeekday(date);
+  const byPeriod = new Map(entries.filter(e => e.day_of_week === dayOfWeek).map(e => [e.period_id, e]));
+
+  return {
+    date,
+    day_of_week: dayOfWeek,
+    day: DAYS[dayOfWeek - 1],
+    periods: byPeriod.size === 0 ? [] : periods.map(period => {
+      const entry = byPeriod.get(period.id);
+      return {
+        period_id: period.id,
+        period_number: period.period_number,
+        name: period.name,
+        start_time: period.start_time,
+        end_time: period.end_time,
+        is_break: period.is_break,
+        entry_id: entry ? entry.id : null,
+        subject: entry ? entry.subject : null,
+        teacher_name: entry ? entry.teacher_name : null,
+        room: entry ? entry.room : null
+      };
+    })
+  };
+}
+
+function createTimetableService({ pool }) {
+  async function findSection(db, id) {
+    const section = await sectionsRepo.findById(db, id);
+    if (!section) throw notFound('Section not found');
+    return section;
+  }
+
+  async function findClass(db, id) {
+    const found = await classesRepo.findById(db, id);
+    if (!found) throw notFound('Class not found');
+    return found;
+  }
+
+  // ========== PERIODS ==========
+  async function listPeriods(sectionId) {
+    const section = await findSection(pool, sectionId);
+    return { section, periods: await timetableRepo.listPeriods(pool, sectionId) };
+  }
+
+  // Periods must fall inside the section's hours and not overlap each other
+  async function createPeriod(sectionId, fields) {
+    return withTransaction(pool, async client => {
+      const section = await findSection(client, sectionId);
+
+      if (fields.start_time < section.start_time || fields.end_time > section.end_time) {
+        throw new ValidationError([fieldError(
+          'start_time',
+          'outside_section',
+          `Period must fall within ${section.section_name} hours (${section.start_time.slice(0, 5)}-${section.end_time.slice(0, 5)})`
+        )]);
+      }
+      if (await timetableRepo.periodNumberTaken(client, sectionId, fields.period_number)) {
+        throw conflict(`Period ${fields.period_number} already exists in ${section.section_name}`);
+      }
+      const overlap = await timetableRepo.findOverlappingPeriod(client, sectionId, fields.start_time, fields.end_time);
+      if (overlap) {
+        throw conflict(`Overlaps ${overlap.name} (${overlap.start_time}-${overlap.end_time})`);
+      }
+
+      return timetableRepo.createPeriod(client, sectionId, fields);
+    });
+  }
+
+  // Removes the period and every timetable entry in it
+  async function removePeriod(id) {
+    if (!(await timetableRepo.deletePeriod(pool, id))) {
+      throw notFound('Period not found');
+    }
+  }
+
+  // ========== CLASS TIMETABLE ==========
+  async function classTimetable(classId) {
+    const found = await findClass(pool, classId);
+    const periods = found.section_id ? await timetableRepo.listPeriods(pool, found.section_id) : [];
+    const entries = await timetableRepo.listForClass(pool, classId);
+
+    return {
+      class: { id: found.id, class_name: found.class_name, section_id: found.section_id, section_name: found.section_name },
+      periods,
+      days: DAYS.map((day, i) => ({
+        day_of_week: i + 1,
+        day,
+        entries: entries.filter(entry => entry.day_of_week === i + 1)
+      }))
+    };
+  }
+
+  // Fills one period of the class's week, replacing what was there. The
+  // teacher and room must be free at that time in every other class.
+  async function setEntry(classId, { day_of_week, period_id, subject, teacher_id, teacher_name, room }) {
+    return withTransaction(pool, async client => {
+      const found = await findClass(client, classId);
+
+      const period = await timetableRepo.findPeriod(client, period_id);
+      if (!period || period.section_id !== found.section_id) {
+        throw new ValidationError([fieldError('period_id', 'wrong_section', `Period is not part of ${found.section_name || 'this class\'s section'}`)]);
+      }
+      if (period.is_break) {
+        throw new ValidationError([fieldError('period_id', 'break_period', `${period.name} is a break`)]);
+      }
+
+      if (teacher_id) {
+        if (!(await usersRepo.hasRole(client, teacher_id, 'teacher'))) {
+          throw new ValidationError([fieldError('teacher_id', 'not_found', 'Teacher not found')]);
+        }
+        teacher_name = teacher_name || await usersRepo.findUsername(client, teacher_id);
+      }
+
+      await timetableRepo.lockDay(client, day_of_week);
+      const clashes = await timetableRepo.findClashes(client, {
+        classId,
+        dayOfWeek: day_of_week,
+        startTime: period.start_time,
+        endTime: period.end_time,
+        teacherId: teacher_id,
+        teacherName: teacher_name,
+        room
+      });
+
+      const errors = [];
+      const describe = clash => `${clash.class_name}, ${DAYS[clash.day_of_week - 1]} ${clash.start_time}-${clash.end_time} (${clash.subject})`;
+      const summary = clash => ({ entry_id: clash.id, class_id: clash.class_id, class_name: clash.class_name, start_time: clash.start_time, end_time: clash.end_time, subject: clash.subject });
+      for (const clash of clashes.filter(c => c.teacher_clash)) {
+        errors.push(fieldError(teacher_id ? 'teacher_id' : 'teacher_name', 'teacher_clash', `${teacher_name} already teaches ${describe(clash)}`, { clash: summary(clash) }));
+      }
+      for (const clash of clashes.filter(c => c.room_clash)) {
+        errors.push(fieldError('room', 'room_clash', `Room ${room} is already used by ${describe(clash)}`, { clash: summary(clash) }));
+      }
+      if (errors.length > 0) throw new ValidationError(errors);
+
+      return timetableRepo.upsertEntry(client, classId, { day_of_week, period_id, subject, teacher_id, teacher_name, room });
+    });
+  }
+
+  async function removeEntry(classId, entryId) {
+    if (!(await timetableRepo.deleteEntry(pool, classId, entryId))) {
+      throw notFound('Timetable entry not found');
+    }
+  }
+
+  // ========== STUDENT APP ==========
+  // The student's day (`date`, default today) and the Monday-Sunday week around it
+  async function forStudent(studentId, date = today()) {
+    const student = await studentsRepo.findProfileById(pool, studentId);
+    if (!student) throw notFound('Student not found');
+    if (!student.class_id) throw notFound('Student is not in a class');
+
+    const found = await findClass(pool, student.class_id);
+    const periods = found.section_id ? await timetableRepo.listPeriods(pool, found.section_id) : [];
+    const entries = await timetableRepo.listForClass(pool, found.id);
+
+    const monday = addDays(date, 1 - isoWeekday(date));
+    return {
+      class: { id: found.id, class_name: found.class_name, section_name: found.section_name },
+      today: buildDay(date, periods, entries),
+      week: DAYS.map((day, i) => buildDay(addDays(monday, i), periods, entries))
+    };
+  }
+
+  return { listPeriods, createPeriod, removePeriod, classTimetable, setEntry, removeEntry, forStudent };
+}
+
+module.exports = { createTimetableService };
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const refreshTokensRepo = require('../repositories/refreshTokens');
+
+// Access tokens are short-lived signed JWTs. Refresh tokens are opaque random
+// strings; only their SHA-256 is stored in refresh_tokens so they can be revoked.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createTokenService(config) {
+  function signAccessToken(user) {
+    return jwt.sign(
+      { role: user.role, studentId: user.studentId || null },
+      config.jwtSecret,
+      { subject: String(user.id), expiresIn: config.accessTokenTtl }
+    );
+  }
+
+  // Throws jsonwebtoken's TokenExpiredError / JsonWebTokenError
+  function verifyAccessToken(token) {
+    const payload = jwt.verify(token, config.jwtSecret);
+    return {
+      id: parseInt(payload.sub),
+      role: payload.role,
+      studentId: payload.studentId
+    };
+  }
+
+  async function issueRefreshToken(db, userId) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    await refreshTokensRepo.create(db, {
+      userId,
+      tokenHash: hashToken(token),
+      ttlDays: config.refreshTokenTtlDays
+    });
+    return token;
+  }
+
+  async function issueSession(db, user) {
+    return {
+      accessToken: signAccessToken(user),
+      refreshToken: await issueRefreshToken(db, user.id),
+      tokenType: 'Bearer',
+      expiresIn: config.accessTokenTtl
+    };
+  }
+
+  return { signAccessToken, verifyAccessToken, issueSession };
+}
+
+module.exports = { createTokenService, hashToken };
@@ -0,0 +1,25 @@
+// Calendar dates as 'YYYY-MM-DD' strings, free of time zone shifts
+
+const pad = n => String(n).padStart(2, '0');
+
+// Server-local calendar date, used when a request does not name one
+function today() {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+const toUtc = date => {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+
+function addDays(date, days) {
+  const result = toUtc(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+// ISO weekday: 1 = Monday ... 7 = Sunday
+const isoWeekday = date => toUtc(date).getUTCDay() || 7;
+
+module.exports = { today, addDays, isoWeekday };
@@ -0,0 +1,143 @@
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+
+// Header variations accepted by the student importer, matched case-insensitively
+const STUDENT_COLUMNS = {
+  first_name: ['firstname', 'first name', 'first_name'],
+  last_name: ['lastname', 'last name', 'last_name'],
+  username: ['username', 'user name'],
+  password: ['password', 'pass'],
+  email: ['email', 'e-mail'],
+  class: ['classid', 'class', 'class id', 'class_id'],
+  roll_number: ['rollnumber', 'roll number', 'roll_no'],
+  phone: ['phone', 'mobile', 'contact'],
+  address: ['address'],
+  date_of_birth: ['dateofbirth', 'date of birth', 'dob', 'birth date'],
+  blood_group: ['bloodgroup', 'blood group'],
+  parent_name: ['parentname', 'parent name', 'guardian'],
+  parent_phone: ['parentphone', 'parent phone'],
+  parent_email: ['parentemail', 'parent email'],
+  photo: [
+    'photo', 'photo_filename', 'Photos', 'photofilename',
+    'image', 'picture', 'photo_file', 'filename'
+  ]
+};
+
+// Header written for each column by exports and templates; each one is among
+// the variations above, so those files import as they are
+const STUDENT_HEADERS = {
+  first_name: 'First Name',
+  last_name: 'Last Name',
+  username: 'Username',
+  password: 'Password',
+  email: 'Email',
+  class: 'Class',
+  roll_number: 'Roll Number',
+  phone: 'Phone',
+  address: 'Address',
+  date_of_birth: 'Date of Birth',
+  blood_group: 'Blood Group',
+  parent_name: 'Parent Name',
+  parent_phone: 'Parent Phone',
+  parent_email: 'Parent Email',
+  photo: 'Photo'
+};
+
+// Spreadsheet apps run a cell starting with = + - or @ as a formula, so
+// exports write such text with a leading ' (see escapeFormula) and mapField
+// drops it again. Numbers like +91 98200 00000 cannot call anything and are
+// left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const escapeFormula = value => (
+  typeof value === 'string' && FORMULA_START.test(value) && !/^[+-]?[\d\s()-]+$/.test(value)
+    ? `'${value}`
+    : value
+);
+
+const mapField = (row, variations) => {
+  const rowKeys = Object.keys(row);
+  for (const variation of variations) {
+    for (const key of rowKeys) {
+      if (key.trim().toLowerCase() === variation.trim().toLowerCase()) {
+        const val = String(row[key]).trim();
+        if (val && val !== 'undefined' && val !== 'null') {
+          return val.startsWith("'") && FORMULA_START.test(val.slice(1)) ? val.slice(1) : val;
+        }
+      }
+    }
+  }
+  return null;
+};
+
+const convertExcelDate = (excelDate) => {
+  if (!excelDate) return null;
+  if (typeof excelDate === 'string') {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(excelDate)) return excelDate;
+  }
+  if (!isNaN(excelDate)) {
+    const date = XLSX.SSF.parse_date_code(parseInt(excelDate));
+    if (date) {
+      return `${date.y}-${String(date.m).padStart(2, '0')}-${String(date.d).padStart(2, '0')}`;
+    }
+  }
+  return null;
+};
+
+// Maps one sheet row to student fields. `class` is the raw value (id or name)
+// and `photo` the file name to look up in a ZIP upload.
+function readStudentRow(row) {
+  const fields = {};
+  for (const [field, variations] of Object.entries(STUDENT_COLUMNS)) {
+    fields[field] = mapField(row, variations);
+  }
+  // Unrecognised dates are kept as-is so validation can report them
+  fields.date_of_birth = convertExcelDate(fields.date_of_birth) || fields.date_of_birth;
+  return fields;
+}
+
+function readFirstSheet(workbook) {
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(worksheet);
+}
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Worksheet elements that must come after <dataValidations>
+const AFTER_VALIDATIONS = /<(hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|rowBreaks|colBreaks|customProperties|cellWatches|ignoredErrors|smartTags|drawing|legacyDrawing|tableParts|extLst)[\s/>]/;
+
+// SheetJS does not write data validation, so this adds it to the XML of
+// sheet `sheetNumber` (1-based) of a written .xlsx buffer. Each validation
+// covers `sqref` (e.g. 'F2:F1000') with a dropdown from a `list` formula
+// (e.g. 'Lists!$A$2:$A$9') and/or an input message (`promptTitle`, `prompt`).
+function addDataValidations(buffer, sheetNumber, validations) {
+  const zip = new AdmZip(buffer);
+  const entryName = `xl/worksheets/sheet${sheetNumber}.xml`;
+  const xml = zip.readAsText(entryName);
+
+  const rules = validations.map(({ sqref, list, promptTitle, prompt }) => {
+    const attributes = [
+      list ? 'type="list" allowBlank="1" showErrorMessage="1"' : 'allowBlank="1"',
+      prompt ? `showInputMessage="1" promptTitle="${escapeXml(promptTitle || '')}" prompt="${escapeXml(prompt)}"` : '',
+      `sqref="${sqref}"`
+    ].filter(Boolean).join(' ');
+    return `<dataValidation ${attributes}>${list ? `<formula1>${escapeXml(list)}</formula1>` : ''}</dataValidation>`;
+  });
+  const element = `<dataValidations count="${rules.length}">${rules.join('')}</dataValidations>`;
+
+  const match = xml.match(AFTER_VALIDATIONS);
+  const at = match ? match.index : xml.lastIndexOf('</worksheet>');
+  zip.updateFile(entryName, Buffer.from(xml.slice(0, at) + element + xml.slice(at)));
+  return zip.toBuffer();
+}
+
+module.exports = {
+  STUDENT_COLUMNS,
+  STUDENT_HEADERS,
+  mapField,
+  escapeFormula,
+  convertExcelDate,
+  readStudentRow,
+  readFirstSheet,
+  addDataValidations
+};
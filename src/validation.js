@@ -0,0 +1,326 @@
+const { ValidationError } = require('./errors');
+
+// ========== DECLARATIVE VALIDATION ==========
+// A schema maps field names to rules:
+//   type       'id' | 'integer' | 'number' | 'string' | 'date' | 'month' | 'time' | 'datetime'
+//              | 'email' | 'phone' | 'bloodGroup' | 'enum' | 'enumList' | 'boolean' | 'idList'
+//              | 'list' | 'file'
+//   required   true, or a function of the other values in the same location
+//   min/max    bounds for 'integer' and 'number'
+//   minLength/maxLength  bounds for 'string'
+//   values     allowed values for 'enum' / 'enumList'
+//   of         schema every item of a 'list' is checked against
+//   after      name of a 'date'/'time'/'datetime' field this one must be later than
+//   label      name used in messages (default derived from the field name)
+//   messages   per-code message overrides, e.g. { required: 'Title is required' }
+//
+// Every failure becomes { field, location, code, message } plus any limit
+// involved (min, max, allowed, after). Codes are stable so the frontend can
+// translate them; messages are the English fallback.
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+// ISO 8601 with an explicit offset, so the instant is never ambiguous
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s()-]+$/;
+
+const isBlank = value =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+function labelFor(field, rule) {
+  if (rule.label) return rule.label;
+  const words = field.replace(/_id$/, '').replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+const ok = value => ({ value });
+const fail = (code, message, extra = {}) => ({ error: { code, message, ...extra } });
+
+function toId(value) {
+  const text = String(value).trim();
+  const id = Number(text);
+  return /^\d+$/.test(text) && id > 0 && Number.isSafeInteger(id) ? id : null;
+}
+
+// Type checks: return ok(coercedValue) or fail(code, message)
+const TYPES = {
+  id(value, label) {
+    const id = toId(value);
+    return id ? ok(id) : fail('invalid_id', `${label} must be a valid ID`);
+  },
+
+  integer(value, label) {
+    const text = String(value).trim();
+    return /^-?\d+$/.test(text) ? ok(Number(text)) : fail('invalid_integer', `${label} must be a whole number`);
+  },
+
+  number(value, label) {
+    const text = String(value).trim();
+    return /^-?\d+(\.\d+)?$/.test(text) ? ok(Number(text)) : fail('invalid_number', `${label} must be a number`);
+  },
+
+  string(value, label) {
+    if (typeof value === 'string') return ok(value);
+    if (typeof value === 'number') return ok(String(value));
+    return fail('invalid_string', `${label} must be text`);
+  },
+
+  date(value, label) {
+    const match = DATE_PATTERN.exec(String(value).trim());
+    if (match) {
+      const [, y, m, d] = match.map(Number);
+      const date = new Date(Date.UTC(y, m - 1, d));
+      if (date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d) {
+        return ok(match[0]);
+      }
+    }
+    return fail('invalid_date', `${label} must be a valid date (YYYY-MM-DD)`);
+  },
+
+  month(value, label) {
+    const text = String(value).trim();
+    return MONTH_PATTERN.test(text) ? ok(text) : fail('invalid_month', `${label} must be a valid month (YYYY-MM)`);
+  },
+
+  time(value, label) {
+    const match = TIME_PATTERN.exec(String(value).trim());
+    return match
+      ? ok(`${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}`)
+      : fail('invalid_time', `${label} must be a valid time (HH:MM)`);
+  },
+
+  // Normalised to UTC, e.g. '2026-09-01T08:00+05:30' -> '2026-09-01T02:30:00.000Z'
+  datetime(value, label) {
+    const text = String(value).trim();
+    const time = DATETIME_PATTERN.test(text) ? new Date(text) : null;
+    return time && !isNaN(time)
+      ? ok(time.toISOString())
+      : fail('invalid_datetime', `${label} must be a date and time with a UTC offset (e.g. 2026-09-01T08:00:00+05:30)`);
+  },
+
+  email(value, label) {
+    const text = String(value).trim();
+    return EMAIL_PATTERN.test(text) ? ok(text) : fail('invalid_email', `${label} must be a valid email address`);
+  },
+
+  phone(value, label) {
+    const text = String(value).trim();
+    const digits = text.replace(/\D/g, '').length;
+    return PHONE_PATTERN.test(text) && digits >= 7 && digits <= 15
+      ? ok(text)
+      : fail('invalid_phone', `${label} must be a valid phone number`);
+  },
+
+  bloodGroup(value, label) {
+    const group = String(value).trim().toUpperCase();
+    return BLOOD_GROUPS.includes(group)
+      ? ok(group)
+      : fail('invalid_blood_group', `${label} must be one of ${BLOOD_GROUPS.join(', ')}`, { allowed: BLOOD_GROUPS });
+  },
+
+  enum(value, label, rule) {
+    return rule.values.includes(value)
+      ? ok(value)
+      : fail('invalid_choice', `${label} must be one of ${rule.values.join(', ')}`, { allowed: rule.values });
+  },
+
+  // A real array or a comma separated list, every item one of rule.values
+  enumList(value, label, rule) {
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    return list.every(item => rule.values.includes(item))
+      ? ok([...new Set(list)])
+      : fail('invalid_choice', `${label} must only contain ${rule.values.join(', ')}`, { allowed: rule.values });
+  },
+
+  boolean(value, label) {
+    if (value === true || value === 'true' || value === '1' || value === 1) return ok(true);
+    if (value === false || value === 'false' || value === '0' || value === 0) return ok(false);
+    return fail('invalid_boolean', `${label} must be true or false`);
+  },
+
+  // A JSON array, a real array or a comma separated list of ids
+  idList(value, label) {
+    let list = value;
+    if (typeof value === 'string') {
+      try {
+        list = JSON.parse(value);
+      } catch (e) {
+        list = value.split(',');
+      }
+    }
+    if (!Array.isArray(list)) list = [list];
+
+    const ids = list.map(toId);
+    return ids.every(Boolean) ? ok(ids) : fail('invalid_id_list', `${label} must be a list of valid IDs`);
+  },
+
+  list(value, label) {
+    return Array.isArray(value) ? ok(value) : fail('invalid_list', `${label} must be a list`);
+  },
+
+  file: value => ok(value)
+};
+
+function checkBounds(value, label, rule) {
+  if (rule.min !== undefined && value < rule.min) {
+    return fail('too_small', `${label} must be at least ${rule.min}`, { min: rule.min });
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return fail('too_large', `${label} must be at most ${rule.max}`, { max: rule.max });
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return fail('too_short', `${label} must be at least ${rule.minLength} characters`, { min: rule.minLength });
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fail('too_long', `${label} must be at most ${rule.maxLength} characters`, { max: rule.maxLength });
+  }
+  return null;
+}
+
+// Checks each item of a list against `schema`; item errors are reported as
+// 'records[2].status'. Returns the list with coerced items.
+function checkItems(field, schema, items, location, errors) {
+  return items.map((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ field: `${field}[${i}]`, location, code: 'invalid_item', message: `Item ${i + 1} of ${field} is invalid` });
+      return item;
+    }
+
+    const result = validateFields(schema, item, location);
+    for (const error of result.errors) {
+      errors.push({ ...error, field: `${field}[${i}].${error.field}` });
+    }
+    return { ...item, ...result.values };
+  });
+}
+
+// Validates `input` against `schema`. Returns the coerced values of every
+// field present in the input (blank optional values become null) and the list
+// of field errors, tagged with `location` ('params', 'query', 'body', ...).
+function validateFields(schema, input = {}, location = 'body') {
+  const values = {};
+  const errors = [];
+
+  const report = (field, rule, { code, message, ...extra }) => {
+    const override = rule.messages && rule.messages[code];
+    errors.push({ field, location, code, message: override || message, ...extra });
+  };
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+    const label = labelFor(field, rule);
+    const required = typeof rule.required === 'function' ? rule.required(input) : Boolean(rule.required);
+
+    if (isBlank(raw)) {
+      if (required) {
+        report(field, rule, { code: 'required', message: `${label} is required` });
+      } else if (raw !== undefined && rule.type !== 'string') {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    const check = TYPES[rule.type || 'string'];
+    if (!check) throw new Error(`Unknown validation type '${rule.type}' for ${field}`);
+
+    const { value, error } = check(raw, label, rule);
+    const problem = error ? { error } : checkBounds(value, label, rule);
+    if (problem) {
+      report(field, rule, problem.error);
+      continue;
+    }
+
+    // e.g. an idList given as '[]'
+    if (required && isBlank(value)) {
+      report(field, rule, { code: 'required', message: `${label} is required` });
+      continue;
+    }
+
+    values[field] = rule.of ? checkItems(field, rule.of, value, location, errors) : value;
+  }
+
+  // Cross-field ordering, once both sides passed their own checks
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!rule.after || values[field] == null || values[rule.after] == null) continue;
+
+    if (values[field] <= values[rule.after]) {
+      const label = labelFor(field, rule);
+      const other = labelFor(rule.after, schema[rule.after] || {});
+      report(field, rule, {
+        code: 'invalid_range',
+        message: `${label} must be after ${other.toLowerCase()}`,
+        after: rule.after
+      });
+    }
+  }
+
+  return { values, errors };
+}
+
+// Service-side variant: returns the input with coerced values or throws a
+// ValidationError, for checks that must run after something else (e.g. the
+// setup token) or for data that does not come from a request.
+function assertValid(schema, input = {}, location = 'body') {
+  const { values, errors } = validateFields(schema, input, location);
+  if (errors.length > 0) throw new ValidationError(errors);
+  return { ...input, ...values };
+}
+
+// Schema for a numeric route parameter, e.g. validate({ params: idParam('id', 'class') })
+const idParam = (name, entity) => ({
+  [name]: { type: 'id', required: true, messages: { invalid_id: `Invalid ${entity} ID` } }
+});
+
+// Optional student profile fields shared by the admin API, the student app
+// and the Excel importer.
+const STUDENT_PROFILE_FIELDS = {
+  class_id: { type: 'id', label: 'Class' },
+  roll_number: { type: 'integer', min: 1 },
+  phone: { type: 'phone' },
+  address: { type: 'string' },
+  date_of_birth: { type: 'date', label: 'Date of birth' },
+  blood_group: { type: 'bloodGroup' },
+  parent_name: { type: 'string', maxLength: 150 },
+  parent_phone: { type: 'phone' },
+  parent_email: { type: 'email', maxLength: 255 },
+  email: { type: 'email', maxLength: 255 }
+};
+
+// Content and recipients of a notice, shared by immediate and scheduled notifications
+const NOTIFICATION_FIELDS = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string', required: true },
+  message: { type: 'string' },
+  class_id: { type: 'id', required: true, label: 'Class' },
+  recipient_type: { type: 'enum', values: ['all', 'particular'], required: true },
+  selected_students: {
+    type: 'idList',
+    required: body => body.recipient_type === 'particular',
+    messages: { required: 'Please select at least one student for particular notifications' }
+  }
+};
+
+// Optional details sent with a push token
+const DEVICE_FIELDS = {
+  platform: { type: 'enum', values: ['android', 'ios', 'web'] },
+  app_version: { type: 'string', maxLength: 50, label: 'App version' }
+};
+
+module.exports = {
+  validateFields,
+  assertValid,
+  idParam,
+  BLOOD_GROUPS,
+  STUDENT_PROFILE_FIELDS,
+  NOTIFICATION_FIELDS,
+  DEVICE_FIELDS
+};
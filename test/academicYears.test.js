@@ -0,0 +1,143 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+
+let ctx;
+let auth;
+let classes;
+// username -> { id, user_id } of the seeded students
+const students = {};
+let year;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+
+  const sections = (await ctx.api().get('/api/admin/sections').set(auth)).body.sections;
+  await ctx.api().post('/api/admin/classes').set(auth)
+    .send({ class_name: 'Class 3 A', section_id: sections[0].id, teacher_name: 'Mr. Pawar' })
+    .expect(200);
+
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+  for (const student of (await ctx.api().get('/api/admin/students').set(auth)).body.students) {
+    students[student.username] = student;
+  }
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const promote = body => ctx.api().post(`/api/admin/academic-years/${year.id}/promote`).set(auth).send(body);
+const roster = async className => {
+  const res = await ctx.api().get(`/api/admin/students/class/${classes[className].id}`).set(auth).expect(200);
+  return res.body.students.map(s => [s.roll_number, s.first_name]);
+};
+
+test('academic years: create, reject overlaps and switch the current year', async () => {
+  const created = await ctx.api().post('/api/admin/academic-years').set(auth)
+    .send({ name: '2025-26', start_date: '2025-06-01', end_date: '2026-04-30', is_current: true })
+    .expect(200);
+  year = created.body.academic_year;
+  assert.deepEqual([year.start_date, year.end_date, year.is_current], ['2025-06-01', '2026-04-30', true]);
+
+  await ctx.api().post('/api/admin/academic-years').set(auth)
+    .send({ name: '2025-26', start_date: '2027-06-01', end_date: '2028-04-30' })
+    .expect(409);
+  await ctx.api().post('/api/admin/academic-years').set(auth)
+    .send({ name: 'Overlap', start_date: '2026-04-01', end_date: '2027-03-31' })
+    .expect(409);
+  const invalid = await ctx.api().post('/api/admin/academic-years').set(auth)
+    .send({ name: '2026-27', start_date: '2026-06-01', end_date: '2026-05-01' })
+    .expect(400);
+  assert.deepEqual(invalid.body.errors.map(e => e.field), ['end_date']);
+
+  const next = await ctx.api().post('/api/admin/academic-years').set(auth)
+    .send({ name: '2026-27', start_date: '2026-06-01', end_date: '2027-04-30' })
+    .expect(200);
+  await ctx.api().put(`/api/admin/academic-years/${next.body.academic_year.id}/current`).set(auth).expect(200);
+
+  const list = await ctx.api().get('/api/admin/academic-years').set(auth).expect(200);
+  assert.deepEqual(list.body.academic_years.map(y => [y.name, y.is_current]), [['2026-27', true], ['2025-26', false]]);
+
+  const student = await ctx.login('aarav.patil');
+  await ctx.api().get('/api/admin/academic-years').set(bearer(student.token)).expect(403);
+});
+
+test('promotion waits for the target class to be promoted and rejects bad exceptions', async () => {
+  const blocked = await promote({ from_class_id: classes['Class 1 A'].id, to_class_id: classes['Class 2 A'].id }).expect(409);
+  assert.match(blocked.body.message, /Class 2 A still has students/);
+
+  const invalid = await promote({
+    from_class_id: classes['Class 2 A'].id,
+    to_class_id: classes['Class 3 A'].id,
+    exceptions: [{ student_id: students['aarav.patil'].id, action: 'held_back' }]
+  }).expect(400);
+  assert.deepEqual(invalid.body.errors.map(e => [e.field, e.code]), [['exceptions[0].student_id', 'not_in_class']]);
+
+  await promote({
+    from_class_id: classes['Class 2 A'].id,
+    to_class_id: classes['Class 3 A'].id,
+    exceptions: [{ student_id: students['isha.gawde'].id, action: 'expelled' }]
+  }).expect(400);
+
+  // Nothing moved
+  assert.deepEqual(await roster('Class 2 A'), [[1, 'Isha'], [2, 'Arjun']]);
+});
+
+test('a class moves in one step with held-back and leaving students as exceptions', async () => {
+  const kabirSession = await ctx.login('kabir.naik');
+  const top = await promote({
+    from_class_id: classes['Class 2 A'].id,
+    to_class_id: classes['Class 3 A'].id,
+    exceptions: [{ student_id: students['isha.gawde'].id, action: 'held_back' }]
+  }).expect(200);
+  assert.deepEqual(top.body.counts, { promoted: 1, held_back: 1, left: 0 });
+  assert.deepEqual(top.body.to_class_roster.map(s => [s.roll_number, s.first_name]), [[1, 'Arjun']]);
+
+  const res = await promote({
+    from_class_id: classes['Class 1 A'].id,
+    to_class_id: classes['Class 2 A'].id,
+    roll_numbers: 'previous',
+    exceptions: [{ student_id: students['kabir.naik'].id, action: 'left' }]
+  }).expect(200);
+  assert.deepEqual(res.body.counts, { promoted: 2, held_back: 0, left: 1 });
+  assert.equal(res.body.message, '2 students promoted to Class 2 A');
+
+  // Held-back students keep the front of the roll, newcomers follow in their old order
+  assert.deepEqual(await roster('Class 2 A'), [[1, 'Isha'], [2, 'Aarav'], [3, 'Diya']]);
+  assert.deepEqual(await roster('Class 1 A'), []);
+
+  const kabir = await ctx.api().post('/api/login').send({ username: 'kabir.naik', password: 'student123' });
+  assert.equal(kabir.status, 403);
+  // Their access token stops working at once too
+  await ctx.api().get(`/api/student/profile/${kabirSession.user.id}`).set(bearer(kabirSession.token)).expect(401);
+  const { rows } = await ctx.pool.query('SELECT class_id, roll_number, left_at FROM students WHERE id = $1', [students['kabir.naik'].id]);
+  assert.deepEqual([rows[0].class_id, rows[0].roll_number, rows[0].left_at !== null], [null, null, true]);
+
+  await promote({ from_class_id: classes['Class 1 A'].id, to_class_id: classes['Class 2 A'].id }).expect(409);
+
+  // An emptied class can take the next class up; the default is alphabetical
+  await promote({ from_class_id: classes['Class 1 B'].id, to_class_id: classes['Class 1 A'].id }).expect(200);
+  assert.deepEqual(await roster('Class 1 A'), [[1, 'Ananya'], [2, 'Vihaan']]);
+});
+
+test('each student keeps the history of their previous classes', async () => {
+  const aarav = await ctx.api().get(`/api/admin/students/${students['aarav.patil'].id}/history`).set(auth).expect(200);
+  assert.equal(aarav.body.student.class_name, 'Class 2 A');
+  assert.deepEqual(
+    aarav.body.history.map(h => [h.academic_year, h.class_name, h.roll_number, h.outcome, h.next_class_name]),
+    [['2025-26', 'Class 1 A', 1, 'promoted', 'Class 2 A']]
+  );
+
+  const isha = await ctx.api().get(`/api/admin/students/${students['isha.gawde'].id}/history`).set(auth).expect(200);
+  assert.deepEqual(isha.body.history.map(h => [h.class_name, h.outcome, h.next_class_name]), [['Class 2 A', 'held_back', 'Class 2 A']]);
+
+  const kabir = await ctx.api().get(`/api/admin/students/${students['kabir.naik'].id}/history`).set(auth).expect(200);
+  assert.equal(kabir.body.student.class_id, null);
+  assert.deepEqual(kabir.body.history.map(h => [h.outcome, h.next_class_name]), [['left', null]]);
+
+  await ctx.api().get('/api/admin/students/9999/history').set(auth).expect(404);
+});
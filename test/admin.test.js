@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { PNG } = require('./helpers/files');
+
+let ctx;
+let auth;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('sections: list, create, reject incomplete and delete', async () => {
+  const list = await ctx.api().get('/api/admin/sections').set(auth).expect(200);
+  assert.deepEqual(list.body.sections.map(s => s.section_name).sort(), ['Afternoon', 'Morning']);
+
+  const created = await ctx.api().post('/api/admin/sections').set(auth)
+    .send({ section_name: 'Evening', start_time: '18:00', end_time: '20:00' })
+    .expect(200);
+  assert.equal(created.body.section.section_name, 'Evening');
+
+  await ctx.api().post('/api/admin/sections').set(auth).send({ section_name: 'Night' }).expect(400);
+
+  // The list is cached; creating must invalidate it
+  const after = await ctx.api().get('/api/admin/sections').set(auth).expect(200);
+  assert.equal(after.body.sections.length, 3);
+
+  await ctx.api().delete(`/api/admin/sections/${created.body.section.id}`).set(auth).expect(200);
+  await ctx.api().delete(`/api/admin/sections/${created.body.section.id}`).set(auth).expect(404);
+});
+
+test('sections in use by a class cannot be deleted', async () => {
+  const { body } = await ctx.api().get('/api/admin/sections').set(auth).expect(200);
+  const morning = body.sections.find(s => s.section_name === 'Morning');
+
+  await ctx.api().delete(`/api/admin/sections/${morning.id}`).set(auth).expect(409);
+});
+
+test('classes: list, create, delete and refuse to delete classes with students', async () => {
+  const list = await ctx.api().get('/api/admin/classes').set(auth).expect(200);
+  assert.equal(list.body.classes.length, 3);
+  const class1A = list.body.classes.find(c => c.class_name === 'Class 1 A');
+
+  const created = await ctx.api().post('/api/admin/classes').set(auth)
+    .send({ class_name: 'Class 3 A', section_id: class1A.section_id, teacher_name: 'Ms. Rao' })
+    .expect(200);
+  assert.equal(created.body.class.class_name, 'Class 3 A');
+
+  await ctx.api().post('/api/admin/classes').set(auth).send({ class_name: 'Class 3 B' }).expect(400);
+
+  await ctx.api().delete(`/api/admin/classes/${class1A.id}`).set(auth).expect(409);
+  await ctx.api().delete(`/api/admin/classes/${created.body.class.id}`).set(auth).expect(200);
+});
+
+test('students: create with photo, list by class, update and delete', async () => {
+  const classes = (await ctx.api().get('/api/admin/classes').set(auth)).body.classes;
+  const class2A = classes.find(c => c.class_name === 'Class 2 A');
+
+  const created = await ctx.api().post('/api/admin/students').set(auth)
+    .field('first_name', 'Neha')
+    .field('last_name', 'Kamat')
+    .field('username', 'neha.kamat')
+    .field('password', 'neha-pass')
+    .field('class_id', class2A.id)
+    .field('roll_number', 3)
+    .attach('photo', PNG, { filename: 'neha.png', contentType: 'image/png' })
+    .expect(200);
+
+  const student = created.body.student;
+  assert.equal(student.first_name, 'Neha');
+  assert.match(student.profile_photo, /neha\.png$/);
+
+  const byClass = await ctx.api().get(`/api/admin/students/class/${class2A.id}`).set(auth).expect(200);
+  assert.deepEqual(byClass.body.students.map(s => s.roll_number), [1, 2, 3]);
+
+  // The new account can log in with the password it was given
+  const login = await ctx.login('neha.kamat', 'neha-pass');
+  assert.equal(login.user.studentId, student.id);
+
+  const updated = await ctx.api().put(`/api/admin/students/${student.id}`).set(auth)
+    .field('first_name', 'Neha')
+    .field('last_name', 'Kamath')
+    .field('class_id', class2A.id)
+    .field('roll_number', 4)
+    .field('email', 'neha@example.com')
+    .expect(200);
+  assert.equal(updated.body.student.last_name, 'Kamath');
+  assert.equal(updated.body.student.roll_number, 4);
+
+  await ctx.api().delete(`/api/admin/students/${student.id}`).set(auth).expect(200);
+  await ctx.api().delete(`/api/admin/students/${student.id}`).set(auth).expect(404);
+  await ctx.api().put(`/api/admin/students/${student.id}`).set(auth)
+    .field('first_name', 'Neha')
+    .field('last_name', 'Kamath')
+    .expect(404);
+  await ctx.api().post('/api/login').send({ username: 'neha.kamat', password: 'neha-pass' }).expect(401);
+});
+
+test('students: duplicate usernames and roll numbers are rejected', async () => {
+  const classes = (await ctx.api().get('/api/admin/classes').set(auth)).body.classes;
+  const class1A = classes.find(c => c.class_name === 'Class 1 A');
+
+  await ctx.api().post('/api/admin/students').set(auth)
+    .field('first_name', 'Copy').field('last_name', 'Cat')
+    .field('username', 'diya.shah').field('password', 'pw')
+    .expect(409);
+
+  await ctx.api().post('/api/admin/students').set(auth)
+    .field('first_name', 'Copy').field('last_name', 'Cat')
+    .field('username', 'copy.cat').field('password', 'pw')
+    .field('class_id', class1A.id).field('roll_number', 1)
+    .expect(409);
+
+  await ctx.api().post('/api/admin/students').set(auth)
+    .field('first_name', 'Copy')
+    .expect(400);
+});
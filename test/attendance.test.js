@@ -0,0 +1,183 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+
+let ctx;
+let auth;
+let classes;
+// username -> student id
+const students = {};
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+
+  const { body } = await ctx.api().get('/api/admin/students').set(auth);
+  for (const student of body.students) {
+    students[student.username] = student.id;
+  }
+
+  // Only Aarav's family has the app installed
+  const aarav = await ctx.login('aarav.patil');
+  await ctx.api().post(`/api/student/${aarav.user.studentId}/fcm-token`)
+    .set(bearer(aarav.token))
+    .send({ fcm_token: 'token-aarav.patil' })
+    .expect(200);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.messaging.reset();
+});
+
+const mark = (classId, body) =>
+  ctx.api().put(`/api/admin/attendance/class/${classId}`).set(auth).send(body);
+
+test('marks a whole class with a default status and alerts absent families', async () => {
+  const class1A = classes['Class 1 A'].id;
+
+  const res = await mark(class1A, {
+    date: '2026-09-01',
+    default_status: 'present',
+    records: [
+      { student_id: students['aarav.patil'], status: 'absent', remarks: 'Fever' },
+      { student_id: students['kabir.naik'], status: 'late' }
+    ]
+  }).expect(200);
+
+  assert.equal(res.body.date, '2026-09-01');
+  assert.deepEqual(res.body.counts, { present: 1, absent: 1, late: 1, excused: 0 });
+  assert.equal(res.body.records.length, 3);
+
+  assert.equal(ctx.messaging.sent.length, 1);
+  const [message] = ctx.messaging.sent;
+  assert.deepEqual(message.tokens, ['token-aarav.patil']);
+  assert.equal(message.data.type, 'attendance');
+  assert.equal(message.data.student_id, String(students['aarav.patil']));
+  assert.equal(message.data.body, 'Aarav Patil was marked absent on 2026-09-01');
+
+  const rollCall = await ctx.api().get(`/api/admin/attendance/class/${class1A}?date=2026-09-01`).set(auth).expect(200);
+  assert.deepEqual(
+    rollCall.body.students.map(s => [s.first_name, s.status, s.remarks]),
+    [['Aarav', 'absent', 'Fever'], ['Diya', 'present', null], ['Kabir', 'late', null]]
+  );
+});
+
+test('re-marking a date overwrites it without repeating alerts', async () => {
+  const class1A = classes['Class 1 A'].id;
+  const body = {
+    date: '2026-09-02',
+    records: [{ student_id: students['aarav.patil'], status: 'absent' }]
+  };
+
+  await mark(class1A, body).expect(200);
+  await mark(class1A, body).expect(200);
+  assert.equal(ctx.messaging.sent.length, 1);
+
+  await mark(class1A, { ...body, records: [{ student_id: students['aarav.patil'], status: 'excused' }] }).expect(200);
+
+  const rollCall = await ctx.api().get(`/api/admin/attendance/class/${class1A}?date=2026-09-02`).set(auth).expect(200);
+  assert.deepEqual(rollCall.body.students.map(s => s.status), ['excused', null, null]);
+});
+
+test('rejects students outside the class and malformed records', async () => {
+  const class1A = classes['Class 1 A'].id;
+
+  const outsider = await mark(class1A, {
+    date: '2026-09-03',
+    records: [
+      { student_id: students['diya.shah'], status: 'present' },
+      { student_id: students['isha.gawde'], status: 'present' },
+      { student_id: students['diya.shah'], status: 'absent' }
+    ]
+  }).expect(400);
+  assert.deepEqual(outsider.body.errors.map(e => [e.field, e.code]), [
+    ['records[1].student_id', 'not_in_class'],
+    ['records[2].student_id', 'duplicate']
+  ]);
+
+  const malformed = await mark(class1A, {
+    date: '2026-02-30',
+    records: [{ student_id: students['diya.shah'], status: 'sick' }]
+  }).expect(400);
+  assert.deepEqual(malformed.body.errors.map(e => [e.field, e.code]), [
+    ['date', 'invalid_date'],
+    ['records[0].status', 'invalid_choice']
+  ]);
+
+  const empty = await mark(class1A, { date: '2026-09-03' }).expect(400);
+  assert.deepEqual(empty.body.errors.map(e => [e.field, e.code]), [['records', 'required']]);
+
+  const rollCall = await ctx.api().get(`/api/admin/attendance/class/${class1A}?date=2026-09-03`).set(auth).expect(200);
+  assert.ok(rollCall.body.students.every(s => s.status === null));
+});
+
+test('summarises a month per student and for the class', async () => {
+  const class1B = classes['Class 1 B'].id;
+  const ananya = students['ananya.joshi'];
+  const vihaan = students['vihaan.more'];
+
+  await mark(class1B, { date: '2026-08-03', default_status: 'present' }).expect(200);
+  await mark(class1B, { date: '2026-08-04', default_status: 'present', records: [{ student_id: vihaan, status: 'absent' }] }).expect(200);
+  await mark(class1B, { date: '2026-08-05', default_status: 'late', records: [{ student_id: vihaan, status: 'excused' }] }).expect(200);
+  await mark(class1B, { date: '2026-07-31', default_status: 'absent' }).expect(200);
+
+  const res = await ctx.api().get(`/api/admin/attendance/class/${class1B}/summary?month=2026-08`).set(auth).expect(200);
+  assert.equal(res.body.month, '2026-08');
+  assert.deepEqual(res.body.totals, {
+    school_days: 3, marked_days: 6, present: 3, absent: 1, late: 1, excused: 1, attendance_rate: 80
+  });
+
+  const byStudent = Object.fromEntries(res.body.students.map(s => [s.student_id, s]));
+  assert.equal(byStudent[ananya].attendance_rate, 100);
+  assert.equal(byStudent[vihaan].attendance_rate, 50);
+  assert.equal(byStudent[vihaan].excused, 1);
+
+  const history = await ctx.api().get(`/api/admin/attendance/student/${vihaan}?month=2026-08`).set(auth).expect(200);
+  assert.deepEqual(history.body.records.map(r => [r.date, r.status]), [
+    ['2026-08-05', 'excused'], ['2026-08-04', 'absent'], ['2026-08-03', 'present']
+  ]);
+
+  await ctx.api().get(`/api/admin/attendance/class/${class1B}/summary?month=2026-13`).set(auth).expect(400);
+});
+
+test('teachers only mark their own classes', async () => {
+  const teacher = await ctx.api().post('/api/admin/teachers').set(auth)
+    .send({ username: 'mrs.kulkarni', password: 'teacher-pass-1', email: 'kulkarni@example.com' })
+    .expect(200);
+  await ctx.api().put(`/api/admin/classes/${classes['Class 2 A'].id}/teacher`).set(auth)
+    .send({ teacher_id: teacher.body.teacher.id })
+    .expect(200);
+  const session = await ctx.login('mrs.kulkarni', 'teacher-pass-1');
+  const teacherAuth = bearer(session.token);
+
+  await ctx.api().put(`/api/admin/attendance/class/${classes['Class 2 A'].id}`).set(teacherAuth)
+    .send({ date: '2026-09-01', default_status: 'present' })
+    .expect(200);
+  await ctx.api().put(`/api/admin/attendance/class/${classes['Class 1 A'].id}`).set(teacherAuth)
+    .send({ date: '2026-09-01', default_status: 'present' })
+    .expect(403);
+  await ctx.api().get(`/api/admin/attendance/student/${students['aarav.patil']}`).set(teacherAuth).expect(403);
+  await ctx.api().get(`/api/admin/attendance/student/${students['isha.gawde']}`).set(teacherAuth).expect(200);
+});
+
+test('students see their own attendance in the app', async () => {
+  const aarav = await ctx.login('aarav.patil');
+
+  const res = await ctx.api().get(`/api/student/attendance/${aarav.user.studentId}?month=2026-09`)
+    .set(bearer(aarav.token))
+    .expect(200);
+  assert.equal(res.body.month, '2026-09');
+  assert.deepEqual(res.body.data.map(r => [r.date, r.status]), [['2026-09-02', 'excused'], ['2026-09-01', 'absent']]);
+  assert.equal(res.body.summary.attendance_rate, 0);
+
+  await ctx.api().get(`/api/student/attendance/${students['diya.shah']}`)
+    .set(bearer(aarav.token))
+    .expect(403);
+});
@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer, SETUP_TOKEN } = require('./helpers/context');
+
+let ctx;
+
+before(async () => {
+  ctx = await createTestContext();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test('setup-admin requires the setup token and locks after the first admin', async () => {
+  await ctx.api().post('/api/setup-admin')
+    .send({ username: 'intruder', password: 'long-enough-pw' })
+    .expect(401);
+
+  await ctx.asAdmin();
+
+  const res = await ctx.api().post('/api/setup-admin')
+    .set('X-Setup-Token', SETUP_TOKEN)
+    .send({ username: 'second', password: 'long-enough-pw' })
+    .expect(409);
+  assert.equal(res.body.success, false);
+});
+
+test('login returns a session for seeded students', async () => {
+  const res = await ctx.api().post('/api/login')
+    .send({ username: 'diya.shah', password: 'student123' })
+    .expect(200);
+
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.user.username, 'diya.shah');
+  assert.equal(res.body.user.role, 'student');
+  assert.ok(res.body.user.studentId);
+  assert.ok(res.body.accessToken);
+  assert.ok(res.body.refreshToken);
+  assert.equal(res.body.tokenType, 'Bearer');
+});
+
+test('login rejects bad credentials and missing fields', async () => {
+  const wrong = await ctx.api().post('/api/login')
+    .send({ username: 'diya.shah', password: 'nope' })
+    .expect(401);
+  assert.equal(wrong.body.success, false);
+  assert.equal(wrong.body.user, null);
+
+  await ctx.api().post('/api/login').send({ username: 'diya.shah' }).expect(400);
+});
+
+test('refresh rotates the token and a replayed token is rejected', async () => {
+  const { body: session } = await ctx.api().post('/api/login')
+    .send({ username: 'kabir.naik', password: 'student123' })
+    .expect(200);
+
+  const refreshed = await ctx.api().post('/api/token/refresh')
+    .send({ refreshToken: session.refreshToken })
+    .expect(200);
+  assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+
+  await ctx.api().post('/api/token/refresh')
+    .send({ refreshToken: session.refreshToken })
+    .expect(401);
+
+  // Replaying a rotated token revokes the whole family
+  await ctx.api().post('/api/token/refresh')
+    .send({ refreshToken: refreshed.body.refreshToken })
+    .expect(401);
+});
+
+test('logout revokes the refresh token', async () => {
+  const { body: session } = await ctx.api().post('/api/login')
+    .send({ username: 'isha.gawde', password: 'student123' })
+    .expect(200);
+
+  await ctx.api().post('/api/logout')
+    .set(bearer(session.accessToken))
+    .send({ refreshToken: session.refreshToken })
+    .expect(200);
+
+  await ctx.api().post('/api/token/refresh')
+    .send({ refreshToken: session.refreshToken })
+    .expect(401);
+});
+
+test('admin routes require an admin token', async () => {
+  await ctx.api().get('/api/admin/students').expect(401);
+  await ctx.api().get('/api/admin/students').set(bearer('garbage')).expect(401);
+
+  const { token } = await ctx.login('diya.shah');
+  await ctx.api().get('/api/admin/students').set(bearer(token)).expect(403);
+
+  const admin = await ctx.asAdmin();
+  await ctx.api().get('/api/admin/students').set(bearer(admin)).expect(200);
+});
+
+test('a disabled admin is locked out at once', async () => {
+  const admin = bearer(await ctx.asAdmin());
+  const created = await ctx.api().post('/api/admin/admins').set(admin)
+    .send({ username: 'deputy', password: 'deputy-password' })
+    .expect(200);
+  const deputy = bearer((await ctx.login('deputy', 'deputy-password')).token);
+  await ctx.api().get('/api/admin/students').set(deputy).expect(200);
+
+  await ctx.api().put(`/api/admin/admins/${created.body.admin.id}/disable`).set(admin).expect(200);
+  const res = await ctx.api().get('/api/admin/students').set(deputy).expect(401);
+  assert.equal(res.body.message, 'This account has been disabled');
+});
+
+test('students can only read their own profile', async () => {
+  const diya = await ctx.login('diya.shah');
+  const aarav = await ctx.login('aarav.patil');
+
+  await ctx.api().get(`/api/student/profile/${diya.user.id}`).set(bearer(diya.token)).expect(200);
+  await ctx.api().get(`/api/student/profile/${aarav.user.id}`).set(bearer(diya.token)).expect(403);
+});
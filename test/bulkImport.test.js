@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { workbook, studentZip, PNG, XLSX_TYPE } = require('./helpers/files');
+
+let ctx;
+let auth;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const row = (overrides = {}) => ({
+  'First Name': 'Riya',
+  'Last Name': 'Sawant',
+  Username: 'riya.sawant',
+  Password: 'riya-pass',
+  Class: 'Class 2 A',
+  'Roll Number': 5,
+  DOB: '2018-04-12',
+  'Blood Group': 'A+',
+  'Parent Name': 'Sanjay Sawant',
+  ...overrides
+});
+
+test('Excel upload imports valid rows and reports the rest per row', async () => {
+  const file = workbook([
+    row(),
+    row({ Username: 'diya.shah' }),
+    row({ Username: 'ghost', Class: 'Nope' }),
+    row({ Username: 'no.name', 'First Name': '' }),
+    row({ Username: 'roll.taken', Class: 'Class 1 A', 'Roll Number': 1 })
+  ]);
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload').set(auth)
+    .attach('excelFile', file, { filename: 'students.xlsx', contentType: XLSX_TYPE })
+    .expect(202);
+
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.data.status, 'queued');
+  const job = await ctx.finishImport(res, auth);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.imported, 1);
+  assert.equal(job.failed, 4);
+  assert.deepEqual(job.errorDetails, [
+    "Row 3: Username 'diya.shah' already exists",
+    "Row 4: Class 'Nope' not found",
+    'Row 5: Missing required fields',
+    "Row 6: Roll number '1' already exists in class"
+  ]);
+
+  const { user } = await ctx.login('riya.sawant', 'riya-pass');
+  const profile = await ctx.pool.query('SELECT * FROM students WHERE id = $1', [user.studentId]);
+  assert.equal(profile.rows[0].roll_number, 5);
+  assert.equal(profile.rows[0].blood_group, 'A+');
+  assert.equal(profile.rows[0].parent_name, 'Sanjay Sawant');
+
+  // The uploaded spreadsheet is not kept around
+  assert.deepEqual(fs.readdirSync(ctx.uploadDir), []);
+});
+
+test('Excel upload requires a file', async () => {
+  const res = await ctx.api().post('/api/admin/students/bulk-upload').set(auth).expect(400);
+  assert.equal(res.body.message, 'Excel file is required');
+});
+
+test('ZIP upload imports rows and stores the matching photos', async () => {
+  const file = studentZip([
+    row({ Username: 'om.parab', 'First Name': 'Om', 'Roll Number': 6, Photo: 'om.png' }),
+    row({ Username: 'tara.dalvi', 'First Name': 'Tara', 'Roll Number': 7 })
+  ], { 'photos/om.png': PNG });
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .attach('zipFile', file, { filename: 'students.zip', contentType: 'application/zip' })
+    .expect(202);
+
+  const job = await ctx.finishImport(res, auth);
+  assert.equal(job.imported, 2);
+  assert.equal(job.failed, 0);
+  assert.equal(job.photosUploaded, 1);
+
+  const { rows } = await ctx.pool.query(
+    `SELECT s.profile_photo FROM students s JOIN users u ON u.id = s.user_id WHERE u.username = 'om.parab'`
+  );
+  assert.ok(fs.existsSync(rows[0].profile_photo));
+  assert.equal(path.dirname(rows[0].profile_photo), ctx.uploadDir);
+});
+
+test('a ZIP row that fails after its photo was stored leaves no photo behind', async () => {
+  // Only the database rejects a username this long, after the photo is copied
+  const tooLong = 'x'.repeat(101);
+  const file = studentZip([row({ Username: tooLong, 'Roll Number': 8, Photo: 'x.png' })], { 'photos/x.png': PNG });
+  const stored = fs.readdirSync(ctx.uploadDir).length;
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .attach('zipFile', file, { filename: 'students.zip', contentType: 'application/zip' })
+    .expect(202);
+
+  const job = await ctx.finishImport(res, auth);
+  assert.equal(job.failed, 1);
+  assert.equal(fs.readdirSync(ctx.uploadDir).length, stored);
+});
+
+test('ZIP upload without a spreadsheet is rejected', async () => {
+  const zip = new AdmZip();
+  zip.addFile('photos/om.png', PNG);
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .attach('zipFile', zip.toBuffer(), { filename: 'photos.zip', contentType: 'application/zip' })
+    .expect(400);
+  assert.equal(res.body.message, 'No Excel file found in ZIP');
+});
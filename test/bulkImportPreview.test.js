@@ -0,0 +1,115 @@
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { workbook, studentZip, PNG, XLSX_TYPE } = require('./helpers/files');
+
+let ctx;
+let auth;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const row = (overrides = {}) => ({
+  'First Name': 'Riya',
+  'Last Name': 'Sawant',
+  Username: 'riya.sawant',
+  Password: 'riya-pass',
+  Class: 'Class 2 A',
+  'Roll Number': 5,
+  DOB: 43202,
+  'Blood Group': 'A+',
+  ...overrides
+});
+
+const countUsers = async () => Number((await ctx.pool.query('SELECT COUNT(*) FROM users')).rows[0].count);
+
+test('a dry run checks every row without importing, then the batch is committed by id', async () => {
+  const usersBefore = await countUsers();
+  const file = workbook([
+    row(),
+    row({ Username: 'riya.sawant', 'Roll Number': 6 }),
+    row({ Username: 'om.parab', 'Roll Number': 5 }),
+    row({ Username: 'diya.shah', Class: 'Class 1 A', 'Roll Number': 1 }),
+    row({ Username: 'ghost', Class: 'Nope', 'Blood Group': 'Z', 'First Name': '' })
+  ]);
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload').set(auth)
+    .field('dry_run', 'true')
+    .attach('excelFile', file, { filename: 'students.xlsx', contentType: XLSX_TYPE })
+    .expect(200);
+
+  const batch = res.body.data;
+  assert.deepEqual([batch.status, batch.total, batch.valid, batch.invalid], ['previewed', 5, 1, 4]);
+
+  const [first, ...rest] = batch.rows;
+  assert.equal(first.row, 2);
+  assert.equal(first.status, 'valid');
+  assert.equal(first.fields.date_of_birth, '2018-04-12');
+  assert.equal(first.fields.roll_number, 5);
+  assert.equal(first.fields.class, 'Class 2 A');
+  assert.equal(typeof first.fields.class_id, 'number');
+  assert.equal(first.fields.password, undefined);
+
+  assert.deepEqual(rest.map(r => r.errors.map(e => [e.field, e.code])), [
+    [['username', 'duplicate_in_file']],
+    [['roll_number', 'duplicate_in_file']],
+    [['username', 'taken'], ['roll_number', 'taken']],
+    [['class', 'not_found'], ['first_name', 'required'], ['blood_group', 'invalid_blood_group']]
+  ]);
+  assert.equal(rest[0].errors[0].row, 2);
+  assert.equal(rest[0].errors[0].message, "Username 'riya.sawant' is repeated from row 2");
+
+  // Nothing was written and no file is left in the public uploads
+  assert.equal(await countUsers(), usersBefore);
+  assert.deepEqual(fs.readdirSync(ctx.uploadDir), []);
+
+  const stored = await ctx.api().get(`/api/admin/students/bulk-upload/batches/${batch.id}`).set(auth).expect(200);
+  assert.deepEqual(stored.body.batch.rows, batch.rows);
+
+  const committed = await ctx.api().post(`/api/admin/students/bulk-upload/batches/${batch.id}/commit`).set(auth).expect(202);
+  const job = await ctx.finishImport(committed, auth);
+  assert.deepEqual([job.batch_id, job.imported, job.failed], [batch.id, 1, 4]);
+  assert.equal(job.errorDetails[0], "Row 3: Username 'riya.sawant' already exists");
+  await ctx.login('riya.sawant', 'riya-pass');
+
+  const closed = await ctx.api().get(`/api/admin/students/bulk-upload/batches/${batch.id}`).set(auth).expect(200);
+  assert.equal(closed.body.batch.status, 'committed');
+  assert.deepEqual(closed.body.batch.result, { job_id: job.id });
+
+  const again = await ctx.api().post(`/api/admin/students/bulk-upload/batches/${batch.id}/commit`).set(auth).expect(409);
+  assert.equal(again.body.message, 'Import batch has already been committed');
+});
+
+test('a ZIP dry run shows which photo each row matched and can be discarded', async () => {
+  const file = studentZip([
+    row({ Username: 'tara.dalvi', 'Roll Number': 7, Photo: 'tara.png' }),
+    row({ Username: 'neel.kamat', 'Roll Number': 8, Photo: 'missing.png' })
+  ], { 'photos/tara.png': PNG });
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .field('dry_run', 'true')
+    .attach('zipFile', file, { filename: 'students.zip', contentType: 'application/zip' })
+    .expect(200);
+
+  const batch = res.body.data;
+  assert.equal(batch.kind, 'zip');
+  assert.deepEqual(batch.rows.map(r => r.photo), [
+    { requested: 'tara.png', matched: 'photos/tara.png' },
+    { requested: 'missing.png', matched: null }
+  ]);
+  assert.deepEqual(batch.rows.map(r => [r.status, r.warnings.map(w => w.code)]), [['valid', []], ['valid', ['not_found']]]);
+
+  await ctx.api().delete(`/api/admin/students/bulk-upload/batches/${batch.id}`).set(auth).expect(200);
+  await ctx.api().post(`/api/admin/students/bulk-upload/batches/${batch.id}/commit`).set(auth).expect(409);
+  const { rows } = await ctx.pool.query('SELECT status, file FROM student_import_batches WHERE id = $1', [batch.id]);
+  assert.deepEqual(rows[0], { status: 'discarded', file: null });
+
+  await ctx.api().get('/api/admin/students/bulk-upload/batches/9999').set(auth).expect(404);
+});
@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+
+let ctx;
+let auth;
+let classes;
+let aarav;
+let diya;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+  aarav = await ctx.login('aarav.patil');
+  diya = await ctx.login('diya.shah');
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.messaging.reset();
+});
+
+const register = (session, body) => ctx.api().post('/api/devices').set(bearer(session.token)).send(body);
+const devicesOf = async session =>
+  (await ctx.api().get('/api/devices').set(bearer(session.token)).expect(200)).body.devices;
+
+const postAssignment = title => ctx.api().post('/api/admin/assignments').set(auth)
+  .field('class_id', classes['Class 1 A'].id)
+  .field('title', title)
+  .expect(200);
+
+test('every registered device of a student receives pushes', async () => {
+  await ctx.api().post(`/api/student/${aarav.user.studentId}/fcm-token`)
+    .set(bearer(aarav.token))
+    .send({ fcm_token: 'aarav-phone', platform: 'android', app_version: '2.3.0' })
+    .expect(200);
+  await register(aarav, { token: 'aarav-tablet', platform: 'ios' }).expect(200);
+
+  const devices = await devicesOf(aarav);
+  assert.deepEqual(devices.map(d => [d.token, d.platform]).sort(), [['aarav-phone', 'android'], ['aarav-tablet', 'ios']]);
+  assert.equal(devices.find(d => d.token === 'aarav-phone').app_version, '2.3.0');
+
+  await postAssignment('Read chapter 5');
+  assert.deepEqual(ctx.messaging.tokens().sort(), ['aarav-phone', 'aarav-tablet']);
+});
+
+test('registering again refreshes the device, and a token follows the latest account', async () => {
+  const again = await register(aarav, { token: 'aarav-phone', app_version: '2.4.0' }).expect(200);
+  assert.equal(again.body.device.app_version, '2.4.0');
+  assert.equal(again.body.device.platform, 'android');
+  assert.equal((await devicesOf(aarav)).length, 2);
+
+  // The tablet is handed to Diya
+  await register(diya, { token: 'aarav-tablet' }).expect(200);
+  assert.deepEqual((await devicesOf(aarav)).map(d => d.token), ['aarav-phone']);
+  assert.deepEqual((await devicesOf(diya)).map(d => d.token), ['aarav-tablet']);
+
+  await register(diya, { token: 'x', platform: 'symbian' }).expect(400);
+});
+
+test('unregistered devices stop receiving pushes', async () => {
+  const res = await ctx.api().delete('/api/devices/aarav-phone').set(bearer(aarav.token)).expect(200);
+  assert.equal(res.body.message, 'Device unregistered successfully');
+
+  // Only the owner can unregister a token
+  const foreign = await ctx.api().delete('/api/devices/aarav-tablet').set(bearer(aarav.token)).expect(200);
+  assert.equal(foreign.body.message, 'Device was not registered');
+
+  await postAssignment('Maths worksheet');
+  assert.deepEqual(ctx.messaging.tokens(), ['aarav-tablet']);
+});
+
+test('logging out with a device token unregisters it', async () => {
+  await ctx.api().post('/api/logout').set(bearer(diya.token))
+    .send({ all: true, device_token: 'aarav-tablet' })
+    .expect(200);
+
+  assert.deepEqual(await ctx.pool.query('SELECT token FROM device_tokens').then(r => r.rows), []);
+  await ctx.api().get('/api/devices').expect(401);
+});
@@ -0,0 +1,112 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { createFcmService } = require('../src/services/fcm');
+
+let ctx;
+let auth;
+let classes;
+// username -> student id
+const students = {};
+
+const UNREGISTERED = 'messaging/registration-token-not-registered';
+const UNAVAILABLE = 'messaging/server-unavailable';
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+
+  for (const username of ['aarav.patil', 'diya.shah', 'kabir.naik']) {
+    const session = await ctx.login(username);
+    await ctx.api().post(`/api/student/${session.user.studentId}/fcm-token`)
+      .set(bearer(session.token))
+      .send({ fcm_token: `token-${username}` })
+      .expect(200);
+    students[username] = session.user.studentId;
+  }
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.messaging.reset();
+});
+
+const notify = title => ctx.api().post('/api/admin/notifications').set(auth)
+  .field('title', title).field('description', title)
+  .field('class_id', classes['Class 1 A'].id).field('recipient_type', 'all')
+  .expect(200);
+
+test('logs every recipient, retries transient failures and prunes dead tokens', async () => {
+  ctx.messaging.failNext('token-diya.shah', UNREGISTERED);
+  ctx.messaging.failNext('token-kabir.naik', UNAVAILABLE);
+
+  const { body } = await notify('Parents meeting');
+
+  // The first multicast, then one retry for Kabir only
+  assert.deepEqual(ctx.messaging.sent.map(m => m.tokens.length), [3, 1]);
+  assert.deepEqual(ctx.messaging.sent[1].tokens, ['token-kabir.naik']);
+
+  const report = await ctx.api().get(`/api/admin/notifications/${body.notification.id}/deliveries`).set(auth).expect(200);
+  assert.deepEqual(report.body.summary, { total: 3, sent: 2, failed: 0, invalid_token: 1 });
+  assert.equal(report.body.notification.title, 'Parents meeting');
+
+  const byStudent = Object.fromEntries(report.body.deliveries.map(d => [d.student_id, d]));
+  assert.equal(byStudent[students['diya.shah']].status, 'invalid_token');
+  assert.equal(byStudent[students['diya.shah']].error_code, UNREGISTERED);
+  assert.equal(byStudent[students['kabir.naik']].status, 'sent');
+  assert.equal(byStudent[students['kabir.naik']].attempts, 2);
+  assert.equal(report.body.deliveries[0].status, 'invalid_token');
+
+  const { rows } = await ctx.pool.query("SELECT 1 FROM device_tokens WHERE token = 'token-diya.shah'");
+  assert.equal(rows.length, 0);
+
+  ctx.messaging.reset();
+  await notify('Second notice');
+  assert.deepEqual(ctx.messaging.tokens().sort(), ['token-aarav.patil', 'token-kabir.naik']);
+});
+
+test('gives up after the configured attempts', async () => {
+  ctx.messaging.failNext('token-aarav.patil', UNAVAILABLE, UNAVAILABLE, UNAVAILABLE);
+
+  const res = await ctx.api().post('/api/admin/assignments').set(auth)
+    .field('class_id', classes['Class 1 A'].id)
+    .field('title', 'Science project')
+    .expect(200);
+
+  assert.equal(ctx.messaging.sent.length, 3);
+
+  const report = await ctx.api().get(`/api/admin/assignments/${res.body.assignment.id}/deliveries`).set(auth).expect(200);
+  assert.deepEqual(report.body.summary, { total: 2, sent: 1, failed: 1, invalid_token: 0 });
+  const [failed] = report.body.deliveries;
+  assert.deepEqual([failed.student_id, failed.status, failed.error_code, failed.attempts],
+    [students['aarav.patil'], 'failed', UNAVAILABLE, 3]);
+
+  await ctx.api().get('/api/admin/notifications/9999/deliveries').set(auth).expect(404);
+});
+
+test('retries a batch the transport rejected outright', async () => {
+  let calls = 0;
+  const messaging = {
+    async sendEachForMulticast(message) {
+      calls++;
+      if (calls === 1) throw new Error('socket hang up');
+      return {
+        successCount: message.tokens.length,
+        failureCount: 0,
+        responses: message.tokens.map(() => ({ success: true, messageId: 'ok' }))
+      };
+    }
+  };
+
+  const fcm = createFcmService(messaging, { retryDelayMs: 1 });
+  const result = await fcm.sendBatchFCM(['a', 'b'], { type: 'test' });
+
+  assert.equal(calls, 2);
+  assert.deepEqual(result, { success: 2, failed: 0, pruned: 0 });
+});
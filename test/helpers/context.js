@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const NodeCache = require('node-cache');
+const { createApp } = require('../../src/app');
+const { loadConfig } = require('../../src/config');
+const { createDiskStorage } = require('../../src/services/storage');
+const { createTestDatabase } = require('./db');
+const { createFakeMessaging } = require('./fakeMessaging');
+
+const SETUP_TOKEN = 'test-setup-token';
+const ADMIN = { username: 'admin', password: 'admin-password-1' };
+// Password of every account in db/seeds
+const SEED_PASSWORD = 'student123';
+
+// The API logs every request step; keep test output readable unless asked.
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+// Builds an app on a fresh database with uploads in a temp directory and FCM
+// going to a fake messaging client. options.env adds settings on top of the
+// test config (e.g. SMTP_URL). Call close() from the file's after() hook.
+async function createTestContext(options = {}) {
+  const db = await createTestDatabase(options);
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mydschool-uploads-'));
+  const messaging = createFakeMessaging();
+  const cache = new NodeCache({ stdTTL: 300 });
+  const config = loadConfig({
+    NODE_ENV: 'test',
+    JWT_SECRET: 'test-jwt-secret',
+    SETUP_TOKEN,
+    UPLOAD_DIR: uploadDir,
+    FCM_RETRY_DELAY_MS: '1',
+    ...options.env
+  });
+
+  const app = createApp({
+    pool: db.pool,
+    cache,
+    messaging,
+    storage: createDiskStorage({ dir: uploadDir }),
+    config
+  });
+
+  const api = () => request(app);
+
+  async function login(username, password = SEED_PASSWORD) {
+    const res = await api().post('/api/login').send({ username, password });
+    if (res.status !== 200) {
+      throw new Error(`Login as ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return { token: res.body.accessToken, user: res.body.user };
+  }
+
+  let adminToken = null;
+  async function asAdmin() {
+    if (!adminToken) {
+      await api().post('/api/setup-admin').set('X-Setup-Token', SETUP_TOKEN).send(ADMIN).expect(200);
+      adminToken = (await login(ADMIN.username, ADMIN.password)).token;
+    }
+    return adminToken;
+  }
+
+  // Runs the queued bulk imports now, instead of the background worker, and
+  // returns the job that the 202 upload response `res` queued
+  async function finishImport(res, headers) {
+    await app.locals.services.studentImport.runQueuedJobs();
+    const status = await api().get(`/api/admin/students/bulk-upload/jobs/${res.body.data.id}`).set(headers);
+    return status.body.job;
+  }
+
+  async function close() {
+    cache.close();
+    await db.drop();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  }
+
+  return { app, api, pool: db.pool, cache, messaging, uploadDir, login, asAdmin, finishImport, close };
+}
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+module.exports = { createTestContext, bearer, SETUP_TOKEN, ADMIN, SEED_PASSWORD };
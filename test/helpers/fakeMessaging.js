@@ -0,0 +1,42 @@
+// In-memory stand-in for firebase-admin Messaging. Every multicast message the
+// FCM service hands over is recorded in `sent` instead of leaving the machine.
+// failNext(token, ...codes) makes the next sends to that token fail with the
+// given FCM error codes, one per send, before it succeeds again.
+function createFakeMessaging() {
+  const sent = [];
+  const failures = new Map();
+
+  function respond(token, i) {
+    const queued = failures.get(token);
+    if (queued && queued.length > 0) {
+      const code = queued.shift();
+      return { success: false, error: Object.assign(new Error(`Fake failure: ${code}`), { code }) };
+    }
+    return { success: true, messageId: `fake-${sent.length}-${i}` };
+  }
+
+  async function sendEachForMulticast(message) {
+    sent.push(message);
+    const responses = message.tokens.map(respond);
+    const successCount = responses.filter(response => response.success).length;
+    return {
+      successCount,
+      failureCount: responses.length - successCount,
+      responses
+    };
+  }
+
+  return {
+    sent,
+    sendEachForMulticast,
+    failNext: (token, ...codes) => failures.set(token, [...(failures.get(token) || []), ...codes]),
+    // Every token any message was sent to, in send order
+    tokens: () => sent.flatMap(message => message.tokens),
+    reset: () => {
+      sent.length = 0;
+      failures.clear();
+    }
+  };
+}
+
+module.exports = { createFakeMessaging };
@@ -0,0 +1,37 @@
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+// Builds an .xlsx buffer whose first sheet holds `rows` (array of objects keyed by header)
+function workbook(rows) {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(rows), 'Students');
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Builds a ZIP with students.xlsx and the given { 'photos/name.png': Buffer } files
+function studentZip(rows, files = {}) {
+  const zip = new AdmZip();
+  zip.addFile('students.xlsx', workbook(rows));
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, content);
+  }
+  return zip.toBuffer();
+}
+
+// supertest parser for file downloads: res.body becomes the raw Buffer,
+// e.g. api().get(url).buffer(true).parse(binary)
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+module.exports = { workbook, studentZip, binary, PNG, XLSX_TYPE };
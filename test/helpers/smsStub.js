@@ -0,0 +1,45 @@
+const http = require('http');
+
+// Stand-in SMS gateway: records every JSON request POSTed to it in
+// `requests` ({ authorization, body }) and answers { id }. failNext(phone)
+// makes the next message to that number get a 503.
+async function startSmsStub() {
+  const requests = [];
+  const failures = new Set();
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      res.setHeader('Content-Type', 'application/json');
+
+      if (failures.delete(body.to)) {
+        res.statusCode = 503;
+        return res.end(JSON.stringify({ error: 'Gateway busy' }));
+      }
+
+      requests.push({ authorization: req.headers.authorization || null, body });
+      res.end(JSON.stringify({ id: `sms-${requests.length}` }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/messages`,
+    requests,
+    failNext: phone => failures.add(phone),
+    reset: () => {
+      requests.length = 0;
+      failures.clear();
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startSmsStub };
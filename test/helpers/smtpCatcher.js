@@ -0,0 +1,93 @@
+const net = require('net');
+
+// Minimal local SMTP server that accepts every message and keeps it in
+// `messages` ({ from, to: [...], data }) instead of delivering it. Enough of
+// the protocol for nodemailer: EHLO/HELO, MAIL, RCPT, DATA, RSET, QUIT.
+// rejectNext(address) makes the next RCPT TO for that address fail.
+async function startSmtpCatcher() {
+  const messages = [];
+  const rejected = new Set();
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 localhost SMTP catcher');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      while (buffer.length > 0) {
+        if (data !== null) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          data += buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          messages.push({ ...envelope, data: data.replace(/^\.\./gm, '.') });
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const eol = buffer.indexOf('\r\n');
+        if (eol === -1) return;
+        const line = buffer.slice(0, eol);
+        buffer = buffer.slice(eol + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO') {
+          reply('250-localhost');
+          reply('250 8BITMIME');
+        } else if (command === 'HELO' || command === 'NOOP' || command === 'RSET') {
+          if (command === 'RSET') envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'MAIL') {
+          envelope.from = line.match(/<(.*)>/)[1];
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const address = line.match(/<(.*)>/)[1];
+          if (rejected.delete(address)) {
+            reply('550 No such mailbox');
+          } else {
+            envelope.to.push(address);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          data = '';
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `smtp://127.0.0.1:${server.address().port}`,
+    messages,
+    rejectNext: address => rejected.add(address),
+    reset: () => {
+      messages.length = 0;
+      rejected.clear();
+    },
+    close: () => new Promise(resolve => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startSmtpCatcher };
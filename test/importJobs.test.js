@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { workbook, XLSX_TYPE } = require('./helpers/files');
+const importJobsRepo = require('../src/repositories/importJobs');
+
+let ctx;
+let auth;
+let studentImport;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  studentImport = ctx.app.locals.services.studentImport;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const row = (username, overrides = {}) => ({
+  'First Name': 'Riya',
+  'Last Name': 'Sawant',
+  Username: username,
+  Password: 'riya-pass',
+  Class: 'Class 2 A',
+  ...overrides
+});
+
+const upload = rows => ctx.api().post('/api/admin/students/bulk-upload').set(auth)
+  .attach('excelFile', workbook(rows), { filename: 'students.xlsx', contentType: XLSX_TYPE })
+  .expect(202);
+
+const jobUrl = id => `/api/admin/students/bulk-upload/jobs/${id}`;
+const userExists = async username =>
+  (await ctx.pool.query('SELECT 1 FROM users WHERE username = $1', [username])).rows.length > 0;
+
+test('an upload returns a job whose status shows progress and per-row results', async () => {
+  const res = await upload([row('job.one'), row('diya.shah'), row('job.two')]);
+  const queued = res.body.data;
+  assert.deepEqual([queued.status, queued.total, queued.processed], ['queued', 3, 0]);
+  assert.equal(await userExists('job.one'), false);
+
+  const pending = await ctx.api().get(jobUrl(queued.id)).set(auth).expect(200);
+  assert.equal(pending.body.job.status, 'queued');
+
+  assert.equal(await studentImport.runQueuedJobs(), 1);
+  const { job } = (await ctx.api().get(jobUrl(queued.id)).set(auth).expect(200)).body;
+  assert.deepEqual(
+    [job.status, job.total, job.processed, job.imported, job.failed],
+    ['completed', 3, 3, 2, 1]
+  );
+  assert.deepEqual(job.rows.map(r => [r.row, r.status, r.username, r.message]), [
+    [2, 'imported', 'job.one', null],
+    [3, 'failed', 'diya.shah', "Username 'diya.shah' already exists"],
+    [4, 'imported', 'job.two', null]
+  ]);
+  assert.equal(typeof job.rows[0].student_id, 'number');
+  assert.ok(job.finished_at);
+
+  // The uploaded file is dropped once the job is done
+  const { rows } = await ctx.pool.query('SELECT file FROM student_import_jobs WHERE id = $1', [job.id]);
+  assert.equal(rows[0].file, null);
+
+  const list = await ctx.api().get('/api/admin/students/bulk-upload/jobs').set(auth).expect(200);
+  assert.equal(list.body.jobs[0].id, job.id);
+  assert.equal(list.body.jobs[0].rows, undefined);
+});
+
+test('a queued job can be cancelled before it runs', async () => {
+  const res = await upload([row('never.imported')]);
+  const id = res.body.data.id;
+
+  const cancelled = await ctx.api().post(`${jobUrl(id)}/cancel`).set(auth).expect(200);
+  assert.equal(cancelled.body.job.status, 'cancelled');
+  assert.equal(await studentImport.runQueuedJobs(), 0);
+  assert.equal(await userExists('never.imported'), false);
+
+  const again = await ctx.api().post(`${jobUrl(id)}/cancel`).set(auth).expect(409);
+  assert.equal(again.body.message, 'Import job is already cancelled');
+  await ctx.api().post(`${jobUrl(9999)}/cancel`).set(auth).expect(404);
+  await ctx.api().get(jobUrl(9999)).set(auth).expect(404);
+});
+
+test('a worker whose row another worker already took writes nothing for it', async () => {
+  const res = await upload([row('race.one'), row('race.two')]);
+  const id = res.body.data.id;
+
+  // A second worker claimed the job as stale and imported the first row
+  await ctx.pool.query(`
+    UPDATE student_import_jobs
+    SET status = 'running', processed_rows = 1, imported_rows = 1, heartbeat_at = NOW()
+    WHERE id = $1
+  `, [id]);
+
+  const client = await ctx.pool.connect();
+  try {
+    await client.query('BEGIN');
+    assert.equal(await importJobsRepo.lockRunning(client, id, 0), false);
+    assert.equal(await importJobsRepo.recordRow(client, id, { processed: 0, rowNumber: 2, status: 'failed', message: 'late' }), false);
+    assert.equal(await importJobsRepo.lockRunning(client, id, 1), true);
+    await client.query('ROLLBACK');
+  } finally {
+    client.release();
+  }
+
+  const { rows } = await ctx.pool.query('SELECT processed_rows, failed_rows FROM student_import_jobs WHERE id = $1', [id]);
+  assert.deepEqual(rows[0], { processed_rows: 1, failed_rows: 0 });
+  await ctx.api().post(`${jobUrl(id)}/cancel`).set(auth).expect(200);
+});
+
+test('a job left running by a stopped worker resumes after its last recorded row', async () => {
+  const res = await upload([row('resume.one'), row('resume.two'), row('resume.three')]);
+  const id = res.body.data.id;
+
+  // A worker that died after the first row, and one that is still alive
+  await ctx.pool.query(`
+    UPDATE student_import_jobs
+    SET status = 'running', processed_rows = 1, imported_rows = 1, heartbeat_at = NOW()
+    WHERE id = $1
+  `, [id]);
+  assert.equal(await studentImport.runQueuedJobs(), 0);
+
+  await ctx.pool.query(
+    "UPDATE student_import_jobs SET heartbeat_at = NOW() - INTERVAL '10 minutes' WHERE id = $1",
+    [id]
+  );
+  assert.equal(await studentImport.runQueuedJobs(), 1);
+
+  const { job } = (await ctx.api().get(jobUrl(id)).set(auth).expect(200)).body;
+  assert.deepEqual([job.status, job.processed, job.imported], ['completed', 3, 3]);
+  assert.deepEqual(job.rows.map(r => r.row), [3, 4]);
+  assert.deepEqual(
+    [await userExists('resume.one'), await userExists('resume.two'), await userExists('resume.three')],
+    [false, true, true]
+  );
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { workbook, studentZip, PNG, XLSX_TYPE } = require('./helpers/files');
+
+let ctx;
+let auth;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const upload = (rows, fields = {}) => {
+  let req = ctx.api().post('/api/admin/students/bulk-upload').set(auth);
+  for (const [name, value] of Object.entries(fields)) req = req.field(name, value);
+  return req.attach('excelFile', workbook(rows), { filename: 'students.xlsx', contentType: XLSX_TYPE });
+};
+
+const studentOf = async username => (await ctx.pool.query(`
+  SELECT s.*, c.class_name, u.email
+  FROM students s JOIN users u ON u.id = s.user_id LEFT JOIN classes c ON c.id = s.class_id
+  WHERE u.username = $1
+`, [username])).rows[0];
+
+test('update mode changes matched students and reports the changed fields', async () => {
+  const res = await upload([
+    { Username: 'aarav.patil', Phone: '9820011111', 'Parent Email': 'sunil.p@example.com', Password: 'ignored-pass' },
+    { Class: 'Class 1 B', 'Roll Number': 2, Address: '12 Hill Road' },
+    { Username: 'diya.shah', 'First Name': 'Diya', 'Blood Group': 'O+' },
+    { Username: 'ghost.student', Phone: '9820099999' }
+  ], { mode: 'update', create_parents: 'false' }).expect(202);
+
+  const job = await ctx.finishImport(res, auth);
+  assert.equal(job.mode, 'update');
+  assert.deepEqual([job.imported, job.updated, job.unchanged, job.created, job.failed], [3, 2, 1, 0, 1]);
+  assert.deepEqual(job.rows.map(r => [r.row, r.action, r.username]), [
+    [2, 'updated', 'aarav.patil'],
+    [3, 'updated', 'vihaan.more'],
+    [4, 'unchanged', 'diya.shah'],
+    [5, null, 'ghost.student']
+  ]);
+  assert.deepEqual(job.rows[0].changes, [
+    { field: 'phone', from: null, to: '9820011111' },
+    { field: 'parent_email', from: 'sunil.patil@example.com', to: 'sunil.p@example.com' }
+  ]);
+  assert.deepEqual(job.rows[1].changes, [{ field: 'address', from: null, to: '12 Hill Road' }]);
+  assert.deepEqual(job.errorDetails, ["Row 5: No student with username 'ghost.student'"]);
+
+  const aarav = await studentOf('aarav.patil');
+  assert.deepEqual([aarav.phone, aarav.parent_email, aarav.blood_group, aarav.roll_number], ['9820011111', 'sunil.p@example.com', 'B+', 1]);
+  assert.equal((await studentOf('vihaan.more')).address, '12 Hill Road');
+  // Passwords are never changed by an update
+  await ctx.login('aarav.patil');
+});
+
+test('upsert creates new students, moves classes and keeps roll numbers unique', async () => {
+  const res = await upload([
+    { Username: 'kabir.naik', Class: 'Class 2 A', 'Roll Number': 9 },
+    { Username: 'arjun.rane', 'Roll Number': 1 },
+    { 'First Name': 'Mira', 'Last Name': 'Desai', Username: 'mira.desai', Password: 'mira-pass', Class: 'Class 1 B', 'Roll Number': 3 }
+  ], { mode: 'upsert' }).expect(202);
+
+  const job = await ctx.finishImport(res, auth);
+  assert.deepEqual(job.rows.map(r => r.action), ['updated', null, 'created']);
+  assert.deepEqual(job.rows[0].changes.map(c => c.field), ['class_id', 'roll_number']);
+  assert.deepEqual(job.errorDetails, ["Row 3: Roll number '1' already exists in class"]);
+
+  const kabir = await studentOf('kabir.naik');
+  assert.deepEqual([kabir.class_name, kabir.roll_number], ['Class 2 A', 9]);
+  await ctx.login('mira.desai', 'mira-pass');
+
+  const invalid = await upload([{ Username: 'x' }], { mode: 'replace' }).expect(400);
+  assert.equal(invalid.body.errors[0].field, 'mode');
+});
+
+test('a dry run in update mode previews the changes and photo replacements', async () => {
+  const file = studentZip([
+    { Username: 'ananya.joshi', 'Blood Group': 'A+', Photo: 'ananya.png' },
+    { Username: 'isha.gawde', 'Blood Group': 'B-' },
+    { Username: 'nobody' }
+  ], { 'photos/ananya.png': PNG });
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .field('mode', 'update')
+    .field('dry_run', 'true')
+    .attach('zipFile', file, { filename: 'students.zip', contentType: 'application/zip' })
+    .expect(200);
+
+  const batch = res.body.data;
+  assert.equal(batch.mode, 'update');
+  assert.deepEqual(batch.rows.map(r => [r.status, r.action]), [['valid', 'update'], ['valid', 'none'], ['invalid', null]]);
+  assert.deepEqual(batch.rows[0].changes, [
+    { field: 'blood_group', from: 'AB+', to: 'A+' },
+    { field: 'profile_photo', from: null, to: 'photos/ananya.png' }
+  ]);
+  assert.deepEqual(batch.rows[2].errors.map(e => [e.field, e.code]), [['username', 'not_found']]);
+  assert.equal((await studentOf('ananya.joshi')).blood_group, 'AB+');
+
+  const committed = await ctx.api().post(`/api/admin/students/bulk-upload/batches/${batch.id}/commit`).set(auth).expect(202);
+  const job = await ctx.finishImport(committed, auth);
+  assert.deepEqual([job.mode, job.updated, job.photosUploaded], ['update', 1, 1]);
+  const ananya = await studentOf('ananya.joshi');
+  assert.equal(ananya.blood_group, 'A+');
+  assert.ok(ananya.profile_photo);
+});
+
+test('a replaced photo is removed from storage', async () => {
+  const before = (await studentOf('ananya.joshi')).profile_photo;
+  assert.ok(fs.existsSync(before));
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .field('mode', 'update')
+    .attach('zipFile', studentZip([{ Username: 'ananya.joshi', Photo: 'new.png' }], { 'photos/new.png': PNG }),
+      { filename: 'students.zip', contentType: 'application/zip' })
+    .expect(202);
+  assert.equal((await ctx.finishImport(res, auth)).photosUploaded, 1);
+
+  const after = (await studentOf('ananya.joshi')).profile_photo;
+  assert.notEqual(after, before);
+  assert.deepEqual([fs.existsSync(before), fs.existsSync(after)], [false, true]);
+});
+
+test('a new parent contact moves the student to the new parent account', async () => {
+  const arjun = await studentOf('arjun.rane');
+  await ctx.pool.query("UPDATE students SET parent_email = 'old.rane@example.com', parent_phone = NULL WHERE id = $1", [arjun.id]);
+  const old = (await ctx.api().post('/api/admin/parents').set(auth).send({
+    username: 'old.rane',
+    password: 'parent-pass',
+    email: 'old.rane@example.com',
+    student_ids: [arjun.id]
+  }).expect(200)).body.parent;
+
+  const res = await upload([{ Username: 'arjun.rane', 'Parent Email': 'new.rane@example.com' }], { mode: 'update' }).expect(202);
+  const job = await ctx.finishImport(res, auth);
+  assert.deepEqual(job.rows[0].unlinked_parent, { id: old.id, username: 'old.rane' });
+  assert.deepEqual(job.parents.accounts.map(a => [a.username, a.children]), [['new.rane@example.com', ['Arjun Rane']]]);
+
+  const oldParent = await ctx.api().get(`/api/admin/parents/${old.id}`).set(auth).expect(200);
+  assert.deepEqual(oldParent.body.parent.children, []);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+
+let ctx;
+let auth;
+let aarav;
+let diya;
+// title -> notification
+const notices = {};
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  const classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+  aarav = await ctx.login('aarav.patil');
+  diya = await ctx.login('diya.shah');
+
+  const send = async (title, classId, selected) => {
+    const req = ctx.api().post('/api/admin/notifications').set(auth)
+      .field('title', title).field('description', title).field('class_id', classId)
+      .field('recipient_type', selected ? 'particular' : 'all');
+    if (selected) req.field('selected_students', JSON.stringify(selected));
+    notices[title] = (await req.expect(200)).body.notification;
+  };
+
+  await send('Sports day', classes['Class 1 A'].id);
+  await send('Fee reminder', classes['Class 1 A'].id, [diya.user.studentId]);
+  await send('Class 1 B picnic', classes['Class 1 B'].id);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const studentApi = session => ({
+  feed: () => ctx.api().get(`/api/student/notifications/${session.user.id}`).set(bearer(session.token)),
+  unread: () => ctx.api().get(`/api/student/notifications/${session.user.id}/unread-count`).set(bearer(session.token)),
+  read: id => ctx.api().post(`/api/student/notifications/${session.user.id}/${id}/read`).set(bearer(session.token)),
+  readAll: () => ctx.api().post(`/api/student/notifications/${session.user.id}/read-all`).set(bearer(session.token))
+});
+
+test('the feed and badge reflect what each student has read', async () => {
+  const app = studentApi(diya);
+
+  assert.equal((await app.unread().expect(200)).body.unreadCount, 2);
+  const initial = await app.feed().expect(200);
+  assert.deepEqual(initial.body.data.map(n => [n.title, n.isRead]), [['Fee reminder', false], ['Sports day', false]]);
+
+  const read = await app.read(notices['Sports day'].id).expect(200);
+  assert.equal(read.body.unreadCount, 1);
+  // Reading again is harmless
+  assert.equal((await app.read(notices['Sports day'].id).expect(200)).body.unreadCount, 1);
+
+  const feed = await app.feed().expect(200);
+  const sportsDay = feed.body.data.find(n => n.title === 'Sports day');
+  assert.equal(sportsDay.isRead, true);
+  assert.ok(sportsDay.read_at);
+
+  // Aarav's state is his own
+  assert.equal((await studentApi(aarav).unread().expect(200)).body.unreadCount, 1);
+});
+
+test('mark-all clears the badge', async () => {
+  const app = studentApi(aarav);
+
+  const res = await app.readAll().expect(200);
+  assert.equal(res.body.unreadCount, 0);
+  assert.ok((await app.feed().expect(200)).body.data.every(n => n.isRead));
+});
+
+test('students can only mark notifications they received', async () => {
+  const app = studentApi(aarav);
+
+  await app.read(notices['Fee reminder'].id).expect(404);
+  await app.read(notices['Class 1 B picnic'].id).expect(404);
+  await app.read('abc').expect(400);
+
+  await ctx.api().post(`/api/student/notifications/${diya.user.id}/read-all`)
+    .set(bearer(aarav.token))
+    .expect(403);
+});
+
+test('admins see how many recipients read each notice', async () => {
+  const res = await ctx.api().get('/api/admin/notifications').set(auth).expect(200);
+  const byTitle = Object.fromEntries(res.body.notifications.map(n => [n.title, n]));
+
+  assert.deepEqual(
+    [byTitle['Sports day'].recipient_count, byTitle['Sports day'].read_count],
+    [3, 2]
+  );
+  assert.deepEqual(
+    [byTitle['Fee reminder'].recipient_count, byTitle['Fee reminder'].read_count],
+    [1, 0]
+  );
+  assert.deepEqual(
+    [byTitle['Class 1 B picnic'].recipient_count, byTitle['Class 1 B picnic'].read_count],
+    [2, 0]
+  );
+});
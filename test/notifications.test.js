@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+
+let ctx;
+let auth;
+let classes;
+// username -> { token, user } for seeded students that registered an FCM token
+const devices = {};
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+
+  for (const username of ['aarav.patil', 'diya.shah', 'ananya.joshi']) {
+    const session = await ctx.login(username);
+    await ctx.api().post(`/api/student/${session.user.studentId}/fcm-token`)
+      .set(bearer(session.token))
+      .send({ fcm_token: `token-${username}` })
+      .expect(200);
+    devices[username] = session;
+  }
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.messaging.reset();
+});
+
+test('creating an assignment pushes to every registered device in the class', async () => {
+  const res = await ctx.api().post('/api/admin/assignments').set(auth)
+    .field('class_id', classes['Class 1 A'].id)
+    .field('title', 'Read chapter 4')
+    .field('description', 'Pages 30-42')
+    .attach('assignmentFile', Buffer.from('%PDF-1.4'), { filename: 'ch4.pdf', contentType: 'application/pdf' })
+    .expect(200);
+
+  assert.equal(res.body.assignment.title, 'Read chapter 4');
+  assert.match(res.body.assignment.file_path, /ch4\.pdf$/);
+
+  assert.equal(ctx.messaging.sent.length, 1);
+  const [message] = ctx.messaging.sent;
+  assert.deepEqual([...message.tokens].sort(), ['token-aarav.patil', 'token-diya.shah']);
+  assert.deepEqual(message.notification, { title: '📘 New Assignment Posted', body: 'Read chapter 4' });
+  assert.deepEqual(message.data, {
+    type: 'assignment',
+    title: '📘 New Assignment Posted',
+    body: 'Read chapter 4',
+    message: 'Read chapter 4',
+    assignment_id: String(res.body.assignment.id),
+    class_id: String(classes['Class 1 A'].id),
+    route: `/assignments/${res.body.assignment.id}`,
+    attachment_url: `http://localhost:3001/uploads/${path.basename(res.body.assignment.file_path)}`,
+    badge: '0'
+  });
+  assert.equal(message.android.priority, 'high');
+});
+
+test('assignments need a title and class', async () => {
+  await ctx.api().post('/api/admin/assignments').set(auth)
+    .field('class_id', classes['Class 1 A'].id)
+    .expect(400);
+  await ctx.api().post('/api/admin/assignments').set(auth)
+    .field('title', 'No class')
+    .expect(400);
+
+  assert.equal(ctx.messaging.sent.length, 0);
+});
+
+test('assignments can be updated and deleted', async () => {
+  const { body } = await ctx.api().post('/api/admin/assignments').set(auth)
+    .field('class_id', classes['Class 2 A'].id)
+    .field('title', 'Draft')
+    .expect(200);
+  const id = body.assignment.id;
+
+  const updated = await ctx.api().put(`/api/admin/assignments/${id}`).set(auth)
+    .field('class_id', classes['Class 2 A'].id)
+    .field('title', 'Final')
+    .field('description', 'Due Friday')
+    .expect(200);
+  assert.equal(updated.body.assignment.title, 'Final');
+
+  const list = await ctx.api().get('/api/admin/assignments').set(auth).expect(200);
+  assert.ok(list.body.assignments.some(a => a.id === id && a.title === 'Final'));
+
+  await ctx.api().delete(`/api/admin/assignments/${id}`).set(auth).expect(200);
+  await ctx.api().delete(`/api/admin/assignments/${id}`).set(auth).expect(404);
+});
+
+test('class-wide notifications push to the whole class', async () => {
+  const res = await ctx.api().post('/api/admin/notifications').set(auth)
+    .field('title', 'Holiday')
+    .field('description', 'School closed on Monday')
+    .field('class_id', classes['Class 1 B'].id)
+    .field('recipient_type', 'all')
+    .expect(200);
+
+  assert.equal(res.body.notification.recipient_type, 'all');
+  assert.deepEqual(ctx.messaging.tokens(), ['token-ananya.joshi']);
+  assert.deepEqual(ctx.messaging.sent[0].data, {
+    type: 'notification',
+    title: '📌 New Notification',
+    body: 'School closed on Monday',
+    message: 'School closed on Monday',
+    notification_id: String(res.body.notification.id),
+    class_id: String(classes['Class 1 B'].id),
+    route: `/notifications/${res.body.notification.id}`,
+    badge: '1'
+  });
+});
+
+test('particular notifications only reach the selected students', async () => {
+  const diya = devices['diya.shah'].user.studentId;
+
+  const res = await ctx.api().post('/api/admin/notifications').set(auth)
+    .field('title', 'Fees')
+    .field('description', 'Please pay the term fee')
+    .field('class_id', classes['Class 1 A'].id)
+    .field('recipient_type', 'particular')
+    .field('selected_students', JSON.stringify([diya]))
+    .expect(200);
+
+  assert.deepEqual(res.body.notification.selected_students, [diya]);
+  assert.deepEqual(ctx.messaging.tokens(), ['token-diya.shah']);
+
+  await ctx.api().post('/api/admin/notifications').set(auth)
+    .field('title', 'Fees')
+    .field('description', 'Nobody selected')
+    .field('class_id', classes['Class 1 A'].id)
+    .field('recipient_type', 'particular')
+    .expect(400);
+  assert.equal(ctx.messaging.sent.length, 1);
+});
+
+test('teachers can only post to classes they teach', async () => {
+  const { body } = await ctx.api().post('/api/admin/teachers').set(auth)
+    .send({ username: 'kulkarni', password: 'teacher-pass' })
+    .expect(200);
+  await ctx.api().put(`/api/admin/classes/${classes['Class 1 A'].id}/teacher`).set(auth)
+    .send({ teacher_id: body.teacher.id, teacher_name: 'Mrs. Kulkarni' })
+    .expect(200);
+  const teacher = bearer((await ctx.login('kulkarni', 'teacher-pass')).token);
+
+  await ctx.api().post('/api/admin/notifications').set(teacher)
+    .field('title', 'PTM').field('description', 'Parent meeting')
+    .field('class_id', classes['Class 1 A'].id).field('recipient_type', 'all')
+    .expect(200);
+
+  // A refused post does not keep its attachment
+  const uploaded = fs.readdirSync(ctx.uploadDir).length;
+  await ctx.api().post('/api/admin/notifications').set(teacher)
+    .field('title', 'PTM').field('description', 'Parent meeting')
+    .field('class_id', classes['Class 2 A'].id).field('recipient_type', 'all')
+    .attach('notificationFile', Buffer.from('%PDF-1.4'), { filename: 'ptm.pdf', contentType: 'application/pdf' })
+    .expect(403);
+  assert.equal(fs.readdirSync(ctx.uploadDir).length, uploaded);
+
+  // Teachers cannot manage students
+  await ctx.api().delete(`/api/admin/students/${devices['diya.shah'].user.studentId}`).set(teacher).expect(403);
+});
@@ -0,0 +1,161 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { startSmtpCatcher } = require('./helpers/smtpCatcher');
+const { startSmsStub } = require('./helpers/smsStub');
+const { createChannelsService } = require('../src/services/channels');
+
+let ctx;
+let smtp;
+let sms;
+let auth;
+let classes;
+// username -> login session
+const sessions = {};
+
+before(async () => {
+  smtp = await startSmtpCatcher();
+  sms = await startSmsStub();
+  ctx = await createTestContext({
+    env: { SMTP_URL: smtp.url, MAIL_FROM: 'School <office@school.test>', SMS_GATEWAY_URL: sms.url, SMS_API_KEY: 'sms-key' }
+  });
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+
+  for (const username of ['aarav.patil', 'diya.shah', 'kabir.naik']) {
+    sessions[username] = await ctx.login(username);
+  }
+  await ctx.pool.query("UPDATE students SET parent_phone = NULL WHERE id = $1", [sessions['kabir.naik'].user.studentId]);
+});
+
+after(async () => {
+  await ctx.close();
+  await smtp.close();
+  await sms.close();
+});
+
+beforeEach(() => {
+  ctx.messaging.reset();
+  smtp.reset();
+  sms.reset();
+});
+
+const preferencesUrl = session => `/api/student/notification-preferences/${session.user.studentId}`;
+const setPreferences = (username, body) =>
+  ctx.api().put(preferencesUrl(sessions[username])).set(bearer(sessions[username].token)).send(body);
+
+const notify = (title, description, selected) => {
+  const req = ctx.api().post('/api/admin/notifications').set(auth)
+    .field('title', title).field('description', description)
+    .field('class_id', classes['Class 1 A'].id)
+    .field('recipient_type', selected ? 'particular' : 'all');
+  if (selected) req.field('selected_students', JSON.stringify(selected));
+  return req.expect(200);
+};
+
+test('families choose their channels; email and SMS need a contact on file', async () => {
+  const kabir = sessions['kabir.naik'];
+  const initial = await ctx.api().get(preferencesUrl(kabir)).set(bearer(kabir.token)).expect(200);
+  assert.deepEqual(
+    [initial.body.preferences.push, initial.body.preferences.email, initial.body.preferences.sms],
+    [true, false, false]
+  );
+  assert.deepEqual(initial.body.available, ['push', 'email', 'sms']);
+
+  const missing = await setPreferences('kabir.naik', { sms: true }).expect(400);
+  assert.deepEqual(missing.body.errors.map(e => [e.field, e.code]), [['sms', 'missing_contact']]);
+  await setPreferences('kabir.naik', { email: 'maybe' }).expect(400);
+
+  const aarav = await setPreferences('aarav.patil', { email: true, sms: true }).expect(200);
+  assert.deepEqual([aarav.body.preferences.email, aarav.body.preferences.sms], [true, true]);
+  // Channels left out keep their setting
+  const diya = await setPreferences('diya.shah', { email: true }).expect(200);
+  assert.deepEqual([diya.body.preferences.push, diya.body.preferences.sms], [true, false]);
+
+  await ctx.api().put(preferencesUrl(sessions['diya.shah']))
+    .set(bearer(sessions['aarav.patil'].token))
+    .send({ sms: true })
+    .expect(403);
+});
+
+test('notices reach opted-in parents by email and SMS', async () => {
+  await notify('Sports day', 'Sports day is on Friday. Wear house colours.');
+
+  assert.deepEqual(smtp.messages.map(m => m.to).sort(), [['meena.shah@example.com'], ['sunil.patil@example.com']]);
+  const toSunil = smtp.messages.find(m => m.to[0] === 'sunil.patil@example.com');
+  assert.equal(toSunil.from, 'office@school.test');
+  assert.match(toSunil.data, /^Subject: Sports day$/m);
+  assert.match(toSunil.data, /Dear Sunil Patil,/);
+  assert.match(toSunil.data, /Sports day is on Friday\. Wear house colours\./);
+
+  assert.deepEqual(sms.requests, [{
+    authorization: 'Bearer sms-key',
+    body: { to: '9820000001', sender: 'MYDSCH', message: 'Sports day: Sports day is on Friday. Wear house colours.' }
+  }]);
+
+  // Particular notices only go to the selected families
+  smtp.reset();
+  sms.reset();
+  await notify('Fee reminder', 'Please pay the term fee.', [sessions['diya.shah'].user.studentId]);
+  assert.deepEqual(smtp.messages.map(m => m.to), [['meena.shah@example.com']]);
+  assert.equal(sms.requests.length, 0);
+});
+
+test('assignment alerts include the due date and attachment, and one failure does not stop the rest', async () => {
+  sms.failNext('9820000001');
+  smtp.rejectNext('meena.shah@example.com');
+
+  const { body } = await ctx.api().post('/api/admin/assignments').set(auth)
+    .field('class_id', classes['Class 1 A'].id)
+    .field('title', 'Chapter 4 exercises')
+    .field('description', 'Solve questions 1 to 10.')
+    .field('due_date', '2026-11-02')
+    .attach('assignmentFile', Buffer.from('%PDF-1.4'), { filename: 'ch4.pdf', contentType: 'application/pdf' })
+    .expect(200);
+
+  assert.deepEqual(smtp.messages.map(m => m.to), [['sunil.patil@example.com']]);
+  const [mail] = smtp.messages;
+  assert.match(mail.data, /^Subject: New assignment: Chapter 4 exercises$/m);
+  assert.match(mail.data, /Due on 2026-11-02\./);
+  assert.ok(mail.data.includes(`Attachment: http://localhost:3001/uploads/${body.assignment.file_path.split('/').pop()}`));
+
+  // The gateway refused Aarav's SMS; nothing else to send
+  assert.equal(sms.requests.length, 0);
+});
+
+test('families that turn push off only get the channels they kept', async () => {
+  const aarav = sessions['aarav.patil'];
+  await ctx.api().post('/api/devices').set(bearer(aarav.token)).send({ token: 'aarav-phone' }).expect(200);
+  await notify('Before', 'First notice.');
+  assert.deepEqual(ctx.messaging.tokens(), ['aarav-phone']);
+
+  ctx.messaging.reset();
+  await setPreferences('aarav.patil', { push: false }).expect(200);
+  await notify('After', 'Second notice.');
+
+  assert.equal(ctx.messaging.sent.length, 0);
+  assert.ok(smtp.messages.some(m => m.to[0] === 'sunil.patil@example.com' && /Second notice\./.test(m.data)));
+});
+
+test('each channel alerts several families at once', async () => {
+  let inFlight = 0;
+  let most = 0;
+  const slowEmail = {
+    name: 'email',
+    addressOf: contact => contact.parent_email,
+    send: async () => {
+      most = Math.max(most, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      inFlight--;
+    }
+  };
+
+  const channels = createChannelsService({ pool: ctx.pool, channels: [slowEmail] });
+  const counts = await channels.deliver({ type: 'notification', subject: 'Holiday', text: 'School is closed.' }, {
+    classId: classes['Class 1 A'].id
+  });
+  assert.deepEqual(counts, { email: { sent: 2, failed: 0 } });
+  assert.equal(most, 2);
+});
@@ -0,0 +1,186 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { workbook, XLSX_TYPE } = require('./helpers/files');
+
+let ctx;
+let auth;
+let classes;
+// username -> { id, user_id } of the seeded students
+const students = {};
+let parent;
+let session;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+  for (const student of (await ctx.api().get('/api/admin/students').set(auth)).body.students) {
+    students[student.username] = student;
+  }
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.messaging.reset();
+});
+
+const asParent = () => bearer(session.token);
+
+test('admins create parents and link children; login lists the children', async () => {
+  const created = await ctx.api().post('/api/admin/parents').set(auth).send({
+    username: 'sunil.patil',
+    password: 'parent-pass',
+    full_name: 'Sunil Patil',
+    email: 'sunil.patil@example.com',
+    phone: '9820000001',
+    student_ids: [students['aarav.patil'].id]
+  }).expect(200);
+  parent = created.body.parent;
+  assert.deepEqual(parent.children.map(c => c.first_name), ['Aarav']);
+
+  const linked = await ctx.api().post(`/api/admin/parents/${parent.id}/children`).set(auth)
+    .send({ student_id: students['diya.shah'].id, relationship: 'guardian' })
+    .expect(200);
+  assert.deepEqual(linked.body.parent.children.map(c => [c.first_name, c.relationship]), [['Aarav', null], ['Diya', 'guardian']]);
+
+  await ctx.api().post('/api/admin/parents').set(auth).send({ username: 'aarav.patil', password: 'parent-pass' }).expect(409);
+  await ctx.api().post(`/api/admin/parents/${parent.id}/children`).set(auth).send({ student_id: 9999 }).expect(404);
+
+  session = await ctx.login('sunil.patil', 'parent-pass');
+  assert.equal(session.user.role, 'parent');
+  assert.equal(session.user.studentId, null);
+  assert.deepEqual(session.user.children.map(c => [c.first_name, c.class_name]), [['Aarav', 'Class 1 A'], ['Diya', 'Class 1 A']]);
+
+  const children = await ctx.api().get('/api/parent/children').set(asParent()).expect(200);
+  assert.equal(children.body.children.length, 2);
+  const kabir = await ctx.login('kabir.naik');
+  await ctx.api().get('/api/parent/children').set(bearer(kabir.token)).expect(403);
+});
+
+test('parents read their children\'s data through the student endpoints', async () => {
+  const aarav = students['aarav.patil'];
+  await ctx.api().post('/api/admin/notifications').set(auth)
+    .field('title', 'Picnic').field('description', 'Picnic on Friday')
+    .field('class_id', classes['Class 1 A'].id).field('recipient_type', 'all')
+    .expect(200);
+
+  const feed = await ctx.api().get(`/api/student/notifications/${aarav.user_id}`).set(asParent()).expect(200);
+  assert.deepEqual(feed.body.data.map(n => n.title), ['Picnic']);
+  await ctx.api().get(`/api/student/assignments/${aarav.id}`).set(asParent()).expect(200);
+  await ctx.api().get(`/api/student/attendance/${aarav.id}`).set(asParent()).expect(200);
+
+  const profile = await ctx.api().get(`/api/profile/${students['diya.shah'].id}`).set(asParent()).expect(200);
+  assert.equal(profile.body.first_name, 'Diya');
+
+  // Other students stay private. (Ids are either kind, so pick one that is
+  // not also the id of a linked child.)
+  const linkedIds = ['aarav.patil', 'diya.shah'].flatMap(name => [students[name].id, students[name].user_id]);
+  const other = Object.values(students).find(s => !linkedIds.includes(s.id) && !linkedIds.includes(s.user_id));
+  await ctx.api().get(`/api/profile/${other.id}`).set(asParent()).expect(403);
+  await ctx.api().get(`/api/student/notifications/${other.user_id}`).set(asParent()).expect(403);
+
+  // Read-only, apart from the family's notification preferences
+  await ctx.api().post(`/api/student/notifications/${aarav.user_id}/read-all`).set(asParent()).expect(403);
+  await ctx.api().put(`/api/student/notification-preferences/${aarav.id}`).set(asParent()).send({ email: true }).expect(200);
+});
+
+test('parent devices receive each child\'s pushes once per message', async () => {
+  await ctx.api().post('/api/devices').set(asParent()).send({ token: 'sunil-phone', platform: 'ios' }).expect(200);
+
+  await ctx.api().post('/api/admin/assignments').set(auth)
+    .field('class_id', classes['Class 1 A'].id)
+    .field('title', 'Poem recital')
+    .expect(200);
+  assert.deepEqual(ctx.messaging.tokens(), ['sunil-phone']);
+
+  // Absence alerts are per child
+  ctx.messaging.reset();
+  await ctx.api().put(`/api/admin/attendance/class/${classes['Class 1 A'].id}`).set(auth).send({
+    date: '2026-10-06',
+    records: [
+      { student_id: students['aarav.patil'].id, status: 'absent' },
+      { student_id: students['diya.shah'].id, status: 'absent' }
+    ]
+  }).expect(200);
+  assert.deepEqual(ctx.messaging.sent.map(m => m.tokens), [['sunil-phone'], ['sunil-phone']]);
+  assert.deepEqual(
+    ctx.messaging.sent.map(m => m.data.student_id).sort(),
+    [String(students['aarav.patil'].id), String(students['diya.shah'].id)].sort()
+  );
+});
+
+test('unlinking removes access', async () => {
+  const url = `/api/admin/parents/${parent.id}/children/${students['diya.shah'].id}`;
+  const res = await ctx.api().delete(url).set(auth).expect(200);
+  assert.deepEqual(res.body.parent.children.map(c => c.first_name), ['Aarav']);
+  await ctx.api().delete(url).set(auth).expect(404);
+
+  await ctx.api().get(`/api/profile/${students['diya.shah'].id}`).set(asParent()).expect(403);
+});
+
+test('bulk upload creates or reuses parent accounts from the contact columns', async () => {
+  const row = (username, first, overrides = {}) => ({
+    'First Name': first,
+    'Last Name': 'Kulkarni',
+    Username: username,
+    Password: 'student-pass',
+    Class: 'Class 2 A',
+    'Parent Name': 'Asha Kulkarni',
+    'Parent Email': 'asha.k@example.com',
+    ...overrides
+  });
+  const file = workbook([
+    row('neel.kulkarni', 'Neel'),
+    row('tara.kulkarni', 'Tara'),
+    row('om.patil', 'Om', { 'Last Name': 'Patil', 'Parent Email': 'SUNIL.PATIL@example.com' }),
+    row('no.parent', 'Ved', { 'Parent Email': '' })
+  ]);
+
+  const res = await ctx.api().post('/api/admin/students/bulk-upload').set(auth)
+    .attach('excelFile', file, { filename: 'students.xlsx', contentType: XLSX_TYPE })
+    .expect(202);
+
+  // The temporary password never reaches the job's rows
+  await ctx.app.locals.services.studentImport.runQueuedJobs();
+  const stored = await ctx.pool.query(
+    "SELECT 1 FROM student_import_job_rows WHERE job_id = $1 AND details::text LIKE '%password%'",
+    [res.body.data.id]
+  );
+  assert.equal(stored.rows.length, 0);
+
+  const { parents, imported } = await ctx.finishImport(res, auth);
+  assert.equal(imported, 4);
+  assert.deepEqual([parents.created, parents.linked, parents.warnings], [1, 3, []]);
+  assert.equal(parents.accounts.length, 1);
+  const [asha] = parents.accounts;
+  assert.equal(asha.username, 'asha.k@example.com');
+  assert.deepEqual(asha.children, ['Neel Kulkarni', 'Tara Kulkarni']);
+
+  const ashaSession = await ctx.login(asha.username, asha.temporary_password);
+  assert.deepEqual(ashaSession.user.children.map(c => c.first_name), ['Neel', 'Tara']);
+
+  // ...and is shown only once
+  const again = await ctx.api().get(`/api/admin/students/bulk-upload/jobs/${res.body.data.id}`).set(auth).expect(200);
+  assert.equal(again.body.job.parents.accounts[0].temporary_password, null);
+
+  // Matched Sunil's existing account by email
+  const sunil = await ctx.api().get(`/api/admin/parents/${parent.id}`).set(auth).expect(200);
+  assert.deepEqual(sunil.body.parent.children.map(c => c.first_name), ['Aarav', 'Om']);
+
+  const skipped = await ctx.api().post('/api/admin/students/bulk-upload').set(auth)
+    .field('create_parents', 'false')
+    .attach('excelFile', workbook([row('ira.kulkarni', 'Ira', { 'Parent Email': 'new.parent@example.com' })]),
+      { filename: 'students.xlsx', contentType: XLSX_TYPE })
+    .expect(202);
+  const withoutParents = await ctx.finishImport(skipped, auth);
+  assert.equal(withoutParents.imported, 1);
+  assert.equal(withoutParents.parents, null);
+  const { rows } = await ctx.pool.query("SELECT 1 FROM users WHERE username = 'new.parent@example.com'");
+  assert.equal(rows.length, 0);
+});
@@ -0,0 +1,129 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { createFakeMessaging } = require('./helpers/fakeMessaging');
+const { PNG } = require('./helpers/files');
+const { createFcmService } = require('../src/services/fcm');
+
+let ctx;
+let auth;
+let classes;
+let aarav;
+let diya;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+
+  aarav = await ctx.login('aarav.patil');
+  diya = await ctx.login('diya.shah');
+  for (const session of [aarav, diya]) {
+    await ctx.api().post('/api/devices').set(bearer(session.token))
+      .send({ token: `token-${session.user.username}`, platform: 'android' })
+      .expect(200);
+  }
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.messaging.reset();
+});
+
+test('notices carry a visible notification, deep link, image and badge', async () => {
+  const { body } = await ctx.api().post('/api/admin/notifications').set(auth)
+    .field('title', 'Sports day').field('description', 'Wear your house colours')
+    .field('class_id', classes['Class 1 A'].id).field('recipient_type', 'all')
+    .attach('notificationFile', PNG, { filename: 'sports day.png', contentType: 'image/png' })
+    .expect(200);
+
+  // Both students have one unread notice, so one message serves them
+  assert.equal(ctx.messaging.sent.length, 1);
+  const [message] = ctx.messaging.sent;
+  const id = body.notification.id;
+
+  assert.equal(message.notification.title, '📌 New Notification');
+  assert.equal(message.notification.body, 'Wear your house colours');
+  assert.match(message.notification.imageUrl, /^http:\/\/localhost:3001\/uploads\/\d+-sports%20day\.png$/);
+
+  assert.equal(message.data.type, 'notification');
+  assert.equal(message.data.notification_id, String(id));
+  assert.equal(message.data.route, `/notifications/${id}`);
+  assert.equal(message.data.attachment_url, message.notification.imageUrl);
+  assert.equal(message.data.badge, '1');
+
+  assert.equal(message.android.notification.channelId, 'notices');
+  assert.equal(message.android.notification.notificationCount, 1);
+  assert.equal(message.apns.payload.aps.badge, 1);
+  assert.equal(message.apns.payload.aps.mutableContent, true);
+
+  // The link points at the file the API serves
+  const served = new URL(message.data.attachment_url).pathname;
+  await ctx.api().get(decodeURIComponent(served)).expect(200);
+});
+
+test('assignments deep link to the assignment and badge each student separately', async () => {
+  await ctx.api().post(`/api/student/notifications/${aarav.user.id}/read-all`).set(bearer(aarav.token)).expect(200);
+
+  const { body } = await ctx.api().post('/api/admin/assignments').set(auth)
+    .field('class_id', classes['Class 1 A'].id)
+    .field('title', 'Chapter 4 exercises')
+    .field('due_date', '2026-11-02')
+    .attach('assignmentFile', Buffer.from('%PDF-1.4'), { filename: 'ch4.pdf', contentType: 'application/pdf' })
+    .expect(200);
+
+  const badges = Object.fromEntries(ctx.messaging.sent.flatMap(m => m.tokens.map(t => [t, m.data.badge])));
+  assert.deepEqual(badges, { 'token-aarav.patil': '0', 'token-diya.shah': '1' });
+
+  const [message] = ctx.messaging.sent;
+  assert.equal(message.data.route, `/assignments/${body.assignment.id}`);
+  assert.equal(message.data.due_date, '2026-11-02');
+  assert.match(message.data.attachment_url, /\/uploads\/\d+-ch4\.pdf$/);
+  assert.equal(message.notification.imageUrl, undefined);
+  assert.equal(message.android.notification.channelId, 'assignments');
+  assert.equal(message.android.notification.priority, 'default');
+});
+
+test('absence alerts are urgent', async () => {
+  await ctx.api().put(`/api/admin/attendance/class/${classes['Class 1 A'].id}`).set(auth).send({
+    date: '2026-10-05',
+    records: [{ student_id: diya.user.studentId, status: 'absent' }]
+  }).expect(200);
+
+  const [message] = ctx.messaging.sent;
+  assert.equal(message.notification.title, '🚫 Absence Alert');
+  assert.equal(message.data.route, `/attendance/${diya.user.studentId}?date=2026-10-05`);
+  assert.equal(message.android.notification.channelId, 'alerts');
+  assert.equal(message.android.notification.priority, 'max');
+  assert.equal(message.apns.payload.aps['interruption-level'], 'time-sensitive');
+});
+
+test('message types can be reconfigured and added', async () => {
+  const messaging = createFakeMessaging();
+  const fcm = createFcmService(messaging, {
+    messageTypes: {
+      assignment: { channelId: 'homework', badge: false },
+      exam: { channelId: 'exams', route: '/exams/:exam_id', urgent: true }
+    }
+  });
+
+  await fcm.sendBatchFCM([{ token: 'a', badge: 3 }], { type: 'assignment', title: 'New', body: 'Essay', data: { assignment_id: 7 } });
+  await fcm.sendBatchFCM(['a'], { type: 'exam', title: 'Exam', body: 'Maths moved', data: { exam_id: 2 } });
+  await fcm.sendBatchFCM(['a'], { type: 'exam', title: 'Exam', body: 'No id' });
+
+  const [assignment, exam, incomplete] = messaging.sent;
+  assert.equal(assignment.android.notification.channelId, 'homework');
+  assert.equal(assignment.data.route, '/assignments/7');
+  assert.equal(assignment.data.badge, undefined);
+  assert.equal(assignment.apns.payload.aps.badge, undefined);
+
+  assert.equal(exam.android.notification.channelId, 'exams');
+  assert.equal(exam.android.notification.priority, 'max');
+  assert.equal(exam.data.route, '/exams/2');
+  assert.equal(incomplete.data.route, undefined);
+});
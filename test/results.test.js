@@ -0,0 +1,212 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { createTestContext, bearer } = require('./helpers/context');
+const { workbook, binary, XLSX_TYPE } = require('./helpers/files');
+
+let ctx;
+let auth;
+let classes;
+// username -> { id, user_id } of the seeded students
+const students = {};
+const subjects = {};
+const exams = {};
+
+before(async () => {
+  ctx = await createTestContext({ env: { SCHOOL_NAME: 'Green Valley School' } });
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+  for (const student of (await ctx.api().get('/api/admin/students').set(auth)).body.students) {
+    students[student.username] = student;
+  }
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const marksUrl = (exam, className = 'Class 1 A') => `/api/admin/exams/${exams[exam].id}/marks/class/${classes[className].id}`;
+const cardUrl = username => `/api/admin/report-cards/student/${students[username].id}?term=Term%201`;
+
+test('subjects per class and exams with max marks and weightage', async () => {
+  for (const [name, code] of [['Maths', 'MAT'], ['English', 'ENG']]) {
+    const res = await ctx.api().post(`/api/admin/subjects/class/${classes['Class 1 A'].id}`).set(auth)
+      .send({ name, code })
+      .expect(200);
+    subjects[name] = res.body.subject;
+  }
+  await ctx.api().post(`/api/admin/subjects/class/${classes['Class 1 A'].id}`).set(auth).send({ name: 'maths' }).expect(409);
+  await ctx.api().post(`/api/admin/subjects/class/${classes['Class 2 A'].id}`).set(auth).send({ name: 'Maths' }).expect(200);
+
+  const list = await ctx.api().get(`/api/admin/subjects/class/${classes['Class 1 A'].id}`).set(auth).expect(200);
+  assert.deepEqual(list.body.subjects.map(s => s.name), ['English', 'Maths']);
+
+  for (const [key, body] of Object.entries({
+    unit: { name: 'Unit Test 1', term: 'Term 1', max_marks: 25, weightage: 20, exam_date: '2026-07-15' },
+    final: { name: 'Term 1 Exam', term: 'Term 1', max_marks: 100, weightage: 80, exam_date: '2026-09-20' },
+    later: { name: 'Term 2 Exam', term: 'Term 2' }
+  })) {
+    exams[key] = (await ctx.api().post('/api/admin/exams').set(auth).send(body).expect(200)).body.exam;
+  }
+  assert.deepEqual([exams.later.max_marks, exams.later.weightage], [100, 100]);
+  await ctx.api().post('/api/admin/exams').set(auth).send({ name: 'Bad', weightage: 150 }).expect(400);
+
+  const term1 = await ctx.api().get('/api/admin/exams?term=Term%201').set(auth).expect(200);
+  assert.deepEqual(term1.body.exams.map(e => e.name), ['Unit Test 1', 'Term 1 Exam']);
+});
+
+test('marks are entered in bulk for a class and checked against the exam', async () => {
+  const mark = (username, subject, marks) => ({
+    student_id: students[username].id,
+    subject_id: subjects[subject].id,
+    ...(marks === 'AB' ? { absent: true } : { marks })
+  });
+
+  const invalid = await ctx.api().put(marksUrl('unit')).set(auth).send({
+    records: [
+      mark('aarav.patil', 'Maths', 26),
+      mark('isha.gawde', 'Maths', 10),
+      { student_id: students['diya.shah'].id, subject_id: subjects.Maths.id }
+    ]
+  }).expect(400);
+  assert.deepEqual(invalid.body.errors.map(e => [e.field, e.code]), [
+    ['records[0].marks', 'too_large'],
+    ['records[1].student_id', 'not_in_class'],
+    ['records[2].marks', 'required']
+  ]);
+
+  const saved = await ctx.api().put(marksUrl('unit')).set(auth).send({
+    records: [
+      mark('aarav.patil', 'Maths', 20), mark('aarav.patil', 'English', 25),
+      mark('diya.shah', 'Maths', 25), mark('diya.shah', 'English', 15),
+      mark('kabir.naik', 'Maths', 'AB'), mark('kabir.naik', 'English', 10)
+    ]
+  }).expect(200);
+  assert.equal(saved.body.saved, 6);
+
+  const sheet = await ctx.api().get(marksUrl('unit')).set(auth).expect(200);
+  assert.deepEqual(sheet.body.subjects.map(s => s.name), ['English', 'Maths']);
+  assert.deepEqual(
+    sheet.body.students.map(s => [s.first_name, ...s.marks.map(m => (m.is_absent ? 'AB' : m.marks_obtained))]),
+    [['Aarav', 25, 20], ['Diya', 15, 25], ['Kabir', 10, 'AB']]
+  );
+
+  // Teachers only enter marks for their own classes
+  await ctx.api().post('/api/admin/teachers').set(auth).send({ username: 'mr.desai', password: 'teacher-pass' }).expect(200);
+  const teacher = bearer((await ctx.login('mr.desai', 'teacher-pass')).token);
+  await ctx.api().put(marksUrl('unit')).set(teacher).send({ records: [mark('aarav.patil', 'Maths', 21)] }).expect(403);
+});
+
+test('an Excel marks sheet fills the exam by username or roll number', async () => {
+  const file = workbook([
+    { Username: 'aarav.patil', Name: 'Aarav Patil', MAT: 90, English: 80 },
+    { 'Roll Number': 2, Name: 'Diya Shah', MAT: 70, English: 'AB' },
+    { Username: 'kabir.naik', MAT: 'ninety', English: 40 },
+    { Username: 'isha.gawde', MAT: 50 }
+  ]);
+
+  const res = await ctx.api().post(`${marksUrl('final')}/upload`).set(auth)
+    .attach('marksFile', file, { filename: 'marks.xlsx', contentType: XLSX_TYPE })
+    .expect(200);
+  assert.deepEqual([res.body.data.students, res.body.data.saved, res.body.data.subjects], [2, 4, ['English', 'Maths']]);
+  assert.deepEqual(res.body.data.errors, [
+    "Row 4: Maths 'ninety' is not a number",
+    'Row 5: Student isha.gawde is not in this class'
+  ]);
+
+  // The same student by username and by roll number, or a subject twice
+  const twice = await ctx.api().post(`${marksUrl('final')}/upload`).set(auth)
+    .attach('marksFile', workbook([
+      { Username: 'aarav.patil', MAT: 90, English: 80 },
+      { 'Roll Number': 1, MAT: 10 }
+    ]), { filename: 'marks.xlsx', contentType: XLSX_TYPE })
+    .expect(200);
+  assert.deepEqual([twice.body.data.students, twice.body.data.saved], [1, 2]);
+  assert.deepEqual(twice.body.data.errors, ['Row 3: Student aarav.patil already given in row 2']);
+
+  const sameSubject = await ctx.api().post(`${marksUrl('final')}/upload`).set(auth)
+    .attach('marksFile', workbook([{ Username: 'aarav.patil', Maths: 90, MAT: 10 }]), { filename: 'marks.xlsx', contentType: XLSX_TYPE })
+    .expect(400);
+  assert.equal(sameSubject.body.message, 'Maths has more than one column (Maths, MAT)');
+
+  const empty = workbook([{ Username: 'aarav.patil', History: 50 }]);
+  const rejected = await ctx.api().post(`${marksUrl('final')}/upload`).set(auth)
+    .attach('marksFile', empty, { filename: 'marks.xlsx', contentType: XLSX_TYPE })
+    .expect(400);
+  assert.match(rejected.body.message, /No subject columns/);
+});
+
+test('report cards weigh each exam and rank the class', async () => {
+  const aarav = (await ctx.api().get(cardUrl('aarav.patil')).set(auth).expect(200)).body.data;
+  assert.equal(aarav.class.class_name, 'Class 1 A');
+  assert.deepEqual(aarav.exams.map(e => e.name), ['Unit Test 1', 'Term 1 Exam']);
+  assert.deepEqual(
+    aarav.subjects.map(s => [s.name, s.total_obtained, s.total_max, s.percentage, s.grade]),
+    [['English', 105, 125, 84, 'A2'], ['Maths', 110, 125, 88, 'A2']]
+  );
+  // (45/50 * 20 + 170/200 * 80) / 100
+  assert.deepEqual([aarav.totals, aarav.percentage, aarav.grade, aarav.remark], [{ obtained: 215, max: 250 }, 86, 'A2', 'Excellent']);
+  assert.deepEqual([aarav.rank, aarav.ranked_students], [1, 3]);
+
+  const diya = (await ctx.api().get(cardUrl('diya.shah')).set(auth).expect(200)).body.data;
+  assert.deepEqual([diya.percentage, diya.grade, diya.rank], [44, 'C2', 2]);
+  assert.deepEqual(diya.subjects[0].exams.map(e => e.is_absent), [false, true]);
+
+  const kabir = (await ctx.api().get(cardUrl('kabir.naik')).set(auth).expect(200)).body.data;
+  assert.deepEqual([kabir.percentage, kabir.grade, kabir.rank], [20, 'E', 3]);
+
+  // Nothing entered for Term 2 yet: an empty card
+  const term2 = (await ctx.api().get(`/api/admin/report-cards/student/${students['aarav.patil'].id}?term=Term%202`).set(auth).expect(200)).body.data;
+  assert.deepEqual([term2.percentage, term2.grade, term2.rank], [null, null, null]);
+});
+
+test('grade scales are configurable', async () => {
+  const missingZero = await ctx.api().post('/api/admin/grade-scales').set(auth)
+    .send({ name: 'Pass/Fail', bands: [{ grade: 'P', min_percentage: 40 }] })
+    .expect(400);
+  assert.equal(missingZero.body.errors[0].code, 'missing_zero_band');
+
+  const created = await ctx.api().post('/api/admin/grade-scales').set(auth)
+    .send({ name: 'Pass/Fail', bands: [{ grade: 'F', min_percentage: 0, remark: 'Fail' }, { grade: 'P', min_percentage: 40, remark: 'Pass' }] })
+    .expect(200);
+  const scale = created.body.grade_scale;
+  assert.deepEqual(scale.bands.map(b => [b.grade, b.min_percentage]), [['P', 40], ['F', 0]]);
+
+  const custom = (await ctx.api().get(`${cardUrl('diya.shah')}&grade_scale_id=${scale.id}`).set(auth).expect(200)).body.data;
+  assert.deepEqual([custom.grade, custom.remark, custom.grade_scale.name], ['P', 'Pass', 'Pass/Fail']);
+
+  await ctx.api().put(`/api/admin/grade-scales/${scale.id}/default`).set(auth).expect(200);
+  const list = await ctx.api().get('/api/admin/grade-scales').set(auth).expect(200);
+  assert.deepEqual(list.body.grade_scales.map(s => [s.name, s.is_default]), [['Pass/Fail', true], ['Standard', false]]);
+  const kabir = (await ctx.api().get(cardUrl('kabir.naik')).set(auth).expect(200)).body.data;
+  assert.equal(kabir.grade, 'F');
+});
+
+test('report cards download as PDF or XLSX and show in the student app', async () => {
+  const pdf = await ctx.api().get(`${cardUrl('aarav.patil')}&format=pdf`).set(auth)
+    .buffer(true).parse(binary)
+    .expect(200);
+  assert.equal(pdf.headers['content-type'], 'application/pdf');
+  assert.match(pdf.headers['content-disposition'], /attachment; filename="report-card-aarav-patil-term-1\.pdf"/);
+  assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+
+  const xlsx = await ctx.api().get(`${cardUrl('aarav.patil')}&format=xlsx`).set(auth)
+    .buffer(true).parse(binary)
+    .expect(200);
+  assert.equal(xlsx.headers['content-type'], XLSX_TYPE);
+  const rows = XLSX.utils.sheet_to_json(XLSX.read(xlsx.body).Sheets['Report Card'], { header: 1 });
+  assert.deepEqual(rows[0], ['Green Valley School']);
+  assert.ok(rows.some(row => row[0] === 'Maths' && row.includes('88%')));
+  assert.ok(rows.some(row => row[0] === 'Class rank' && row[1] === '1 of 3'));
+
+  const session = await ctx.login('aarav.patil');
+  const own = await ctx.api().get(`/api/student/report-card/${students['aarav.patil'].id}?term=Term%201`).set(bearer(session.token)).expect(200);
+  assert.equal(own.body.data.percentage, 86);
+  await ctx.api().get(`/api/student/report-card/${students['aarav.patil'].id}?format=pdf`).set(bearer(session.token))
+    .buffer(true).parse(binary)
+    .expect('Content-Type', 'application/pdf')
+    .expect(200);
+  await ctx.api().get(`/api/student/report-card/${students['diya.shah'].id}`).set(bearer(session.token)).expect(403);
+});
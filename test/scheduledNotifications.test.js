@@ -0,0 +1,195 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { createNotificationDispatcher } = require('../src/services/notificationDispatcher');
+
+let ctx;
+let auth;
+let classes;
+let sections;
+let scheduled;
+
+const HOUR = 60 * 60 * 1000;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+  sections = Object.fromEntries(
+    (await ctx.api().get('/api/admin/sections').set(auth)).body.sections.map(s => [s.section_name, s])
+  );
+  scheduled = ctx.app.locals.services.scheduledNotifications;
+
+  const aarav = await ctx.login('aarav.patil');
+  await ctx.api().post(`/api/student/${aarav.user.studentId}/fcm-token`)
+    .set(bearer(aarav.token))
+    .send({ fcm_token: 'token-aarav.patil' })
+    .expect(200);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.messaging.reset();
+});
+
+const schedule = body => ctx.api().post('/api/admin/scheduled-notifications').set(auth).send({
+  title: 'Reminder',
+  description: 'Bring your library book',
+  class_id: classes['Class 1 A'].id,
+  recipient_type: 'all',
+  ...body
+});
+
+// Pretends the job's next run has come
+const makeDue = id => ctx.pool.query(
+  "UPDATE notification_jobs SET next_run_at = NOW() - INTERVAL '1 minute' WHERE id = $1",
+  [id]
+);
+
+test('one-off notifications are sent once when due, even by concurrent dispatchers', async () => {
+  const sendAt = new Date(Date.now() + HOUR).toISOString();
+  const { body } = await schedule({ title: 'Library day', send_at: sendAt }).expect(200);
+
+  assert.equal(body.job.status, 'pending');
+  assert.equal(new Date(body.job.next_run_at).toISOString(), sendAt);
+  assert.equal(await scheduled.dispatchDue(), 0);
+
+  await makeDue(body.job.id);
+  const counts = await Promise.all([scheduled.dispatchDue(), scheduled.dispatchDue(), scheduled.dispatchDue()]);
+  assert.equal(counts.reduce((a, b) => a + b, 0), 1);
+
+  assert.equal(ctx.messaging.sent.length, 1);
+  assert.deepEqual(ctx.messaging.sent[0].tokens, ['token-aarav.patil']);
+  assert.equal(ctx.messaging.sent[0].data.body, 'Bring your library book');
+
+  const job = (await ctx.api().get(`/api/admin/scheduled-notifications/${body.job.id}`).set(auth).expect(200)).body.job;
+  assert.equal(job.status, 'sent');
+  assert.equal(job.run_count, 1);
+  assert.equal(job.next_run_at, null);
+
+  const notifications = (await ctx.api().get('/api/admin/notifications').set(auth).expect(200)).body.notifications;
+  assert.equal(notifications.find(n => n.id === job.last_notification_id).title, 'Library day');
+});
+
+test('weekly jobs run on the chosen weekday in the job\'s time zone and reschedule', async () => {
+  const { body } = await schedule({
+    title: 'Weekly plan',
+    repeat: 'weekly',
+    weekdays: ['mon'],
+    time_of_day: '08:00',
+    time_zone: 'Asia/Kolkata'
+  }).expect(200);
+
+  const first = new Date(body.job.next_run_at);
+  assert.deepEqual(body.job.weekdays, ['mon']);
+  assert.equal(first.getUTCDay(), 1);
+  assert.equal(first.toISOString().slice(11, 16), '02:30');
+  assert.ok(first > new Date() && first - new Date() <= 7 * 24 * HOUR);
+
+  await makeDue(body.job.id);
+  assert.equal(await scheduled.dispatchDue(), 1);
+
+  const job = (await ctx.api().get(`/api/admin/scheduled-notifications/${body.job.id}`).set(auth).expect(200)).body.job;
+  assert.equal(job.status, 'pending');
+  assert.equal(job.run_count, 1);
+  assert.equal(new Date(job.next_run_at).toISOString(), first.toISOString());
+});
+
+test('recurring jobs can run relative to a section\'s start time', async () => {
+  const { body } = await schedule({
+    repeat: 'daily',
+    section_id: sections.Morning.id,
+    minutes_before_start: 30
+  }).expect(200);
+
+  assert.equal(body.job.section_name, 'Morning');
+  assert.equal(body.job.time_zone, 'UTC');
+  // Morning starts at 07:30
+  assert.equal(new Date(body.job.next_run_at).toISOString().slice(11, 16), '07:00');
+
+  // A lead time longer than the start time goes back to the evening before
+  const early = await schedule({
+    repeat: 'weekly',
+    weekdays: 'mon',
+    section_id: sections.Morning.id,
+    minutes_before_start: 600
+  }).expect(200);
+  const nextRun = new Date(early.body.job.next_run_at);
+  assert.deepEqual([nextRun.getUTCDay(), nextRun.toISOString().slice(11, 16)], [0, '21:30']);
+});
+
+test('rejects incomplete or impossible schedules', async () => {
+  const errorsOf = async body => (await schedule(body).expect(400)).body.errors.map(e => [e.field, e.code]);
+
+  assert.deepEqual(await errorsOf({}), [['send_at', 'required']]);
+  assert.deepEqual(await errorsOf({ send_at: '2020-01-01T08:00:00Z' }), [['send_at', 'in_past']]);
+  assert.deepEqual(await errorsOf({ send_at: '2099-01-01 08:00' }), [['send_at', 'invalid_datetime']]);
+  assert.deepEqual(await errorsOf({ repeat: 'weekly', weekdays: 'mon,someday', time_of_day: '08:00' }), [['weekdays', 'invalid_choice']]);
+  assert.deepEqual(await errorsOf({ repeat: 'weekly' }), [['weekdays', 'required'], ['time_of_day', 'required']]);
+  assert.deepEqual(
+    await errorsOf({ repeat: 'daily', time_of_day: '08:00', time_zone: 'Mars/Olympus' }),
+    [['time_zone', 'invalid_time_zone']]
+  );
+});
+
+test('pending jobs can be edited and cancelled, finished ones cannot', async () => {
+  const { body } = await schedule({ send_at: new Date(Date.now() + HOUR).toISOString() }).expect(200);
+  const url = `/api/admin/scheduled-notifications/${body.job.id}`;
+
+  const edited = await ctx.api().put(url).set(auth).send({
+    title: 'Sports day moved',
+    description: 'Now on Friday',
+    class_id: classes['Class 1 B'].id,
+    recipient_type: 'all',
+    repeat: 'daily',
+    time_of_day: '16:15'
+  }).expect(200);
+  assert.equal(edited.body.job.title, 'Sports day moved');
+  assert.equal(edited.body.job.class_name, 'Class 1 B');
+  assert.equal(edited.body.job.send_at, null);
+  assert.equal(new Date(edited.body.job.next_run_at).toISOString().slice(11, 16), '16:15');
+
+  const cancelled = await ctx.api().post(`${url}/cancel`).set(auth).expect(200);
+  assert.equal(cancelled.body.job.status, 'cancelled');
+
+  await makeDue(body.job.id);
+  assert.equal(await scheduled.dispatchDue(), 0);
+
+  const again = await ctx.api().post(`${url}/cancel`).set(auth).expect(409);
+  assert.equal(again.body.message, 'This notification is already cancelled');
+  await ctx.api().put(url).set(auth).send({ ...edited.body.job, repeat: 'none', send_at: '2099-01-01T00:00:00Z' }).expect(409);
+
+  const listed = await ctx.api().get('/api/admin/scheduled-notifications?status=cancelled').set(auth).expect(200);
+  assert.deepEqual(listed.body.jobs.map(j => j.id), [body.job.id]);
+});
+
+test('the dispatcher never overlaps runs and survives errors', async () => {
+  let calls = 0;
+  let release;
+  const slowRun = new Promise(resolve => { release = resolve; });
+  const dispatcher = createNotificationDispatcher({
+    scheduledNotifications: {
+      dispatchDue: () => {
+        calls++;
+        if (calls === 1) return slowRun;
+        throw new Error('database unavailable');
+      }
+    },
+    intervalMs: 60000
+  });
+
+  const first = dispatcher.tick();
+  const overlapping = dispatcher.tick();
+  release(2);
+  assert.deepEqual(await Promise.all([first, overlapping]), [2, 2]);
+  assert.equal(calls, 1);
+
+  assert.equal(await dispatcher.tick(), 0);
+  assert.equal(calls, 2);
+  await dispatcher.stop();
+});
@@ -0,0 +1,183 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+const { PNG } = require('./helpers/files');
+
+let ctx;
+let admin;
+let classes;
+let diya;
+
+before(async () => {
+  ctx = await createTestContext();
+  admin = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(admin)).body.classes.map(c => [c.class_name, c])
+  );
+  diya = await ctx.login('diya.shah');
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+async function postAssignment(className, title) {
+  await ctx.api().post('/api/admin/assignments').set(admin)
+    .field('class_id', classes[className].id)
+    .field('title', title)
+    .expect(200);
+}
+
+async function postNotification(className, fields) {
+  const req = ctx.api().post('/api/admin/notifications').set(admin)
+    .field('class_id', classes[className].id);
+  for (const [name, value] of Object.entries(fields)) req.field(name, value);
+  await req.expect(200);
+}
+
+test('assignment feed is paginated and limited to the student class', async () => {
+  await postAssignment('Class 1 A', 'Maths worksheet');
+  await postAssignment('Class 1 A', 'Poem recital');
+  await postAssignment('Class 1 A', 'Science model');
+  await postAssignment('Class 2 A', 'Other class');
+
+  const first = await ctx.api().get(`/api/student/assignments/${diya.user.id}?page=1&limit=2`)
+    .set(bearer(diya.token))
+    .expect(200);
+  assert.equal(first.body.success, true);
+  assert.equal(first.body.page, 1);
+  assert.equal(first.body.data.length, 2);
+  assert.equal(first.body.hasMore, true);
+
+  const second = await ctx.api().get(`/api/student/assignments/${diya.user.id}?page=2&limit=2`)
+    .set(bearer(diya.token))
+    .expect(200);
+  assert.equal(second.body.data.length, 1);
+  assert.equal(second.body.hasMore, false);
+
+  const titles = [...first.body.data, ...second.body.data].map(a => a.title).sort();
+  assert.deepEqual(titles, ['Maths worksheet', 'Poem recital', 'Science model']);
+});
+
+test('feeds are cached until new content is posted', async () => {
+  const path = `/api/student/assignments/${diya.user.id}?page=1&limit=50`;
+  const before = await ctx.api().get(path).set(bearer(diya.token)).expect(200);
+
+  await ctx.pool.query(`INSERT INTO assignments (class_id, title) VALUES ($1, 'Inserted behind the API')`, [classes['Class 1 A'].id]);
+  const cached = await ctx.api().get(path).set(bearer(diya.token)).expect(200);
+  assert.equal(cached.body.data.length, before.body.data.length);
+
+  await postAssignment('Class 1 A', 'Art project');
+  const fresh = await ctx.api().get(path).set(bearer(diya.token)).expect(200);
+  assert.equal(fresh.body.data.length, before.body.data.length + 2);
+});
+
+test('notification feed includes class-wide and own particular notifications only', async () => {
+  const aarav = await ctx.login('aarav.patil');
+
+  await postNotification('Class 1 A', { title: 'Sports day', description: 'Friday', recipient_type: 'all' });
+  await postNotification('Class 1 A', {
+    title: 'For Diya', description: 'Bring form', recipient_type: 'particular',
+    selected_students: JSON.stringify([diya.user.studentId])
+  });
+  await postNotification('Class 1 A', {
+    title: 'For Aarav', description: 'Library book', recipient_type: 'particular',
+    selected_students: JSON.stringify([aarav.user.studentId])
+  });
+  await postNotification('Class 1 B', { title: 'Other class', description: 'Ignore', recipient_type: 'all' });
+
+  const res = await ctx.api().get(`/api/student/notifications/${diya.user.id}`)
+    .set(bearer(diya.token))
+    .expect(200);
+
+  assert.deepEqual(res.body.data.map(n => n.title).sort(), ['For Diya', 'Sports day']);
+  assert.equal(res.body.hasMore, false);
+});
+
+test('students without a class get an empty feed', async () => {
+  await ctx.api().post('/api/admin/students').set(admin)
+    .field('first_name', 'No').field('last_name', 'Class')
+    .field('username', 'no.class').field('password', 'pw-no-class')
+    .expect(200);
+  const student = await ctx.login('no.class', 'pw-no-class');
+
+  const res = await ctx.api().get(`/api/student/notifications/${student.user.id}`)
+    .set(bearer(student.token))
+    .expect(200);
+  assert.deepEqual(res.body.data, []);
+  assert.equal(res.body.message, 'Student not assigned to any class');
+});
+
+test('profile can be read and updated by the student', async () => {
+  const profile = await ctx.api().get(`/api/student/profile/${diya.user.id}`)
+    .set(bearer(diya.token))
+    .expect(200);
+  assert.equal(profile.body.profile.first_name, 'Diya');
+  assert.equal(profile.body.profile.class_name, 'Class 1 A');
+
+  const detail = await ctx.api().get(`/api/profile/${diya.user.studentId}`)
+    .set(bearer(diya.token))
+    .expect(200);
+  assert.equal(detail.body.username, 'diya.shah');
+
+  const updated = await ctx.api().put(`/api/student/profile/${diya.user.id}`)
+    .set(bearer(diya.token))
+    .field('first_name', 'Diya')
+    .field('last_name', 'Shah')
+    .field('username', 'diya.shah')
+    .field('phone', '9000000000')
+    .expect(200);
+  assert.equal(updated.body.profile.phone, '9000000000');
+
+  // A student cannot move themselves into another class or take a roll number
+  const { rows: [otherClass] } = await ctx.pool.query("SELECT id FROM classes WHERE class_name = 'Class 2 A'");
+  const moved = await ctx.api().put(`/api/student/profile/${diya.user.id}`)
+    .set(bearer(diya.token))
+    .field('first_name', 'Diya')
+    .field('last_name', 'Shah')
+    .field('username', 'diya.shah')
+    .field('class_id', otherClass.id)
+    .field('roll_number', 1)
+    .expect(200);
+  assert.deepEqual([moved.body.profile.class_name, moved.body.profile.roll_number], ['Class 1 A', 2]);
+
+  await ctx.api().put(`/api/student/profile/${diya.user.id}`)
+    .set(bearer(diya.token))
+    .field('first_name', 'Diya')
+    .field('last_name', 'Shah')
+    .field('username', 'aarav.patil')
+    .expect(409);
+});
+
+test('profile photo upload stores the file', async () => {
+  const res = await ctx.api().post(`/api/student/profile/${diya.user.id}/photo`)
+    .set(bearer(diya.token))
+    .attach('photo', PNG, { filename: 'me.png', contentType: 'image/png' })
+    .expect(200);
+  assert.match(res.body.profile.profile_photo, /me\.png$/);
+
+  await ctx.api().post(`/api/student/profile/${diya.user.id}/photo`)
+    .set(bearer(diya.token))
+    .expect(400);
+});
+
+test('FCM token registration validates the body and is limited to the student', async () => {
+  await ctx.api().post(`/api/student/${diya.user.studentId}/fcm-token`)
+    .set(bearer(diya.token))
+    .send({})
+    .expect(400);
+
+  const aarav = await ctx.login('aarav.patil');
+  await ctx.api().post(`/api/student/${aarav.user.studentId}/fcm-token`)
+    .set(bearer(diya.token))
+    .send({ fcm_token: 'stolen' })
+    .expect(403);
+
+  await ctx.api().post(`/api/student/${diya.user.studentId}/fcm-token`)
+    .set(bearer(diya.token))
+    .send({ fcm_token: 'token-diya' })
+    .expect(200);
+
+  const { rows } = await ctx.pool.query('SELECT token FROM device_tokens WHERE user_id = $1', [diya.user.id]);
+  assert.deepEqual(rows.map(row => row.token), ['token-diya']);
+});
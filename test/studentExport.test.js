@@ -0,0 +1,200 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const AdmZip = require('adm-zip');
+const { createTestContext, bearer } = require('./helpers/context');
+const { studentZip, binary, PNG, XLSX_TYPE } = require('./helpers/files');
+
+let ctx;
+let auth;
+let classes;
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const download = url => ctx.api().get(url).set(auth).buffer(true).parse(binary);
+const sheetRows = buffer => {
+  const book = XLSX.read(buffer);
+  return XLSX.utils.sheet_to_json(book.Sheets[book.SheetNames[0]], { header: 1, defval: null });
+};
+
+test('students export to XLSX with the bulk-upload headers', async () => {
+  const res = await download(`/api/admin/students/export?class_id=${classes['Class 1 A'].id}`).expect(200);
+  assert.equal(res.headers['content-type'], XLSX_TYPE);
+  assert.match(res.headers['content-disposition'], /attachment; filename="students-class-1-a\.xlsx"/);
+
+  const [header, ...rows] = sheetRows(res.body);
+  assert.deepEqual(header, [
+    'First Name', 'Last Name', 'Username', 'Email', 'Class', 'Roll Number', 'Phone', 'Address',
+    'Date of Birth', 'Blood Group', 'Parent Name', 'Parent Phone', 'Parent Email'
+  ]);
+  assert.deepEqual(rows.map(row => [row[2], row[4], row[5]]), [
+    ['aarav.patil', 'Class 1 A', 1], ['diya.shah', 'Class 1 A', 2], ['kabir.naik', 'Class 1 A', 3]
+  ]);
+  assert.deepEqual([rows[0][9], rows[0][12]], ['B+', 'sunil.patil@example.com']);
+
+  await ctx.api().get('/api/admin/students/export?class_id=9999').set(auth).expect(404);
+  await ctx.api().get('/api/admin/students/export?format=pdf').set(auth).expect(400);
+});
+
+test('a section export as CSV lists every class in the section', async () => {
+  const section = classes['Class 1 A'].section_id;
+  const res = await download(`/api/admin/students/export?section_id=${section}&format=csv`).expect(200);
+  assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.match(res.headers['content-disposition'], /filename="students-morning\.csv"/);
+
+  const lines = res.body.toString().trim().split('\n');
+  assert.equal(lines[0], 'First Name,Last Name,Username,Email,Class,Roll Number,Phone,Address,Date of Birth,Blood Group,Parent Name,Parent Phone,Parent Email');
+  assert.deepEqual(lines.slice(1).map(line => line.split(',')[2]), ['aarav.patil', 'diya.shah', 'kabir.naik', 'isha.gawde', 'arjun.rane']);
+});
+
+test('a ZIP export bundles photos and imports back', async () => {
+  const photoUpload = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .field('mode', 'update')
+    .field('create_parents', 'false')
+    .attach('zipFile', studentZip([{ Username: 'ananya.joshi', Photo: 'ananya.png' }], { 'ananya.png': PNG }), 'students.zip')
+    .expect(202);
+  assert.equal((await ctx.finishImport(photoUpload, auth)).updated, 1);
+
+  const res = await download(`/api/admin/students/export?class_id=${classes['Class 1 B'].id}&format=zip`).expect(200);
+  assert.equal(res.headers['content-type'], 'application/zip');
+  const zip = new AdmZip(res.body);
+  assert.deepEqual(zip.getEntries().map(entry => entry.entryName).sort(), ['photos/ananya.joshi.png', 'students.xlsx']);
+  assert.deepEqual(zip.readFile('photos/ananya.joshi.png'), PNG);
+
+  const [header, ...rows] = sheetRows(zip.readFile('students.xlsx'));
+  assert.equal(header.at(-1), 'Photo');
+  assert.deepEqual(rows.map(row => [row[2], row.at(-1)]), [['ananya.joshi', 'photos/ananya.joshi.png'], ['vihaan.more', null]]);
+
+  // The export is a valid upload: only the photo is written again
+  const reimport = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .field('mode', 'update')
+    .field('create_parents', 'false')
+    .attach('zipFile', res.body, 'students.zip')
+    .expect(202);
+  const job = await ctx.finishImport(reimport, auth);
+  assert.deepEqual([job.imported, job.failed], [2, 0]);
+  assert.deepEqual(job.rows.map(r => [r.username, r.action, r.changes.map(c => c.field)]), [
+    ['ananya.joshi', 'updated', ['profile_photo']],
+    ['vihaan.more', 'unchanged', []]
+  ]);
+});
+
+test('exports keep photo names in the photos folder and formulas as text', async () => {
+  const photoUpload = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .field('mode', 'update')
+    .field('create_parents', 'false')
+    .attach('zipFile', studentZip([{ Username: 'isha.gawde', Photo: 'isha.png' }], { 'isha.png': PNG }), 'students.zip')
+    .expect(202);
+  assert.equal((await ctx.finishImport(photoUpload, auth)).updated, 1);
+  await ctx.pool.query("UPDATE users SET username = '../../isha' WHERE username = 'isha.gawde'");
+  await ctx.pool.query(
+    "UPDATE students SET parent_name = '=HYPERLINK(\"http://evil.example\")', phone = '+91 98200 11111' WHERE first_name = 'Isha'"
+  );
+
+  const url = `/api/admin/students/export?class_id=${classes['Class 2 A'].id}`;
+  const res = await download(`${url}&format=zip`).expect(200);
+  const zip = new AdmZip(res.body);
+  assert.deepEqual(zip.getEntries().map(entry => entry.entryName).sort(), ['photos/_._.._isha.png', 'students.xlsx']);
+
+  const [, isha] = sheetRows(zip.readFile('students.xlsx'));
+  assert.deepEqual([isha[2], isha[6], isha[10], isha.at(-1)],
+    ['../../isha', '+91 98200 11111', '\'=HYPERLINK("http://evil.example")', 'photos/_._.._isha.png']);
+
+  const csv = (await download(`${url}&format=csv`).expect(200)).body.toString();
+  assert.match(csv, /"'=HYPERLINK\(""http:\/\/evil\.example""\)"/);
+
+  // The quote is dropped again when the export is uploaded
+  const reimport = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .field('mode', 'update')
+    .field('create_parents', 'false')
+    .attach('zipFile', res.body, 'students.zip')
+    .expect(202);
+  const job = await ctx.finishImport(reimport, auth);
+  assert.deepEqual(job.rows.map(r => [r.username, r.changes.map(c => c.field)]), [
+    ['../../isha', ['profile_photo']],
+    ['arjun.rane', []]
+  ]);
+
+  await ctx.pool.query("UPDATE users SET username = 'isha.gawde' WHERE username = '../../isha'");
+});
+
+test('the upload template has dropdowns, a date hint and instructions', async () => {
+  const res = await download('/api/admin/students/bulk-upload/template').expect(200);
+  assert.equal(res.headers['content-type'], XLSX_TYPE);
+  assert.match(res.headers['content-disposition'], /filename="student-upload-template\.xlsx"/);
+
+  const book = XLSX.read(res.body);
+  assert.deepEqual(book.SheetNames, ['Students', 'Instructions', 'Lists']);
+  assert.equal(book.Workbook.Sheets[2].Hidden, 1);
+  assert.deepEqual(sheetRows(res.body), [[
+    'First Name', 'Last Name', 'Username', 'Password', 'Email', 'Class', 'Roll Number', 'Phone', 'Address',
+    'Date of Birth', 'Blood Group', 'Parent Name', 'Parent Phone', 'Parent Email'
+  ]]);
+
+  const lists = XLSX.utils.sheet_to_json(book.Sheets.Lists, { header: 1, defval: null });
+  assert.deepEqual(lists.slice(1).map(row => row[0]).filter(Boolean), ['Class 1 A', 'Class 1 B', 'Class 2 A']);
+  assert.deepEqual(lists.slice(1).map(row => row[1]), ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']);
+
+  const instructions = XLSX.utils.sheet_to_json(book.Sheets.Instructions, { header: 1, defval: null });
+  const dob = instructions.find(row => row[0] === 'Date of Birth');
+  assert.match(dob[1], /YYYY-MM-DD/);
+  assert.equal(instructions.find(row => row[0] === 'Roll Number')[2], 'rollnumber, roll_no');
+  assert.match(instructions.find(row => row[0] === 'Parent Email')[1], /created with this email as its username and a temporary password/);
+
+  const xml = new AdmZip(res.body).readAsText('xl/worksheets/sheet1.xml');
+  assert.match(xml, /<dataValidation type="list"[^>]*sqref="F2:F1001"><formula1>Lists!\$A\$2:\$A\$4<\/formula1>/);
+  assert.match(xml, /<dataValidation type="list"[^>]*sqref="K2:K1001"><formula1>Lists!\$B\$2:\$B\$9<\/formula1>/);
+  assert.match(xml, /prompt="YYYY-MM-DD, e.g. 2015-06-21" sqref="J2:J1001"/);
+});
+
+test('a filled-in template imports as it is', async () => {
+  const res = await download('/api/admin/students/bulk-upload/template?format=zip').expect(200);
+  assert.equal(res.headers['content-type'], 'application/zip');
+  const zip = new AdmZip(res.body);
+  assert.deepEqual(zip.getEntries().map(entry => entry.entryName).sort(), ['photos/', 'students.xlsx']);
+
+  const book = XLSX.read(zip.readFile('students.xlsx'));
+  assert.equal(sheetRows(zip.readFile('students.xlsx'))[0].at(-1), 'Photo');
+  XLSX.utils.sheet_add_aoa(book.Sheets.Students, [
+    ['Riya', 'Kulkarni', 'riya.kulkarni', 'student-pass', null, 'Class 2 A', 3, null, null, '2017-03-09', 'O+', null, null, null, 'riya.png']
+  ], { origin: 'A2' });
+  zip.updateFile('students.xlsx', XLSX.write(book, { type: 'buffer', bookType: 'xlsx' }));
+  zip.addFile('photos/riya.png', PNG);
+
+  const upload = await ctx.api().post('/api/admin/students/bulk-upload-zip').set(auth)
+    .field('create_parents', 'false')
+    .attach('zipFile', zip.toBuffer(), 'students.zip')
+    .expect(202);
+  const job = await ctx.finishImport(upload, auth);
+  assert.deepEqual([job.imported, job.failed, job.photosUploaded], [1, 0, 1]);
+
+  const { rows: [riya] } = await ctx.pool.query(`
+    SELECT c.class_name, s.roll_number, to_char(s.date_of_birth, 'YYYY-MM-DD') as date_of_birth, s.blood_group
+    FROM students s JOIN users u ON u.id = s.user_id JOIN classes c ON c.id = s.class_id
+    WHERE u.username = 'riya.kulkarni'
+  `);
+  assert.deepEqual(riya, { class_name: 'Class 2 A', roll_number: 3, date_of_birth: '2017-03-09', blood_group: 'O+' });
+
+  await ctx.api().get('/api/admin/students/bulk-upload/template?format=csv').set(auth).expect(400);
+});
+
+test('exports and templates need a signed-in admin', async () => {
+  await ctx.api().get('/api/admin/students/export').expect(401);
+  await ctx.api().get('/api/admin/students/bulk-upload/template').expect(401);
+
+  // Teachers read their own classes' students but cannot export the school
+  await ctx.api().post('/api/admin/teachers').set(auth).send({ username: 'ms.rao', password: 'teacher-pass' }).expect(200);
+  const teacher = bearer((await ctx.login('ms.rao', 'teacher-pass')).token);
+  await ctx.api().get(`/api/admin/students/export?class_id=${classes['Class 1 A'].id}`).set(teacher).expect(403);
+  await ctx.api().get('/api/admin/students/bulk-upload/template').set(teacher).expect(403);
+});
@@ -0,0 +1,156 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createTestContext, bearer } = require('./helpers/context');
+
+let ctx;
+let auth;
+let classes;
+let aarav;
+let diya;
+
+const PDF = Buffer.from('%PDF-1.4');
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+  aarav = await ctx.login('aarav.patil');
+  diya = await ctx.login('diya.shah');
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+async function createAssignment(fields) {
+  const req = ctx.api().post('/api/admin/assignments').set(auth);
+  for (const [name, value] of Object.entries({ class_id: classes['Class 1 A'].id, ...fields })) {
+    req.field(name, value);
+  }
+  const res = await req.expect(200);
+  return res.body.assignment;
+}
+
+const submit = (session, assignmentId, filename = 'work.pdf') =>
+  ctx.api().post(`/api/student/assignments/${session.user.studentId}/${assignmentId}/submission`)
+    .set(bearer(session.token))
+    .field('comment', 'Done')
+    .attach('submissionFile', PDF, { filename, contentType: 'application/pdf' });
+
+test('updating an assignment keeps its creation time', async () => {
+  const assignment = await createAssignment({ title: 'Essay', due_date: '2099-01-31', max_marks: '20' });
+  assert.equal(assignment.due_date, '2099-01-31');
+  assert.equal(assignment.max_marks, 20);
+
+  const res = await ctx.api().put(`/api/admin/assignments/${assignment.id}`).set(auth)
+    .field('class_id', classes['Class 1 A'].id)
+    .field('title', 'Essay (revised)')
+    .field('due_date', '2099-02-15')
+    .field('max_marks', '25')
+    .expect(200);
+
+  assert.equal(res.body.assignment.created_at, assignment.created_at);
+  assert.notEqual(res.body.assignment.updated_at, assignment.updated_at);
+  assert.equal(res.body.assignment.due_date, '2099-02-15');
+
+  await ctx.api().put(`/api/admin/assignments/${assignment.id}`).set(auth)
+    .field('class_id', classes['Class 1 A'].id)
+    .field('title', 'Essay')
+    .field('due_date', 'next week')
+    .expect(400);
+});
+
+test('students submit, resubmit and are flagged late after the due date', async () => {
+  const onTime = await createAssignment({ title: 'Poem', due_date: '2099-12-31' });
+  const overdue = await createAssignment({ title: 'Map', due_date: '2020-01-10' });
+
+  const first = await submit(aarav, onTime.id, 'poem-v1.pdf').expect(200);
+  assert.equal(first.body.data.is_late, false);
+  assert.equal(first.body.data.comment, 'Done');
+
+  const second = await submit(aarav, onTime.id, 'poem-v2.pdf').expect(200);
+  assert.equal(second.body.data.id, first.body.data.id);
+  assert.match(second.body.data.file_path, /poem-v2\.pdf$/);
+  assert.equal(fs.existsSync(first.body.data.file_path), false);
+
+  const late = await submit(aarav, overdue.id).expect(200);
+  assert.equal(late.body.data.is_late, true);
+  assert.equal(late.body.message, 'Submission received after the due date');
+
+  const feed = await ctx.api().get(`/api/student/assignments/${aarav.user.id}?limit=100`)
+    .set(bearer(aarav.token))
+    .expect(200);
+  const byTitle = Object.fromEntries(feed.body.data.map(a => [a.title, a]));
+  assert.equal(byTitle.Poem.submission_status, 'submitted');
+  assert.equal(byTitle.Poem.due_date, '2099-12-31');
+  assert.equal(byTitle.Map.submission_status, 'late');
+  assert.equal(byTitle.Map.marks, null);
+});
+
+test('submissions need a file and an assignment of the student\'s class', async () => {
+  const assignment = await createAssignment({ title: 'Drawing' });
+
+  const missing = await ctx.api().post(`/api/student/assignments/${aarav.user.studentId}/${assignment.id}/submission`)
+    .set(bearer(aarav.token))
+    .expect(400);
+  assert.equal(missing.body.message, 'No submission file provided');
+
+  const otherClass = await createAssignment({ title: 'Other', class_id: classes['Class 2 A'].id });
+  const uploaded = fs.readdirSync(ctx.uploadDir).length;
+  await submit(aarav, otherClass.id).expect(404);
+  assert.equal(fs.readdirSync(ctx.uploadDir).length, uploaded);
+
+  await ctx.api().post(`/api/student/assignments/${diya.user.studentId}/${assignment.id}/submission`)
+    .set(bearer(aarav.token))
+    .attach('submissionFile', PDF, { filename: 'x.pdf', contentType: 'application/pdf' })
+    .expect(403);
+});
+
+test('teachers see per-student status and grade submissions', async () => {
+  const assignment = await createAssignment({ title: 'Worksheet', due_date: '2099-06-30', max_marks: '10' });
+  await submit(diya, assignment.id).expect(200);
+
+  const list = await ctx.api().get(`/api/admin/assignments/${assignment.id}/submissions`).set(auth).expect(200);
+  assert.deepEqual(list.body.counts, { submitted: 1, late: 0, pending: 2, graded: 0 });
+  assert.deepEqual(list.body.students.map(s => [s.first_name, s.status]), [
+    ['Aarav', 'pending'], ['Diya', 'submitted'], ['Kabir', 'pending']
+  ]);
+
+  const gradeUrl = studentId => `/api/admin/assignments/${assignment.id}/submissions/${studentId}/grade`;
+
+  const tooHigh = await ctx.api().put(gradeUrl(diya.user.studentId)).set(auth).send({ marks: 12 }).expect(400);
+  assert.deepEqual(tooHigh.body.errors.map(e => [e.field, e.code, e.max]), [['marks', 'too_large', 10]]);
+
+  // Marks are capped like max_marks even where an assignment sets no maximum
+  const open = await createAssignment({ title: 'Reading log' });
+  const overflow = await ctx.api().put(`/api/admin/assignments/${open.id}/submissions/${diya.user.studentId}/grade`)
+    .set(auth)
+    .send({ marks: 100000 })
+    .expect(400);
+  assert.deepEqual(overflow.body.errors.map(e => [e.field, e.code, e.max]), [['marks', 'too_large', 9999]]);
+
+  await ctx.api().put(gradeUrl(aarav.user.studentId)).set(auth).send({ marks: 5 }).expect(404);
+
+  const graded = await ctx.api().put(gradeUrl(diya.user.studentId)).set(auth)
+    .send({ marks: '8.5', feedback: 'Neat work' })
+    .expect(200);
+  assert.equal(graded.body.submission.marks, 8.5);
+  assert.ok(graded.body.submission.graded_at);
+
+  const feed = await ctx.api().get(`/api/student/assignments/${diya.user.id}?limit=100`)
+    .set(bearer(diya.token))
+    .expect(200);
+  const worksheet = feed.body.data.find(a => a.id === assignment.id);
+  assert.equal(worksheet.marks, 8.5);
+  assert.equal(worksheet.feedback, 'Neat work');
+
+  const resubmit = await submit(diya, assignment.id).expect(409);
+  assert.equal(resubmit.body.message, 'This submission has already been graded');
+
+  const status = await ctx.api().get(`/api/admin/assignments/${assignment.id}/submissions`).set(auth).expect(200);
+  assert.equal(status.body.counts.graded, 1);
+  assert.match(status.body.students[1].file_path, /work\.pdf$/);
+});
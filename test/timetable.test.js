@@ -0,0 +1,151 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestContext, bearer } = require('./helpers/context');
+
+let ctx;
+let auth;
+let classes;
+let sections;
+// name -> period of the Morning / Afternoon sections
+const periods = {};
+
+before(async () => {
+  ctx = await createTestContext();
+  auth = bearer(await ctx.asAdmin());
+  classes = Object.fromEntries(
+    (await ctx.api().get('/api/admin/classes').set(auth)).body.classes.map(c => [c.class_name, c])
+  );
+  sections = Object.fromEntries(
+    (await ctx.api().get('/api/admin/sections').set(auth)).body.sections.map(s => [s.section_name, s])
+  );
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+const addPeriod = (section, body) =>
+  ctx.api().post(`/api/admin/timetable/periods/section/${sections[section].id}`).set(auth).send(body);
+const setEntry = (className, body) =>
+  ctx.api().put(`/api/admin/timetable/class/${classes[className].id}`).set(auth).send(body);
+
+test('periods stay inside the section hours without overlapping', async () => {
+  for (const [number, name, start, end, isBreak] of [
+    [1, 'Period 1', '07:30', '08:15'],
+    [2, 'Period 2', '08:15', '09:00'],
+    [3, 'Recess', '09:00', '09:20', true]
+  ]) {
+    const res = await addPeriod('Morning', { period_number: number, name, start_time: start, end_time: end, is_break: isBreak }).expect(200);
+    periods[name] = res.body.period;
+  }
+  periods.Afternoon = (await addPeriod('Afternoon', { period_number: 1, name: 'Period 1', start_time: '12:45', end_time: '13:30' }).expect(200)).body.period;
+
+  const outside = await addPeriod('Morning', { period_number: 4, name: 'Early', start_time: '07:00', end_time: '07:45' }).expect(400);
+  assert.equal(outside.body.errors[0].code, 'outside_section');
+  const overlap = await addPeriod('Morning', { period_number: 4, name: 'Overlap', start_time: '08:00', end_time: '08:30' }).expect(409);
+  assert.equal(overlap.body.message, 'Overlaps Period 1 (07:30-08:15)');
+  await addPeriod('Morning', { period_number: 2, name: 'Again', start_time: '09:20', end_time: '10:00' }).expect(409);
+  await addPeriod('Morning', { period_number: 4, name: 'Backwards', start_time: '10:00', end_time: '09:30' }).expect(400);
+
+  const list = await ctx.api().get(`/api/admin/timetable/periods/section/${sections.Morning.id}`).set(auth).expect(200);
+  assert.deepEqual(list.body.periods.map(p => [p.name, p.start_time, p.end_time, p.is_break]), [
+    ['Period 1', '07:30', '08:15', false],
+    ['Period 2', '08:15', '09:00', false],
+    ['Recess', '09:00', '09:20', true]
+  ]);
+});
+
+test('teacher and room clashes are rejected across classes', async () => {
+  const maths = await setEntry('Class 1 A', {
+    day_of_week: 1, period_id: periods['Period 1'].id, subject: 'Maths', teacher_name: 'Mrs. Kulkarni', room: '101'
+  }).expect(200);
+  assert.deepEqual([maths.body.entry.subject, maths.body.entry.start_time], ['Maths', '07:30']);
+
+  const teacherClash = await setEntry('Class 2 A', {
+    day_of_week: 1, period_id: periods['Period 1'].id, subject: 'English', teacher_name: 'mrs. kulkarni', room: '201'
+  }).expect(400);
+  assert.deepEqual(teacherClash.body.errors.map(e => [e.field, e.code]), [['teacher_name', 'teacher_clash']]);
+  assert.equal(teacherClash.body.errors[0].message, 'mrs. kulkarni already teaches Class 1 A, Monday 07:30-08:15 (Maths)');
+  assert.equal(teacherClash.body.errors[0].clash.class_name, 'Class 1 A');
+
+  const roomClash = await setEntry('Class 2 A', {
+    day_of_week: 1, period_id: periods['Period 1'].id, subject: 'English', teacher_name: 'Mr. Desai', room: '101'
+  }).expect(400);
+  assert.deepEqual(roomClash.body.errors.map(e => [e.field, e.code]), [['room', 'room_clash']]);
+
+  // Free at other times: another weekday, or a period that does not overlap
+  await setEntry('Class 2 A', { day_of_week: 2, period_id: periods['Period 1'].id, subject: 'English', teacher_name: 'Mrs. Kulkarni', room: '101' }).expect(200);
+  await setEntry('Class 1 B', { day_of_week: 1, period_id: periods.Afternoon.id, subject: 'Maths', teacher_name: 'Mrs. Kulkarni', room: '101' }).expect(200);
+
+  // Replacing a slot does not clash with itself
+  await setEntry('Class 1 A', { day_of_week: 1, period_id: periods['Period 1'].id, subject: 'Mathematics', teacher_name: 'Mrs. Kulkarni', room: '101' }).expect(200);
+  await setEntry('Class 1 A', { day_of_week: 1, period_id: periods['Period 2'].id, subject: 'EVS', teacher_name: 'Mr. Desai', room: '102' }).expect(200);
+
+  const wrongSection = await setEntry('Class 1 A', { day_of_week: 1, period_id: periods.Afternoon.id, subject: 'Art' }).expect(400);
+  assert.equal(wrongSection.body.errors[0].code, 'wrong_section');
+  const onBreak = await setEntry('Class 1 A', { day_of_week: 1, period_id: periods.Recess.id, subject: 'Art' }).expect(400);
+  assert.equal(onBreak.body.errors[0].code, 'break_period');
+});
+
+test('teacher accounts are matched by id', async () => {
+  const teacher = await ctx.api().post('/api/admin/teachers').set(auth)
+    .send({ username: 'mr.pawar', password: 'teacher-pass' })
+    .expect(200);
+  const teacherId = teacher.body.teacher.id;
+
+  const entry = await setEntry('Class 1 A', { day_of_week: 3, period_id: periods['Period 1'].id, subject: 'Music', teacher_id: teacherId }).expect(200);
+  assert.equal(entry.body.entry.teacher_name, 'mr.pawar');
+
+  const clash = await setEntry('Class 2 A', { day_of_week: 3, period_id: periods['Period 1'].id, subject: 'Music', teacher_id: teacherId }).expect(400);
+  assert.deepEqual(clash.body.errors.map(e => [e.field, e.code]), [['teacher_id', 'teacher_clash']]);
+
+  // Teachers read timetables but do not edit them
+  const session = bearer((await ctx.login('mr.pawar', 'teacher-pass')).token);
+  const timetable = await ctx.api().get(`/api/admin/timetable/class/${classes['Class 1 A'].id}`).set(session).expect(200);
+  assert.deepEqual(timetable.body.days[0].entries.map(e => [e.period_name, e.subject]), [['Period 1', 'Mathematics'], ['Period 2', 'EVS']]);
+  assert.deepEqual(timetable.body.days[2].entries.map(e => e.subject), ['Music']);
+  await ctx.api().put(`/api/admin/timetable/class/${classes['Class 1 A'].id}`).set(session)
+    .send({ day_of_week: 4, period_id: periods['Period 1'].id, subject: 'Art' })
+    .expect(403);
+
+  const entryId = entry.body.entry.id;
+  await ctx.api().delete(`/api/admin/timetable/class/${classes['Class 2 A'].id}/entries/${entryId}`).set(auth).expect(404);
+  await ctx.api().delete(`/api/admin/timetable/class/${classes['Class 1 A'].id}/entries/${entryId}`).set(auth).expect(200);
+});
+
+test('students get today\'s schedule and the week around it', async () => {
+  const aarav = await ctx.login('aarav.patil');
+  const url = `/api/student/timetable/${aarav.user.studentId}`;
+
+  // 2026-10-19 is a Monday
+  const res = await ctx.api().get(`${url}?date=2026-10-21`).set(bearer(aarav.token)).expect(200);
+  const { data } = res.body;
+  assert.equal(data.class.class_name, 'Class 1 A');
+  assert.deepEqual([data.today.date, data.today.day, data.today.periods], ['2026-10-21', 'Wednesday', []]);
+  assert.deepEqual(data.week.map(d => d.date), [
+    '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25'
+  ]);
+
+  const monday = data.week[0];
+  assert.equal(monday.day, 'Monday');
+  assert.deepEqual(monday.periods.map(p => [p.name, p.start_time, p.subject, p.teacher_name, p.room, p.is_break]), [
+    ['Period 1', '07:30', 'Mathematics', 'Mrs. Kulkarni', '101', false],
+    ['Period 2', '08:15', 'EVS', 'Mr. Desai', '102', false],
+    ['Recess', '09:00', null, null, null, true]
+  ]);
+
+  const today = await ctx.api().get(url).set(bearer(aarav.token)).expect(200);
+  assert.equal(today.body.data.week.length, 7);
+  await ctx.api().get(`${url}?date=2026-13-01`).set(bearer(aarav.token)).expect(400);
+
+  const isha = await ctx.login('isha.gawde');
+  await ctx.api().get(`/api/student/timetable/${isha.user.studentId}`).set(bearer(aarav.token)).expect(403);
+});
+
+test('simultaneous bookings of one teacher cannot both succeed', async () => {
+  const book = className => setEntry(className, {
+    day_of_week: 4, period_id: periods['Period 2'].id, subject: 'Drawing', teacher_name: 'Ms. Rao'
+  });
+  const results = await Promise.all([book('Class 1 A'), book('Class 2 A')]);
+  assert.deepEqual(results.map(res => res.status).sort(), [200, 400]);
+});
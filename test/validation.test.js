@@ -0,0 +1,174 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFields, STUDENT_PROFILE_FIELDS } = require('../src/validation');
+const { createTestContext, bearer } = require('./helpers/context');
+const { workbook, XLSX_TYPE } = require('./helpers/files');
+
+describe('validateFields', () => {
+  test('coerces valid values and nulls blank optional typed ones', () => {
+    const { values, errors } = validateFields({
+      id: { type: 'id', required: true },
+      start: { type: 'time' },
+      group: { type: 'bloodGroup' },
+      born: { type: 'date' },
+      ids: { type: 'idList' },
+      name: { type: 'string' }
+    }, { id: '7', start: '7:30', group: 'ab+', born: '', ids: '[1, "2"]', name: '' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(values, { id: 7, start: '07:30:00', group: 'AB+', born: null, ids: [1, 2] });
+  });
+
+  test('reports one coded error per failing field', () => {
+    const { errors } = validateFields(
+      { title: { type: 'string', required: true }, ...STUDENT_PROFILE_FIELDS },
+      {
+        title: '   ',
+        date_of_birth: '2019-02-30',
+        phone: 'call me',
+        parent_email: 'nobody@',
+        blood_group: 'C+',
+        roll_number: '0'
+      },
+      'body'
+    );
+
+    assert.deepEqual(errors.map(e => [e.field, e.code]), [
+      ['title', 'required'],
+      ['roll_number', 'too_small'],
+      ['phone', 'invalid_phone'],
+      ['date_of_birth', 'invalid_date'],
+      ['blood_group', 'invalid_blood_group'],
+      ['parent_email', 'invalid_email']
+    ]);
+    assert.ok(errors.every(e => e.location === 'body' && e.message));
+    assert.equal(errors[1].min, 1);
+  });
+
+  test('checks ordering between fields', () => {
+    const schema = {
+      start_time: { type: 'time', required: true },
+      end_time: { type: 'time', required: true, after: 'start_time' }
+    };
+
+    assert.deepEqual(validateFields(schema, { start_time: '09:00', end_time: '10:00' }).errors, []);
+
+    const [error] = validateFields(schema, { start_time: '10:00', end_time: '10:00' }).errors;
+    assert.equal(error.field, 'end_time');
+    assert.equal(error.code, 'invalid_range');
+    assert.equal(error.message, 'End time must be after start time');
+  });
+
+  test('required can depend on other fields', () => {
+    const schema = {
+      recipient_type: { type: 'enum', values: ['all', 'particular'] },
+      selected_students: { type: 'idList', required: body => body.recipient_type === 'particular' }
+    };
+
+    assert.deepEqual(validateFields(schema, { recipient_type: 'all' }).errors, []);
+    assert.equal(validateFields(schema, { recipient_type: 'particular', selected_students: '[]' }).errors[0].code, 'required');
+    assert.equal(validateFields(schema, { recipient_type: 'some' }).errors[0].code, 'invalid_choice');
+  });
+});
+
+describe('API validation errors', () => {
+  let ctx;
+  let auth;
+
+  before(async () => {
+    ctx = await createTestContext();
+    auth = bearer(await ctx.asAdmin());
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  test('come back in one shape with per-field codes', async () => {
+    const res = await ctx.api().post('/api/admin/sections').set(auth)
+      .send({ section_name: 'Late', start_time: '14:00', end_time: '13:00' })
+      .expect(400);
+
+    assert.deepEqual(res.body, {
+      success: false,
+      message: 'End time must be after start time',
+      code: 'VALIDATION_FAILED',
+      errors: [{
+        field: 'end_time',
+        location: 'body',
+        code: 'invalid_range',
+        message: 'End time must be after start time',
+        after: 'start_time'
+      }]
+    });
+  });
+
+  test('cover route params and query strings', async () => {
+    const params = await ctx.api().delete('/api/admin/classes/abc').set(auth).expect(400);
+    assert.deepEqual(params.body.errors.map(e => [e.location, e.field, e.code]), [['params', 'id', 'invalid_id']]);
+    assert.equal(params.body.message, 'Invalid class ID');
+
+    const diya = await ctx.login('diya.shah');
+    const query = await ctx.api().get(`/api/student/assignments/${diya.user.id}?page=0&limit=500`)
+      .set(bearer(diya.token))
+      .expect(400);
+    assert.deepEqual(query.body.errors.map(e => [e.field, e.code]), [['page', 'too_small'], ['limit', 'too_large']]);
+  });
+
+  test('reject malformed student fields on create and update', async () => {
+    const created = await ctx.api().post('/api/admin/students').set(auth)
+      .send({
+        first_name: 'Bad', last_name: 'Data', username: 'bad.data', password: 'pw',
+        email: 'not-an-email', blood_group: 'Z', date_of_birth: '31/12/2019'
+      })
+      .expect(400);
+    assert.deepEqual(created.body.errors.map(e => e.code).sort(), ['invalid_blood_group', 'invalid_date', 'invalid_email']);
+
+    const updated = await ctx.api().put('/api/admin/students/1').set(auth)
+      .send({ first_name: 'Aarav', parent_phone: '12' })
+      .expect(400);
+    assert.deepEqual(updated.body.errors.map(e => [e.field, e.code]), [
+      ['last_name', 'required'],
+      ['parent_phone', 'invalid_phone']
+    ]);
+  });
+
+  test('reject particular notifications without recipients', async () => {
+    const res = await ctx.api().post('/api/admin/notifications').set(auth)
+      .field('title', 'Fees').field('description', 'Due').field('class_id', 1)
+      .field('recipient_type', 'particular')
+      .expect(400);
+    assert.equal(res.body.errors[0].field, 'selected_students');
+    assert.equal(res.body.message, 'Please select at least one student for particular notifications');
+  });
+
+  test('cover malformed JSON and rejected uploads', async () => {
+    const json = await ctx.api().post('/api/login')
+      .set('Content-Type', 'application/json')
+      .send('{"username":')
+      .expect(400);
+    assert.equal(json.body.errors[0].code, 'invalid_json');
+
+    const upload = await ctx.api().post('/api/admin/assignments').set(auth)
+      .field('class_id', 1).field('title', 'Script')
+      .attach('assignmentFile', Buffer.from('echo hi'), { filename: 'run.sh', contentType: 'application/x-sh' })
+      .expect(400);
+    assert.deepEqual(upload.body.errors.map(e => [e.field, e.code]), [['assignmentFile', 'invalid_file_type']]);
+  });
+
+  test('apply to imported rows', async () => {
+    const file = workbook([
+      { 'First Name': 'Zoya', 'Last Name': 'Khan', Username: 'zoya.khan', Password: 'pw', 'Blood Group': 'Q+' },
+      { 'First Name': 'Yash', 'Last Name': 'Pai', Username: 'yash.pai', Password: 'pw', DOB: 'last spring' }
+    ]);
+
+    const res = await ctx.api().post('/api/admin/students/bulk-upload').set(auth)
+      .attach('excelFile', file, { filename: 'students.xlsx', contentType: XLSX_TYPE })
+      .expect(202);
+    const job = await ctx.finishImport(res, auth);
+    assert.deepEqual(job.errorDetails, [
+      'Row 2: Blood group must be one of A+, A-, B+, B-, AB+, AB-, O+, O-',
+      'Row 3: Date of birth must be a valid date (YYYY-MM-DD)'
+    ]);
+  });
+});